@@ -81,6 +81,11 @@
       js: { always: ["app/navigation/sport-presets/sport-presets.js"] },
     },
 
+    "Roster": {
+      css: "app/navigation/roster/roster.css",
+      js: { always: ["app/navigation/roster/roster.js"] },
+    },
+
     "Upload": {
       css: "app/navigation/upload/upload.css",
       js: { always: ["app/navigation/upload/upload.js"] },
@@ -0,0 +1,157 @@
+// app/core/history.js
+// ------------------------------------------------------------
+// Undo / redo history (command stack)
+//
+// A command is { label, undo(), redo(), destructive? }.
+// - The session store pushes snapshot commands for project/session edits.
+// - Panels push their own commands for in-place edits (timestamps, sync
+//   offset) so undoing them doesn't re-render the whole viewer.
+//
+// Keyboard: Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) = redo.
+// Text fields keep their native undo.
+// Destructive commands show a toast with an "Undo" action.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const MAX_ENTRIES = 100;
+
+  const past = [];
+  const future = [];
+  let applying = false;
+
+  function emitChanged() {
+    document.dispatchEvent(
+      new CustomEvent("movesync:history-changed", {
+        detail: { canUndo: canUndo(), canRedo: canRedo(), at: Date.now() },
+      })
+    );
+  }
+
+  function toast(opts) {
+    window.MoveSyncApp?.toast?.show?.(opts);
+  }
+
+  function canUndo() {
+    return past.length > 0;
+  }
+
+  function canRedo() {
+    return future.length > 0;
+  }
+
+  // True while an undo/redo is running; recorders should not push then.
+  function isApplying() {
+    return applying;
+  }
+
+  function push(command) {
+    if (applying) return;
+    if (!command || typeof command.undo !== "function" || typeof command.redo !== "function") return;
+
+    past.push(command);
+    if (past.length > MAX_ENTRIES) past.shift();
+    future.length = 0;
+
+    if (command.destructive) {
+      toast({ message: command.label || "Deleted", actionLabel: "Undo", onAction: undo });
+    }
+
+    emitChanged();
+  }
+
+  function run(command, direction) {
+    applying = true;
+    try {
+      const result = command[direction]();
+      return result !== false;
+    } catch (e) {
+      console.warn(`[history] ${direction} failed:`, e);
+      return false;
+    } finally {
+      applying = false;
+    }
+  }
+
+  function undo() {
+    const command = past.pop();
+    if (!command) return false;
+
+    // A command may refuse (e.g. its session is no longer open): drop it.
+    const ok = run(command, "undo");
+    if (ok) future.push(command);
+
+    toast({
+      message: ok ? `Undone: ${command.label || "last change"}` : "Nothing to undo here",
+      actionLabel: ok ? "Redo" : "",
+      onAction: redo,
+      timeoutMs: 3000,
+    });
+
+    emitChanged();
+    return ok;
+  }
+
+  function redo() {
+    const command = future.pop();
+    if (!command) return false;
+
+    const ok = run(command, "redo");
+    if (ok) past.push(command);
+
+    toast({ message: ok ? `Redone: ${command.label || "last change"}` : "Nothing to redo here", timeoutMs: 3000 });
+
+    emitChanged();
+    return ok;
+  }
+
+  function clear() {
+    past.length = 0;
+    future.length = 0;
+    emitChanged();
+  }
+
+  function getState() {
+    return {
+      canUndo: canUndo(),
+      canRedo: canRedo(),
+      undoLabel: past[past.length - 1]?.label || "",
+      redoLabel: future[future.length - 1]?.label || "",
+    };
+  }
+
+  function isTextInput(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    const tag = String(target.tagName || "").toLowerCase();
+    if (tag === "textarea") return true;
+    if (tag !== "input") return false;
+    const type = String(target.type || "text").toLowerCase();
+    return !["checkbox", "radio", "button", "submit", "range", "file", "color"].includes(type);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTextInput(e.target)) return;
+
+    const key = String(e.key || "").toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    e.preventDefault();
+    if (isUndo) undo();
+    else redo();
+  });
+
+  window.MoveSyncHistory = {
+    push,
+    undo,
+    redo,
+    clear,
+    canUndo,
+    canRedo,
+    isApplying,
+    getState,
+  };
+})();
@@ -0,0 +1,337 @@
+// app/core/imu-alignment.js
+// ------------------------------------------------------------
+// Cross-sensor time alignment for multi-IMU sessions (MoveSyncImuAlignment)
+//
+// Every IMU's clock starts at its own zero. estimate() finds, per IMU,
+//
+//   t_common = offset + (1 + drift) · t_own
+//
+// against a reference IMU, whose own clock becomes the common timeline:
+//   "events"      cross-correlates the acceleration envelopes (|Δ|a||:
+//                 a triple tap, a jump, shared movement) over the whole
+//                 recordings, then again over the first and last third of
+//                 the overlap; the lag changing between them is clock drift
+//   "timestamps"  absolute start times (date / clock / epoch columns);
+//                 drift can't be seen in timestamps alone and stays 0
+//
+// The common timeline is the span all aligned IMUs cover, at the
+// reference's nominal rate. The IMU panel maps chart times onto it and the
+// pipeline resamples each IMU onto that grid, so the sensors share samples.
+//
+// No DOM; uses MoveSyncImuTiming for the nominal rate.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const METHODS = ["events", "timestamps"];
+
+  const CFG = {
+    ENVELOPE_HZ: 50, // envelope bins per second (lower for long recordings)
+    MAX_FFT: 1 << 19, // cross-correlation size cap (both envelopes, padded)
+    SMOOTH_BINS: 3, // box filter over the envelope so close peaks overlap
+    MIN_SCORE: 0.2, // normalised correlation below this = no shared event
+    MIN_DRIFT_SPAN_S: 120, // first/last third must be this far apart for drift
+    MAX_DRIFT_PPM: 1000, // larger drift estimates are rejected
+    REFINE_RANGE_S: 1, // lag search around the coarse offset (+ drift allowance)
+  };
+
+  // -------------------------
+  // Envelope
+  // -------------------------
+  // Time order of the valid samples (identity when already sorted)
+  function timeOrder(t) {
+    const keep = [];
+    let sorted = true;
+    let prev = -Infinity;
+    for (let i = 0; i < t.length; i++) {
+      if (!Number.isFinite(t[i])) continue;
+      if (t[i] < prev) sorted = false;
+      prev = t[i];
+      keep.push(i);
+    }
+    if (!sorted) keep.sort((a, b) => t[a] - t[b]);
+    return keep;
+  }
+
+  // stream: { t, signal: { x, y, z } } -> { start, end, rate, values }
+  // Max |Δ|a|| per bin, box-smoothed; zero where nothing was recorded
+  function envelope(stream, rate) {
+    const { t, signal } = stream;
+    const order = timeOrder(t);
+    if (order.length < 2) return null;
+
+    const start = t[order[0]];
+    const end = t[order[order.length - 1]];
+    const bins = Math.floor((end - start) * rate) + 1;
+    const peak = new Float64Array(bins);
+
+    let prev = NaN;
+    for (const i of order) {
+      const m = Math.hypot(signal.x[i], signal.y[i], signal.z[i]);
+      if (!Number.isFinite(m)) continue;
+      if (Number.isFinite(prev)) {
+        const b = Math.floor((t[i] - start) * rate);
+        const d = Math.abs(m - prev);
+        if (d > peak[b]) peak[b] = d;
+      }
+      prev = m;
+    }
+
+    const values = new Float64Array(bins);
+    const half = CFG.SMOOTH_BINS >> 1;
+    let sum = 0;
+    for (let b = -half; b < bins; b++) {
+      if (b + half < bins) sum += peak[b + half];
+      if (b - half - 1 >= 0) sum -= peak[b - half - 1];
+      if (b >= 0) values[b] = sum;
+    }
+    return { start, end, rate, values };
+  }
+
+  // Zero mean, unit energy (in place); false when the signal is flat
+  function standardise(v) {
+    let mean = 0;
+    for (let i = 0; i < v.length; i++) mean += v[i];
+    mean /= v.length || 1;
+    let energy = 0;
+    for (let i = 0; i < v.length; i++) {
+      v[i] -= mean;
+      energy += v[i] * v[i];
+    }
+    if (!(energy > 0)) return false;
+    const k = 1 / Math.sqrt(energy);
+    for (let i = 0; i < v.length; i++) v[i] *= k;
+    return true;
+  }
+
+  // -------------------------
+  // Cross-correlation
+  // -------------------------
+  // In-place radix-2 FFT; inverse without the 1/n scale
+  function fft(re, im, inverse) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = ((inverse ? 2 : -2) * Math.PI) / len;
+      const wr = Math.cos(ang);
+      const wi = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let cr = 1;
+        let ci = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k;
+          const b = a + len / 2;
+          const xr = re[b] * cr - im[b] * ci;
+          const xi = re[b] * ci + im[b] * cr;
+          re[b] = re[a] - xr;
+          im[b] = im[a] - xi;
+          re[a] += xr;
+          im[a] += xi;
+          const nr = cr * wr - ci * wi;
+          ci = cr * wi + ci * wr;
+          cr = nr;
+        }
+      }
+    }
+  }
+
+  // Peak of c[L] = Σ ref[i] · other[i − L] over every lag (bins, fractional)
+  function correlatePeak(ref, other) {
+    let size = 1;
+    while (size < ref.length + other.length) size <<= 1;
+
+    const ar = new Float64Array(size);
+    const ai = new Float64Array(size);
+    const br = new Float64Array(size);
+    const bi = new Float64Array(size);
+    ar.set(ref);
+    br.set(other);
+    fft(ar, ai, false);
+    fft(br, bi, false);
+    for (let k = 0; k < size; k++) {
+      const r = ar[k] * br[k] + ai[k] * bi[k];
+      const i = ai[k] * br[k] - ar[k] * bi[k];
+      ar[k] = r;
+      ai[k] = i;
+    }
+    fft(ar, ai, true);
+
+    const at = (lag) => ar[(lag + size) % size] / size;
+    let best = -(other.length - 1);
+    for (let lag = best + 1; lag < ref.length; lag++) if (at(lag) > at(best)) best = lag;
+    return { lag: best + subBin(at(best - 1), at(best), at(best + 1)), score: at(best) };
+  }
+
+  // Parabolic peak position in [-0.5, 0.5]
+  function subBin(a, b, c) {
+    const den = a - 2 * b + c;
+    return den < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / den)) : 0;
+  }
+
+  // Best lag (bins) within [lo, hi] over ref bins [i0, i1), with the
+  // normalised correlation of the two zero-mean slices as the score and
+  // the slice's energy-weighted centre (where its events are, in bins)
+  function correlateAround(ref, other, i0, i1, lo, hi) {
+    const r = ref.slice(i0, i1);
+    let mr = 0;
+    for (let i = 0; i < r.length; i++) mr += r[i];
+    mr /= r.length || 1;
+    let er = 0;
+    let centre = 0;
+    for (let i = 0; i < r.length; i++) {
+      const w = (r[i] - mr) ** 2;
+      er += w;
+      centre += w * (i0 + i);
+    }
+
+    const scores = new Float64Array(hi - lo + 1).fill(-Infinity);
+    for (let lag = lo; lag <= hi; lag++) {
+      let so = 0;
+      let soo = 0;
+      let sro = 0;
+      let m = 0;
+      for (let i = i0; i < i1; i++) {
+        const j = i - lag;
+        if (j < 0 || j >= other.length) continue;
+        const o = other[j];
+        so += o;
+        soo += o * o;
+        sro += (ref[i] - mr) * o;
+        m++;
+      }
+      const eo = soo - (so * so) / (m || 1);
+      if (m > 1 && er > 0 && eo > 0) scores[lag - lo] = sro / Math.sqrt(er * eo);
+    }
+
+    let k = 0;
+    for (let i = 1; i < scores.length; i++) if (scores[i] > scores[k]) k = i;
+    if (!Number.isFinite(scores[k])) return null;
+    const side = (i) => (Number.isFinite(scores[i]) ? scores[i] : scores[k]);
+    return { lag: lo + k + subBin(side(k - 1), scores[k], side(k + 1)), score: scores[k], centre: centre / er };
+  }
+
+  // -------------------------
+  // Estimation
+  // -------------------------
+  function byEvents(ref, other, rate) {
+    const er = envelope(ref, rate);
+    const eo = envelope(other, rate);
+    if (!er || !eo) return { error: "too few samples" };
+
+    const r = er.values.slice();
+    const o = eo.values.slice();
+    if (!standardise(r) || !standardise(o)) return { error: "no movement to match" };
+
+    const coarse = correlatePeak(r, o);
+    if (!(coarse.score >= CFG.MIN_SCORE)) return { error: `no shared event found (match ${coarse.score.toFixed(2)})` };
+
+    // t_ref = t_own + offset
+    const offset = er.start + coarse.lag / rate - eo.start;
+    const result = { offset, drift: 0, score: coarse.score };
+
+    // Drift: lag over the first vs. last third of the overlap
+    const lo = Math.max(er.start, eo.start + offset);
+    const hi = Math.min(er.end, eo.end + offset);
+    const third = (hi - lo) / 3;
+    if (2 * third < CFG.MIN_DRIFT_SPAN_S) return result;
+
+    const range = Math.ceil((CFG.REFINE_RANGE_S + CFG.MAX_DRIFT_PPM * 1e-6 * (hi - lo)) * rate);
+    const part = (from) => {
+      const i0 = Math.max(0, Math.floor((from - er.start) * rate));
+      const i1 = Math.min(er.values.length, Math.floor((from + third - er.start) * rate));
+      const found = correlateAround(er.values, eo.values, i0, i1, Math.floor(coarse.lag) - range, Math.ceil(coarse.lag) + range);
+      if (!found || !(found.score >= CFG.MIN_SCORE)) return null;
+      return { at: er.start + found.centre / rate, offset: er.start + found.lag / rate - eo.start };
+    };
+    const a = part(lo);
+    const b = part(hi - third);
+    if (!a || !b) return result;
+
+    // offset(t_ref) is linear between the two; solve t_ref = offset + scale · t_own
+    const k = (b.offset - a.offset) / (b.at - a.at);
+    const scale = 1 / (1 - k);
+    if (Math.abs(scale - 1) > CFG.MAX_DRIFT_PPM * 1e-6) return result;
+
+    return { offset: (a.offset - k * a.at) * scale, drift: scale - 1, score: coarse.score };
+  }
+
+  // streams: per IMU { t (s, own clock), absStart (s) | null, signal: { x, y, z } }
+  // or null (unreadable). The envelope rate drops for long recordings so
+  // the correlation stays under MAX_FFT.
+  // -> { method, reference, rate, start, end,
+  //      sensors: [{ offset, drift, score } | null], warnings: [string] }
+  function estimate(streams, { method = "events", reference = 0 } = {}) {
+    const ref = streams[reference];
+    if (!ref) throw new Error(`IMU ${reference + 1} (the reference) has no readable data.`);
+    if (method === "timestamps" && !Number.isFinite(ref.absStart)) {
+      throw new Error(`IMU ${reference + 1} (the reference) has no absolute timestamps.`);
+    }
+
+    const span = (s) => {
+      const order = timeOrder(s.t);
+      return order.length ? [s.t[order[0]], s.t[order[order.length - 1]]] : null;
+    };
+
+    const total = streams.reduce((sum, s) => {
+      const sp = s && span(s);
+      return sp ? Math.max(sum, sp[1] - sp[0]) : sum;
+    }, 0);
+    const envRate = Math.min(CFG.ENVELOPE_HZ, CFG.MAX_FFT / (2 * Math.max(total, 1) + 2));
+
+    const warnings = [];
+    const sensors = streams.map((s, i) => {
+      if (i === reference) return { offset: 0, drift: 0, score: 1 };
+      if (!s) {
+        warnings.push(`IMU ${i + 1}: no readable data, not aligned.`);
+        return null;
+      }
+      if (method === "timestamps") {
+        if (!Number.isFinite(s.absStart)) {
+          warnings.push(`IMU ${i + 1}: no absolute timestamps, not aligned.`);
+          return null;
+        }
+        return { offset: s.absStart - ref.absStart, drift: 0, score: null };
+      }
+      const found = byEvents(ref, s, envRate);
+      if (found.error) {
+        warnings.push(`IMU ${i + 1}: ${found.error}, not aligned.`);
+        return null;
+      }
+      return found;
+    });
+
+    if (sensors.filter(Boolean).length < 2) {
+      throw new Error(warnings[0] || "At least two IMUs are needed.");
+    }
+
+    // Common timeline: where every aligned IMU has data
+    let start = -Infinity;
+    let end = Infinity;
+    sensors.forEach((a, i) => {
+      const sp = a && span(streams[i]);
+      if (!sp) return;
+      start = Math.max(start, a.offset + (1 + a.drift) * sp[0]);
+      end = Math.min(end, a.offset + (1 + a.drift) * sp[1]);
+    });
+    if (!(end > start)) throw new Error("The aligned recordings don't overlap in time.");
+
+    const rate = window.MoveSyncImuTiming?.analyze(ref.t)?.nominalRate || 100;
+
+    return { method, reference, rate, start, end, sensors, warnings };
+  }
+
+  window.MoveSyncImuAlignment = {
+    METHODS,
+    CFG,
+
+    estimate,
+  };
+})();
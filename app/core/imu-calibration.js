@@ -0,0 +1,267 @@
+// app/core/imu-calibration.js
+// ------------------------------------------------------------
+// Sensor-to-segment calibration (MoveSyncImuCalibration)
+//
+// A strap never sits the same way twice, so raw relative sensor rotations
+// mix the joint angle with how the IMUs were put on. Calibration gives
+// every IMU a fixed rotation s2s so that
+//
+//   q_segment(t) = q_sensor(t) ⊗ s2s
+//
+// staticPose()  the subject holds an N-pose (arms by the sides) or T-pose
+//               (arms out, palms down): elbow straight, wrist neutral. Each
+//               IMU's mean orientation q0 over the window gives s2s = q0⁻¹,
+//               so every segment frame equals the world frame in the pose
+//               and joint angles read 0° there
+// hingeAxis()   a functional movement (e.g. elbow flexion with the upper
+//               arm still): the principal axis of the distal segment's
+//               angular velocity relative to the proximal one. Joint
+//               angles then become signed flexion about that axis (twist of
+//               the relative rotation) instead of the total rotation angle
+//
+// Quaternions are [w, x, y, z], sensor -> world (imu-pipeline.js); plain
+// arrays or typed-array views. Orientation data is the fusion panel's
+// { times, orientations: [{ quat }] }. No DOM.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const POSES = ["n-pose", "t-pose"];
+
+  // Arm chain as ArmAngleAnalyser names the IMUs: the "shoulder" IMU is on
+  // the upper arm, "elbow" on the forearm, "wrist" on the hand
+  const JOINTS = {
+    elbow: { label: "Elbow flexion", proximal: "shoulder", distal: "elbow" },
+    wrist: { label: "Wrist flexion", proximal: "elbow", distal: "wrist" },
+  };
+
+  const CFG = {
+    STATIC_WINDOW_S: 1, // pose window centred on the cursor
+    MAX_POSE_SPREAD_DEG: 5, // more movement than this in the pose window is reported
+    MIN_FUNCTIONAL_DEG: 30, // a functional movement must cover at least this range
+    MIN_HINGE_RATIO: 0.8, // share of the relative rotation about the principal axis
+  };
+
+  const RAD2DEG = 180 / Math.PI;
+
+  // -------------------------
+  // Quaternion ops
+  // -------------------------
+  function mul(a, b) {
+    return [
+      a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+      a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+      a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+      a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0],
+    ];
+  }
+
+  function conj(q) {
+    return [q[0], -q[1], -q[2], -q[3]];
+  }
+
+  function normalize(q) {
+    const n = Math.hypot(q[0], q[1], q[2], q[3]);
+    return n > 0 ? [q[0] / n, q[1] / n, q[2] / n, q[3] / n] : null;
+  }
+
+  function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+  }
+
+  // Rotation angle between two orientations, degrees
+  function angleBetween(a, b) {
+    return 2 * Math.acos(Math.min(1, Math.abs(dot(a, b)))) * RAD2DEG;
+  }
+
+  // Sign-aligned average (fine for the small spread of a held pose)
+  function meanQuat(quats) {
+    const sum = [0, 0, 0, 0];
+    for (const q of quats) {
+      const s = dot(q, quats[0]) < 0 ? -1 : 1;
+      for (let k = 0; k < 4; k++) sum[k] += s * q[k];
+    }
+    return normalize(sum);
+  }
+
+  // -------------------------
+  // Sampling
+  // -------------------------
+  function isQuat(q) {
+    return q?.length === 4 && Number.isFinite(q[0] + q[1] + q[2] + q[3]);
+  }
+
+  // Quaternions of data whose times fall in [start, end]
+  function quatsIn(data, start, end) {
+    const out = [];
+    const { times, orientations } = data;
+    for (let i = 0; i < times.length; i++) {
+      const q = orientations[i]?.quat;
+      if (times[i] >= start && times[i] <= end && isQuat(q)) out.push(q);
+    }
+    return out;
+  }
+
+  // Index of the sample nearest t (times sorted)
+  function nearest(times, t) {
+    let lo = 0;
+    let hi = times.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid;
+      else hi = mid;
+    }
+    return Math.abs(times[hi] - t) < Math.abs(times[lo] - t) ? hi : lo;
+  }
+
+  // -------------------------
+  // Static pose
+  // -------------------------
+  // sensors: [data | null] per IMU -> { sensors: [{ quat: s2s, spread } | null], warnings }
+  function staticPose(sensors, { start, end }) {
+    if (!(end > start)) throw new Error("The pose window is empty.");
+
+    const warnings = [];
+    const out = sensors.map((data, i) => {
+      if (!data) return null;
+      const quats = quatsIn(data, start, end);
+      if (!quats.length) {
+        warnings.push(`IMU ${i + 1} has no samples in the pose window.`);
+        return null;
+      }
+      const q0 = meanQuat(quats);
+      if (!q0) return null;
+
+      const spread = Math.max(...quats.map((q) => angleBetween(q, q0)));
+      if (spread > CFG.MAX_POSE_SPREAD_DEG) {
+        warnings.push(`IMU ${i + 1} moved ${spread.toFixed(1)}° during the pose; hold still for the capture.`);
+      }
+      return { quat: conj(q0), spread };
+    });
+
+    if (!out.some(Boolean)) throw new Error("No IMU has orientation data in the pose window.");
+    return { sensors: out, warnings };
+  }
+
+  // -------------------------
+  // Functional hinge axis
+  // -------------------------
+  function principalAxis(s) {
+    // Power iteration on the (symmetric, positive semi-definite) scatter matrix
+    let v = [1, 1, 1];
+    for (let it = 0; it < 100; it++) {
+      const w = [
+        s[0] * v[0] + s[1] * v[1] + s[2] * v[2],
+        s[3] * v[0] + s[4] * v[1] + s[5] * v[2],
+        s[6] * v[0] + s[7] * v[1] + s[8] * v[2],
+      ];
+      const n = Math.hypot(w[0], w[1], w[2]);
+      if (!(n > 0)) return null;
+      v = [w[0] / n, w[1] / n, w[2] / n];
+    }
+    const lambda =
+      v[0] * (s[0] * v[0] + s[1] * v[1] + s[2] * v[2]) +
+      v[1] * (s[3] * v[0] + s[4] * v[1] + s[5] * v[2]) +
+      v[2] * (s[6] * v[0] + s[7] * v[1] + s[8] * v[2]);
+    return { axis: v, lambda };
+  }
+
+  // Signed rotation of r about a unit axis (twist), degrees
+  function twistDeg(r, axis) {
+    const along = r[1] * axis[0] + r[2] * axis[1] + r[3] * axis[2];
+    let a = 2 * Math.atan2(along, r[0]) * RAD2DEG;
+    if (a > 180) a -= 360;
+    else if (a < -180) a += 360;
+    return a;
+  }
+
+  // proximal / distal: orientation data on one timeline; s2s: their
+  // calibrations. -> { axis (distal segment frame = proximal's in the pose),
+  // ratio, range (deg) }; flexion away from the pose is positive
+  function hingeAxis(proximal, distal, { start, end }, s2s) {
+    if (!(end > start)) throw new Error("The movement window is empty.");
+
+    const rel = [];
+    const { times, orientations } = distal;
+    for (let i = 0; i < times.length; i++) {
+      if (times[i] < start || times[i] > end) continue;
+      const qd = orientations[i]?.quat;
+      const qp = proximal.orientations[nearest(proximal.times, times[i])]?.quat;
+      if (!isQuat(qd) || !isQuat(qp)) continue;
+
+      let r = jointRotation(mul(qp, s2s.proximal), mul(qd, s2s.distal));
+      if (rel.length && dot(r, rel[rel.length - 1]) < 0) r = r.map((v) => -v);
+      rel.push(r);
+    }
+    if (rel.length < 3) throw new Error("Too few samples in the movement window.");
+
+    // Scatter of the relative angular increments (rotation vectors)
+    const s = new Array(9).fill(0);
+    let total = 0;
+    for (let k = 1; k < rel.length; k++) {
+      const d = mul(conj(rel[k - 1]), rel[k]);
+      const sign = d[0] < 0 ? -2 : 2;
+      const v = [sign * d[1], sign * d[2], sign * d[3]];
+      for (let a = 0; a < 3; a++) for (let b = 0; b < 3; b++) s[3 * a + b] += v[a] * v[b];
+      total += v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+    }
+
+    const pc = total > 0 ? principalAxis(s) : null;
+    if (!pc) throw new Error("No movement between the two segments in that window.");
+    let axis = pc.axis;
+    const ratio = pc.lambda / total;
+
+    const angles = rel.map((r) => twistDeg(r, axis));
+    const min = Math.min(...angles);
+    const max = Math.max(...angles);
+    const range = max - min;
+    if (range < CFG.MIN_FUNCTIONAL_DEG) {
+      throw new Error(`The joint only moved ${range.toFixed(0)}° in that window; flex it through at least ${CFG.MIN_FUNCTIONAL_DEG}°.`);
+    }
+    if (ratio < CFG.MIN_HINGE_RATIO) {
+      throw new Error(`The movement isn't about one axis (${Math.round(ratio * 100)}%); flex the joint only, keeping the other segment still.`);
+    }
+    if (-min > max) axis = axis.map((v) => -v);
+
+    return { axis, ratio, range };
+  }
+
+  // -------------------------
+  // Applying a calibration
+  // -------------------------
+  function toSegment(quat, s2s) {
+    return s2s ? mul(quat, s2s) : [quat[0], quat[1], quat[2], quat[3]];
+  }
+
+  // Distal segment relative to the proximal one (proximal frame)
+  function jointRotation(proximal, distal) {
+    const r = mul(conj(proximal), distal);
+    return r[0] < 0 ? r.map((v) => -v) : r;
+  }
+
+  // Degrees: signed flexion about the hinge axis when there is one, else
+  // the total rotation angle
+  function jointAngle(proximal, distal, axis = null) {
+    const r = jointRotation(proximal, distal);
+    if (axis) return twistDeg(r, axis);
+    return 2 * Math.acos(Math.min(1, r[0])) * RAD2DEG;
+  }
+
+  // Role of an IMU in the arm chain, from its skeleton node ("left_elbow")
+  function roleOf(imu) {
+    const node = String(imu?.skeletonNode ?? "").toLowerCase();
+    return ["shoulder", "elbow", "wrist"].find((r) => node.includes(r)) || null;
+  }
+
+  window.MoveSyncImuCalibration = {
+    POSES,
+    JOINTS,
+    CFG,
+
+    staticPose,
+    hingeAxis,
+    toSegment,
+    jointAngle,
+    roleOf,
+  };
+})();
@@ -0,0 +1,408 @@
+// app/core/imu-csv.js
+// ------------------------------------------------------------
+// Streaming CSV reader for IMU files (MoveSyncImuCsv)
+//
+// Reads a File/Blob slice by slice (or a string chunk by chunk) and
+// writes every cell straight into one Float64Array per column. There
+// is never a full-text string or a row array, so multi-hundred-MB,
+// 1 kHz captures load in the memory of the columns themselves.
+//
+//   const table = await MoveSyncImuCsv.parse(file, { onProgress, signal });
+//   table.headers            -> ["t", "ax", ...]
+//   table.columns[i]         -> Float64Array(table.rowCount)
+//   table.preview            -> first lines of the file, as text
+//   table.dialect            -> what sniff() detected (see below)
+//
+// The layout is sniffed from the first 64 KB unless `dialect` is passed:
+// - delimiter: "," ";" or tab
+// - decimal separator: "." or "," (only with ";" / tab delimiters)
+// - BOM, metadata preamble lines above the header, and a units row
+//   (e.g. "s;g;g;g") or rows between the header and the data
+// - files without a header row get "Column 1", "Column 2", ...
+//
+// - Blank lines are skipped.
+// - Cells that are empty or not numbers become NaN.
+// - Columns whose first value is a date/time ("2024-03-01 12:00:00.125",
+//   "12:00:00.125") are read as seconds (epoch or of the day) and listed
+//   in table.clockColumns.
+// - Short rows are padded with NaN; extra cells are ignored.
+// - onProgress({ loaded, total, progress }) after every slice.
+// - Aborting `signal` rejects with an AbortError between slices.
+//
+// Used by: imu-panel.js (viewer), upload.js (preview).
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const CHUNK_BYTES = 4 * 1024 * 1024;
+  const PREVIEW_LINES = 40;
+  const SNIFF_BYTES = 64 * 1024;
+  const SNIFF_LINES = 200;
+
+  const DELIMITERS = [",", ";", "\t"];
+  const DELIMITER_NAMES = { ",": "Comma", ";": "Semicolon", "\t": "Tab" };
+
+  // What the reader assumed before sniffing existed
+  const DEFAULT_DIALECT = {
+    delimiter: ",",
+    decimal: ".",
+    bom: false,
+    hasHeader: true,
+    skipLines: 0,
+    unitsRows: 0,
+    units: null,
+  };
+
+  function isBlob(v) {
+    return typeof Blob !== "undefined" && v instanceof Blob;
+  }
+
+  function abortError() {
+    return new DOMException("CSV read cancelled.", "AbortError");
+  }
+
+  // Let the page paint (progress bar) between slices
+  function nextTask() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  // -------------------------
+  // Sources: yield decoded text chunks
+  // -------------------------
+  async function* blobChunks(blob, chunkBytes) {
+    // stream: true keeps multi-byte characters split across slices intact
+    const decoder = new TextDecoder("utf-8");
+    for (let start = 0; start < blob.size; start += chunkBytes) {
+      const end = Math.min(blob.size, start + chunkBytes);
+      const buf = await blob.slice(start, end).arrayBuffer();
+      yield { text: decoder.decode(buf, { stream: end < blob.size }), loaded: end };
+    }
+  }
+
+  async function* stringChunks(text, chunkChars) {
+    for (let start = 0; start < text.length; start += chunkChars) {
+      const end = Math.min(text.length, start + chunkChars);
+      yield { text: text.slice(start, end), loaded: end };
+    }
+  }
+
+  function sourceSize(source) {
+    return isBlob(source) ? source.size : String(source ?? "").length;
+  }
+
+  function chunksOf(source, chunkBytes) {
+    return isBlob(source) ? blobChunks(source, chunkBytes) : stringChunks(String(source ?? ""), chunkBytes);
+  }
+
+  // -------------------------
+  // Growable columns
+  // -------------------------
+  function createColumns(count, capacity) {
+    const cols = [];
+    for (let i = 0; i < count; i++) cols.push(new Float64Array(capacity));
+    return cols;
+  }
+
+  function growColumns(cols, capacity) {
+    return cols.map((c) => {
+      const next = new Float64Array(capacity);
+      next.set(c);
+      return next;
+    });
+  }
+
+  function toNumber(cell, decimalComma) {
+    // Number("") and Number("  ") are 0, which would read as real samples
+    if (cell === undefined) return NaN;
+    let s = cell.trim();
+    if (s === "") return NaN;
+    if (s.charCodeAt(0) === 34) s = s.replace(/^"(.*)"$/, "$1").trim();
+    if (decimalComma) s = s.replace(",", ".");
+    return s === "" ? NaN : Number(s);
+  }
+
+  const CLOCK_RE = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:[.,]\d+)?))?$/;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}[T ]\d/;
+
+  // Date/time text -> seconds (epoch for dates, of the day for clock times)
+  function toSeconds(cell) {
+    if (cell === undefined) return NaN;
+    let s = cell.trim();
+    if (s.charCodeAt(0) === 34) s = s.replace(/^"(.*)"$/, "$1").trim();
+
+    const clock = CLOCK_RE.exec(s);
+    if (clock) return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number((clock[3] || "0").replace(",", "."));
+
+    if (!DATE_RE.test(s)) return NaN;
+    const ms = Date.parse(s.replace(" ", "T").replace(/(\d),(\d)/, "$1.$2"));
+    return Number.isFinite(ms) ? ms / 1000 : NaN;
+  }
+
+  function splitHeader(line, delimiter) {
+    return line.split(delimiter).map((h) => h.trim().replace(/^"(.*)"$/, "$1").trim());
+  }
+
+  // -------------------------
+  // Sniffing
+  // -------------------------
+  const DECIMAL_COMMA_RE = /^[+-]?\d*,\d+(?:[eE][+-]?\d+)?$/;
+  const DECIMAL_DOT_RE = /^[+-]?\d*\.\d+(?:[eE][+-]?\d+)?$/;
+
+  function cellsOf(line, delimiter) {
+    return splitHeader(line, delimiter);
+  }
+
+  // Share of the non-empty cells that read as numbers (0 when all empty)
+  function numericShare(cells, decimalComma) {
+    let filled = 0;
+    let numeric = 0;
+    for (const c of cells) {
+      if (c === "") continue;
+      filled++;
+      if (Number.isFinite(toNumber(c, decimalComma))) numeric++;
+    }
+    return filled ? numeric / filled : 0;
+  }
+
+  function mostCommonCount(counts) {
+    const freq = new Map();
+    for (const n of counts) if (n > 1) freq.set(n, (freq.get(n) || 0) + 1);
+    let best = 0;
+    let bestFreq = 0;
+    for (const [n, f] of freq) {
+      if (f > bestFreq || (f === bestFreq && n > best)) {
+        best = n;
+        bestFreq = f;
+      }
+    }
+    return best;
+  }
+
+  function detectDecimal(rows, delimiter) {
+    if (delimiter === ",") return ".";
+    let commas = 0;
+    let dots = 0;
+    for (const cells of rows) {
+      for (const c of cells) {
+        if (DECIMAL_COMMA_RE.test(c)) commas++;
+        else if (DECIMAL_DOT_RE.test(c)) dots++;
+      }
+    }
+    return commas > dots ? "," : ".";
+  }
+
+  // Units rows repeat a unit per axis ("g;g;g") or bracket them ("[s]")
+  function looksLikeUnits(cells) {
+    const filled = cells.filter((c) => c !== "");
+    if (!filled.length) return false;
+    if (filled.some((c) => /^[[(].*[\])]$/.test(c))) return true;
+    return new Set(filled.map((c) => c.toLowerCase())).size < filled.length;
+  }
+
+  // Layout of a CSV from its first lines (text, not a File)
+  function sniffText(text, { truncated = false } = {}) {
+    const bom = text.charCodeAt(0) === 0xfeff;
+    const lines = (bom ? text.slice(1) : text).split("\n");
+    if (truncated && lines.length > 1) lines.pop(); // last line may be cut off
+
+    const sample = [];
+    for (const raw of lines) {
+      const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+      if (line.trim()) sample.push(line);
+      if (sample.length >= SNIFF_LINES) break;
+    }
+    if (!sample.length) return { ...DEFAULT_DIALECT, bom };
+
+    // Delimiter: the one that gives the most lines with the same cell
+    // count; ties go to the one whose cells read as numbers
+    let best = null;
+    for (const delimiter of DELIMITERS) {
+      const rows = sample.map((l) => cellsOf(l, delimiter));
+      const width = mostCommonCount(rows.map((r) => r.length));
+      if (!width) continue;
+
+      const matching = rows.filter((r) => r.length === width);
+      const decimal = detectDecimal(matching, delimiter);
+      const numeric = matching.reduce((sum, r) => sum + numericShare(r, decimal === ","), 0);
+      const score = [matching.length, numeric];
+
+      if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+        best = { delimiter, decimal, rows, width, score };
+      }
+    }
+    if (!best) return { ...DEFAULT_DIALECT, bom };
+
+    const { delimiter, decimal, rows, width } = best;
+    const isData = (r) => r.length === width && numericShare(r, decimal === ",") >= 0.5;
+
+    const firstData = rows.findIndex(isData);
+    if (firstData === -1) return { ...DEFAULT_DIALECT, delimiter, decimal, bom };
+
+    // Text lines of the same width right above the data: header (+ units)
+    let top = firstData;
+    while (top > 0 && rows[top - 1].length === width && !isData(rows[top - 1])) top--;
+    const block = rows.slice(top, firstData);
+
+    if (!block.length) {
+      return { ...DEFAULT_DIALECT, delimiter, decimal, bom, hasHeader: false, skipLines: firstData };
+    }
+
+    // Units-like rows directly above the data (Shimmer writes two: CAL + units)
+    let unitsRows = 0;
+    while (unitsRows < block.length - 1 && looksLikeUnits(block[block.length - 1 - unitsRows])) unitsRows++;
+
+    return {
+      delimiter,
+      decimal,
+      bom,
+      hasHeader: true,
+      skipLines: firstData - unitsRows - 1,
+      unitsRows,
+      units: unitsRows ? block[block.length - 1] : null,
+    };
+  }
+
+  async function sniff(source, { bytes = SNIFF_BYTES } = {}) {
+    if (isBlob(source)) {
+      const text = await source.slice(0, bytes).text();
+      return sniffText(text, { truncated: source.size > bytes });
+    }
+    const text = String(source ?? "");
+    return sniffText(text.slice(0, bytes), { truncated: text.length > bytes });
+  }
+
+  // Short, user-facing summary: "Semicolon-separated · decimal comma · …"
+  function describe(dialect) {
+    const d = { ...DEFAULT_DIALECT, ...(dialect || {}) };
+    const parts = [`${DELIMITER_NAMES[d.delimiter] || `"${d.delimiter}"`}-separated`];
+    parts.push(d.decimal === "," ? "decimal comma" : "decimal point");
+    if (d.skipLines) {
+      const what = d.hasHeader ? "preamble" : "non-data";
+      parts.push(`${d.skipLines} ${what} line${d.skipLines === 1 ? "" : "s"} skipped`);
+    }
+    if (!d.hasHeader) parts.push("no header row");
+    if (d.unitsRows) {
+      const rows = d.unitsRows === 1 ? "units row" : `${d.unitsRows} units rows`;
+      parts.push(d.units?.length ? `${rows} (${d.units.filter(Boolean).join(", ")})` : rows);
+    }
+    if (d.bom) parts.push("BOM");
+    return parts.join(" · ");
+  }
+
+  // -------------------------
+  // Parse
+  // -------------------------
+  // `dialect` (optional): fields override what sniff() would detect
+  async function parse(source, { dialect = null, onProgress = null, signal = null, chunkBytes = CHUNK_BYTES } = {}) {
+    const total = sourceSize(source);
+    const layout = { ...DEFAULT_DIALECT, ...(await sniff(source)), ...(dialect || {}) };
+    const { delimiter } = layout;
+    const decimalComma = layout.decimal === ",";
+
+    let headers = null;
+    let columns = null;
+    let capacity = 0;
+    let rowCount = 0;
+    let lineNo = 0; // non-empty lines seen
+    let clockColumns = null; // decided on the first data row
+    const preview = [];
+
+    let carry = "";
+
+    const startColumns = (names, line) => {
+      headers = names;
+      // First guess from the first line's length; grown as needed
+      capacity = Math.max(1024, Math.ceil(total / Math.max(8, line.length + 1)));
+      columns = createColumns(headers.length, capacity);
+    };
+
+    const addLine = (raw) => {
+      let line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+      if (lineNo === 0) line = line.replace(/^\uFEFF/, "");
+      if (!line.trim()) return;
+      if (preview.length < PREVIEW_LINES) preview.push(line.trim());
+
+      const n = lineNo++;
+      if (n < layout.skipLines) return;
+
+      if (!headers) {
+        if (layout.hasHeader) {
+          startColumns(splitHeader(line, delimiter), line);
+          return;
+        }
+        const width = line.split(delimiter).length;
+        startColumns(Array.from({ length: width }, (_, i) => `Column ${i + 1}`), line);
+      } else if (n <= layout.skipLines + layout.unitsRows && layout.hasHeader) {
+        return; // units row(s)
+      }
+
+      if (rowCount === capacity) {
+        capacity = Math.ceil(capacity * 1.5);
+        columns = growColumns(columns, capacity);
+      }
+
+      const cells = line.split(delimiter);
+      if (!clockColumns) {
+        clockColumns = [];
+        for (let c = 0; c < columns.length; c++) {
+          if (Number.isNaN(toNumber(cells[c], decimalComma)) && Number.isFinite(toSeconds(cells[c]))) clockColumns.push(c);
+        }
+      }
+
+      for (let c = 0; c < columns.length; c++) columns[c][rowCount] = toNumber(cells[c], decimalComma);
+      for (const c of clockColumns) columns[c][rowCount] = toSeconds(cells[c]);
+      rowCount++;
+    };
+
+    for await (const { text, loaded } of chunksOf(source, chunkBytes)) {
+      if (signal?.aborted) throw abortError();
+
+      const lines = (carry + text).split("\n");
+      carry = lines.pop();
+      for (let i = 0; i < lines.length; i++) addLine(lines[i]);
+
+      onProgress?.({ loaded, total, progress: total ? loaded / total : 1 });
+      await nextTask();
+    }
+    if (signal?.aborted) throw abortError();
+    if (carry) addLine(carry);
+
+    if (!headers) return { headers: [], columns: [], rowCount: 0, preview, bytes: total, dialect: layout, clockColumns: [] };
+
+    // Trim spare capacity so the table holds only what was read
+    if (capacity !== rowCount) columns = columns.map((c) => c.slice(0, rowCount));
+
+    return { headers, columns, rowCount, preview, bytes: total, dialect: layout, clockColumns: clockColumns || [] };
+  }
+
+  // First `lines` lines only (Upload preview) — reads a single slice
+  async function readHead(source, lines = 6, { bytes = 64 * 1024 } = {}) {
+    const text = isBlob(source) ? await source.slice(0, bytes).text() : String(source ?? "").slice(0, bytes);
+    return text.replace(/^\uFEFF/, "").split(/\r?\n/).slice(0, lines).join("\n");
+  }
+
+  // Headers + first rows only (column mapping on the Upload page)
+  async function readSample(source, { bytes = SNIFF_BYTES } = {}) {
+    const size = sourceSize(source);
+    let text = isBlob(source) ? await source.slice(0, bytes).text() : String(source ?? "").slice(0, bytes);
+    if (size > bytes) text = text.slice(0, Math.max(0, text.lastIndexOf("\n"))); // drop the cut-off line
+    return parse(text, { dialect: await sniff(source) });
+  }
+
+  // Case-insensitive header lookup
+  function columnIndex(headers, name) {
+    const key = String(name || "").trim().toLowerCase();
+    return (headers || []).findIndex((h) => String(h || "").trim().toLowerCase() === key);
+  }
+
+  window.MoveSyncImuCsv = {
+    parse,
+    sniff,
+    sniffText,
+    describe,
+    readHead,
+    readSample,
+    columnIndex,
+    CHUNK_BYTES,
+  };
+})();
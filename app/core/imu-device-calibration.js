@@ -0,0 +1,186 @@
+// app/core/imu-device-calibration.js
+// ------------------------------------------------------------
+// Per-device accelerometer calibration (MoveSyncImuDeviceCalibration)
+//
+// Guided six-position calibration: the sensor is laid still on each of its
+// six faces (+X, −X, +Y, −Y, +Z, −Z up) for a few seconds in one
+// recording. Per axis k, with p / m the mean reading with +k / −k up:
+//
+//   bias_k  = (p + m) / 2
+//   scale_k = (p − m) / 2g
+//
+// and the pipeline corrects every sample a' = (a − bias) / scale
+// (imu-pipeline.js Step 2c). Gyro bias needs no guided step; the pipeline
+// measures it over the still periods of every recording.
+//
+// Calibrations are kept in localStorage by device serial (imus[i].device,
+// from the vendor importers or typed in the IMU panel), so every later
+// session recorded with the same sensor gets it. Shape lives in schema.js.
+// No DOM.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const schema = window.MoveSyncSchema;
+
+  const STORAGE_KEY = "movesync-device-calibrations-v1";
+
+  const POSITIONS = ["+x", "-x", "+y", "-y", "+z", "-z"];
+
+  const CFG = {
+    MIN_POSITION_S: 2, // still time needed with each face up
+    MIN_AXIS_COS: 0.9, // gravity within ~25° of the axis counts as that face
+  };
+
+  const G = 9.80665;
+  const AXES = ["x", "y", "z"];
+
+  // -------------------------
+  // Storage
+  // -------------------------
+  function list() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      if (!Array.isArray(parsed)) return [];
+      return parsed.map((c) => schema.normalizeImuDeviceCalibration(c)).filter(Boolean);
+    } catch (e) {
+      console.warn("[imu-device-calibration] could not read stored calibrations:", e);
+      return [];
+    }
+  }
+
+  function write(items) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  }
+
+  function keyOf(serial) {
+    return serial == null ? "" : String(serial).trim();
+  }
+
+  function get(serial) {
+    const key = keyOf(serial);
+    return key ? list().find((c) => c.serial === key) || null : null;
+  }
+
+  // Upsert by serial
+  function save(calibration) {
+    const saved = schema.normalizeImuDeviceCalibration({
+      calibratedAt: new Date().toISOString(),
+      ...calibration,
+    });
+    if (!saved) throw new Error("A calibration needs a device serial, a bias and a positive scale per axis.");
+
+    write([...list().filter((c) => c.serial !== saved.serial), saved]);
+    return saved;
+  }
+
+  function remove(serial) {
+    const key = keyOf(serial);
+    const items = list();
+    const next = items.filter((c) => c.serial !== key);
+    if (next.length === items.length) return false;
+    write(next);
+    return true;
+  }
+
+  // -------------------------
+  // Six-position fit
+  // -------------------------
+  // Face pointing up for a still reading (gravity reads +1 g on it), or null
+  function positionOf(x, y, z) {
+    const n = Math.hypot(x, y, z);
+    if (!(n > 0)) return null;
+    const v = [x, y, z];
+    let k = 0;
+    for (let a = 1; a < 3; a++) if (Math.abs(v[a]) > Math.abs(v[k])) k = a;
+    if (Math.abs(v[k]) / n < CFG.MIN_AXIS_COS) return null;
+    return `${v[k] > 0 ? "+" : "-"}${AXES[k]}`;
+  }
+
+  // acc: { x, y, z } m/s²; still: stillness mask parallel to it (pipeline
+  // motion.stillnessMask); rate: Hz
+  // -> { acc: { bias, scale, residual } | null, positions: { "+x": { seconds,
+  //    mean: [x, y, z] } | null, ... }, missing: ["-z", ...] }
+  function sixPosition({ acc, still, rate }) {
+    const n = Math.min(acc?.x?.length || 0, still?.length || 0);
+    if (!(rate > 0)) throw new Error("The recording has no sample rate.");
+
+    const sums = Object.fromEntries(POSITIONS.map((p) => [p, { x: 0, y: 0, z: 0, count: 0 }]));
+    for (let i = 0; i < n; i++) {
+      if (!still[i]) continue;
+      const x = acc.x[i], y = acc.y[i], z = acc.z[i];
+      const p = positionOf(x, y, z);
+      if (!p) continue;
+      const s = sums[p];
+      s.x += x;
+      s.y += y;
+      s.z += z;
+      s.count++;
+    }
+
+    const positions = {};
+    const missing = [];
+    POSITIONS.forEach((p) => {
+      const s = sums[p];
+      const seconds = s.count / rate;
+      if (seconds < CFG.MIN_POSITION_S) {
+        missing.push(p);
+        positions[p] = s.count ? { seconds, mean: null } : null;
+        return;
+      }
+      positions[p] = { seconds, mean: [s.x / s.count, s.y / s.count, s.z / s.count] };
+    });
+    if (missing.length) return { acc: null, positions, missing };
+
+    const bias = [];
+    const scale = [];
+    AXES.forEach((k, a) => {
+      const plus = positions[`+${k}`].mean[a];
+      const minus = positions[`-${k}`].mean[a];
+      bias.push((plus + minus) / 2);
+      scale.push((plus - minus) / (2 * G));
+    });
+    if (!scale.every((v) => v > 0)) throw new Error("The six positions don't fit a calibration; check the faces were held still.");
+
+    // Mean |‖a'‖ − g| over the six corrected positions, m/s²
+    let residual = 0;
+    POSITIONS.forEach((p) => {
+      const m = positions[p].mean;
+      residual += Math.abs(Math.hypot(...m.map((v, a) => (v - bias[a]) / scale[a])) - G);
+    });
+
+    return { acc: { bias, scale, residual: residual / POSITIONS.length }, positions, missing };
+  }
+
+  // A fit on data that was already corrected by `prev` -> one calibration
+  // for the raw readings: bias = b1 + s1·b2, scale = s1·s2
+  function compose(prev, next) {
+    if (!prev) return next;
+    if (!next) return prev;
+    return {
+      ...next,
+      bias: next.bias.map((b, a) => prev.bias[a] + prev.scale[a] * b),
+      scale: next.scale.map((s, a) => prev.scale[a] * s),
+    };
+  }
+
+  // "bias +0.12 / −0.05 / +0.30 m/s² · scale 1.003 / 0.998 / 1.010"
+  function describe(acc) {
+    if (!acc) return "not calibrated";
+    const signed = (v) => `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(2)}`;
+    return `bias ${acc.bias.map(signed).join(" / ")} m/s² · scale ${acc.scale.map((v) => v.toFixed(3)).join(" / ")}`;
+  }
+
+  window.MoveSyncImuDeviceCalibration = {
+    POSITIONS,
+    CFG,
+
+    list,
+    get,
+    save,
+    remove,
+    sixPosition,
+    compose,
+    describe,
+  };
+})();
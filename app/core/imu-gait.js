@@ -0,0 +1,258 @@
+// app/core/imu-gait.js
+// ------------------------------------------------------------
+// Gait events from shank / foot IMUs (MoveSyncImuGait)
+//
+// A shank (or foot) turns mostly about the mediolateral axis, and its
+// angular velocity there has one large positive peak per stride, in
+// mid-swing, between two negative dips:
+//
+//   toe-off (TO)          last minimum before the mid-swing peak
+//   initial contact (IC)  first minimum after it
+//
+// (gyro-based detection after Aminian et al. / Salarian et al.). The
+// axis is the gyro axis with the most variance, its sign the one that
+// makes the mid-swing peaks positive, so the strap orientation and the
+// leg (mirrored sensors) don't matter.
+//
+// detectEvents()  one IMU -> { axis, sign, ic, to } (seconds, per swing)
+// toStored()      compact copy saved on the IMU entry (imus[i].gait), read
+//                 back when another leg IMU of the session is processed
+// analyze()       every leg's events -> per-stride table (stride, step,
+//                 contact and swing time, cadence), per-leg means and
+//                 left/right symmetry indices
+//
+// Legs come from the IMU's skeleton node (left_/right_ + knee or ankle).
+// Step time pairs ICs of both legs, so it needs them on one clock (aligned
+// IMUs share a timeline); durations within a leg don't.
+//
+// No DOM: loaded on the page and in imu-worker.js (the pipeline detects
+// the events of the IMU it processes).
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const LEGS = ["left", "right"];
+  const AXES = ["x", "y", "z"];
+
+  const CFG = {
+    LP_HZ: 12, // zero-phase low-pass on the sagittal gyro before the search
+    MIN_SWING_DEGS: 50, // mid-swing peaks at least this fast (deg/s) ...
+    SWING_PEAK_RATIO: 0.4, // ... and this share of the 99th percentile
+    MIN_STRIDE_S: 0.3, // sprinting strides stay above this
+    MAX_STRIDE_S: 2.5, // longer: a pause between bouts, not a stride
+    TO_WINDOW_S: 0.5, // toe-off searched this far before mid-swing
+    IC_WINDOW_S: 0.4, // initial contact searched this far after it
+    MAX_EVENTS: 20000, // per IMU, when stored on the session
+  };
+
+  const round = (v, d) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+  const mean = (a) => (a.length ? a.reduce((s, v) => s + v, 0) / a.length : null);
+
+  // Leg of a shank / foot IMU from its skeleton node, else null
+  function legOf(imu) {
+    const node = String(imu?.skeletonNode ?? "").toLowerCase();
+    if (!/(knee|ankle)/.test(node)) return null;
+    return LEGS.find((leg) => node.startsWith(`${leg}_`)) || null;
+  }
+
+  // p-th percentile (0..1) of up to 20000 evenly picked samples
+  function percentile(values, p) {
+    const step = Math.max(1, Math.floor(values.length / 20000));
+    const picked = [];
+    for (let i = 0; i < values.length; i += step) if (Number.isFinite(values[i])) picked.push(values[i]);
+    if (!picked.length) return NaN;
+    picked.sort((a, b) => a - b);
+    return picked[Math.min(picked.length - 1, Math.floor(p * picked.length))];
+  }
+
+  // -------------------------
+  // Events (one IMU)
+  // -------------------------
+  // t: seconds; gyro: { x, y, z } in deg/s (the pipeline's raw after
+  // calibration). -> { axis, sign, ic: [s], to: [s] } with to[k] / ic[k]
+  // around the k-th mid-swing, or null when no stride was found
+  function detectEvents(t, gyro, sampleRate) {
+    const n = Math.min(t?.length || 0, gyro?.x?.length || 0, gyro?.y?.length || 0, gyro?.z?.length || 0);
+    const sr = Number(sampleRate);
+    if (!(sr > 0) || n < sr * 2) return null;
+
+    // Sagittal axis: most variance
+    let axis = "x", best = -1;
+    AXES.forEach((a) => {
+      const col = gyro[a];
+      let sum = 0, sum2 = 0;
+      for (let i = 0; i < n; i++) { sum += col[i]; sum2 += col[i] * col[i]; }
+      const variance = sum2 / n - (sum / n) ** 2;
+      if (variance > best) { best = variance; axis = a; }
+    });
+
+    const filters = self.MoveSyncIMUFilters;
+    const sos = filters?.butterworth({ type: "lowpass", order: 2, cutoff: CFG.LP_HZ, sampleRate: sr });
+    const col = Float64Array.from(gyro[axis].slice(0, n), Number);
+    const w = sos ? filters.filtfilt(col, sos) : col;
+
+    // Mid-swing is the largest excursion: make it positive
+    const hi = percentile(w, 0.99);
+    const lo = percentile(w, 0.01);
+    const sign = Math.abs(lo) > Math.abs(hi) ? -1 : 1;
+    if (sign < 0) for (let i = 0; i < n; i++) w[i] = -w[i];
+
+    const threshold = Math.max(CFG.MIN_SWING_DEGS, CFG.SWING_PEAK_RATIO * Math.max(hi * sign, lo * sign));
+    const minSep = Math.max(1, Math.round(CFG.MIN_STRIDE_S * sr));
+
+    // Mid-swing peaks, at most one per MIN_STRIDE_S (the higher wins)
+    const peaks = [];
+    for (let i = 1; i < n - 1; i++) {
+      if (!(w[i] >= threshold && w[i] >= w[i - 1] && w[i] > w[i + 1])) continue;
+      const last = peaks[peaks.length - 1];
+      if (last !== undefined && i - last < minSep) {
+        if (w[i] > w[last]) peaks[peaks.length - 1] = i;
+        continue;
+      }
+      peaks.push(i);
+    }
+
+    const ic = [];
+    const to = [];
+    const toSpan = Math.round(CFG.TO_WINDOW_S * sr);
+    const icSpan = Math.round(CFG.IC_WINDOW_S * sr);
+
+    peaks.forEach((p, k) => {
+      // Toe-off: deepest point before mid-swing, after the previous one
+      const from = Math.max(0, p - toSpan, k ? peaks[k - 1] : 0);
+      let toIdx = -1;
+      for (let i = from; i < p; i++) if (toIdx < 0 || w[i] < w[toIdx]) toIdx = i;
+
+      // Initial contact: first minimum below zero after mid-swing
+      const until = Math.min(n - 2, p + icSpan, k < peaks.length - 1 ? peaks[k + 1] : n);
+      let icIdx = -1;
+      for (let i = p + 1; i <= until; i++) {
+        if (w[i] < 0 && w[i] <= w[i - 1] && w[i] <= w[i + 1]) { icIdx = i; break; }
+      }
+
+      if (toIdx < 0 || icIdx < 0) return;
+      to.push(t[toIdx]);
+      ic.push(t[icIdx]);
+    });
+
+    return ic.length >= 2 ? { axis, sign, ic, to } : null;
+  }
+
+  // Compact copy saved on the session's IMU entry (imus[i].gait)
+  function toStored(events, { leg = null, timeline = null } = {}) {
+    if (!events || !LEGS.includes(leg)) return null;
+    const times = (a) => a.slice(0, CFG.MAX_EVENTS).map((v) => round(v, 4));
+    return {
+      leg,
+      axis: events.axis,
+      sign: events.sign,
+      ic: times(events.ic),
+      to: times(events.to),
+      timeline: timeline ? { ...timeline } : null,
+    };
+  }
+
+  // -------------------------
+  // Strides (one leg)
+  // -------------------------
+  // Stride k: IC k -> IC k+1; its stance ends at the next swing's toe-off
+  function legStrides(events) {
+    const rows = [];
+    const { ic = [], to = [] } = events || {};
+    for (let k = 0; k + 1 < ic.length; k++) {
+      const strideTime = ic[k + 1] - ic[k];
+      const contactTime = to[k + 1] - ic[k];
+      const swingTime = ic[k + 1] - to[k + 1];
+      if (!(strideTime >= CFG.MIN_STRIDE_S && strideTime <= CFG.MAX_STRIDE_S)) continue;
+      if (!(contactTime > 0 && swingTime > 0)) continue;
+      rows.push({ start: ic[k], end: ic[k + 1], toeOff: to[k + 1], strideTime, contactTime, swingTime });
+    }
+    return rows;
+  }
+
+  // Robinson's symmetry index, % (0 = symmetric); null without both sides
+  function symmetryIndex(left, right) {
+    if (!Number.isFinite(left) || !Number.isFinite(right) || left + right === 0) return null;
+    return (200 * Math.abs(left - right)) / (left + right);
+  }
+
+  // -------------------------
+  // Session (every leg)
+  // -------------------------
+  // legs: [{ leg, ic, to, timeline }] (detectEvents() results with their
+  // leg and clock: the common timeline of aligned IMUs, or null)
+  // -> { strides, left, right, summary, symmetry } or null
+  //   strides   [{ leg, start, end, toeOff, strideTime, stepTime | null,
+  //               contactTime, swingTime, cadence }] by start time
+  //   left / right  per-leg means { strides, strideTime, stepTime,
+  //               contactTime, swingTime } or null
+  //   summary   means over both legs + cadence (steps/min)
+  //   symmetry  { strideTime, stepTime, contactTime, swingTime } in %
+  function analyze(legs) {
+    const byLeg = {};
+    (Array.isArray(legs) ? legs : []).forEach((l) => {
+      if (!LEGS.includes(l?.leg) || byLeg[l.leg]) return;
+      const strides = legStrides(l);
+      if (strides.length) byLeg[l.leg] = { events: l, strides };
+    });
+    if (!byLeg.left && !byLeg.right) return null;
+
+    const strides = [];
+    LEGS.forEach((leg) => byLeg[leg]?.strides.forEach((s) => strides.push({ leg, ...s, stepTime: null })));
+    strides.sort((a, b) => a.start - b.start);
+
+    // Step: from the other leg's last IC to this stride's IC, when both
+    // legs are on one clock
+    const sameClock = byLeg.left && byLeg.right
+      && JSON.stringify(byLeg.left.events.timeline ?? null) === JSON.stringify(byLeg.right.events.timeline ?? null);
+    if (sameClock) {
+      strides.forEach((s) => {
+        const other = byLeg[s.leg === "left" ? "right" : "left"].events.ic;
+        let prev = null;
+        for (const t of other) {
+          if (t >= s.start) break;
+          prev = t;
+        }
+        const step = prev == null ? null : s.start - prev;
+        if (step > 0 && step < s.strideTime) s.stepTime = step;
+      });
+    }
+    strides.forEach((s) => { s.cadence = 120 / s.strideTime; });
+
+    const means = (rows) => {
+      if (!rows.length) return null;
+      const steps = rows.map((r) => r.stepTime).filter((v) => v != null);
+      return {
+        strides: rows.length,
+        strideTime: mean(rows.map((r) => r.strideTime)),
+        stepTime: steps.length ? mean(steps) : null,
+        contactTime: mean(rows.map((r) => r.contactTime)),
+        swingTime: mean(rows.map((r) => r.swingTime)),
+      };
+    };
+
+    const left = means(strides.filter((s) => s.leg === "left"));
+    const right = means(strides.filter((s) => s.leg === "right"));
+    const summary = means(strides);
+    summary.cadence = 120 / summary.strideTime;
+
+    const symmetry = {};
+    ["strideTime", "stepTime", "contactTime", "swingTime"].forEach((k) => {
+      symmetry[k] = symmetryIndex(left?.[k], right?.[k]);
+    });
+
+    return { strides, left, right, summary, symmetry };
+  }
+
+  window.MoveSyncImuGait = {
+    LEGS,
+    CFG,
+
+    legOf,
+    detectEvents,
+    toStored,
+    legStrides,
+    symmetryIndex,
+    analyze,
+  };
+})();
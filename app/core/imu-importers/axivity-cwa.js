@@ -0,0 +1,225 @@
+// app/core/imu-importers/axivity-cwa.js
+// ------------------------------------------------------------
+// Axivity AX3 / AX6 .cwa (Continuous Wave Accelerometer) binary
+//
+// Layout (little-endian, Open Movement cwa.h):
+//   1024-byte "MD" header: hardware type @4, device id @5 (+ upper 16
+//     bits @11 when not 0xFFFF), session id @7
+//   512-byte "AX" data blocks:
+//     @4  fractional time (top bit set: 15-bit 1/32768 s)
+//     @14 packed timestamp  YYYYYYMM MMDDDDDh hhhhmmmm mmssssss
+//     @18 light; top bits carry the AX6 accel (13-15) / gyro (10-12) scales
+//     @24 rate code: Hz = 3200 / 2^(15 - (code & 15))
+//     @25 axes (high nibble: 3, 6, 9) + bytes per sample (low nibble:
+//         0 = packed 3-axis 32-bit, 2 = int16 per axis)
+//     @26 timestamp offset: index of the sample where the whole-second
+//         timestamp (@14) is valid. With a fractional time (@4 top bit)
+//         the device has already shifted it by frac · Hz samples, so the
+//         fraction must not be added on top (it cancels out, as in the
+//         Open Movement reader)
+//     @28 sample count, @30 samples (480 bytes), @510 checksum
+//   Int16 sample order: [gx gy gz] ax ay az [mx my mz]
+//
+// - Accel 1/256 g (AX6: 2^(8 + scale) per g), gyro ±2000 deg/s full
+//   scale unless the block says otherwise, mag 1/16 µT
+// - Blocks with a bad checksum or header are skipped
+// - AX3 recordings are accelerometer-only (gyro columns are NaN)
+// - Timestamps are the device's local clock, read as UTC seconds
+// - Read slice by slice; memory is the output columns only
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const reg = window.MoveSyncImuImporters;
+  if (!reg) return;
+  const U = reg.util;
+
+  const HEADER_BYTES = 1024;
+  const BLOCK = 512;
+  const BLOCKS_PER_SLICE = 4096; // 2 MB
+  const G = 9.80665;
+  const MAG_UNIT = 16;
+
+  const MD = 0x444d; // "MD"
+  const AX = 0x5841; // "AX"
+
+  function headerOf(bytes) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.byteLength < 64 || dv.getUint16(0, true) !== MD) return null;
+
+    let deviceId = dv.getUint16(5, true);
+    const upper = dv.getUint16(11, true);
+    if (upper !== 0xffff) deviceId += upper * 65536;
+
+    const hardware = dv.getUint8(4);
+    return {
+      hardware,
+      model: hardware === 0x64 ? "AX6" : "AX3",
+      serial: String(deviceId),
+      sessionId: dv.getUint32(7, true),
+    };
+  }
+
+  function packedTime(v) {
+    const year = ((v >>> 26) & 0x3f) + 2000;
+    const month = (v >>> 22) & 0x0f;
+    const day = (v >>> 17) & 0x1f;
+    const hours = (v >>> 12) & 0x1f;
+    const mins = (v >>> 6) & 0x3f;
+    const secs = v & 0x3f;
+    return Date.UTC(year, month - 1, day, hours, mins, secs) / 1000;
+  }
+
+  function checksumOk(dv, at) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i += 2) sum = (sum + dv.getUint16(at + i, true)) & 0xffff;
+    return sum === 0;
+  }
+
+  function signed10(v) {
+    return (v << 22) >> 22;
+  }
+
+  function samplesPerBlock(layout) {
+    const axes = layout >> 4;
+    const bps = layout & 0x0f;
+    return bps === 0 ? 120 : Math.floor(480 / (bps * Math.max(1, axes)));
+  }
+
+  // Axes / sample layout of the first data block (sizes the columns)
+  async function firstLayout(file) {
+    const dv = new DataView(await file.slice(HEADER_BYTES, HEADER_BYTES + BLOCK).arrayBuffer());
+    if (dv.byteLength < BLOCK || dv.getUint16(0, true) !== AX) return null;
+    return dv.getUint8(25);
+  }
+
+  function columns(n) {
+    return { x: new Float64Array(n), y: new Float64Array(n), z: new Float64Array(n) };
+  }
+
+  reg.register({
+    id: "axivity-cwa",
+    vendor: "Axivity",
+    format: "Axivity .cwa recording",
+    extensions: [".cwa"],
+
+    match(head) {
+      return !!headerOf(head.bytes);
+    },
+
+    async inspect(file, head) {
+      const h = headerOf(head.bytes);
+      const blocks = Math.max(0, Math.floor((file.size - HEADER_BYTES) / BLOCK));
+      return {
+        device: { vendor: "Axivity", model: h?.model, serial: h?.serial },
+        preview: [
+          `Axivity ${h?.model || "?"} · device ${h?.serial ?? "?"} · session ${h?.sessionId ?? "?"}`,
+          `${blocks} data blocks (${(file.size / 1e6).toFixed(1)} MB)`,
+        ].join("\n"),
+      };
+    },
+
+    async read(file, { onProgress = null, signal = null } = {}) {
+      const h = headerOf(new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer()));
+      if (!h) throw new Error(`${file.name}: not a .cwa file (no MD header).`);
+
+      const blocks = Math.max(0, Math.floor((file.size - HEADER_BYTES) / BLOCK));
+      const layout0 = await firstLayout(file);
+      if (layout0 == null) throw new Error(`${file.name}: no data blocks.`);
+
+      // A recording keeps one layout; blocks that differ are skipped
+      const axes0 = layout0 >> 4;
+      const capacity = blocks * samplesPerBlock(layout0);
+      const t = new Float64Array(capacity);
+      const acc = columns(capacity);
+      const gyro = axes0 >= 6 ? columns(capacity) : null;
+      const mag = axes0 >= 9 ? columns(capacity) : null;
+      let n = 0;
+
+      for (let b0 = 0; b0 < blocks; b0 += BLOCKS_PER_SLICE) {
+        if (signal?.aborted) throw U.abortError();
+        const start = HEADER_BYTES + b0 * BLOCK;
+        const end = Math.min(file.size, start + BLOCKS_PER_SLICE * BLOCK);
+        const dv = new DataView(await file.slice(start, end).arrayBuffer());
+
+        for (let at = 0; at + BLOCK <= dv.byteLength; at += BLOCK) {
+          if (dv.getUint16(at, true) !== AX || !checksumOk(dv, at)) continue;
+
+          const rateCode = dv.getUint8(at + 24);
+          const hz = 3200 / (1 << (15 - (rateCode & 0x0f)));
+          const layout = dv.getUint8(at + 25);
+          if (layout !== layout0) continue;
+          const axes = layout >> 4;
+          const bps = layout & 0x0f;
+          const count = dv.getUint16(at + 28, true);
+          const light = dv.getUint16(at + 18, true);
+
+          // Fractional time: T + frac, offset + frac · Hz (see @26)
+          let time = packedTime(dv.getUint32(at + 14, true));
+          let offset = dv.getInt16(at + 26, true);
+          const frac = dv.getUint16(at + 4, true);
+          if (frac & 0x8000) {
+            const f = ((frac & 0x7fff) * 2) / 65536;
+            time += f;
+            offset += f * hz;
+          }
+          const blockStart = time - offset / hz;
+
+          const accPerG = 1 << (8 + ((light >>> 13) & 0x07));
+          const gyroCode = (light >>> 10) & 0x07;
+          const gyroRange = gyroCode ? 8000 / (1 << gyroCode) : 2000;
+          const gyroPerDps = 32768 / gyroRange;
+
+          const max = Math.min(count, samplesPerBlock(layout));
+
+          for (let i = 0; i < max; i++) {
+            t[n] = blockStart + i / hz;
+            const s = at + 30;
+
+            if (bps === 0) {
+              const v = dv.getUint32(s + i * 4, true);
+              const e = 1 << (v >>> 30);
+              acc.x[n] = ((signed10(v) * e) / 256) * G;
+              acc.y[n] = ((signed10(v >>> 10) * e) / 256) * G;
+              acc.z[n] = ((signed10(v >>> 20) * e) / 256) * G;
+            } else {
+              const p = s + i * axes * 2;
+              const a = axes >= 6 ? p + 6 : p;
+              acc.x[n] = (dv.getInt16(a, true) / accPerG) * G;
+              acc.y[n] = (dv.getInt16(a + 2, true) / accPerG) * G;
+              acc.z[n] = (dv.getInt16(a + 4, true) / accPerG) * G;
+              if (gyro) {
+                gyro.x[n] = dv.getInt16(p, true) / gyroPerDps;
+                gyro.y[n] = dv.getInt16(p + 2, true) / gyroPerDps;
+                gyro.z[n] = dv.getInt16(p + 4, true) / gyroPerDps;
+              }
+              if (mag) {
+                mag.x[n] = dv.getInt16(p + 12, true) / MAG_UNIT;
+                mag.y[n] = dv.getInt16(p + 14, true) / MAG_UNIT;
+                mag.z[n] = dv.getInt16(p + 16, true) / MAG_UNIT;
+              }
+            }
+            n++;
+          }
+        }
+
+        onProgress?.({ loaded: end, total: file.size, progress: file.size ? end / file.size : 1 });
+        await U.nextTask();
+      }
+
+      const trim = (c) => c.slice(0, n);
+      const axesOf = (o) => ({ x: trim(o.x), y: trim(o.y), z: trim(o.z) });
+
+      return U.canonicalTable({
+        t: trim(t),
+        acc: axesOf(acc),
+        // AX3 has no gyroscope: NaN columns, like an unmapped CSV signal
+        gyro: gyro ? axesOf(gyro) : U.emptyAxes(n),
+        mag: mag ? axesOf(mag) : null,
+        format: this.format,
+        device: { vendor: "Axivity", model: h.model, serial: h.serial },
+        bytes: file.size,
+      });
+    },
+  });
+})();
@@ -0,0 +1,313 @@
+// app/core/imu-importers/imu-importers.js
+// ------------------------------------------------------------
+// Vendor IMU importers (MoveSyncImuImporters)
+//
+// Generic CSVs go through MoveSyncImuCsv + a column mapping. Known vendor
+// exports are read by an importer instead (one file per vendor in this
+// folder, each calling register()):
+//
+//   movesense.js      Movesense Showcase JSON / CSV
+//   xsens.js          Xsens MT Manager .txt export
+//   shimmer.js        Shimmer Consensys CSV (names + CAL/units rows)
+//   axivity-cwa.js    Axivity AX3 / AX6 .cwa binary
+//   sensor-logger.js  "Sensor Logger" phone app zip / CSV
+//
+// An importer turns its file into the same table MoveSyncImuCsv.parse
+// returns, with canonical columns already in pipeline units:
+//
+//   headers  ["time", "ax", "ay", "az", "gx", "gy", "gz", "mx", "my", "mz"]
+//            time in seconds, acc m/s², gyro deg/s, mag µT (or "auto")
+//   mapping  fixed identity mapping for those columns
+//   format   "Xsens MT Manager export"
+//   device   { vendor, model, serial }
+//
+// so imu-panel.js builds its readout cache (buildImuReadoutCache) the
+// same way for every source.
+//
+//   const table = await MoveSyncImuImporters.read(file, { onProgress, signal });
+//   const info = await MoveSyncImuImporters.inspect(file); // Upload card
+//
+// Importer shape:
+//   { id, vendor, format, extensions: [".txt"],
+//     match(head) -> boolean,          head = { name, size, bytes, text }
+//     inspect(file, head) -> { device, preview, format? },
+//     read(file, { onProgress, signal }) -> table }
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const HEAD_BYTES = 64 * 1024;
+  const PREVIEW_ROWS = 40;
+  const PREVIEW_LINE_CHARS = 200;
+
+  // Everything the Upload page lets through its file pickers
+  const ACCEPT = [".csv", ".tsv", ".txt", ".json", ".cwa", ".zip"];
+
+  const CANONICAL = {
+    time: "time",
+    ax: "ax", ay: "ay", az: "az",
+    gx: "gx", gy: "gy", gz: "gz",
+    mx: "mx", my: "my", mz: "mz",
+  };
+
+  const importers = [];
+
+  function isBlob(v) {
+    return typeof Blob !== "undefined" && v instanceof Blob;
+  }
+
+  function abortError() {
+    return new DOMException("IMU import cancelled.", "AbortError");
+  }
+
+  function extensionOf(name) {
+    const m = /\.[^.]+$/.exec(String(name || "").toLowerCase());
+    return m ? m[0] : "";
+  }
+
+  function isAccepted(name) {
+    return ACCEPT.includes(extensionOf(name));
+  }
+
+  function register(importer) {
+    if (!importer?.id || typeof importer.read !== "function") {
+      throw new Error("IMU importer needs an id and read().");
+    }
+    const i = importers.findIndex((x) => x.id === importer.id);
+    if (i >= 0) importers[i] = importer;
+    else importers.push(importer);
+    return importer;
+  }
+
+  function list() {
+    return importers.slice();
+  }
+
+  // -------------------------
+  // Detection
+  // -------------------------
+  async function readHeadOf(file) {
+    const buf = await file.slice(0, HEAD_BYTES).arrayBuffer();
+    const bytes = new Uint8Array(buf);
+    return {
+      name: String(file.name || ""),
+      size: file.size,
+      bytes,
+      text: new TextDecoder("utf-8").decode(bytes).replace(/^\uFEFF/, ""),
+    };
+  }
+
+  async function find(source) {
+    if (!isBlob(source)) return { importer: null, head: null };
+    const head = await readHeadOf(source);
+    const ext = extensionOf(head.name);
+    const importer =
+      importers.find((imp) => (!imp.extensions || imp.extensions.includes(ext)) && imp.match(head)) || null;
+    return { importer, head };
+  }
+
+  // -> importer, or null for a generic CSV
+  async function detect(source) {
+    return (await find(source)).importer;
+  }
+
+  function unsupported(name) {
+    const ext = extensionOf(name);
+    return ext === ".json" || ext === ".cwa" || ext === ".zip";
+  }
+
+  // -------------------------
+  // Read / inspect
+  // -------------------------
+  // Vendor importer when one recognises the file, else the CSV reader
+  async function read(source, { onProgress = null, signal = null } = {}) {
+    const { importer } = await find(source);
+    if (signal?.aborted) throw abortError();
+
+    if (!importer) {
+      if (isBlob(source) && unsupported(source.name)) {
+        throw new Error(`${source.name}: not a recognised IMU export.`);
+      }
+      return window.MoveSyncImuCsv.parse(source, { onProgress, signal });
+    }
+
+    const table = await importer.read(source, { onProgress, signal });
+    return { ...table, importer: importer.id };
+  }
+
+  // Upload card: { importer, format, device, preview } | null (generic CSV)
+  // Importers may return their own `format` (e.g. JSON vs CSV flavour).
+  async function inspect(file) {
+    const { importer, head } = await find(file);
+    if (!importer) {
+      if (unsupported(file?.name)) throw new Error(`${file.name}: not a recognised IMU export.`);
+      return null;
+    }
+
+    const info = await importer.inspect(file, head);
+    return {
+      importer: importer.id,
+      format: info?.format || importer.format,
+      device: normalizeDevice({ vendor: importer.vendor, ...info?.device }),
+      // Single-line JSON would otherwise fill the card
+      preview: String(info?.preview || "")
+        .split("\n")
+        .map((l) => (l.length > PREVIEW_LINE_CHARS ? `${l.slice(0, PREVIEW_LINE_CHARS)}…` : l))
+        .join("\n"),
+    };
+  }
+
+  // "Xsens MT Manager export · MTw2-3A7G6 · serial 00B47E4F"
+  function describe(table) {
+    const d = table?.device || {};
+    return [table?.format, d.model, d.serial ? `serial ${d.serial}` : ""].filter(Boolean).join(" · ");
+  }
+
+  // -------------------------
+  // Helpers for importers
+  // -------------------------
+  function normalizeDevice(device) {
+    return window.MoveSyncSchema.normalizeImuDevice(device);
+  }
+
+  function nextTask() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  // Linear interpolation of (tSrc, v) at tTarget; NaN outside tSrc's span
+  function interpolateOnto(tTarget, tSrc, v) {
+    const out = new Float64Array(tTarget.length);
+    const n = tSrc.length;
+    let j = 0;
+    for (let i = 0; i < tTarget.length; i++) {
+      const x = tTarget[i];
+      if (!n || x < tSrc[0] || x > tSrc[n - 1]) {
+        out[i] = NaN;
+        continue;
+      }
+      while (j < n - 2 && tSrc[j + 1] < x) j++;
+      const t0 = tSrc[j];
+      const t1 = tSrc[Math.min(n - 1, j + 1)];
+      const w = t1 > t0 ? (x - t0) / (t1 - t0) : 0;
+      out[i] = v[j] + w * (v[Math.min(n - 1, j + 1)] - v[j]);
+    }
+    return out;
+  }
+
+  // Packet-stamped streams (every sample of a packet carries the packet's
+  // time): spread each run of equal stamps evenly up to the next stamp
+  function spreadPacketTimes(t) {
+    const out = Float64Array.from(t);
+    let start = 0;
+    let lastStep = 0;
+    while (start < out.length) {
+      let end = start + 1;
+      while (end < out.length && t[end] === t[start]) end++;
+      const run = end - start;
+      if (run > 1) {
+        const step = end < out.length ? (t[end] - t[start]) / run : lastStep;
+        for (let k = 1; k < run; k++) out[start + k] = t[start] + k * step;
+        lastStep = step;
+      } else if (end < out.length) {
+        lastStep = t[end] - t[start];
+      }
+      start = end;
+    }
+    return out;
+  }
+
+  function scaled(col, factor) {
+    const out = new Float64Array(col ? col.length : 0);
+    for (let i = 0; i < out.length; i++) out[i] = col[i] * factor;
+    return out;
+  }
+
+  function previewOf(headers, columns, rowCount) {
+    const lines = [headers.join(",")];
+    for (let r = 0; r < Math.min(rowCount, PREVIEW_ROWS - 1); r++) {
+      lines.push(columns.map((c) => (Number.isFinite(c[r]) ? +c[r].toPrecision(7) : "")).join(","));
+    }
+    return lines;
+  }
+
+  // Build the canonical table. `acc`/`gyro`/`mag` are { x, y, z } columns
+  // already in m/s² / deg/s / µT (magUnits "auto" when the vendor's
+  // magnetometer unit isn't physical); mag may be null.
+  function canonicalTable({ t, acc, gyro, mag = null, magUnits = "uT", format, device, preview = null, bytes = 0 }) {
+    const headers = ["time", "ax", "ay", "az", "gx", "gy", "gz"];
+    const columns = [t, acc.x, acc.y, acc.z, gyro.x, gyro.y, gyro.z];
+    if (mag) {
+      headers.push("mx", "my", "mz");
+      columns.push(mag.x, mag.y, mag.z);
+    }
+
+    const columnsMap = { ...CANONICAL };
+    if (!mag) columnsMap.mx = columnsMap.my = columnsMap.mz = null;
+
+    const rowCount = t.length;
+    return {
+      headers,
+      columns: columns.map((c) => (c instanceof Float64Array ? c : Float64Array.from(c))),
+      rowCount,
+      preview: preview || previewOf(headers, columns, rowCount),
+      bytes,
+      dialect: null,
+      clockColumns: [],
+      mapping: window.MoveSyncSchema.normalizeImuMapping({
+        columns: columnsMap,
+        units: { acc: "m/s2", gyro: "deg/s", mag: mag ? magUnits : "auto" },
+        timeFormat: "s",
+      }),
+      format,
+      device: normalizeDevice(device),
+    };
+  }
+
+  // Column of a parsed CSV table whose header matches `re`
+  function findColumn(table, re) {
+    const i = (table?.headers || []).findIndex((h) => re.test(String(h).trim()));
+    return i >= 0 ? table.columns[i] : null;
+  }
+
+  // { x, y, z } from a header pattern with one "([XYZ])" capture
+  function findAxes(table, re) {
+    const out = {};
+    (table?.headers || []).forEach((h, i) => {
+      const m = re.exec(String(h).trim());
+      if (m) out[m[1].toLowerCase()] ??= table.columns[i];
+    });
+    return out.x && out.y && out.z ? out : null;
+  }
+
+  function emptyAxes(n) {
+    const nan = () => new Float64Array(n).fill(NaN);
+    return { x: nan(), y: nan(), z: nan() };
+  }
+
+  window.MoveSyncImuImporters = {
+    ACCEPT,
+
+    register,
+    list,
+    detect,
+    read,
+    inspect,
+    describe,
+    isAccepted,
+
+    // For importers
+    util: {
+      abortError,
+      nextTask,
+      extensionOf,
+      normalizeDevice,
+      interpolateOnto,
+      spreadPacketTimes,
+      scaled,
+      canonicalTable,
+      findColumn,
+      findAxes,
+      emptyAxes,
+    },
+  };
+})();
@@ -0,0 +1,215 @@
+// app/core/imu-importers/movesense.js
+// ------------------------------------------------------------
+// Movesense exports (Showcase app / DataLogger)
+//
+// JSON: packets of samples with the packet's timestamp (ms, first
+// sample), in any nesting the exporters use:
+//   { "Timestamp": 12345, "ArrayAcc": [{ "x", "y", "z" }, ...],
+//     "ArrayGyro": [...], "ArrayMagn": [...] }          (Meas/IMU9)
+//   { "data": [{ "acc": { "Timestamp", "ArrayAcc" } }, { "gyro": ... }] }
+//
+// CSV: one row per sample, packet timestamp repeated
+//   Timestamp,ArrayAcc.x,ArrayAcc.y,ArrayAcc.z,ArrayGyro.x,...
+//   or one file per sensor ("...Acc.csv": timestamp,x,y,z)
+//
+// - Acc m/s², gyro deg/s, magn µT (the sensor's own units)
+// - Gyro and magnetometer are interpolated onto the accelerometer's times
+// - Serial: a "serial" field if present, else the 12-digit serial in
+//   the file name ("MovesenseIMU9_174630000192_....json")
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const reg = window.MoveSyncImuImporters;
+  if (!reg) return;
+  const U = reg.util;
+
+  const ARRAYS = { ArrayAcc: "acc", ArrayGyro: "gyro", ArrayMagn: "mag" };
+
+  function serialFromName(name) {
+    return (/(?:^|[^\d])(\d{12})(?:[^\d]|$)/.exec(name || "") || [])[1] || null;
+  }
+
+  // -------------------------
+  // JSON
+  // -------------------------
+  function collectPackets(node, out) {
+    if (Array.isArray(node)) {
+      node.forEach((x) => collectPackets(x, out));
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    const ts = Number(node.Timestamp ?? node.timestamp);
+    for (const [key, value] of Object.entries(node)) {
+      if (ARRAYS[key] && Array.isArray(value)) {
+        if (Number.isFinite(ts) && value.length) out[ARRAYS[key]].push({ t: ts, samples: value });
+      } else if (value && typeof value === "object") {
+        collectPackets(value, out);
+      }
+    }
+  }
+
+  function findMeta(node, re, depth = 0) {
+    if (!node || typeof node !== "object" || depth > 3) return null;
+    for (const [key, value] of Object.entries(node)) {
+      if (ARRAYS[key]) continue;
+      if (re.test(key) && (typeof value === "string" || typeof value === "number")) return String(value);
+      const inner = findMeta(value, re, depth + 1);
+      if (inner) return inner;
+    }
+    return null;
+  }
+
+  // Packets -> seconds + x/y/z, samples spread across each packet's span
+  function streamOf(packets) {
+    packets.sort((a, b) => a.t - b.t);
+    const n = packets.reduce((s, p) => s + p.samples.length, 0);
+    const t = new Float64Array(n);
+    const x = new Float64Array(n);
+    const y = new Float64Array(n);
+    const z = new Float64Array(n);
+
+    let k = 0;
+    let step = 0;
+    packets.forEach((p, i) => {
+      const next = packets[i + 1];
+      if (next && next.t > p.t) step = (next.t - p.t) / p.samples.length;
+      p.samples.forEach((s, j) => {
+        t[k] = (p.t + j * step) / 1000;
+        x[k] = Number(s?.x);
+        y[k] = Number(s?.y);
+        z[k] = Number(s?.z);
+        k++;
+      });
+    });
+    return { t, x, y, z };
+  }
+
+  function onto(master, stream) {
+    if (!stream) return U.emptyAxes(master.length);
+    return {
+      x: U.interpolateOnto(master, stream.t, stream.x),
+      y: U.interpolateOnto(master, stream.t, stream.y),
+      z: U.interpolateOnto(master, stream.t, stream.z),
+    };
+  }
+
+  function jsonDevice(doc, name) {
+    return {
+      vendor: "Movesense",
+      model: findMeta(doc, /^(productName|model)$/i),
+      serial: findMeta(doc, /^(serial|serialNumber|deviceSerial)$/i) || serialFromName(name),
+    };
+  }
+
+  async function readJson(file, { onProgress, signal }) {
+    const text = await file.text();
+    if (signal?.aborted) throw U.abortError();
+    onProgress?.({ loaded: file.size / 2, total: file.size, progress: 0.5 });
+    await U.nextTask();
+
+    const doc = JSON.parse(text);
+    const packets = { acc: [], gyro: [], mag: [] };
+    collectPackets(doc, packets);
+    if (!packets.acc.length) throw new Error(`${file.name}: no ArrayAcc packets.`);
+
+    const acc = streamOf(packets.acc);
+    const gyro = packets.gyro.length ? streamOf(packets.gyro) : null;
+    const mag = packets.mag.length ? streamOf(packets.mag) : null;
+    onProgress?.({ loaded: file.size, total: file.size, progress: 1 });
+
+    return U.canonicalTable({
+      t: acc.t,
+      acc,
+      gyro: onto(acc.t, gyro),
+      mag: mag ? onto(acc.t, mag) : null,
+      format: "Movesense JSON export",
+      device: jsonDevice(doc, file.name),
+      bytes: file.size,
+    });
+  }
+
+  // -------------------------
+  // CSV
+  // -------------------------
+  const AXIS_RE = {
+    acc: /^(?:array)?acc(?:el)?([xyz])$/,
+    gyro: /^(?:array)?gyro([xyz])$/,
+    mag: /^(?:array)?magn?([xyz])$/,
+  };
+
+  function keyOf(header) {
+    return String(header).toLowerCase().replace(/\(.*\)|\[.*\]/g, "").replace(/[^a-z0-9]/g, "");
+  }
+
+  function axesOf(table, re) {
+    const out = {};
+    table.headers.forEach((h, i) => {
+      const m = re.exec(keyOf(h));
+      if (m) out[m[1]] ??= table.columns[i];
+    });
+    return out.x && out.y && out.z ? out : null;
+  }
+
+  async function readCsv(file, { onProgress, signal }) {
+    const table = await window.MoveSyncImuCsv.parse(file, { onProgress, signal });
+    const ts = table.columns[table.headers.findIndex((h) => keyOf(h) === "timestamp")];
+    if (!ts) throw new Error(`${file.name}: no Timestamp column.`);
+
+    let acc = axesOf(table, AXIS_RE.acc);
+    let gyro = axesOf(table, AXIS_RE.gyro);
+    let mag = axesOf(table, AXIS_RE.mag);
+
+    // One sensor per file: bare x/y/z, sensor named in the file name
+    if (!acc && !gyro && !mag) {
+      const plain = axesOf(table, /^([xyz])$/);
+      const name = file.name.toLowerCase();
+      if (plain && /acc/.test(name)) acc = plain;
+      else if (plain && /gyro/.test(name)) gyro = plain;
+      else if (plain && /magn/.test(name)) mag = plain;
+    }
+    if (!acc && !gyro) throw new Error(`${file.name}: no accelerometer or gyroscope columns.`);
+
+    const n = table.rowCount;
+    return U.canonicalTable({
+      t: U.scaled(U.spreadPacketTimes(ts), 1e-3),
+      acc: acc || U.emptyAxes(n),
+      gyro: gyro || U.emptyAxes(n),
+      mag,
+      format: "Movesense CSV export",
+      device: { vendor: "Movesense", serial: serialFromName(file.name) },
+      preview: table.preview,
+      bytes: table.bytes,
+    });
+  }
+
+  reg.register({
+    id: "movesense",
+    vendor: "Movesense",
+    format: "Movesense export",
+    extensions: [".json", ".csv"],
+
+    match(head) {
+      if (U.extensionOf(head.name) === ".json") return /"Array(?:Acc|Gyro|Magn)"/.test(head.text);
+      const firstLine = head.text.split(/\r?\n/, 1)[0] || "";
+      return /movesense/i.test(head.name) || /\bArray(?:Acc|Gyro|Magn)\b/i.test(firstLine);
+    },
+
+    async inspect(file, head) {
+      const json = U.extensionOf(file.name) === ".json";
+      const serial = json
+        ? (/"(?:serial|serialNumber|deviceSerial)"\s*:\s*"?([\w-]+)/i.exec(head.text) || [])[1] || serialFromName(file.name)
+        : serialFromName(file.name);
+      return {
+        format: json ? "Movesense JSON export" : "Movesense CSV export",
+        device: { vendor: "Movesense", serial },
+        preview: await window.MoveSyncImuCsv.readHead(file, 6),
+      };
+    },
+
+    read(file, opts = {}) {
+      return U.extensionOf(file.name) === ".json" ? readJson(file, opts) : readCsv(file, opts);
+    },
+  });
+})();
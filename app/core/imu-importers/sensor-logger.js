@@ -0,0 +1,235 @@
+// app/core/imu-importers/sensor-logger.js
+// ------------------------------------------------------------
+// "Sensor Logger" phone app exports (zip of CSVs, or one sensor's CSV)
+//
+//   recording.zip
+//     TotalAcceleration.csv   time,seconds_elapsed,z,y,x   m/s², with gravity
+//     Accelerometer.csv       same, user acceleration (gravity removed)
+//     Gravity.csv             m/s²
+//     Gyroscope.csv           rad/s
+//     Magnetometer.csv        µT
+//     Metadata.csv            device name, platform, device id, ...
+//
+// - time is epoch ns; seconds_elapsed is used when present
+// - Acceleration: TotalAcceleration, else Accelerometer + Gravity, else
+//   Accelerometer alone (no gravity — orientation will be off)
+// - Every sensor has its own timestamps; gyro / mag (and gravity) are
+//   interpolated onto the acceleration times
+// - A single CSV ("Gyroscope.csv") fills only its own sensor
+// - The zip is opened with JSZip (loaded by index.html)
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const reg = window.MoveSyncImuImporters;
+  if (!reg) return;
+  const U = reg.util;
+
+  const FILES = {
+    total: /^TotalAcceleration\.csv$/i,
+    acc: /^Accelerometer\.csv$/i,
+    gravity: /^Gravity\.csv$/i,
+    gyro: /^Gyroscope\.csv$/i,
+    mag: /^Magnetometer\.csv$/i,
+    meta: /^Metadata\.csv$/i,
+  };
+
+  const RAD_TO_DEG = 180 / Math.PI;
+
+  function baseName(path) {
+    return String(path || "").split("/").pop();
+  }
+
+  function kindOf(name) {
+    const base = baseName(name);
+    return Object.keys(FILES).find((k) => FILES[k].test(base)) || null;
+  }
+
+  // Quoted-field aware split (Metadata.csv has free text)
+  function splitCsvLine(line) {
+    const out = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ",") {
+        out.push(cell.trim());
+        cell = "";
+      } else cell += c;
+    }
+    out.push(cell.trim());
+    return out;
+  }
+
+  // Metadata.csv: header row + one value row
+  function deviceOf(metaText) {
+    const [head = "", row = ""] = String(metaText || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+    const keys = splitCsvLine(head).map((k) => k.toLowerCase().replace(/[^a-z]/g, ""));
+    const values = splitCsvLine(row);
+    const get = (...names) => {
+      const i = keys.findIndex((k) => names.includes(k));
+      return i >= 0 ? values[i] || null : null;
+    };
+    const name = get("devicename", "device", "model");
+    const platform = get("platform");
+    return {
+      vendor: "Sensor Logger",
+      model: [name, platform].filter(Boolean).join(" · ") || null,
+      serial: get("deviceid", "id", "uuid"),
+    };
+  }
+
+  // One sensor CSV -> { t (s), x, y, z }
+  async function streamOf(blob, { signal, factor = 1 }) {
+    const table = await window.MoveSyncImuCsv.parse(blob, { signal });
+    const elapsed = U.findColumn(table, /^seconds_elapsed$/i);
+    const ns = U.findColumn(table, /^time$/i);
+    const axes = U.findAxes(table, /^([xyz])$/i);
+    if (!axes || (!elapsed && !ns)) return null;
+    return {
+      t: elapsed || U.scaled(ns, 1e-9),
+      x: factor === 1 ? axes.x : U.scaled(axes.x, factor),
+      y: factor === 1 ? axes.y : U.scaled(axes.y, factor),
+      z: factor === 1 ? axes.z : U.scaled(axes.z, factor),
+      preview: table.preview,
+    };
+  }
+
+  function onto(master, stream) {
+    if (!stream) return U.emptyAxes(master.length);
+    return {
+      x: U.interpolateOnto(master, stream.t, stream.x),
+      y: U.interpolateOnto(master, stream.t, stream.y),
+      z: U.interpolateOnto(master, stream.t, stream.z),
+    };
+  }
+
+  function addAxes(a, b) {
+    const sum = (p, q) => p.map((v, i) => v + q[i]);
+    return { x: sum(a.x, b.x), y: sum(a.y, b.y), z: sum(a.z, b.z) };
+  }
+
+  // kind -> zip entry
+  function entriesOf(zip) {
+    const out = {};
+    zip.forEach((path, entry) => {
+      if (entry.dir) return;
+      const kind = kindOf(path);
+      if (kind && !out[kind]) out[kind] = entry;
+    });
+    return out;
+  }
+
+  async function openZip(file) {
+    if (!window.JSZip) throw new Error("ZIP support unavailable (JSZip not loaded).");
+    return window.JSZip.loadAsync(file);
+  }
+
+  function combine({ total, acc, gravity, gyro, mag }) {
+    let accel = total || acc;
+    const master = accel?.t || gyro?.t || mag?.t;
+    if (!master) return null;
+
+    if (!total && acc && gravity) accel = { t: acc.t, ...addAxes(acc, onto(acc.t, gravity)) };
+
+    return {
+      t: master,
+      acc: accel ? onto(master, accel) : U.emptyAxes(master.length),
+      gyro: onto(master, gyro),
+      mag: mag ? onto(master, mag) : null,
+    };
+  }
+
+  async function readZip(file, { onProgress, signal }) {
+    const zip = await openZip(file);
+    const entries = entriesOf(zip);
+    const kinds = ["total", "acc", "gravity", "gyro", "mag"].filter((k) => entries[k] && (k !== "acc" || !entries.total));
+    if (!kinds.includes("total") && !kinds.includes("acc") && !kinds.includes("gyro")) {
+      throw new Error(`${file.name}: no Sensor Logger accelerometer or gyroscope CSV inside.`);
+    }
+
+    const streams = {};
+    for (let i = 0; i < kinds.length; i++) {
+      if (signal?.aborted) throw U.abortError();
+      const k = kinds[i];
+      const blob = await entries[k].async("blob");
+      streams[k] = await streamOf(blob, { signal, factor: k === "gyro" ? RAD_TO_DEG : 1 });
+      onProgress?.({ loaded: i + 1, total: kinds.length, progress: (i + 1) / kinds.length });
+    }
+
+    const merged = combine(streams);
+    if (!merged) throw new Error(`${file.name}: sensor CSVs have no readable rows.`);
+
+    const meta = entries.meta ? await entries.meta.async("string") : "";
+    return U.canonicalTable({
+      ...merged,
+      format: "Sensor Logger export",
+      device: deviceOf(meta),
+      bytes: file.size,
+    });
+  }
+
+  async function readSingle(file, { onProgress, signal }) {
+    const kind = kindOf(file.name);
+    const stream = await streamOf(file, { signal, factor: kind === "gyro" ? RAD_TO_DEG : 1 });
+    if (!stream) throw new Error(`${file.name}: expected time / seconds_elapsed and x, y, z columns.`);
+    onProgress?.({ loaded: file.size, total: file.size, progress: 1 });
+
+    const merged = combine({ [kind]: stream });
+    return U.canonicalTable({
+      ...merged,
+      format: "Sensor Logger CSV",
+      device: { vendor: "Sensor Logger" },
+      preview: stream.preview,
+      bytes: file.size,
+    });
+  }
+
+  reg.register({
+    id: "sensor-logger",
+    vendor: "Sensor Logger",
+    format: "Sensor Logger export",
+    extensions: [".zip", ".csv"],
+
+    // Any zip (its listing is at the end of the file); read() checks the contents
+    match(head) {
+      if (U.extensionOf(head.name) === ".zip") return head.bytes[0] === 0x50 && head.bytes[1] === 0x4b;
+      const kind = kindOf(head.name);
+      return (kind === "total" || kind === "acc" || kind === "gyro" || kind === "mag") && /\bseconds_elapsed\b/.test(head.text.split(/\r?\n/, 1)[0] || "");
+    },
+
+    async inspect(file) {
+      if (U.extensionOf(file.name) !== ".zip") {
+        return {
+          format: "Sensor Logger CSV",
+          device: { vendor: "Sensor Logger" },
+          preview: await window.MoveSyncImuCsv.readHead(file, 6),
+        };
+      }
+
+      const zip = await openZip(file);
+      const entries = entriesOf(zip);
+      if (!entries.total && !entries.acc && !entries.gyro) {
+        throw new Error(`${file.name}: not a Sensor Logger export.`);
+      }
+      const meta = entries.meta ? await entries.meta.async("string") : "";
+      return {
+        device: deviceOf(meta),
+        preview: Object.values(entries)
+          .map((e) => baseName(e.name))
+          .join("\n"),
+      };
+    },
+
+    read(file, opts = {}) {
+      return U.extensionOf(file.name) === ".zip" ? readZip(file, opts) : readSingle(file, opts);
+    },
+  });
+})();
@@ -0,0 +1,77 @@
+// app/core/imu-importers/shimmer.js
+// ------------------------------------------------------------
+// Shimmer Consensys CSV export
+//
+//   "sep=\t"
+//   Shimmer_8A2C_Timestamp_Unix_CAL  Shimmer_8A2C_Accel_LN_X_CAL ...
+//   CAL                              CAL                          ...
+//   ms                               m/(s^2)                      ...
+//   1700000000000.0                  0.12                         ...
+//
+// - Two rows under the names (CAL/RAW + units); the CSV sniffer reads
+//   both as units rows
+// - Calibrated (_CAL) columns only: Accel_LN (low-noise) before
+//   Accel_WR (wide-range), Gyro, Mag; ms / m/s² / deg/s / local flux
+// - "Shimmer_8A2C" names the device; 8A2C (end of its Bluetooth
+//   address) is the id Consensys shows, kept as the serial
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const reg = window.MoveSyncImuImporters;
+  if (!reg) return;
+  const U = reg.util;
+
+  const SIGNAL_RE = /_(?:Accel_(?:LN|WR)|Gyro)_[XYZ]_(?:CAL|RAW)\b/i;
+
+  function deviceOf(text) {
+    const m = /\b(Shimmer)_([0-9A-F]{4})_/i.exec(text || "");
+    return { vendor: "Shimmer", model: null, serial: m ? m[2].toUpperCase() : null };
+  }
+
+  reg.register({
+    id: "shimmer",
+    vendor: "Shimmer",
+    format: "Shimmer Consensys export",
+    extensions: [".csv", ".tsv", ".txt"],
+
+    match(head) {
+      return SIGNAL_RE.test(head.text) && /Timestamp/i.test(head.text);
+    },
+
+    async inspect(file, head) {
+      return {
+        device: deviceOf(head.text),
+        preview: await window.MoveSyncImuCsv.readHead(file, 7),
+      };
+    },
+
+    async read(file, { onProgress = null, signal = null } = {}) {
+      const table = await window.MoveSyncImuCsv.parse(file, { onProgress, signal });
+
+      const acc = U.findAxes(table, /(?:^|_)Accel_LN_([XYZ])_CAL$/i) || U.findAxes(table, /(?:^|_)Accel_WR_([XYZ])_CAL$/i);
+      const gyro = U.findAxes(table, /(?:^|_)Gyro_([XYZ])_CAL$/i);
+      const mag = U.findAxes(table, /(?:^|_)Mag_([XYZ])_CAL$/i);
+      if (!acc || !gyro) {
+        throw new Error(`${file.name}: no calibrated accelerometer + gyroscope columns (export CAL data from Consensys).`);
+      }
+
+      const ms =
+        U.findColumn(table, /(?:^|_)Timestamp(?:Sync)?_Unix_CAL$/i) ||
+        U.findColumn(table, /(?:^|_)Timestamp_CAL$/i);
+      if (!ms) throw new Error(`${file.name}: no calibrated timestamp column.`);
+
+      return U.canonicalTable({
+        t: U.scaled(ms, 1e-3),
+        acc,
+        gyro,
+        mag,
+        magUnits: "auto",
+        format: this.format,
+        device: deviceOf(table.headers.join("\t")),
+        preview: table.preview,
+        bytes: table.bytes,
+      });
+    },
+  });
+})();
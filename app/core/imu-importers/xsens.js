@@ -0,0 +1,138 @@
+// app/core/imu-importers/xsens.js
+// ------------------------------------------------------------
+// Xsens MT Manager .txt export
+//
+//   // Start Time: Unknown
+//   // Update Rate: 100.0Hz
+//   // DeviceId: 00B47E4F
+//   PacketCounter<TAB>SampleTimeFine<TAB>Acc_X ... Gyr_X ... Mag_X ...
+//
+// - "//" lines are metadata (update rate, device id, product code)
+// - Acc_* m/s², Gyr_* rad/s, Mag_* arbitrary units (normalised to the
+//   local field), so the magnetometer stays on "auto"
+// - Time: SampleTimeFine (10 kHz ticks, wraps at 2^32), else
+//   PacketCounter (wraps at 2^16) at the update rate
+// - The device id is also in MT Manager's file names: "..._00B47E4F.txt"
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const reg = window.MoveSyncImuImporters;
+  if (!reg) return;
+  const U = reg.util;
+
+  const FINE_TICK = 1e-4;
+  const RAD_TO_DEG = 180 / Math.PI;
+
+  function metaLines(text) {
+    const out = [];
+    for (const line of String(text).split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      if (!line.trimStart().startsWith("//")) break;
+      out.push(line.trimStart().replace(/^\/\/\s*/, ""));
+    }
+    return out;
+  }
+
+  function metaValue(meta, re) {
+    for (const line of meta) {
+      const m = re.exec(line);
+      if (m) return m[1].trim();
+    }
+    return null;
+  }
+
+  function deviceOf(meta, name) {
+    const serial =
+      metaValue(meta, /^Device\s*ID\s*:\s*([0-9A-F]+)/i) ||
+      (/_([0-9A-F]{8})(?:_\d+)?\.txt$/i.exec(name || "") || [])[1] ||
+      null;
+    return {
+      vendor: "Xsens",
+      model: metaValue(meta, /^Product\s*code\s*:\s*(.+)$/i),
+      serial: serial ? serial.toUpperCase() : null,
+    };
+  }
+
+  function rateOf(meta) {
+    const v = parseFloat(metaValue(meta, /^(?:Update|Sample|Output)\s*rate\s*:\s*([\d.]+)/i));
+    return Number.isFinite(v) && v > 0 ? v : null;
+  }
+
+  // Counter that wraps at `period` -> monotonic values
+  function unwrap(col, period) {
+    const out = new Float64Array(col.length);
+    let offset = 0;
+    for (let i = 0; i < col.length; i++) {
+      if (i > 0 && col[i] < col[i - 1] - period / 2) offset += period;
+      out[i] = col[i] + offset;
+    }
+    return out;
+  }
+
+  function timeOf(table, meta) {
+    const fine = U.findColumn(table, /^SampleTimeFine$/i);
+    if (fine) return U.scaled(unwrap(fine, 2 ** 32), FINE_TICK);
+
+    const hz = rateOf(meta) || 100;
+    const counter = U.findColumn(table, /^PacketCounter$/i);
+    if (counter) return U.scaled(unwrap(counter, 2 ** 16), 1 / hz);
+
+    const t = new Float64Array(table.rowCount);
+    for (let i = 0; i < t.length; i++) t[i] = i / hz;
+    return t;
+  }
+
+  reg.register({
+    id: "xsens",
+    vendor: "Xsens",
+    format: "Xsens MT Manager export",
+    extensions: [".txt"],
+
+    match(head) {
+      const firstData = head.text.split(/\r?\n/).find((l) => l.trim() && !l.trimStart().startsWith("//")) || "";
+      return (
+        /^\s*\/\//.test(head.text) &&
+        (/\bPacketCounter\b|\bSampleTimeFine\b/.test(firstData) || (/\bAcc_X\b/.test(firstData) && /\bGyr_X\b/.test(firstData)))
+      );
+    },
+
+    async inspect(file, head) {
+      const meta = metaLines(head.text);
+      return {
+        device: deviceOf(meta, file.name),
+        preview: await window.MoveSyncImuCsv.readHead(file, 6 + meta.length),
+      };
+    },
+
+    async read(file, { onProgress = null, signal = null } = {}) {
+      const head = await file.slice(0, 64 * 1024).text();
+      const meta = metaLines(head);
+
+      const table = await window.MoveSyncImuCsv.parse(file, {
+        dialect: { skipLines: meta.length, unitsRows: 0, units: null, hasHeader: true },
+        onProgress,
+        signal,
+      });
+
+      const acc = U.findAxes(table, /^Acc_([XYZ])$/i);
+      const gyrRaw = U.findAxes(table, /^Gyr_([XYZ])$/i);
+      const magRaw = U.findAxes(table, /^Mag_([XYZ])$/i);
+      if (!acc || !gyrRaw) throw new Error(`${file.name}: no Acc_X/Y/Z and Gyr_X/Y/Z columns.`);
+
+      const gyro = { x: U.scaled(gyrRaw.x, RAD_TO_DEG), y: U.scaled(gyrRaw.y, RAD_TO_DEG), z: U.scaled(gyrRaw.z, RAD_TO_DEG) };
+
+      return U.canonicalTable({
+        t: timeOf(table, meta),
+        acc,
+        gyro,
+        mag: magRaw,
+        magUnits: "auto",
+        format: this.format,
+        device: deviceOf(meta, file.name),
+        preview: table.preview,
+        bytes: table.bytes,
+      });
+    },
+  });
+})();
@@ -0,0 +1,248 @@
+// app/core/imu-jump.js
+// ------------------------------------------------------------
+// Vertical jump detection (MoveSyncImuJump)
+//
+// In the air an accelerometer is in free fall and reads ~0 g, whatever
+// its orientation, so flights are runs of low acceleration magnitude.
+// Around each flight, on the smoothed magnitude |a| in g:
+//
+//   countermovement  onset of the unweighting dip (|a| below body
+//                    weight) before takeoff; null for squat / rebound
+//                    jumps
+//   takeoff          |a| falls below FLIGHT_G
+//   apex             middle of the flight
+//   landing          |a| back above FLIGHT_G
+//
+// Takeoff and landing are timed on the unsmoothed magnitude when given:
+// a low-pass rounds those steps off and shortens the flight.
+//
+// Height comes two ways:
+//   flight time   h = g · tf² / 8
+//   impulse       net specific force (|a| / body weight − 1) · g
+//                 integrated from the movement onset (at rest) or the
+//                 previous landing (rebound, falling at g · tf / 2) to
+//                 takeoff: v_to, then h = v_to² / 2g
+//
+// Contact time is takeoff minus onset: ground contact of a rebound jump,
+// or the movement time of one from standing. RSI = flight height /
+// contact time (RSI-modified from standing). Power per kg is the peak of
+// specific force × velocity during the push-off; W with the subject's mass.
+//
+// Body weight is the median |a| over the quiet moment before the onset,
+// so an accelerometer a few % off still gives sensible impulses. The
+// magnitude stands in for the vertical component: good for a sensor on
+// the trunk / pelvis, which stays near upright through a jump.
+//
+// No DOM: loaded on the page and in imu-worker.js (the pipeline detects
+// the jumps of the IMU it processes).
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const G = 9.80665;
+
+  const CFG = {
+    FLIGHT_G: 0.3, // |a| below this is free fall
+    MIN_FLIGHT_S: 0.1, // shorter dips are impacts / noise
+    MAX_FLIGHT_S: 1.2, // ~1.75 m: longer is a fall or a dropped sensor
+    MERGE_S: 0.03, // flight runs split by a blip shorter than this are one
+    PREP_WINDOW_S: 2, // countermovement / push-off searched this far back
+    CM_MIN_G: 0.15, // dip below body weight that counts as a countermovement
+    ONSET_G: 0.05, // movement starts where |a| leaves body weight by this
+    QUIET_S: 0.3, // body weight measured over this before the onset
+    MAX_CONTACT_S: 1, // shorter ground contacts between flights: rebound
+  };
+
+  const median = (a) => {
+    if (!a.length) return null;
+    const s = Array.from(a).sort((x, y) => x - y);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  };
+
+  // Time where a crosses `level` between samples i-1 and i
+  function crossing(t, a, i, level) {
+    const a0 = a[i - 1], a1 = a[i];
+    if (!(i > 0) || a0 === a1) return t[i];
+    const f = Math.min(1, Math.max(0, (level - a0) / (a1 - a0)));
+    return t[i - 1] + f * (t[i] - t[i - 1]);
+  }
+
+  // [{ start, end }] sample ranges of free fall (end exclusive)
+  function flightRuns(t, a, sr) {
+    const n = a.length;
+    const runs = [];
+    let i = 0;
+    while (i < n) {
+      while (i < n && !(a[i] < CFG.FLIGHT_G)) i++;
+      let j = i;
+      while (j < n && a[j] < CFG.FLIGHT_G) j++;
+      if (j > i) {
+        const last = runs[runs.length - 1];
+        if (last && t[i] - t[last.end - 1] <= CFG.MERGE_S) last.end = j;
+        else runs.push({ start: i, end: j });
+      }
+      i = j;
+    }
+    return runs.filter((r) => r.start > 0 && r.end < n && (r.end - r.start) / sr >= CFG.MIN_FLIGHT_S * 0.5);
+  }
+
+  // -------------------------
+  // Jumps
+  // -------------------------
+  // t: seconds; accel: smoothed |a| in g (processed.derived
+  // .accelMagnitudeSmooth); raw: the same unsmoothed (accelMagnitude) or
+  // null; massKg: subject's mass or null
+  // -> { jumps, best, summary } or null when there was no flight
+  //   jumps   [{ kind: "standing" | "rebound", countermovement | null,
+  //             onset | null, takeoff, apex, landing (s), flightTime,
+  //             contactTime | null, heightFlight, heightImpulse | null (m),
+  //             takeoffVelocity | null (m/s), rsi | null,
+  //             powerPerKg | null (W/kg), power | null (W) }]
+  //   best    index of the highest jump (flight method)
+  //   summary the best jump's values, plus count and mean height
+  function detect(t, accel, sampleRate, { raw = null, massKg = null } = {}) {
+    const n = Math.min(t?.length || 0, accel?.length || 0);
+    const sr = Number(sampleRate);
+    if (!(sr > 0) || n < sr) return null;
+    const a = accel;
+    const edges = raw?.length >= n ? raw : a;
+    const dt = 1 / sr;
+
+    const jumps = [];
+    let prevLanding = null; // sample index
+    let bodyWeight = 1; // |a| standing still, in g
+
+    flightRuns(t, edges, sr).forEach((run) => {
+      const takeoff = crossing(t, edges, run.start, CFG.FLIGHT_G);
+      const landing = crossing(t, edges, run.end, CFG.FLIGHT_G);
+      const flightTime = landing - takeoff;
+      if (flightTime < CFG.MIN_FLIGHT_S || flightTime > CFG.MAX_FLIGHT_S) {
+        prevLanding = null;
+        return;
+      }
+
+      const rebound = prevLanding != null
+        && takeoff - t[prevLanding] <= CFG.MAX_CONTACT_S
+        && jumps.length > 0;
+
+      // Push-off: from the previous landing (rebound, body weight of the
+      // jump before) or the movement onset before takeoff (standing)
+      let onset = null;
+      let countermovement = null;
+      let v = 0;
+
+      if (rebound) {
+        onset = prevLanding;
+        v = -G * jumps[jumps.length - 1].flightTime / 2;
+      } else {
+        // Push-off peak, then the unweighting dip before it
+        const from = Math.max(1, run.start - Math.round(CFG.PREP_WINDOW_S * sr), prevLanding ?? 0);
+        let peak = from;
+        for (let i = from; i < run.start; i++) if (a[i] > a[peak]) peak = i;
+        let trough = -1;
+        for (let i = from; i < peak; i++) if (trough < 0 || a[i] < a[trough]) trough = i;
+
+        if (trough >= 0 && a[trough] < 1 - CFG.CM_MIN_G) {
+          // Countermovement: back from the dip to where |a| left body weight
+          let i = trough;
+          while (i > from && a[i - 1] < 1 - CFG.ONSET_G) i--;
+          if (i > from) onset = i;
+          countermovement = onset;
+        } else {
+          // Squat jump: back from the push-off peak to where |a| rose
+          let i = peak;
+          while (i > from && a[i - 1] > 1 + CFG.ONSET_G) i--;
+          if (i > from && a[i] > 1 + CFG.ONSET_G) onset = i;
+        }
+
+        if (onset != null) {
+          const level = median(a.slice(Math.max(0, onset - Math.round(CFG.QUIET_S * sr)), onset));
+          bodyWeight = level > 0.8 && level < 1.2 ? level : 1;
+        }
+      }
+
+      // Impulse: integrate the net specific force up to takeoff
+      let heightImpulse = null;
+      let takeoffVelocity = null;
+      let powerPerKg = null;
+      if (onset != null) {
+        let peak = 0;
+        for (let i = onset; i < run.start; i++) {
+          const force = (a[i] / bodyWeight) * G; // per kg
+          v += (force - G) * dt;
+          if (v > 0 && force * v > peak) peak = force * v;
+        }
+        takeoffVelocity = v;
+        heightImpulse = v > 0 ? (v * v) / (2 * G) : null;
+        powerPerKg = peak > 0 ? peak : null;
+      }
+
+      const heightFlight = (G * flightTime * flightTime) / 8;
+      const contactTime = onset != null ? takeoff - t[onset] : null;
+
+      jumps.push({
+        kind: rebound ? "rebound" : "standing",
+        countermovement: countermovement != null ? t[countermovement] : null,
+        onset: onset != null ? t[onset] : null,
+        takeoff,
+        apex: takeoff + flightTime / 2,
+        landing,
+        flightTime,
+        contactTime,
+        heightFlight,
+        heightImpulse,
+        takeoffVelocity,
+        rsi: contactTime > 0 ? heightFlight / contactTime : null,
+        powerPerKg,
+        power: powerPerKg != null && Number.isFinite(massKg) ? powerPerKg * massKg : null,
+      });
+      prevLanding = run.end;
+    });
+
+    if (!jumps.length) return null;
+
+    let best = 0;
+    jumps.forEach((j, k) => { if (j.heightFlight > jumps[best].heightFlight) best = k; });
+    const top = jumps[best];
+
+    return {
+      jumps,
+      best,
+      summary: {
+        count: jumps.length,
+        meanHeight: jumps.reduce((s, j) => s + j.heightFlight, 0) / jumps.length,
+        heightFlight: top.heightFlight,
+        heightImpulse: top.heightImpulse,
+        flightTime: top.flightTime,
+        contactTime: top.contactTime,
+        rsi: top.rsi,
+        powerPerKg: top.powerPerKg,
+        power: top.power,
+      },
+    };
+  }
+
+  // Timestamps of one jump, labelled like the Jump preset's timestamp
+  // types: [{ label, t }] in IMU seconds (countermovement when found)
+  const PHASES = [
+    { key: "countermovement", label: "Countermovement" },
+    { key: "takeoff", label: "Takeoff" },
+    { key: "apex", label: "Apex" },
+    { key: "landing", label: "Landing" },
+  ];
+
+  function phases(jump) {
+    return PHASES
+      .filter((p) => Number.isFinite(jump?.[p.key]))
+      .map((p) => ({ label: p.label, t: jump[p.key] }));
+  }
+
+  window.MoveSyncImuJump = {
+    CFG,
+    PHASES,
+
+    detect,
+    phases,
+  };
+})();
@@ -0,0 +1,327 @@
+// app/core/imu-mapping.js
+// ------------------------------------------------------------
+// IMU column mapping + device profiles (MoveSyncImuMapping)
+//
+// A mapping says which CSV column feeds which signal, the units each
+// sensor was recorded in and how the time column is written:
+//
+//   { columns: { time: "Timestamp (ms)", ax: "Acc_X (m/s^2)", ... },
+//     units: { acc: "m/s2", gyro: "deg/s", mag: "auto" },
+//     timeFormat: "ms", sampleRate: 100 }
+//
+// Columns are referenced by header text, so a mapping fits any file with
+// the same headers. Shape + allowed values live in schema.js.
+//
+// Which mapping applies to a file (resolve):
+//   1. the one saved on the session's IMU entry (set in the mapping wizard)
+//   2. a device profile whose headers match the file's headers
+//   3. auto-detection from header names ("acc.x", "Gyr_X", "ax", ...)
+//
+// Device profiles are named mappings kept in localStorage; the wizard
+// (features/column-mapper) creates them.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const schema = window.MoveSyncSchema;
+
+  const STORAGE_KEY = "movesync-device-profiles-v1";
+
+  const SIGNAL_LABELS = {
+    time: "Time",
+    ax: "Accel X", ay: "Accel Y", az: "Accel Z",
+    gx: "Gyro X", gy: "Gyro Y", gz: "Gyro Z",
+    mx: "Mag X", my: "Mag Y", mz: "Mag Z",
+  };
+
+  const UNIT_LABELS = {
+    auto: "Auto",
+    "m/s2": "m/s²", g: "g", mg: "mg",
+    "deg/s": "deg/s", "rad/s": "rad/s", mdps: "mdeg/s",
+    uT: "µT", nT: "nT", gauss: "gauss", mgauss: "mgauss",
+  };
+
+  const TIME_FORMAT_LABELS = {
+    auto: "Auto-detect unit",
+    s: "Seconds",
+    ms: "Milliseconds",
+    us: "Microseconds",
+    ns: "Nanoseconds",
+    clock: "Date / clock time",
+    none: "No time column (fixed rate)",
+  };
+
+  // Factor to the units the pipeline works in: m/s², deg/s, µT
+  const TO_CANONICAL = {
+    acc: { "m/s2": 1, g: 9.80665, mg: 0.00980665 },
+    gyro: { "deg/s": 1, "rad/s": 180 / Math.PI, mdps: 0.001 },
+    mag: { uT: 1, nT: 0.001, gauss: 100, mgauss: 0.1 },
+  };
+
+  const TIME_SCALE = { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9, clock: 1 };
+
+  // -------------------------
+  // Header matching
+  // -------------------------
+  const GROUP_NAMES = {
+    acc: ["a", "acc", "accel", "accelerometer", "acceleration"],
+    gyro: ["g", "gyr", "gyro", "gyroscope", "angularvelocity", "angvel", "rotationrate"],
+    mag: ["m", "mag", "magn", "magnetometer", "magneticfield", "compass"],
+  };
+  const GROUP_PREFIX = { acc: "a", gyro: "g", mag: "m" };
+
+  // Normalised name -> unit written into the name ("time_ms")
+  const TIME_NAMES = {
+    time: null, t: null, timestamp: null, timesec: null, times: null, sec: null, seconds: null,
+    ts: null, elapsed: null, elapsedtime: null, secondselapsed: null, sampletime: null,
+    timems: "ms", timestampms: "ms", millis: "ms", ms: "ms",
+    timeus: "us", timestampus: "us", micros: "us",
+    timens: "ns", timestampns: "ns",
+  };
+
+  // "Acc_X (m/s^2)" -> { key: "accx", unit: "m/s^2" }
+  function splitHeader(header) {
+    const raw = String(header ?? "").trim();
+    const m = /^(.*?)\s*[([]\s*([^)\]]*)\s*[)\]]\s*$/.exec(raw);
+    const name = m ? m[1] : raw;
+    return {
+      key: name.toLowerCase().replace(/[^a-z0-9]/g, ""),
+      unit: m ? m[2] : "",
+    };
+  }
+
+  function signalForKey(key) {
+    if (key in TIME_NAMES) return "time";
+    for (const [group, names] of Object.entries(GROUP_NAMES)) {
+      for (const name of names) {
+        for (const axis of ["x", "y", "z"]) {
+          if (key === name + axis || key === axis + name) return GROUP_PREFIX[group] + axis;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Unit text -> a declared unit for `group` ("acc" | "gyro" | "mag" | "time")
+  function parseUnit(text, group) {
+    const u = String(text ?? "")
+      .toLowerCase()
+      .replace(/\s+/g, "")
+      .replace(/[²^]/g, (c) => (c === "²" ? "2" : ""))
+      .replace(/°/g, "deg")
+      .replace(/μ/g, "µ");
+    if (!u) return null;
+
+    if (group === "acc") {
+      if (["m/s2", "ms2", "ms-2", "m/s/s", "mps2", "m·s-2"].includes(u)) return "m/s2";
+      if (u === "g") return "g";
+      if (u === "mg") return "mg";
+    }
+    if (group === "gyro") {
+      if (["deg/s", "dps", "degs", "deg/sec", "degps"].includes(u)) return "deg/s";
+      if (["rad/s", "rads", "rad/sec", "radps"].includes(u)) return "rad/s";
+      if (["mdps", "mdeg/s"].includes(u)) return "mdps";
+    }
+    if (group === "mag") {
+      if (["ut", "µt", "microtesla"].includes(u)) return "uT";
+      if (u === "nt") return "nT";
+      if (["gauss", "ga"].includes(u)) return "gauss";
+      if (["mgauss", "mga", "mg"].includes(u)) return "mgauss";
+    }
+    if (group === "time") {
+      if (["s", "sec", "secs", "seconds"].includes(u)) return "s";
+      if (["ms", "msec", "millis"].includes(u)) return "ms";
+      if (["us", "µs", "usec", "micros"].includes(u)) return "us";
+      if (["ns", "nsec"].includes(u)) return "ns";
+    }
+    return null;
+  }
+
+  const GROUP_OF = { a: "acc", g: "gyro", m: "mag" };
+
+  // Best guess from header names (+ the units row, if the file has one)
+  function autoMap(headers, { units = null } = {}) {
+    const columns = {};
+    const unitFor = {};
+    const found = (headers || []).map(splitHeader);
+
+    found.forEach(({ key, unit }, i) => {
+      const signal = signalForKey(key);
+      if (!signal || columns[signal]) return;
+      columns[signal] = headers[i];
+
+      const group = signal === "time" ? "time" : GROUP_OF[signal[0]];
+      const declared = parseUnit(unit || units?.[i], group) || (signal === "time" ? TIME_NAMES[key] : null);
+      if (declared && !unitFor[group]) unitFor[group] = declared;
+    });
+
+    return schema.normalizeImuMapping({
+      columns,
+      units: { acc: unitFor.acc, gyro: unitFor.gyro, mag: unitFor.mag },
+      timeFormat: columns.time ? unitFor.time || "auto" : "none",
+    });
+  }
+
+  // -------------------------
+  // Device profiles
+  // -------------------------
+  function headerSignature(headers) {
+    return (headers || [])
+      .map((h) => String(h ?? "").trim().toLowerCase())
+      .sort()
+      .join("\n");
+  }
+
+  function listProfiles() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      if (!Array.isArray(parsed)) return [];
+      return parsed
+        .map((p) => {
+          try {
+            return schema.migrateDeviceProfile(p);
+          } catch (e) {
+            console.warn("[imu-mapping] skipping stored device profile:", e);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (e) {
+      console.warn("[imu-mapping] stored device profiles unreadable:", e);
+      return [];
+    }
+  }
+
+  function writeProfiles(list) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  }
+
+  function getProfile(id) {
+    return listProfiles().find((p) => p.id === String(id)) || null;
+  }
+
+  // Upsert by id; a new profile with the name of an existing one replaces it
+  function saveProfile(profile) {
+    const list = listProfiles();
+    const now = new Date().toISOString();
+    const name = String(profile?.name || "").trim() || "Unnamed device";
+
+    const i = list.findIndex((p) => (profile?.id ? p.id === profile.id : p.name.toLowerCase() === name.toLowerCase()));
+    const base = i >= 0 ? list[i] : null;
+
+    const saved = schema.migrateDeviceProfile({
+      ...base,
+      ...profile,
+      id: base?.id || profile?.id,
+      name,
+      createdAt: base?.createdAt || now,
+      updatedAt: now,
+    });
+
+    if (i >= 0) list[i] = saved;
+    else list.unshift(saved);
+    writeProfiles(list);
+    return saved;
+  }
+
+  function deleteProfile(id) {
+    const list = listProfiles();
+    const next = list.filter((p) => p.id !== String(id));
+    if (next.length === list.length) return false;
+    writeProfiles(next);
+    return true;
+  }
+
+  // Profile recorded for exactly this set of headers (order doesn't matter)
+  function findProfile(headers) {
+    const sig = headerSignature(headers);
+    if (!sig) return null;
+    return listProfiles().find((p) => headerSignature(p.headers) === sig) || null;
+  }
+
+  // -------------------------
+  // Resolve + apply
+  // -------------------------
+  function fitsHeaders(mapping, headers) {
+    const set = new Set((headers || []).map((h) => String(h)));
+    return Object.values(mapping?.columns || {}).every((h) => h == null || set.has(h));
+  }
+
+  // -> { mapping, source: "session" | "profile" | "auto", profile }
+  function resolve(headers, { mapping = null, units = null } = {}) {
+    if (mapping && fitsHeaders(mapping, headers)) {
+      return { mapping: schema.normalizeImuMapping(mapping), source: "session", profile: null };
+    }
+
+    const profile = findProfile(headers);
+    if (profile) return { mapping: schema.normalizeImuMapping(profile), source: "profile", profile };
+
+    return { mapping: autoMap(headers, { units }), source: "auto", profile: null };
+  }
+
+  // Signal -> column index (-1 when unmapped or the header is gone)
+  function columnIndices(headers, mapping) {
+    const out = {};
+    schema.IMU_SIGNALS.forEach((k) => {
+      const h = mapping?.columns?.[k];
+      out[k] = h == null ? -1 : (headers || []).indexOf(h);
+    });
+    return out;
+  }
+
+  // Multiplier to m/s² / deg/s / µT; null when the unit is "auto"
+  function unitScale(group, unit) {
+    return TO_CANONICAL[group]?.[unit] ?? null;
+  }
+
+  // Seconds per raw time unit; null = detect ("auto"), 0 = no time column
+  function timeScale(mapping) {
+    const f = mapping?.timeFormat || "auto";
+    if (f === "none") return 0;
+    return TIME_SCALE[f] ?? null;
+  }
+
+  function missingSignals(mapping) {
+    return schema.IMU_SIGNALS.filter((k) => k !== "time" && !mapping?.columns?.[k]);
+  }
+
+  // "Profile “Xsens DOT” · 6 of 9 signals (no magnetometer)"
+  // source "importer": a vendor importer's fixed mapping (imu-importers)
+  function describe({ mapping, source, profile } = {}) {
+    const head =
+      source === "profile" ? `Profile “${profile?.name || "?"}”` :
+      source === "session" ? "Custom mapping" :
+      source === "importer" ? "Set by importer" :
+      "Auto-detected";
+
+    const missing = missingSignals(mapping);
+    const mapped = 9 - missing.length;
+    let tail = `${mapped} of 9 signals`;
+    if (missing.length === 3 && missing.every((k) => k[0] === "m")) tail += " (no magnetometer)";
+    if (!mapping?.columns?.time || mapping?.timeFormat === "none") tail += ` · fixed ${mapping?.sampleRate || 100} Hz`;
+
+    return `${head} · ${tail}`;
+  }
+
+  window.MoveSyncImuMapping = {
+    STORAGE_KEY,
+    SIGNAL_LABELS,
+    UNIT_LABELS,
+    TIME_FORMAT_LABELS,
+
+    autoMap,
+    parseUnit,
+    resolve,
+    columnIndices,
+    unitScale,
+    timeScale,
+    missingSignals,
+    describe,
+
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+    findProfile,
+  };
+})();
@@ -0,0 +1,207 @@
+// app/core/imu-rom.js
+// ------------------------------------------------------------
+// Range of motion per plane and per rep (MoveSyncImuRom)
+//
+// Works on any set of angle series in degrees on one time base: a single
+// IMU's Euler angles (roll / pitch / yaw, from the pipeline) or joint
+// angles (elbow, wrist, upper-arm planes, from ArmAngleAnalyser).
+//
+// Angles that wrap at ±180° (roll, yaw) are unwrapped first, so a swing
+// through 180° reads as 40°, not 320°.
+//
+// Reps come from the primary plane (the one of the candidates that moves
+// most, unless given): the low-passed angle is turned into alternating peaks and
+// valleys, each at least REP_MIN_DEG (or REP_RATIO of the whole range)
+// from the one before. The rest position is whichever kind sits nearer
+// the median angle; a rep runs from leaving one rest extreme to getting
+// back to the next.
+//
+// Every range carries the time of its min and max, so panels can send
+// the IMU cursor and video there (movesync:imu-seek).
+//
+// No DOM: loaded on the page and in imu-worker.js.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const CFG = {
+    LP_HZ: 4, // low-pass on the primary plane before finding reps
+    REP_MIN_DEG: 15, // a rep moves at least this far ...
+    REP_RATIO: 0.3, // ... and this share of the primary plane's range
+    REP_MIN_S: 0.4, // shortest rep
+    REP_MAX_S: 20, // longer: a pause, not a rep
+    REST_RATIO: 0.05, // within this share of the excursion: still at rest
+    ROBUST_PCT: 0.01, // primary plane by 1st-99th percentile spread
+  };
+
+  // Continuous copy of an angle that wraps at ±180°
+  function unwrap(values) {
+    const out = new Float64Array(values.length);
+    let shift = 0;
+    let prev = NaN;
+    for (let i = 0; i < values.length; i++) {
+      const v = Number(values[i]);
+      if (!Number.isFinite(v)) { out[i] = NaN; continue; }
+      if (Number.isFinite(prev)) {
+        const d = v - prev;
+        if (d > 180) shift -= 360;
+        else if (d < -180) shift += 360;
+      }
+      prev = v;
+      out[i] = v + shift;
+    }
+    return out;
+  }
+
+  function spread(values) {
+    const finite = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!finite.length) return { lo: NaN, hi: NaN, median: NaN };
+    const at = (p) => finite[Math.min(finite.length - 1, Math.floor(p * finite.length))];
+    return { lo: at(CFG.ROBUST_PCT), hi: at(1 - CFG.ROBUST_PCT), median: at(0.5) };
+  }
+
+  // { min, max, rom, tMin, tMax } over samples [i0, i1), or null
+  function extremes(t, values, i0 = 0, i1 = values.length) {
+    let iMin = -1, iMax = -1;
+    for (let i = i0; i < i1; i++) {
+      const v = values[i];
+      if (!Number.isFinite(v)) continue;
+      if (iMin < 0 || v < values[iMin]) iMin = i;
+      if (iMax < 0 || v > values[iMax]) iMax = i;
+    }
+    if (iMin < 0) return null;
+    return { min: values[iMin], max: values[iMax], rom: values[iMax] - values[iMin], tMin: t[iMin], tMax: t[iMax] };
+  }
+
+  // -------------------------
+  // Reps (one angle)
+  // -------------------------
+  // -> [{ start, end, i0, i1 }] (seconds; samples [i0, i1) for extremes)
+  function findReps(t, values, sampleRate) {
+    const n = Math.min(t.length, values.length);
+    const sr = Number(sampleRate);
+    if (!(sr > 0) || n < 3) return [];
+
+    // Gaps (no angle) hold the last value: filtfilt would spread NaN
+    const col = new Float64Array(n);
+    let last = NaN;
+    for (let i = 0; i < n; i++) {
+      if (Number.isFinite(values[i])) last = values[i];
+      col[i] = last;
+    }
+    const first = col.findIndex(Number.isFinite);
+    if (first < 0) return [];
+    col.fill(col[first], 0, first);
+
+    const filters = self.MoveSyncIMUFilters;
+    const sos = filters?.butterworth({ type: "lowpass", order: 2, cutoff: CFG.LP_HZ, sampleRate: sr });
+    const w = sos ? filters.filtfilt(col, sos) : col;
+
+    const { lo, hi, median } = spread(w);
+    if (!(hi - lo >= CFG.REP_MIN_DEG)) return [];
+    const step = Math.max(CFG.REP_MIN_DEG, CFG.REP_RATIO * (hi - lo));
+
+    // Zig-zag: alternating peaks / valleys at least `step` apart. Until the
+    // first turn both the running max and min are candidates.
+    const turns = [];
+    let dir = 0;
+    let hiI = 0, loI = 0;
+    for (let i = 1; i < n; i++) {
+      const v = w[i];
+      if (dir >= 0 && v > w[hiI]) hiI = i;
+      if (dir <= 0 && v < w[loI]) loI = i;
+      if (dir >= 0 && w[hiI] - v >= step) {
+        turns.push({ i: hiI, kind: "peak" });
+        dir = -1; loI = i;
+      } else if (dir <= 0 && v - w[loI] >= step) {
+        turns.push({ i: loI, kind: "valley" });
+        dir = 1; hiI = i;
+      }
+    }
+    // The recording may end at an extreme that nothing came back from
+    if (dir > 0) turns.push({ i: hiI, kind: "peak" });
+    else if (dir < 0) turns.push({ i: loI, kind: "valley" });
+
+    // Rest position: the kind of turn nearer the median angle
+    const mean = (kind) => {
+      const vs = turns.filter((x) => x.kind === kind).map((x) => w[x.i]);
+      return vs.length ? vs.reduce((s, v) => s + v, 0) / vs.length : NaN;
+    };
+    const rest = Math.abs(mean("valley") - median) <= Math.abs(mean("peak") - median) ? "valley" : "peak";
+
+    // Rep: rest turn -> turn -> rest turn. Its start / end are where the
+    // angle leaves the rest position and gets back to it (a pause at rest
+    // is not part of the rep); its extremes span turn to turn.
+    const reps = [];
+    for (let k = 0; k + 2 < turns.length; k++) {
+      if (turns[k].kind !== rest) continue;
+      const a = turns[k].i, top = turns[k + 1].i, b = turns[k + 2].i;
+      const near = (i, from) => Math.abs(w[i] - w[from]) <= CFG.REST_RATIO * Math.abs(w[top] - w[from]);
+      let from = a, to = b;
+      while (from + 1 < top && near(from + 1, a)) from++;
+      while (to - 1 > top && near(to - 1, b)) to--;
+      const dur = t[to] - t[from];
+      if (dur < CFG.REP_MIN_S || dur > CFG.REP_MAX_S) continue;
+      reps.push({ start: t[from], end: t[to], i0: a, i1: b + 1 });
+    }
+    return reps;
+  }
+
+  // -------------------------
+  // Analysis
+  // -------------------------
+  // t: seconds; planes: { name: degrees[] } on t; options.wrap: names that
+  // wrap at ±180° (unwrapped first); options.primary: plane to find reps
+  // on (default: the one of options.candidates, else of all planes, that
+  // moves most)
+  // -> { primary, planes: { name: extremes }, reps: [{ start, end,
+  //      planes: { name: extremes } }] } or null without data
+  function analyze(t, planes, { sampleRate, wrap = [], primary = null, candidates = null } = {}) {
+    const names = Object.keys(planes || {}).filter((k) => planes[k]?.length);
+    if (!t?.length || !names.length) return null;
+
+    const series = {};
+    names.forEach((k) => {
+      series[k] = wrap.includes(k) ? unwrap(planes[k]) : Float64Array.from(planes[k], (v) => (v == null ? NaN : Number(v)));
+    });
+
+    let main = names.includes(primary) ? primary : null;
+    if (!main) {
+      const pool = candidates ? names.filter((k) => candidates.includes(k)) : [];
+      let best = -1;
+      (pool.length ? pool : names).forEach((k) => {
+        const { lo, hi } = spread(series[k]);
+        if (hi - lo > best) { best = hi - lo; main = k; }
+      });
+    }
+
+    const whole = {};
+    names.forEach((k) => { whole[k] = extremes(t, series[k]); });
+
+    const reps = findReps(t, series[main], sampleRate).map(({ start, end, i0, i1 }) => {
+      const per = {};
+      names.forEach((k) => { per[k] = extremes(t, series[k], i0, i1); });
+      return { start, end, planes: per };
+    });
+
+    return { primary: main, planes: whole, reps };
+  }
+
+  // Mean per-rep ROM of a plane (whole-recording ROM without reps)
+  function typicalRom(result, plane = result?.primary) {
+    if (!result || !plane) return null;
+    const roms = result.reps.map((r) => r.planes[plane]?.rom).filter(Number.isFinite);
+    if (roms.length) return roms.reduce((s, v) => s + v, 0) / roms.length;
+    return result.planes[plane]?.rom ?? null;
+  }
+
+  window.MoveSyncImuRom = {
+    CFG,
+
+    unwrap,
+    extremes,
+    findReps,
+    analyze,
+    typicalRom,
+  };
+})();
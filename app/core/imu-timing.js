@@ -0,0 +1,269 @@
+// app/core/imu-timing.js
+// ------------------------------------------------------------
+// IMU timestamp quality + resampling (MoveSyncImuTiming)
+//
+// analyze(t) reads the recorded timestamps (seconds, file order):
+//   nominalRate   1 / median interval
+//   gaps          intervals over 1.5× nominal, { start, end, missing }
+//                 with missing = round(interval / nominal) − 1
+//   dropped       missing samples in all gaps (% of the samples expected)
+//   duplicates    repeated timestamps
+//   outOfOrder    timestamps earlier than the one before (the viewer sorts)
+//   jitter        spread of the regular intervals around nominal, in ms
+//
+// resample(input, { method, rate, start, end }) puts t and every sensor
+// column on a uniform grid before processing: "linear", or "spline" (cubic
+// Hermite with Catmull-Rom tangents, works on uneven spacing). Gaps are
+// bridged by the interpolation, so they stay in the report and on the
+// charts. start / end pin the grid to a common timeline (aligned IMUs).
+//
+// No DOM: loaded on the page (IMU panel) and in imu-worker.js.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const GAP_FACTOR = 1.5;
+  const MAX_STORED_GAPS = 200;
+  const METHODS = ["none", "linear", "spline"];
+
+  const round = (v, d) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+  // -------------------------
+  // Analysis
+  // -------------------------
+  function analyze(t) {
+    const n = t?.length || 0;
+
+    let invalid = 0;
+    let outOfOrder = 0;
+    let prev = -Infinity;
+    for (let i = 0; i < n; i++) {
+      const v = t[i];
+      if (!Number.isFinite(v)) {
+        invalid++;
+        continue;
+      }
+      if (v < prev) outOfOrder++;
+      prev = v;
+    }
+
+    const ts = new Float64Array(n - invalid);
+    for (let i = 0, k = 0; i < n; i++) if (Number.isFinite(t[i])) ts[k++] = t[i];
+    if (outOfOrder) ts.sort();
+
+    const m = ts.length;
+    if (m < 3) return null;
+
+    const diffs = new Float64Array(m - 1);
+    for (let i = 1; i < m; i++) diffs[i - 1] = ts[i] - ts[i - 1];
+
+    const positive = diffs.filter((d) => d > 0).sort();
+    if (!positive.length) return null;
+    const dt = positive[positive.length >> 1];
+
+    let duplicates = 0;
+    let dropped = 0;
+    let longestGap = 0;
+    const gaps = [];
+
+    // Regular intervals: deviation from nominal (for jitter)
+    const dev = new Float64Array(m - 1);
+    let regular = 0;
+    let sum = 0;
+    let sumSq = 0;
+
+    for (let i = 0; i < diffs.length; i++) {
+      const d = diffs[i];
+      if (d === 0) {
+        duplicates++;
+      } else if (d > GAP_FACTOR * dt) {
+        const missing = Math.max(1, Math.round(d / dt) - 1);
+        dropped += missing;
+        if (d > longestGap) longestGap = d;
+        gaps.push({ start: ts[i], end: ts[i + 1], missing });
+      } else {
+        const e = d - dt;
+        dev[regular++] = Math.abs(e);
+        sum += e;
+        sumSq += e * e;
+      }
+    }
+
+    const absDev = dev.subarray(0, regular).sort();
+    const mean = regular ? sum / regular : 0;
+    const std = regular ? Math.sqrt(Math.max(0, sumSq / regular - mean * mean)) : 0;
+
+    const duration = ts[m - 1] - ts[0];
+    const expected = m - duplicates + dropped;
+
+    return {
+      samples: m,
+      duration,
+      nominalRate: 1 / dt,
+      effectiveRate: duration > 0 ? (m - 1 - duplicates) / duration : null,
+      expectedSamples: expected,
+      dropped,
+      droppedPct: expected ? (100 * dropped) / expected : 0,
+      gapCount: gaps.length,
+      longestGap,
+      gaps,
+      duplicates,
+      outOfOrder,
+      invalid,
+      jitter: {
+        stdMs: std * 1000,
+        p95Ms: regular ? absDev[Math.min(regular - 1, Math.floor(regular * 0.95))] * 1000 : 0,
+        maxMs: regular ? absDev[regular - 1] * 1000 : 0,
+      },
+    };
+  }
+
+  // Compact copy saved on the session's IMU entry (imus[i].timing)
+  function toStored(report, { file = null } = {}) {
+    if (!report) return null;
+    return {
+      file,
+      samples: report.samples,
+      duration: round(report.duration, 3),
+      nominalRate: round(report.nominalRate, 3),
+      effectiveRate: round(report.effectiveRate, 3),
+      expectedSamples: report.expectedSamples,
+      dropped: report.dropped,
+      droppedPct: round(report.droppedPct, 3),
+      gapCount: report.gapCount,
+      longestGap: round(report.longestGap, 4),
+      gaps: report.gaps.slice(0, MAX_STORED_GAPS).map((g) => ({
+        start: round(g.start, 4),
+        end: round(g.end, 4),
+        missing: g.missing,
+      })),
+      gapsTruncated: report.gapCount > MAX_STORED_GAPS,
+      duplicates: report.duplicates,
+      outOfOrder: report.outOfOrder,
+      invalid: report.invalid,
+      jitter: {
+        stdMs: round(report.jitter.stdMs, 3),
+        p95Ms: round(report.jitter.p95Ms, 3),
+        maxMs: round(report.jitter.maxMs, 3),
+      },
+    };
+  }
+
+  // "100 Hz · 12 gaps (longest 1.30 s) · 34 dropped (0.8%) · jitter ±1.2 ms"
+  function describe(report) {
+    if (!report) return "—";
+    const parts = [`${round(report.nominalRate, 1)} Hz`];
+    if (report.gapCount) {
+      parts.push(`${report.gapCount} gap${report.gapCount === 1 ? "" : "s"} (longest ${report.longestGap.toFixed(2)} s)`);
+      parts.push(`${report.dropped} dropped (${report.droppedPct.toFixed(1)}%)`);
+    } else {
+      parts.push("no gaps");
+    }
+    if (report.duplicates) parts.push(`${report.duplicates} duplicate${report.duplicates === 1 ? "" : "s"}`);
+    if (report.outOfOrder) parts.push(`${report.outOfOrder} out of order`);
+    parts.push(`jitter ±${report.jitter.stdMs.toFixed(report.jitter.stdMs < 10 ? 1 : 0)} ms`);
+    return parts.join(" · ");
+  }
+
+  // -------------------------
+  // Resampling
+  // -------------------------
+  // Samples of a strictly increasing time base (duplicates dropped)
+  function increasingIndex(t) {
+    const keep = new Uint32Array(t.length);
+    let k = 0;
+    let last = -Infinity;
+    for (let i = 0; i < t.length; i++) {
+      if (Number.isFinite(t[i]) && t[i] > last) {
+        keep[k++] = i;
+        last = t[i];
+      }
+    }
+    return keep.subarray(0, k);
+  }
+
+  function linearOnto(grid, ts, ys) {
+    const out = new Float32Array(grid.length);
+    let j = 0;
+    for (let k = 0; k < grid.length; k++) {
+      const x = grid[k];
+      while (j < ts.length - 2 && ts[j + 1] < x) j++;
+      const h = ts[j + 1] - ts[j];
+      const s = Math.max(0, Math.min(1, (x - ts[j]) / h));
+      out[k] = ys[j] + s * (ys[j + 1] - ys[j]);
+    }
+    return out;
+  }
+
+  function splineOnto(grid, ts, ys) {
+    const n = ts.length;
+    const slope = (i) => {
+      if (i <= 0) return (ys[1] - ys[0]) / (ts[1] - ts[0]);
+      if (i >= n - 1) return (ys[n - 1] - ys[n - 2]) / (ts[n - 1] - ts[n - 2]);
+      return (ys[i + 1] - ys[i - 1]) / (ts[i + 1] - ts[i - 1]);
+    };
+
+    const out = new Float32Array(grid.length);
+    let j = 0;
+    let m0 = slope(0);
+    let m1 = slope(1);
+    for (let k = 0; k < grid.length; k++) {
+      const x = grid[k];
+      while (j < n - 2 && ts[j + 1] < x) {
+        j++;
+        m0 = m1;
+        m1 = slope(j + 1);
+      }
+      const h = ts[j + 1] - ts[j];
+      const s = Math.max(0, Math.min(1, (x - ts[j]) / h));
+      const s2 = s * s;
+      const s3 = s2 * s;
+      out[k] =
+        (2 * s3 - 3 * s2 + 1) * ys[j] +
+        (s3 - 2 * s2 + s) * h * m0 +
+        (-2 * s3 + 3 * s2) * ys[j + 1] +
+        (s3 - s2) * h * m1;
+    }
+    return out;
+  }
+
+  // input: { t, acc, gyro, mag } (pipeline input, sensor columns parallel
+  // to t; empty columns stay empty)
+  // -> { t, acc, gyro, mag, rate } on the grid t0, t0 + 1/rate, … up to the
+  // last sample (or start, start + 1/rate, … up to end; values outside the
+  // recording hold its first / last sample)
+  function resample(input, { method = "linear", rate = null, start = null, end = null } = {}) {
+    const keep = increasingIndex(input.t);
+    if (keep.length < 2) return null;
+
+    const ts = Float64Array.from(keep, (i) => input.t[i]);
+    const hz = rate > 0 ? rate : analyze(ts)?.nominalRate;
+    if (!(hz > 0)) return null;
+
+    const t0 = Number.isFinite(start) ? start : ts[0];
+    const t1 = Number.isFinite(end) ? end : ts[ts.length - 1];
+    if (!(t1 > t0)) return null;
+    const count = Math.floor((t1 - t0) * hz + 1e-6) + 1;
+    const grid = new Float64Array(count);
+    for (let k = 0; k < count; k++) grid[k] = t0 + k / hz;
+
+    const onto = method === "spline" ? splineOnto : linearOnto;
+    const column = (col) => {
+      if (!col || col.length !== input.t.length) return new Float32Array(0);
+      return onto(grid, ts, Float64Array.from(keep, (i) => col[i]));
+    };
+    const sensor = (v) => ({ x: column(v?.x), y: column(v?.y), z: column(v?.z) });
+
+    return { t: grid, acc: sensor(input.acc), gyro: sensor(input.gyro), mag: sensor(input.mag), rate: hz };
+  }
+
+  window.MoveSyncImuTiming = {
+    GAP_FACTOR,
+    METHODS,
+
+    analyze,
+    toStored,
+    describe,
+    resample,
+  };
+})();
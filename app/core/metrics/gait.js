@@ -0,0 +1,58 @@
+// app/core/metrics/gait.js
+// ------------------------------------------------------------
+// Built-in metrics: gait (MoveSyncMetrics)
+//
+// Session-wide stride metrics from every leg IMU's gait events
+// (processed.gait.session, see app/core/imu-gait.js). Symmetry indices
+// are % (0 = left and right equal); "symmetry" is the contact-time one.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const M = window.MoveSyncMetrics;
+  const gait = { signals: ["gyro"], nodes: ["knee", "ankle"] };
+  const session = (p) => p.gait?.session || null;
+
+  M.registerCategory({
+    id: "gait",
+    label: "Gait",
+    note: "Needs a shank or foot IMU (skeleton node knee / ankle). Symmetry needs both legs processed; step time needs them aligned. 0% = left and right equal.",
+    order: 60,
+  });
+
+  M.register({
+    id: "stride_time", label: "Stride time", unit: "s", icon: "bx-timer",
+    category: "gait", decimals: 2, requires: gait,
+    compute: (p) => session(p)?.summary.strideTime,
+  });
+  M.register({
+    id: "step_time", label: "Step time", unit: "s", icon: "bx-stopwatch",
+    category: "gait", decimals: 2, requires: gait,
+    compute: (p) => session(p)?.summary.stepTime,
+  });
+  M.register({
+    id: "gait_contact_time", label: "Ground contact time", unit: "s", icon: "bx-down-arrow-alt",
+    category: "gait", decimals: 3, requires: gait,
+    compute: (p) => session(p)?.summary.contactTime,
+  });
+  M.register({
+    id: "swing_time", label: "Swing time", unit: "s", icon: "bx-up-arrow-alt",
+    category: "gait", decimals: 3, requires: gait,
+    compute: (p) => session(p)?.summary.swingTime,
+  });
+  M.register({
+    id: "symmetry", label: "Contact time symmetry", unit: "%", icon: "bx-git-compare",
+    category: "gait", decimals: 1, requires: gait,
+    compute: (p) => session(p)?.symmetry.contactTime,
+  });
+  M.register({
+    id: "step_symmetry", label: "Step time symmetry", unit: "%", icon: "bx-git-compare",
+    category: "gait", decimals: 1, requires: gait,
+    compute: (p) => session(p)?.symmetry.stepTime,
+  });
+  M.register({
+    id: "swing_symmetry", label: "Swing time symmetry", unit: "%", icon: "bx-git-compare",
+    category: "gait", decimals: 1, requires: gait,
+    compute: (p) => session(p)?.symmetry.swingTime,
+  });
+})();
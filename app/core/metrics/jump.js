@@ -0,0 +1,59 @@
+// app/core/metrics/jump.js
+// ------------------------------------------------------------
+// Built-in metrics: vertical jumps (MoveSyncMetrics)
+//
+// The highest jump by flight-time height (processed.jumps.summary, see
+// app/core/imu-jump.js). Contact time is ground contact of a rebound
+// jump, movement time of one from standing.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const M = window.MoveSyncMetrics;
+  const jump = { signals: ["accel"] };
+  const best = (p) => p.jumps?.summary || null;
+  const cm = (m) => (m == null ? null : m * 100);
+
+  M.registerCategory({
+    id: "jump",
+    label: "Jump",
+    note: "Flights in the acceleration (free fall). Best jump by flight-time height; the impulse height needs the sensor still before the jump. Contact time is ground contact for rebound jumps, movement time from standing.",
+    order: 70,
+  });
+
+  M.register({
+    id: "jump_height", label: "Jump height", unit: "cm", icon: "bx-up-arrow-circle",
+    category: "jump", decimals: 1, requires: jump,
+    compute: (p) => cm(best(p)?.heightFlight),
+  });
+  M.register({
+    id: "jump_height_impulse", label: "Jump height (impulse)", unit: "cm", icon: "bx-up-arrow-circle",
+    category: "jump", decimals: 1, requires: jump,
+    compute: (p) => cm(best(p)?.heightImpulse),
+  });
+  M.register({
+    id: "flight_time", label: "Flight time", unit: "s", icon: "bx-timer",
+    category: "jump", decimals: 3, requires: jump,
+    compute: (p) => best(p)?.flightTime,
+  });
+  M.register({
+    id: "contact_time", label: "Contact time", unit: "s", icon: "bx-down-arrow-circle",
+    category: "jump", decimals: 3, requires: jump,
+    compute: (p) => best(p)?.contactTime,
+  });
+  M.register({
+    id: "rsi", label: "Reactive strength index", unit: "m/s", icon: "bx-bolt",
+    category: "jump", decimals: 2, requires: jump,
+    compute: (p) => best(p)?.rsi,
+  });
+  M.register({
+    id: "power_proxy", label: "Peak power per kg", unit: "W/kg", icon: "bx-bolt-circle",
+    category: "jump", decimals: 1, requires: jump,
+    compute: (p) => best(p)?.powerPerKg,
+  });
+  M.register({
+    id: "jump_count", label: "Jump count", unit: "", icon: "bx-list-ol",
+    category: "jump", decimals: 0, requires: jump,
+    compute: (p) => best(p)?.count,
+  });
+})();
@@ -0,0 +1,210 @@
+// app/core/metrics/metric-registry.js
+// ------------------------------------------------------------
+// Metric registry (MoveSyncMetrics)
+//
+// One definition per metric, read by everything that lists or shows
+// metrics: the Key Metrics tiles, Expanded Metrics and the metric picker
+// of Sport Presets (presets and sessions store metric ids). The built-in
+// metrics are registered by the other files in this folder, one per
+// category family:
+//
+//   motion.js       acceleration, speed, angular velocity, rhythm,
+//                   session totals, subject-scaled
+//   orientation.js  Euler angles and range of motion
+//   gait.js         stride / step / contact / swing times, symmetry
+//   jump.js         jump height, flight / contact time, RSI, power
+//
+// Anything else (a team's own script) registers the same way, after this
+// file has loaded:
+//
+//   MoveSyncMetrics.register({
+//     id: "peak_linear_accel",
+//     label: "Peak linear acceleration",
+//     unit: "m/s²",
+//     category: "acceleration",
+//     decimals: 1,
+//     requires: { signals: ["accel", "orientation"] },
+//     compute: (p) => p.summary.peakLinearAccel,
+//   });
+//
+// Metric shape:
+//   { id, label, unit, icon (boxicons class), category (category id),
+//     decimals,
+//     requires: { signals: [SIGNALS key], nodes: [skeleton node part] },
+//     graph: "dot.path" | { source, abs } | null   signal Expanded
+//                                                   Metrics can plot,
+//     compute(processed) -> number | null }        over a ProcessedSession
+//
+// Category shape: { id, label, note, order }
+//
+// compute() runs once per metric on every processed IMU; one that throws
+// shows "—" and is logged, the others still show. register() replaces a
+// metric with the same id and fires movesync:metrics-changed.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  // What a metric can need from the recording
+  const SIGNALS = {
+    accel: { label: "an accelerometer", has: (p) => !!p?.raw?.acc },
+    gyro: { label: "a gyroscope", has: (p) => !!p?.raw?.gyro && !p.warnings?.some((w) => w.code === "no-gyro") },
+    mag: { label: "a magnetometer", has: (p) => !!p?.fusion?.hasMag },
+    orientation: { label: "orientation (sensor fusion)", has: (p) => !!p?.fusion?.valid },
+    mass: { label: "the subject's body mass", has: (p) => Number.isFinite(p?.subject?.massKg) },
+    legLength: { label: "the subject's leg length", has: (p) => Number.isFinite(p?.subject?.legLengthM) },
+  };
+
+  const DEFAULT_ICON = "bx-data";
+  const OTHER = { id: "other", label: "Other", note: "", order: 1000 };
+
+  const metrics = new Map();
+  const categoryMap = new Map([[OTHER.id, OTHER]]);
+
+  function changed(id) {
+    if (typeof document === "undefined") return;
+    document.dispatchEvent(new CustomEvent("movesync:metrics-changed", { detail: { id } }));
+  }
+
+  // -------------------------
+  // Registration
+  // -------------------------
+  function registerCategory(category) {
+    if (!category?.id || !category.label) throw new Error("Metric category needs an id and a label.");
+    const c = {
+      id: String(category.id),
+      label: String(category.label),
+      note: String(category.note || ""),
+      order: Number.isFinite(category.order) ? category.order : categoryMap.size * 10,
+    };
+    categoryMap.set(c.id, c);
+    return c;
+  }
+
+  function register(metric) {
+    if (!metric?.id || !metric.label || typeof metric.compute !== "function") {
+      throw new Error("Metric needs an id, a label and compute().");
+    }
+    const unknown = (metric.requires?.signals || []).filter((s) => !SIGNALS[s]);
+    if (unknown.length) throw new Error(`Metric ${metric.id}: unknown signal(s) ${unknown.join(", ")}.`);
+
+    const graph = typeof metric.graph === "string" ? { source: metric.graph, abs: false } : metric.graph || null;
+    const m = {
+      id: String(metric.id),
+      label: String(metric.label),
+      unit: String(metric.unit || ""),
+      icon: metric.icon || DEFAULT_ICON,
+      category: categoryMap.has(metric.category) ? metric.category : OTHER.id,
+      decimals: Number.isInteger(metric.decimals) ? metric.decimals : 2,
+      requires: {
+        signals: (metric.requires?.signals || []).slice(),
+        nodes: (metric.requires?.nodes || []).map((n) => String(n).toLowerCase()),
+      },
+      graph: graph?.source ? { source: String(graph.source), abs: !!graph.abs } : null,
+      compute: metric.compute,
+    };
+    metrics.set(m.id, m);
+    changed(m.id);
+    return m;
+  }
+
+  function unregister(id) {
+    if (metrics.delete(id)) changed(id);
+  }
+
+  // -------------------------
+  // Lookup
+  // -------------------------
+  function get(id) {
+    return metrics.get(id) || null;
+  }
+
+  // Unknown ids (a preset from a newer version, a plugin not loaded)
+  // still get a label
+  function meta(id) {
+    return get(id) || { id, label: String(id), unit: "", icon: DEFAULT_ICON, category: OTHER.id, decimals: 2, requires: { signals: [], nodes: [] }, graph: null };
+  }
+
+  function list({ category = null } = {}) {
+    const all = [...metrics.values()];
+    return category ? all.filter((m) => m.category === category) : all;
+  }
+
+  // [{ ...category, metrics: [...] }] in order, empty categories left out
+  function groups() {
+    return [...categoryMap.values()]
+      .sort((a, b) => a.order - b.order)
+      .map((c) => ({ ...c, metrics: list({ category: c.id }) }))
+      .filter((g) => g.metrics.length > 0);
+  }
+
+  // -------------------------
+  // Values
+  // -------------------------
+  function computeOne(m, processed) {
+    try {
+      const v = m.compute(processed);
+      return v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+    } catch (err) {
+      console.warn(`[Metrics] ${m.id} failed:`, err);
+      return null;
+    }
+  }
+
+  // { id: number } for every metric with a value
+  function computeAll(processed) {
+    const out = {};
+    if (!processed) return out;
+    metrics.forEach((m) => {
+      const v = computeOne(m, processed);
+      if (v != null) out[m.id] = v;
+    });
+    return out;
+  }
+
+  function format(id, value) {
+    if (value == null || !Number.isFinite(value)) return null;
+    return value.toFixed(meta(id).decimals);
+  }
+
+  // { id: "formatted" } for every metric with a value
+  function computeFormatted(processed) {
+    const out = {};
+    Object.entries(computeAll(processed)).forEach(([id, v]) => { out[id] = format(id, v); });
+    return out;
+  }
+
+  // -------------------------
+  // Requirements
+  // -------------------------
+  // Signals the processed recording lacks for this metric (labels)
+  function missing(id, processed) {
+    return meta(id).requires.signals.filter((s) => !SIGNALS[s].has(processed)).map((s) => SIGNALS[s].label);
+  }
+
+  // "Needs a gyroscope and an IMU on a knee or ankle." or ""
+  function describeRequirements(id) {
+    const { signals, nodes } = meta(id).requires;
+    const parts = signals.map((s) => SIGNALS[s].label);
+    if (nodes.length) parts.push(`an IMU on a ${nodes.join(" or ")}`);
+    if (!parts.length) return "";
+    const last = parts.pop();
+    return `Needs ${parts.length ? `${parts.join(", ")} and ${last}` : last}.`;
+  }
+
+  window.MoveSyncMetrics = {
+    SIGNALS,
+
+    registerCategory,
+    register,
+    unregister,
+    get,
+    meta,
+    list,
+    groups,
+    computeAll,
+    computeFormatted,
+    format,
+    missing,
+    describeRequirements,
+  };
+})();
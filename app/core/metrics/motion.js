@@ -0,0 +1,182 @@
+// app/core/metrics/motion.js
+// ------------------------------------------------------------
+// Built-in metrics: acceleration, speed & distance, angular velocity,
+// rhythm, session totals and subject-scaled (MoveSyncMetrics)
+//
+// Most read processed.summary; the rest are means over a derived signal.
+// Cadence is the gait cadence when the session has gait events (strides
+// of shank / foot IMUs), else the accel-peak rhythm of this IMU.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const M = window.MoveSyncMetrics;
+
+  function mean(arr) {
+    if (!arr?.length) return null;
+    let s = 0;
+    for (let i = 0; i < arr.length; i++) s += arr[i];
+    return s / arr.length;
+  }
+
+  // -------------------------
+  // Categories
+  // -------------------------
+  M.registerCategory({ id: "acceleration", label: "Acceleration", order: 10 });
+  M.registerCategory({ id: "speed", label: "Speed & Distance", order: 20 });
+  M.registerCategory({ id: "angular", label: "Angular Velocity", order: 30 });
+  M.registerCategory({ id: "rhythm", label: "Rhythm & Repetitions", order: 50 });
+  M.registerCategory({ id: "session", label: "Session", order: 80 });
+  M.registerCategory({
+    id: "subject",
+    label: "Subject",
+    note: "Needs a subject from the Roster linked to the session: power uses body mass, stride length uses leg length.",
+    order: 90,
+  });
+
+  // -------------------------
+  // Acceleration
+  // -------------------------
+  const accel = { signals: ["accel"] };
+
+  M.register({
+    id: "peak_accel", label: "Peak acceleration", unit: "G", icon: "bx-trending-up",
+    category: "acceleration", decimals: 2, requires: accel, graph: "derived.accelMagnitude",
+    compute: (p) => p.summary.peakAccel,
+  });
+  M.register({
+    id: "mean_accel", label: "Mean acceleration", unit: "G", icon: "bx-bar-chart-alt-2",
+    category: "acceleration", decimals: 2, requires: accel, graph: "derived.accelMagnitudeSmooth",
+    compute: (p) => p.summary.meanAccel,
+  });
+  M.register({
+    id: "accel_rms", label: "Acceleration RMS", unit: "G", icon: "bx-pulse",
+    category: "acceleration", decimals: 2, requires: accel,
+    compute: (p) => {
+      const a = p.derived?.accelMagnitude;
+      if (!a?.length) return null;
+      let sq = 0;
+      for (let i = 0; i < a.length; i++) sq += a[i] ** 2;
+      return Math.sqrt(sq / a.length);
+    },
+  });
+  M.register({
+    id: "peak_jerk", label: "Peak jerk", unit: "G/s", icon: "bx-zap",
+    category: "acceleration", decimals: 2, requires: accel, graph: { source: "derived.jerk", abs: true },
+    compute: (p) => p.summary.peakJerk,
+  });
+
+  // -------------------------
+  // Speed & distance (burst-corrected ZUPT integration in the pipeline)
+  // -------------------------
+  const motion = { signals: ["accel", "orientation"] };
+
+  M.register({
+    id: "peak_speed", label: "Peak speed", unit: "m/s", icon: "bx-wind",
+    category: "speed", decimals: 2, requires: motion, graph: "motion.speed",
+    compute: (p) => p.summary.peakSpeed,
+  });
+  M.register({
+    id: "mean_speed", label: "Mean speed", unit: "m/s", icon: "bx-transfer-alt",
+    category: "speed", decimals: 2, requires: motion,
+    compute: (p) => mean(p.motion?.speed),
+  });
+  M.register({
+    id: "mean_burst_speed", label: "Avg peak speed (per burst)", unit: "m/s", icon: "bx-transfer",
+    category: "speed", decimals: 2, requires: motion,
+    compute: (p) => p.summary.meanBurstSpeed,
+  });
+  M.register({
+    id: "total_distance", label: "Total distance", unit: "m", icon: "bx-run",
+    category: "speed", decimals: 2, requires: motion, graph: "motion.totalDistance",
+    compute: (p) => p.summary.totalDistance,
+  });
+
+  // -------------------------
+  // Angular velocity
+  // -------------------------
+  const gyro = { signals: ["gyro"] };
+
+  M.register({
+    id: "peak_gyro", label: "Peak angular velocity", unit: "°/s", icon: "bx-rotate-right",
+    category: "angular", decimals: 1, requires: gyro, graph: "derived.gyroMagnitude",
+    compute: (p) => p.summary.peakGyro,
+  });
+  M.register({
+    id: "mean_gyro", label: "Mean angular velocity", unit: "°/s", icon: "bx-rotate-left",
+    category: "angular", decimals: 1, requires: gyro, graph: "derived.gyroMagnitudeSmooth",
+    compute: (p) => (p.summary.peakGyro == null ? null : mean(p.derived?.gyroMagnitude)),
+  });
+
+  // -------------------------
+  // Rhythm & repetitions (processed.rhythm; cadence from gait first)
+  // -------------------------
+  M.register({
+    id: "cadence", label: "Cadence", unit: "spm", icon: "bx-time-five",
+    category: "rhythm", decimals: 0, requires: accel,
+    compute: (p) => p.gait?.session?.summary.cadence ?? p.rhythm?.cadence,
+  });
+  M.register({
+    id: "rep_count", label: "Rep count", unit: "", icon: "bx-list-ol",
+    category: "rhythm", decimals: 0, requires: accel,
+    compute: (p) => p.rhythm?.repCount,
+  });
+  M.register({
+    id: "mean_rep_time", label: "Mean rep time", unit: "s", icon: "bx-timer",
+    category: "rhythm", decimals: 2, requires: accel,
+    compute: (p) => p.rhythm?.meanRepTime,
+  });
+
+  // -------------------------
+  // Session totals
+  // -------------------------
+  // |a| above this counts as active
+  const ACTIVE_G = 1.15;
+
+  M.register({
+    id: "total_duration", label: "Session duration", unit: "s", icon: "bx-time",
+    category: "session", decimals: 1,
+    compute: (p) => p.summary.duration,
+  });
+  M.register({
+    id: "active_time", label: "Active time", unit: "s", icon: "bx-walk",
+    category: "session", decimals: 1, requires: accel,
+    compute: (p) => {
+      const a = p.derived?.accelMagnitude;
+      if (!a?.length || !(p.sampleRate > 0)) return null;
+      let active = 0;
+      for (let i = 0; i < a.length; i++) if (a[i] > ACTIVE_G) active++;
+      return active / p.sampleRate;
+    },
+  });
+  M.register({
+    id: "total_impulse", label: "Total impulse", unit: "G·s", icon: "bx-pulse",
+    category: "session", decimals: 1, requires: accel,
+    compute: (p) => {
+      const a = p.derived?.accelMagnitude;
+      if (!a?.length || !(p.sampleRate > 0)) return null;
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) sum += a[i];
+      return sum / p.sampleRate;
+    },
+  });
+
+  // -------------------------
+  // Subject-scaled (computed by the pipeline with a roster subject)
+  // -------------------------
+  M.register({
+    id: "peak_power", label: "Peak power", unit: "W", icon: "bx-bolt-circle",
+    category: "subject", decimals: 0, requires: { signals: ["accel", "orientation", "mass"] },
+    compute: (p) => p.summary.peakPower,
+  });
+  M.register({
+    id: "mean_power", label: "Mean power", unit: "W", icon: "bx-bolt",
+    category: "subject", decimals: 0, requires: { signals: ["accel", "orientation", "mass"] },
+    compute: (p) => p.summary.meanPower,
+  });
+  M.register({
+    id: "stride_length", label: "Stride length", unit: "m", icon: "bx-ruler",
+    category: "subject", decimals: 2, requires: { signals: ["accel", "orientation", "legLength"] },
+    compute: (p) => p.summary.strideLength,
+  });
+})();
@@ -0,0 +1,55 @@
+// app/core/metrics/orientation.js
+// ------------------------------------------------------------
+// Built-in metrics: orientation and range of motion (MoveSyncMetrics)
+//
+// Segment angles of the sensor body from the fusion (processed.fusion
+// .euler, degrees). Ranges leave out the fusion warm-up (summary);
+// range of motion is MoveSyncImuRom's per-rep ROM of roll or pitch,
+// whichever moves most (processed.rom).
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const M = window.MoveSyncMetrics;
+  const orientation = { signals: ["accel", "gyro", "orientation"] };
+
+  function mean(arr) {
+    if (!arr?.length) return null;
+    let s = 0;
+    for (let i = 0; i < arr.length; i++) s += arr[i];
+    return s / arr.length;
+  }
+
+  M.registerCategory({
+    id: "orientation",
+    label: "Orientation",
+    note: "Orientation of the sensor body (segment angles). Joint angles need a second IMU per joint. Range of motion: reps of roll or pitch, whichever moves most; click an angle to go to that moment.",
+    order: 40,
+  });
+
+  M.register({
+    id: "mean_pitch", label: "Mean pitch", unit: "°", icon: "bx-trending-up",
+    category: "orientation", decimals: 1, requires: orientation, graph: "fusion.euler.pitch",
+    compute: (p) => mean(p.fusion?.euler?.pitch),
+  });
+  M.register({
+    id: "mean_roll", label: "Mean roll", unit: "°", icon: "bx-rotate-right",
+    category: "orientation", decimals: 1, requires: orientation, graph: "fusion.euler.roll",
+    compute: (p) => mean(p.fusion?.euler?.roll),
+  });
+  M.register({
+    id: "pitch_range", label: "Pitch range", unit: "°", icon: "bx-expand",
+    category: "orientation", decimals: 1, requires: orientation,
+    compute: (p) => p.summary.pitchRange,
+  });
+  M.register({
+    id: "roll_range", label: "Roll range", unit: "°", icon: "bx-expand",
+    category: "orientation", decimals: 1, requires: orientation,
+    compute: (p) => p.summary.rollRange,
+  });
+  M.register({
+    id: "range_of_motion", label: "Range of motion", unit: "°", icon: "bx-expand-horizontal",
+    category: "orientation", decimals: 1, requires: orientation,
+    compute: (p) => window.MoveSyncImuRom?.typicalRom(p.rom),
+  });
+})();
@@ -0,0 +1,798 @@
+// app/core/schema.js
+// ------------------------------------------------------------
+// Versioned data schema + migrations (MoveSyncSchema)
+//
+// Every load/import path runs documents through here:
+// - session-store.js  -> migrateProject / normalizeSession (runtime + IndexedDB)
+// - library.js        -> migrateExport (project export files)
+// - upload.js         -> migrateExport (draft import)
+// - sport-presets.js  -> migratePreset (localStorage + preset import)
+// - roster.js / store -> migrateSubject (athlete / subject roster)
+// - imu-mapping.js    -> migrateDeviceProfile / normalizeImuMapping
+// - imu-importers     -> normalizeImuDevice
+// - upload.js         -> normalizeImuUnits (IMU entry units / axes)
+// - imu-panel.js      -> normalizeImuResample, normalizeImuAlignment
+// - sensor-fusion.js  -> normalizeImuCalibration, normalizeImuFusion
+// - processing-settings.js -> normalizeImuProcessing (session + preset)
+// - imu-device-calibration.js -> normalizeImuDeviceCalibration
+// - imu-panel.js      -> normalizeImuGait (events saved per IMU entry)
+//
+// Each kind has a current version and an ordered list of steps
+// { from, to, describe, up(doc) }. Documents without a version are v1.
+// To add a version: bump CURRENT.<kind>, append a step. Old data and old
+// export files then upgrade automatically.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const CURRENT = {
+    project: 2,
+    preset: 1,
+    subject: 1,
+    deviceProfile: 1,
+    export: 2,
+  };
+
+  // Body segments a subject can carry (lengths in cm)
+  const SUBJECT_SEGMENTS = ["legLength", "thigh", "shank", "foot", "upperArm", "forearm", "trunk"];
+  const SUBJECT_DOMINANCE = ["right", "left", "both"];
+
+  // Custom session fields (definitions live in the store's meta)
+  const FIELD_TYPES = ["number", "enum", "date"];
+
+  // IMU column mapping: signals a CSV column can be assigned to, the units
+  // each sensor may be declared in ("auto" = as recorded) and time formats
+  const IMU_SIGNALS = ["time", "ax", "ay", "az", "gx", "gy", "gz", "mx", "my", "mz"];
+  const IMU_UNITS = {
+    acc: ["auto", "m/s2", "g", "mg"],
+    gyro: ["auto", "deg/s", "rad/s", "mdps"],
+    mag: ["auto", "uT", "nT", "gauss", "mgauss"],
+  };
+  const IMU_TIME_FORMATS = ["auto", "s", "ms", "us", "ns", "clock", "none"];
+  // Axis convention of an IMU ("left": Z reversed, converted on processing)
+  const IMU_AXES = ["right", "left"];
+  // Resampling onto a uniform grid before processing
+  const IMU_RESAMPLE_METHODS = ["none", "linear", "spline"];
+  // Cross-sensor alignment of a session's IMUs (MoveSyncImuAlignment)
+  const IMU_ALIGN_METHODS = ["events", "timestamps"];
+  // Sensor-to-segment calibration (MoveSyncImuCalibration)
+  const IMU_CALIBRATION_POSES = ["n-pose", "t-pose"];
+  const IMU_CALIBRATION_JOINTS = ["elbow", "wrist"];
+  // Orientation filters the pipeline can fuse with (fusion-filters.js)
+  const IMU_FUSION_FILTERS = ["madgwick", "mahony", "complementary", "eskf"];
+
+  // Export file "format" strings <-> export schema versions
+  const EXPORT_FORMATS = {
+    "movesync-project-draft-v1": 0,
+    "movesync-project-export-v1": 1,
+    "movesync-project-export-v2": 2,
+  };
+  const EXPORT_FORMAT_BY_VERSION = Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([k, v]) => [v, k]));
+
+  class SchemaError extends Error {
+    constructor(message, { issues = [], code = "invalid" } = {}) {
+      super(message);
+      this.name = "SchemaError";
+      this.code = code;
+      this.issues = issues;
+    }
+  }
+
+  // -------------------------
+  // Small helpers
+  // -------------------------
+  function isObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  function nowIso() {
+    return new Date().toISOString();
+  }
+
+  // ✅ safer id parsing (prevents undefined -> 0)
+  function parseId(v) {
+    if (v === null || v === undefined) return null;
+    if (typeof v === "string" && v.trim() === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  function runSteps(kind, doc, fromVersion) {
+    const target = CURRENT[kind];
+    let version = fromVersion;
+    let out = doc;
+
+    if (version > target) {
+      throw new SchemaError(
+        `This ${kind} was saved by a newer version of MoveSync (v${version}; this app reads up to v${target}).`,
+        { code: "too-new" }
+      );
+    }
+
+    while (version < target) {
+      const step = MIGRATIONS[kind].find((m) => m.from === version);
+      if (!step) throw new SchemaError(`No migration for ${kind} v${version} -> v${version + 1}.`, { code: "no-migration" });
+      out = step.up(out);
+      version = step.to;
+    }
+
+    return out;
+  }
+
+  // -------------------------
+  // Migrations
+  // -------------------------
+  const MIGRATIONS = {
+    project: [
+      {
+        from: 1,
+        to: 2,
+        describe: "Legacy single-IMU sessions (imuFile/csvText) become imus[]; timestamps become an array",
+        up(project) {
+          (project.sessions || []).forEach((s) => {
+            if (!isObject(s)) return;
+
+            if (!Array.isArray(s.imus) || !s.imus.length) {
+              const file = s.imuFile || (Array.isArray(s.imuFiles) ? s.imuFiles[0] : null) || null;
+              const csvText = String(s.csvText || s.imuText || "");
+              s.imus =
+                file || csvText
+                  ? [
+                      {
+                        id: "imu_1",
+                        label: String(s.csvName || file?.name || "IMU 1").replace(/\.csv$/i, "") || "IMU 1",
+                        file,
+                        csvText,
+                        skeletonNode: "",
+                      },
+                    ]
+                  : [];
+            }
+
+            if (!Array.isArray(s.timestamps)) s.timestamps = [];
+          });
+
+          project.schemaVersion = 2;
+          return project;
+        },
+      },
+    ],
+
+    preset: [],
+
+    subject: [],
+
+    deviceProfile: [],
+
+    export: [
+      {
+        from: 0,
+        to: 1,
+        describe: "Upload draft (structure only) -> project export v1",
+        up(doc) {
+          const exportedAt = doc.exportedAt || nowIso();
+          return {
+            format: EXPORT_FORMAT_BY_VERSION[1],
+            exportedAt,
+            project: {
+              name: doc.name,
+              notes: doc.notes,
+              createdAt: exportedAt,
+              updatedAt: exportedAt,
+              sessions: (Array.isArray(doc.sessions) ? doc.sessions : []).map((ss, i) => ({
+                id: ss?.id ?? i + 1,
+                name: ss?.name || `Session ${i + 1}`,
+                notes: ss?.notes || "",
+                createdAt: ss?.createdAt || exportedAt,
+                subjectId: ss?.subjectId ?? null,
+                tags: normalizeTags(ss?.tags),
+                fields: isObject(ss?.fields) ? ss.fields : {},
+                videoName: ss?.videoName || "",
+                imuNames: Array.isArray(ss?.imuNames) ? ss.imuNames : [],
+              })),
+            },
+          };
+        },
+      },
+      {
+        from: 1,
+        to: 2,
+        describe: "Project export v1 (no files) -> v2 (sessions carry assets)",
+        up(doc) {
+          const project = isObject(doc.project) ? doc.project : {};
+          return {
+            ...doc,
+            format: EXPORT_FORMAT_BY_VERSION[2],
+            project: {
+              ...project,
+              sessions: (Array.isArray(project.sessions) ? project.sessions : []).map((s) => ({
+                ...s,
+                assets: isObject(s?.assets) ? s.assets : { video: null, imus: [], missing: true },
+              })),
+            },
+          };
+        },
+      },
+    ],
+  };
+
+  // -------------------------
+  // Sessions / projects (runtime + IndexedDB)
+  // -------------------------
+
+  // In place: the runtime keeps references to session objects.
+  function normalizeSession(session) {
+    if (!session || typeof session !== "object") return session;
+
+    if (!Array.isArray(session.imuFiles)) {
+      if (session.imuFile) session.imuFiles = [session.imuFile].filter(Boolean);
+      else if (Array.isArray(session.imus)) session.imuFiles = session.imus.map((x) => x?.file).filter(Boolean);
+      else session.imuFiles = [];
+    }
+    if (!Array.isArray(session.imus)) session.imus = [];
+    session.imus.forEach((imu) => {
+      if (isObject(imu) && imu.mapping != null) imu.mapping = normalizeImuMapping(imu.mapping);
+      if (isObject(imu) && imu.device != null) imu.device = normalizeImuDevice(imu.device);
+      if (isObject(imu) && imu.units != null) imu.units = normalizeImuUnits(imu.units);
+      if (isObject(imu) && imu.axes != null) imu.axes = IMU_AXES.includes(imu.axes) ? imu.axes : "right";
+      if (isObject(imu) && imu.resample != null) imu.resample = normalizeImuResample(imu.resample);
+      if (isObject(imu) && imu.timing != null && !isObject(imu.timing)) imu.timing = null;
+      if (isObject(imu) && imu.processing != null && !isObject(imu.processing)) imu.processing = null;
+      if (isObject(imu) && imu.gait != null) imu.gait = normalizeImuGait(imu.gait);
+    });
+    if (session.imuAlignment != null) session.imuAlignment = normalizeImuAlignment(session.imuAlignment, session.imus.length);
+    if (session.imuCalibration != null) session.imuCalibration = normalizeImuCalibration(session.imuCalibration, session.imus.length);
+    if (session.imuFusion != null) session.imuFusion = normalizeImuFusion(session.imuFusion);
+    if (session.imuProcessing != null) session.imuProcessing = normalizeImuProcessing(session.imuProcessing);
+    if (!Array.isArray(session.timestamps)) session.timestamps = [];
+    if (session.subjectId === undefined || session.subjectId === "") session.subjectId = null;
+    session.tags = normalizeTags(session.tags);
+    if (!isObject(session.fields)) session.fields = {};
+
+    // keep numeric id if present
+    session.id = parseId(session.id) ?? session.id;
+
+    return session;
+  }
+
+  // Upgrades a stored project to CURRENT.project and fills defaults.
+  // Unknown fields are kept so newer features survive older normalizers.
+  function migrateProject(project) {
+    const p = isObject(project) ? project : {};
+    const version = Number.isFinite(p.schemaVersion) ? p.schemaVersion : 1;
+    const migrated = runSteps("project", { ...p, sessions: Array.isArray(p.sessions) ? p.sessions : [] }, version);
+
+    return {
+      ...migrated,
+      schemaVersion: CURRENT.project,
+      id: parseId(migrated.id), // null means "needs assignment"
+      name: String(migrated.name || "Untitled project"),
+      notes: String(migrated.notes || ""),
+      createdAt: migrated.createdAt || nowIso(),
+      updatedAt: migrated.updatedAt || nowIso(),
+      persist: migrated.persist !== false,
+      sessions: migrated.sessions.map(normalizeSession),
+    };
+  }
+
+  // -------------------------
+  // Presets
+  // -------------------------
+  function migratePreset(preset, { makeId } = {}) {
+    const o0 = isObject(preset) ? preset : {};
+    const version = Number.isFinite(o0.schemaVersion) ? o0.schemaVersion : 1;
+    const o = runSteps("preset", { ...o0 }, version);
+
+    const metrics = Array.isArray(o.metrics) ? o.metrics.filter(Boolean) : [];
+    const timestampTypes = Array.isArray(o.timestampTypes) ? o.timestampTypes.filter(Boolean) : [];
+
+    const windowBefore = Number.isFinite(Number(o.windowBefore)) ? Number(o.windowBefore) : 5;
+    const windowAfter = Number.isFinite(Number(o.windowAfter)) ? Number(o.windowAfter) : 3;
+
+    const newId = typeof makeId === "function" ? makeId : () => `sp_${Date.now().toString(36)}`;
+
+    return {
+      ...o,
+      schemaVersion: CURRENT.preset,
+      id: String(o.id || newId()),
+      name: String(o.name || "Untitled preset"),
+      defaultSensor: ["accel", "gyro", "mag"].includes(o.defaultSensor) ? o.defaultSensor : "accel",
+      overlayMode: ["minimal", "analysis"].includes(o.overlayMode) ? o.overlayMode : "minimal",
+      notes: String(o.notes || ""),
+      metrics,
+      timestampTypes,
+      windowBefore: Math.max(0, Math.round(windowBefore)),
+      windowAfter: Math.max(0, Math.round(windowAfter)),
+      processing: normalizeImuProcessing(o.processing),
+      createdAt: o.createdAt || nowIso(),
+      updatedAt: o.updatedAt || nowIso(),
+    };
+  }
+
+  // Validates an imported preset list (readable issues, no throw for soft problems)
+  function validatePresetList(list) {
+    const issues = [];
+    if (!Array.isArray(list)) {
+      issues.push("Expected a JSON array of presets.");
+      return issues;
+    }
+    list.forEach((p, i) => {
+      const at = `preset[${i}]`;
+      if (!isObject(p)) return issues.push(`${at}: is not an object.`);
+      if (p.name != null && typeof p.name !== "string") issues.push(`${at}.name: must be text.`);
+      if (p.metrics != null && !Array.isArray(p.metrics)) issues.push(`${at}.metrics: must be a list.`);
+      if (p.timestampTypes != null && !Array.isArray(p.timestampTypes)) issues.push(`${at}.timestampTypes: must be a list.`);
+      if (Number.isFinite(p.schemaVersion) && p.schemaVersion > CURRENT.preset) {
+        issues.push(`${at}: saved by a newer MoveSync (v${p.schemaVersion}).`);
+      }
+    });
+    return issues;
+  }
+
+  // -------------------------
+  // Tags + custom fields
+  // -------------------------
+  // Tags are lower-case, single words ("Long Jump" -> "long-jump"), unique.
+  function normalizeTag(tag) {
+    return String(tag ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      .replace(/[^\p{L}\p{N}_.-]/gu, "");
+  }
+
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+  }
+
+  // Field keys double as query keys, so they follow the same rules as tags.
+  function normalizeFieldDef(def) {
+    const d = isObject(def) ? def : {};
+    const key = normalizeTag(d.key || d.label).replace(/[.-]/g, "_");
+    if (!key) throw new SchemaError("Field needs a name.", { code: "invalid-field" });
+
+    const type = FIELD_TYPES.includes(d.type) ? d.type : "number";
+    const options = type === "enum" ? normalizeTags(d.options) : [];
+
+    return {
+      ...d,
+      key,
+      label: String(d.label || key),
+      type,
+      options,
+      unit: type === "number" ? String(d.unit || "") : "",
+    };
+  }
+
+  // Raw input -> stored value for a field, or null when empty/invalid.
+  // Dates are stored as YYYY-MM-DD.
+  function coerceFieldValue(def, raw) {
+    if (raw === null || raw === undefined || raw === "") return null;
+
+    if (def?.type === "number") {
+      const n = Number(raw);
+      return Number.isFinite(n) ? n : null;
+    }
+    if (def?.type === "enum") {
+      const v = normalizeTag(raw);
+      return def.options?.includes(v) ? v : null;
+    }
+    if (def?.type === "date") {
+      const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(raw));
+      if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+      const d = new Date(raw);
+      return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+    }
+    return null;
+  }
+
+  // -------------------------
+  // Subjects (athlete roster)
+  // -------------------------
+  function positiveOrNull(v) {
+    if (v === null || v === undefined || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  function migrateSubject(subject, { makeId } = {}) {
+    const o0 = isObject(subject) ? subject : {};
+    const version = Number.isFinite(o0.schemaVersion) ? o0.schemaVersion : 1;
+    const o = runSteps("subject", { ...o0 }, version);
+
+    const newId = typeof makeId === "function" ? makeId : () => `subj_${Date.now().toString(36)}`;
+    const segIn = isObject(o.segmentsCm) ? o.segmentsCm : {};
+    const segmentsCm = {};
+    SUBJECT_SEGMENTS.forEach((k) => (segmentsCm[k] = positiveOrNull(segIn[k])));
+
+    return {
+      ...o,
+      schemaVersion: CURRENT.subject,
+      id: String(o.id || newId()),
+      name: String(o.name || "Unnamed subject"),
+      sport: String(o.sport || ""),
+      dominance: SUBJECT_DOMINANCE.includes(o.dominance) ? o.dominance : "",
+      massKg: positiveOrNull(o.massKg),
+      heightCm: positiveOrNull(o.heightCm),
+      segmentsCm,
+      notes: String(o.notes || ""),
+      createdAt: o.createdAt || nowIso(),
+      updatedAt: o.updatedAt || nowIso(),
+    };
+  }
+
+  // -------------------------
+  // IMU column mappings + device profiles
+  // -------------------------
+  // mapping: { columns: { time: "Header" | null, ax: ..., mz: ... },
+  //            units: { acc, gyro, mag }, timeFormat, sampleRate }
+  function normalizeImuMapping(mapping) {
+    const m = isObject(mapping) ? mapping : {};
+    const colsIn = isObject(m.columns) ? m.columns : {};
+
+    const columns = {};
+    IMU_SIGNALS.forEach((k) => {
+      const v = colsIn[k];
+      columns[k] = typeof v === "string" && v.trim() ? v : null;
+    });
+
+    return {
+      columns,
+      units: normalizeImuUnits(m.units),
+      timeFormat: IMU_TIME_FORMATS.includes(m.timeFormat) ? m.timeFormat : "auto",
+      sampleRate: positiveOrNull(m.sampleRate) || 100,
+    };
+  }
+
+  // { acc, gyro, mag } -> allowed unit each, "auto" otherwise. Used by
+  // mappings and by the units declared on a session's IMU entry.
+  function normalizeImuUnits(units) {
+    const u = isObject(units) ? units : {};
+    const out = {};
+    Object.entries(IMU_UNITS).forEach(([k, allowed]) => {
+      out[k] = allowed.includes(u[k]) ? u[k] : "auto";
+    });
+    return out;
+  }
+
+  // { method, rate }: rate null = the recording's nominal rate
+  function normalizeImuResample(resample) {
+    const r = isObject(resample) ? resample : {};
+    return {
+      method: IMU_RESAMPLE_METHODS.includes(r.method) ? r.method : "none",
+      rate: positiveOrNull(r.rate),
+    };
+  }
+
+  // Session-level { method, reference, rate, start, end, sensors, alignedAt }
+  // with sensors[i] = { offset, drift, score } | null per IMU index. Null
+  // when it no longer fits the session (IMUs added or removed).
+  function normalizeImuAlignment(alignment, imuCount) {
+    const a = isObject(alignment) ? alignment : null;
+    if (!a || !Array.isArray(a.sensors) || a.sensors.length !== imuCount) return null;
+
+    const num = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+    const rate = positiveOrNull(a.rate);
+    const start = num(a.start);
+    const end = num(a.end);
+    if (!rate || start === null || !(end > start)) return null;
+
+    const reference = Number(a.reference);
+    return {
+      method: IMU_ALIGN_METHODS.includes(a.method) ? a.method : "events",
+      reference: Number.isInteger(reference) && reference >= 0 && reference < imuCount ? reference : 0,
+      rate,
+      start,
+      end,
+      sensors: a.sensors.map((x) =>
+        isObject(x) && num(x.offset) !== null
+          ? { offset: num(x.offset), drift: num(x.drift) ?? 0, score: num(x.score) }
+          : null
+      ),
+      alignedAt: typeof a.alignedAt === "string" ? a.alignedAt : null,
+    };
+  }
+
+  // Session-level { pose, start, end, sensors, joints, calibratedAt }:
+  // sensors[i] = { quat: [w, x, y, z] (sensor-to-segment), spread } | null
+  // per IMU index, joints[] = { joint, proximal, distal, start, end, axis,
+  // ratio } from functional movements. Null when it no longer fits the
+  // session (IMUs added or removed).
+  function normalizeImuCalibration(calibration, imuCount) {
+    const c = isObject(calibration) ? calibration : null;
+    if (!c || !Array.isArray(c.sensors) || c.sensors.length !== imuCount) return null;
+
+    const num = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+    const unit = (v, size) => {
+      if (!Array.isArray(v) || v.length !== size || v.some((x) => num(x) === null)) return null;
+      const n = Math.hypot(...v.map(Number));
+      return n > 0 ? v.map((x) => Number(x) / n) : null;
+    };
+    const index = (v) => (Number.isInteger(v) && v >= 0 && v < imuCount ? v : null);
+
+    const sensors = c.sensors.map((x) => {
+      const quat = isObject(x) ? unit(x.quat, 4) : null;
+      return quat ? { quat, spread: num(x.spread) } : null;
+    });
+    if (!sensors.some(Boolean)) return null;
+
+    const joints = (Array.isArray(c.joints) ? c.joints : [])
+      .map((j) => {
+        if (!isObject(j) || !IMU_CALIBRATION_JOINTS.includes(j.joint)) return null;
+        const proximal = index(j.proximal);
+        const distal = index(j.distal);
+        const axis = unit(j.axis, 3);
+        if (proximal === null || distal === null || proximal === distal || !axis) return null;
+        return { joint: j.joint, proximal, distal, start: num(j.start), end: num(j.end), axis, ratio: num(j.ratio) };
+      })
+      .filter(Boolean);
+
+    return {
+      pose: IMU_CALIBRATION_POSES.includes(c.pose) ? c.pose : "n-pose",
+      start: num(c.start),
+      end: num(c.end),
+      sensors,
+      joints,
+      calibratedAt: typeof c.calibratedAt === "string" ? c.calibratedAt : null,
+    };
+  }
+
+  // Session-level orientation filter { filter, params }: params keep the
+  // finite numbers only; fusion-filters.js fills in and clamps the rest.
+  // Null for an unknown filter (the pipeline's default applies).
+  function normalizeImuFusion(fusion) {
+    const f = isObject(fusion) ? fusion : null;
+    if (!f || !IMU_FUSION_FILTERS.includes(f.filter)) return null;
+
+    const params = {};
+    Object.entries(isObject(f.params) ? f.params : {}).forEach(([k, v]) => {
+      if (v !== null && v !== "" && Number.isFinite(Number(v))) params[k] = Number(v);
+    });
+    return { filter: f.filter, params };
+  }
+
+  // Processing settings of a session (imuProcessing) or sport preset
+  // (processing): { LP_CUTOFF_HZ: 15, ... } overrides of the pipeline's
+  // CFG. Keeps finite numbers and short lowercase choices under CFG-style
+  // keys; the pipeline clamps / checks them (imu-pipeline.js SETTINGS).
+  // Null when nothing is overridden.
+  function normalizeImuProcessing(settings) {
+    const out = {};
+    Object.entries(isObject(settings) ? settings : {}).forEach(([k, v]) => {
+      if (!/^[A-Z][A-Z0-9_]*$/.test(k) || v === null || v === "") return;
+      if (Number.isFinite(Number(v))) out[k] = Number(v);
+      else if (typeof v === "string" && /^[a-z][a-z0-9_-]{0,31}$/.test(v)) out[k] = v;
+    });
+    return Object.keys(out).length ? out : null;
+  }
+
+  // Gait events of a shank / foot IMU (MoveSyncImuGait.toStored):
+  // { leg, axis, sign, ic, to, timeline } with ic[k] / to[k] in seconds
+  // around the k-th swing. Null without a leg or with unpaired events.
+  function normalizeImuGait(gait) {
+    const g = isObject(gait) ? gait : null;
+    if (!g || !["left", "right"].includes(g.leg)) return null;
+
+    const times = (a) => (Array.isArray(a) ? a.map(Number) : []);
+    const ic = times(g.ic);
+    const to = times(g.to);
+    if (ic.length !== to.length || ![...ic, ...to].every(Number.isFinite)) return null;
+
+    return {
+      leg: g.leg,
+      axis: ["x", "y", "z"].includes(g.axis) ? g.axis : null,
+      sign: g.sign === -1 ? -1 : 1,
+      ic,
+      to,
+      timeline: isObject(g.timeline) ? g.timeline : null,
+    };
+  }
+
+  // Six-position accelerometer calibration saved per device serial
+  // (MoveSyncImuDeviceCalibration): a' = (a - bias) / scale per axis
+  function normalizeImuDeviceCalibration(calibration) {
+    const c = isObject(calibration) ? calibration : null;
+    const serial = c?.serial == null ? "" : String(c.serial).trim();
+    if (!serial) return null;
+
+    const num = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+    const vec = (v, ok) => (Array.isArray(v) && v.length === 3 && v.every((x) => num(x) !== null && ok(Number(x))) ? v.map(Number) : null);
+    const bias = vec(c.acc?.bias, () => true);
+    const scale = vec(c.acc?.scale, (x) => x > 0);
+    if (!bias || !scale) return null;
+
+    return {
+      serial,
+      label: c.label == null || String(c.label).trim() === "" ? null : String(c.label).trim(),
+      acc: { bias, scale, residual: num(c.acc.residual) },
+      calibratedAt: typeof c.calibratedAt === "string" ? c.calibratedAt : null,
+    };
+  }
+
+  // Recording device named by a vendor importer: { vendor, model, serial }
+  function normalizeImuDevice(device) {
+    const d = isObject(device) ? device : {};
+    const text = (v) => (v == null || String(v).trim() === "" ? null : String(v).trim());
+    return { vendor: text(d.vendor), model: text(d.model), serial: text(d.serial) };
+  }
+
+  function migrateDeviceProfile(profile, { makeId } = {}) {
+    const o0 = isObject(profile) ? profile : {};
+    const version = Number.isFinite(o0.schemaVersion) ? o0.schemaVersion : 1;
+    const o = runSteps("deviceProfile", { ...o0 }, version);
+
+    const newId = typeof makeId === "function" ? makeId : () => `dp_${Date.now().toString(36)}`;
+
+    return {
+      ...o,
+      ...normalizeImuMapping(o),
+      schemaVersion: CURRENT.deviceProfile,
+      id: String(o.id || newId()),
+      name: String(o.name || "Unnamed device"),
+      headers: Array.isArray(o.headers) ? o.headers.map((h) => String(h ?? "")) : [],
+      createdAt: o.createdAt || nowIso(),
+      updatedAt: o.updatedAt || nowIso(),
+    };
+  }
+
+  // -------------------------
+  // Export files
+  // -------------------------
+  function exportVersionOf(doc) {
+    if (!isObject(doc)) return null;
+    const v = EXPORT_FORMATS[doc.format];
+    if (Number.isInteger(v)) return v;
+
+    // Forward-compatible: "movesync-project-export-vN"
+    const m = /^movesync-project-export-v(\d+)$/.exec(String(doc.format || ""));
+    return m ? Number(m[1]) : null;
+  }
+
+  function validateExport(doc) {
+    const issues = [];
+    const project = doc?.project;
+
+    if (!isObject(project)) {
+      issues.push('Missing "project" object.');
+      return issues;
+    }
+    if (project.name != null && typeof project.name !== "string") issues.push("project.name: must be text.");
+    if (!Array.isArray(project.sessions)) {
+      issues.push("project.sessions: must be a list.");
+      return issues;
+    }
+
+    // Optional: field definitions used by the sessions (added without a version bump)
+    if (doc.fieldDefs != null) {
+      if (!Array.isArray(doc.fieldDefs)) issues.push("fieldDefs: must be a list.");
+      else {
+        doc.fieldDefs.forEach((def, i) => {
+          if (!isObject(def) || !(def.key || def.label)) issues.push(`fieldDefs[${i}]: missing "key".`);
+        });
+      }
+    }
+
+    // Optional: subjects referenced by the sessions (added without a version bump)
+    if (doc.subjects != null) {
+      if (!Array.isArray(doc.subjects)) issues.push("subjects: must be a list.");
+      else {
+        doc.subjects.forEach((sub, i) => {
+          if (!isObject(sub)) issues.push(`subjects[${i}]: is not an object.`);
+          else if (!sub.id) issues.push(`subjects[${i}]: missing "id".`);
+        });
+      }
+    }
+
+    project.sessions.forEach((s, i) => {
+      const at = `project.sessions[${i}]`;
+      if (!isObject(s)) return issues.push(`${at}: is not an object.`);
+
+      const assets = s.assets;
+      if (!isObject(assets)) return issues.push(`${at}.assets: missing.`);
+
+      const v = assets.video;
+      if (v != null) {
+        if (!isObject(v)) issues.push(`${at}.assets.video: must be an object or null.`);
+        else if (!v.name) issues.push(`${at}.assets.video: missing "name".`);
+        else if (v.base64 != null && typeof v.base64 !== "string") issues.push(`${at}.assets.video.base64: must be text.`);
+      }
+
+      if (assets.imus != null && !Array.isArray(assets.imus)) {
+        issues.push(`${at}.assets.imus: must be a list.`);
+      } else {
+        (assets.imus || []).forEach((ia, j) => {
+          const iat = `${at}.assets.imus[${j}]`;
+          if (!isObject(ia)) return issues.push(`${iat}: is not an object.`);
+          if (!ia.name) issues.push(`${iat}: missing "name".`);
+          // Binary vendor recordings (.cwa, .zip) travel as base64
+          if (!ia.omitted && typeof ia.text !== "string" && typeof ia.base64 !== "string") {
+            issues.push(`${iat}: missing CSV "text" (and not marked omitted).`);
+          }
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  // Upgrades any known export/draft file to the current export format and
+  // validates it. Throws SchemaError (code "unknown-format" | "too-new" |
+  // "invalid") with readable issues.
+  function migrateExport(doc, { assumeFormat } = {}) {
+    if (!isObject(doc)) throw new SchemaError("The file does not contain a JSON object.", { code: "invalid" });
+
+    let input = doc;
+    let version = exportVersionOf(doc);
+
+    if (version == null && assumeFormat) {
+      input = { format: assumeFormat, project: doc.project || doc };
+      version = exportVersionOf(input);
+    }
+    if (version == null) {
+      throw new SchemaError("This file is not a MoveSync project export.", { code: "unknown-format" });
+    }
+
+    const out = runSteps("export", input, version);
+    const issues = validateExport(out);
+    if (issues.length) {
+      throw new SchemaError(`The project file has ${issues.length} problem${issues.length === 1 ? "" : "s"}.`, {
+        code: "invalid",
+        issues,
+      });
+    }
+
+    return { doc: out, fromVersion: version, fromFormat: input.format };
+  }
+
+  function formatError(e) {
+    if (!(e instanceof SchemaError)) return String(e?.message || e || "Unknown error");
+    const shown = e.issues.slice(0, 8).map((x) => `- ${x}`);
+    if (e.issues.length > shown.length) shown.push(`- …and ${e.issues.length - shown.length} more`);
+    return shown.length ? `${e.message}\n${shown.join("\n")}` : e.message;
+  }
+
+  window.MoveSyncSchema = {
+    CURRENT,
+    EXPORT_FORMATS,
+    currentExportFormat: () => EXPORT_FORMAT_BY_VERSION[CURRENT.export],
+    MIGRATIONS,
+    SchemaError,
+    SUBJECT_SEGMENTS,
+    FIELD_TYPES,
+    IMU_SIGNALS,
+    IMU_UNITS,
+    IMU_TIME_FORMATS,
+    IMU_AXES,
+    IMU_RESAMPLE_METHODS,
+    IMU_ALIGN_METHODS,
+    IMU_CALIBRATION_POSES,
+    IMU_CALIBRATION_JOINTS,
+    IMU_FUSION_FILTERS,
+
+    parseId,
+    normalizeSession,
+    migrateProject,
+    migratePreset,
+    validatePresetList,
+    migrateSubject,
+    normalizeImuMapping,
+    normalizeImuUnits,
+    normalizeImuResample,
+    normalizeImuAlignment,
+    normalizeImuCalibration,
+    normalizeImuFusion,
+    normalizeImuProcessing,
+    normalizeImuDeviceCalibration,
+    normalizeImuGait,
+    normalizeImuDevice,
+    migrateDeviceProfile,
+    normalizeTag,
+    normalizeTags,
+    normalizeFieldDef,
+    coerceFieldValue,
+    migrateExport,
+    validateExport,
+    formatError,
+  };
+})();
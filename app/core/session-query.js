@@ -0,0 +1,220 @@
+// app/core/session-query.js
+// ------------------------------------------------------------
+// Session query language (used through MoveSyncSessionStore)
+//
+//   tag:sprint surface:grass date>2026-09-01 -tag:warmup "hill run"
+//
+// - Words are AND-ed. A leading "-" negates a term.
+// - Bare words / "quoted text" match name, notes, project, subject,
+//   preset, tags, file names and field values (substring, any case).
+// - key:value  equals (text keys: contains; dates: prefix, e.g. 2026-09)
+// - key>value, key>=value, key<value, key<=value  for numbers and dates
+//
+// Built-in keys: tag, name, project, subject, preset, date (session
+// created), has (video | imu | subject | timestamps | notes).
+// Any other key must be a custom field (number, enum or date).
+//
+// parse() never throws: problems come back in `errors` and the
+// offending term is left out, so half-typed queries still filter.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const schema = window.MoveSyncSchema;
+
+  const TEXT_KEYS = ["name", "project", "subject", "preset"];
+  const HAS_VALUES = ["video", "imu", "subject", "timestamps", "notes"];
+
+  // -?  key op  value|"quoted value"
+  const TOKEN_RE = /(-?)(?:([\p{L}\p{N}_]+)(>=|<=|:|>|<|=))?(?:"([^"]*)"?|(\S+))/gu;
+
+  function isDateValue(v) {
+    return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v);
+  }
+
+  function dayOf(iso) {
+    const d = iso ? new Date(iso) : null;
+    if (!d || Number.isNaN(d.getTime())) return null;
+    // Local calendar day, to match what the user sees in the UI
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  // -------------------------
+  // Parse
+  // -------------------------
+  function parse(text, { fieldDefs = [] } = {}) {
+    const source = String(text || "");
+    const defs = new Map(fieldDefs.map((d) => [d.key, d]));
+    const terms = [];
+    const errors = [];
+
+    for (const m of source.matchAll(TOKEN_RE)) {
+      const negate = m[1] === "-";
+      const rawKey = m[2] ? m[2].toLowerCase() : null;
+      const op = m[3] === "=" ? ":" : m[3] || null;
+      const value = (m[4] ?? m[5] ?? "").trim();
+      const token = m[0];
+
+      if (!rawKey) {
+        // "tag:" while typing
+        if (/^[\p{L}\p{N}_]+(>=|<=|:|>|<|=)$/u.test(value)) errors.push(`"${token}": missing value.`);
+        else if (value) terms.push({ kind: "text", negate, value: value.toLowerCase() });
+        continue;
+      }
+      if (!value) {
+        errors.push(`"${token}": missing value.`);
+        continue;
+      }
+
+      const term = checkTerm(rawKey, op, value, defs);
+      if (term.error) errors.push(`"${token}": ${term.error}`);
+      else terms.push({ ...term, negate });
+    }
+
+    return { text: source, terms, errors, isEmpty: terms.length === 0 };
+  }
+
+  function checkTerm(key, op, value, defs) {
+    const isCompare = op !== ":";
+
+    if (key === "tag") {
+      if (isCompare) return { error: "tags can only be matched with \":\"." };
+      return { kind: "tag", key, op, value: schema.normalizeTag(value) };
+    }
+
+    if (TEXT_KEYS.includes(key)) {
+      if (isCompare) return { error: `${key} can only be matched with ":".` };
+      return { kind: "text-key", key, op, value: value.toLowerCase() };
+    }
+
+    if (key === "has") {
+      const v = value.toLowerCase();
+      if (isCompare || !HAS_VALUES.includes(v)) return { error: `use has:${HAS_VALUES.join(" | has:")}.` };
+      return { kind: "has", key, op, value: v };
+    }
+
+    if (key === "date") {
+      if (!isDateValue(value)) return { error: "dates look like 2026-09-01." };
+      return { kind: "date", key, op, value, source: "createdAt" };
+    }
+
+    const def = defs.get(key);
+    if (!def) return { error: `unknown field "${key}".` };
+
+    if (def.type === "number") {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return { error: `${def.label} is a number.` };
+      return { kind: "number", key, op, value: n };
+    }
+
+    if (def.type === "date") {
+      if (!isDateValue(value)) return { error: "dates look like 2026-09-01." };
+      return { kind: "date", key, op, value, source: "field" };
+    }
+
+    // enum
+    if (isCompare) return { error: `${def.label} can only be matched with ":".` };
+    const v = schema.normalizeTag(value);
+    if (def.options.length && !def.options.includes(v)) {
+      return { error: `${def.label} is one of ${def.options.join(", ")}.` };
+    }
+    return { kind: "enum", key, op, value: v };
+  }
+
+  // -------------------------
+  // Match
+  // -------------------------
+  function compare(a, op, b) {
+    if (op === ">") return a > b;
+    if (op === ">=") return a >= b;
+    if (op === "<") return a < b;
+    if (op === "<=") return a <= b;
+    return a === b;
+  }
+
+  // Date prefixes ("2026-09") compare against the same precision.
+  function compareDate(day, op, value) {
+    if (!day) return false;
+    const d = day.slice(0, value.length);
+    return op === ":" ? d === value : compare(d, op, value);
+  }
+
+  function haystack(session, { project, subject }) {
+    const files = [
+      session.videoFile?.name,
+      ...(session.imuFiles || []).map((f) => f?.name),
+    ];
+    return [
+      session.name,
+      session.notes,
+      project?.name,
+      subject?.name,
+      session.presetName,
+      ...(session.tags || []),
+      ...Object.values(session.fields || {}),
+      ...files,
+    ]
+      .filter((x) => x != null && x !== "")
+      .join(" ")
+      .toLowerCase();
+  }
+
+  function has(session, what, ctx) {
+    if (what === "video") return !!session.videoFile;
+    if (what === "imu") return (session.imuFiles || []).length > 0 || (session.imus || []).some((i) => i?.file || i?.csvText);
+    if (what === "subject") return !!ctx.subject;
+    if (what === "timestamps") return (session.timestamps || []).length > 0;
+    if (what === "notes") return !!String(session.notes || "").trim();
+    return false;
+  }
+
+  function testTerm(term, session, ctx, getText) {
+    switch (term.kind) {
+      case "text":
+        return getText().includes(term.value);
+      case "tag":
+        return (session.tags || []).includes(term.value);
+      case "text-key": {
+        const v = term.key === "project" ? ctx.project?.name
+          : term.key === "subject" ? ctx.subject?.name
+          : term.key === "preset" ? session.presetName
+          : session.name;
+        return String(v || "").toLowerCase().includes(term.value);
+      }
+      case "has":
+        return has(session, term.value, ctx);
+      case "date":
+        return compareDate(
+          term.source === "field" ? session.fields?.[term.key] : dayOf(session.createdAt),
+          term.op,
+          term.value
+        );
+      case "number": {
+        const v = session.fields?.[term.key];
+        return Number.isFinite(v) && compare(v, term.op, term.value);
+      }
+      case "enum":
+        return session.fields?.[term.key] === term.value;
+      default:
+        return true;
+    }
+  }
+
+  // ctx: { project, subject } for the session (optional)
+  function matches(parsed, session, ctx = {}) {
+    if (!parsed || parsed.isEmpty) return true;
+    if (!session) return false;
+
+    let text = null;
+    const getText = () => (text ??= haystack(session, ctx));
+
+    return parsed.terms.every((term) => testTerm(term, session, ctx, getText) !== term.negate);
+  }
+
+  window.MoveSyncQuery = {
+    parse,
+    matches,
+    HAS_VALUES,
+  };
+})();
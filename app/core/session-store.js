@@ -1,13 +1,32 @@
 // app/core/session-store.js
 // ------------------------------------------------------------
-// Ephemeral storage (in-memory only)
-// Supports: Projects -> Sessions
+// Runtime store (in-memory) with durable IndexedDB persistence
+// Supports: Projects -> Sessions (tags + custom fields), plus the subject (athlete) roster
+//
+// - The runtime tree in window.MoveSync.runtime.sessionViewer stays the
+//   source of truth for the UI; IndexedDB is a write-behind mirror.
+// - Video / CSV File objects are stored as Blobs in their own object store
+//   and referenced from the project record, so metadata edits (timestamps,
+//   names) never rewrite large files.
+// - Projects can opt out (project.persist === false): they stay in memory
+//   for this tab only and are removed from the database.
+// - Other tabs are told about each flush (window.MoveSyncTabSync) and
+//   re-read the changed records; record revisions catch concurrent edits.
 // ------------------------------------------------------------
 (() => {
   "use strict";
 
   const LEGACY_DB_NAME = "movesync-db";
 
+  const DB_NAME = "movesync-store";
+  const DB_VERSION = 2;
+  const STORE_PROJECTS = "projects";
+  const STORE_BLOBS = "blobs";
+  const STORE_META = "meta";
+  const STORE_SUBJECTS = "subjects"; // v2: athlete / subject roster
+
+  const PERSIST_DEBOUNCE_MS = 400;
+
   function ensureRuntime() {
     window.MoveSync = window.MoveSync || {};
     window.MoveSync.runtime = window.MoveSync.runtime || {};
@@ -25,6 +44,9 @@
     rt.activeSession = rt.activeSession || null;
     rt.activeSessionRef = rt.activeSessionRef || null;
 
+    rt.subjects = Array.isArray(rt.subjects) ? rt.subjects : [];
+    rt.fieldDefs = Array.isArray(rt.fieldDefs) ? rt.fieldDefs : [];
+
     return rt;
   }
 
@@ -38,43 +60,17 @@
     } catch {}
   }
 
-  // ✅ safer id parsing (prevents undefined -> 0)
-  function parseId(v) {
-    if (v === null || v === undefined) return null;
-    if (typeof v === "string" && v.trim() === "") return null;
-    const n = Number(v);
-    return Number.isFinite(n) && n > 0 ? n : null;
-  }
-
-  function normalizeSession(session) {
-    if (!session || typeof session !== "object") return session;
-
-    if (!Array.isArray(session.imuFiles)) {
-      if (session.imuFile) session.imuFiles = [session.imuFile].filter(Boolean);
-      else if (Array.isArray(session.imus)) session.imuFiles = session.imus.map((x) => x?.file).filter(Boolean);
-      else session.imuFiles = [];
-    }
-    if (!Array.isArray(session.imus)) session.imus = [];
-
-    // keep numeric id if present
-    session.id = parseId(session.id) ?? session.id;
-
-    return session;
-  }
+  // Shape + migrations live in schema.js (loaded first).
+  const schema = window.MoveSyncSchema;
+  if (!schema) console.error("[SessionStore] MoveSyncSchema missing. Did schema.js load?");
 
-  function normalizeProject(project) {
-    const p = project && typeof project === "object" ? project : {};
-    const sessions = Array.isArray(p.sessions) ? p.sessions.map(normalizeSession) : [];
-    const id = parseId(p.id);
+  const parseId = (v) => schema.parseId(v);
+  const normalizeSession = (session) => schema.normalizeSession(session);
+  const normalizeProject = (project) => schema.migrateProject(project);
+  const normalizeSubject = (subject) => schema.migrateSubject(subject, { makeId: makeSubjectId });
 
-    return {
-      id, // null means "needs assignment"
-      name: String(p.name || "Untitled project"),
-      notes: String(p.notes || ""),
-      createdAt: p.createdAt || new Date().toISOString(),
-      updatedAt: p.updatedAt || new Date().toISOString(),
-      sessions,
-    };
+  function makeSubjectId() {
+    return `subj_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
   }
 
   // Ensure each session carries a stable reference back to its project.
@@ -108,6 +104,12 @@
   function emitProjectsChanged() {
     document.dispatchEvent(new CustomEvent("movesync:projects-changed", { detail: { at: Date.now() } }));
   }
+  function emitSubjectsChanged() {
+    document.dispatchEvent(new CustomEvent("movesync:subjects-changed", { detail: { at: Date.now() } }));
+  }
+  function emitFieldsChanged() {
+    document.dispatchEvent(new CustomEvent("movesync:fields-changed", { detail: { at: Date.now() } }));
+  }
   function emitSessionsChanged(rt) {
     document.dispatchEvent(new CustomEvent("movesync:sessions-changed", { detail: { at: Date.now() } }));
     document.dispatchEvent(
@@ -115,12 +117,864 @@
     );
   }
 
+  // ============================================================
+  // IndexedDB persistence
+  // ============================================================
+  let dbPromise = null;
+  let dbLoadPromise = null;
+  let persistTimer = null;
+  let persistRunning = null;
+  let storageError = null;
+  let persistRequested = false;
+
+  const dirtyProjectIds = new Set();
+  let mutationCount = 0;
+  const removedProjectIds = new Set();
+  let metaDirty = false;
+  let subjectsDirty = false;
+  let fieldDefsDirty = false;
+
+  // File/Blob -> key it was last written under (avoids rewriting large files)
+  const persistedBlobs = new WeakMap();
+
+  // Project id -> record revision this tab last read or wrote. A higher
+  // revision in the database means another tab wrote in between.
+  const knownRevisions = new Map();
+
+  function hasIndexedDb() {
+    try {
+      return "indexedDB" in window && !!window.indexedDB;
+    } catch {
+      return false;
+    }
+  }
+
+  function reqToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+      tx.onerror = () => reject(tx.error || new Error("IndexedDB transaction failed"));
+    });
+  }
+
+  function openDb() {
+    if (!hasIndexedDb()) return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {
+        console.warn("[SessionStore] indexedDB.open failed:", e);
+        resolve(null);
+        return;
+      }
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_PROJECTS)) {
+          db.createObjectStore(STORE_PROJECTS, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(STORE_BLOBS)) {
+          const blobs = db.createObjectStore(STORE_BLOBS, { keyPath: "key" });
+          blobs.createIndex("projectId", "projectId", { unique: false });
+        }
+        if (!db.objectStoreNames.contains(STORE_META)) {
+          db.createObjectStore(STORE_META);
+        }
+        if (!db.objectStoreNames.contains(STORE_SUBJECTS)) {
+          db.createObjectStore(STORE_SUBJECTS, { keyPath: "id" });
+        }
+      };
+
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      req.onerror = () => {
+        console.warn("[SessionStore] IndexedDB unavailable:", req.error);
+        resolve(null);
+      };
+      req.onblocked = () => {
+        console.warn("[SessionStore] IndexedDB open blocked by another tab.");
+      };
+    });
+
+    return dbPromise;
+  }
+
+  function isBlob(v) {
+    return typeof Blob !== "undefined" && v instanceof Blob;
+  }
+
+  // Project record <-> runtime project
+  // Blobs are swapped for { $blob: key, ... } references on the way in
+  // and restored as File objects on the way out.
+  function serializeProject(project) {
+    const pid = project.id;
+    const blobs = [];
+    const keysByFile = new Map();
+
+    const refFor = (file, key) => {
+      if (!isBlob(file)) return file ?? null;
+      let k = keysByFile.get(file);
+      if (!k) {
+        k = key;
+        keysByFile.set(file, k);
+        blobs.push({ key: k, projectId: pid, file });
+      }
+      return {
+        $blob: k,
+        name: file.name || "",
+        type: file.type || "",
+        size: file.size || 0,
+        lastModified: file.lastModified || 0,
+      };
+    };
+
+    const sessions = (project.sessions || []).map((sess) => {
+      const sid = sess?.id;
+      const base = `${pid}:${sid}`;
+      const { project: _project, ...rest } = sess || {};
+
+      const imus = Array.isArray(rest.imus)
+        ? rest.imus.map((imu, i) => ({ ...imu, file: refFor(imu?.file, `${base}:imu:${imu?.id || i}`) }))
+        : [];
+
+      return {
+        ...rest,
+        videoFile: refFor(rest.videoFile, `${base}:video`),
+        imuFile: refFor(rest.imuFile, `${base}:imu-file`),
+        imuFiles: Array.isArray(rest.imuFiles) ? rest.imuFiles.map((f, i) => refFor(f, `${base}:imu-files:${i}`)) : [],
+        imus,
+      };
+    });
+
+    const { sessions: _sessions, revision: _revision, ...meta } = project;
+    return { record: { ...meta, sessions }, blobs };
+  }
+
+  function reviveProject(record, blobMap) {
+    // Same key -> same File instance (imus[i].file === imuFiles[i] etc.)
+    const revived = new Map();
+
+    const revive = (ref) => {
+      if (!ref || typeof ref !== "object" || !ref.$blob) return ref ?? null;
+      if (revived.has(ref.$blob)) return revived.get(ref.$blob);
+      const entry = blobMap.get(ref.$blob);
+      if (!entry?.file) return null;
+
+      let file = entry.file;
+      if (!(typeof File !== "undefined" && file instanceof File)) {
+        file = new File([file], ref.name || "file", {
+          type: ref.type || file.type || "",
+          lastModified: ref.lastModified || Date.now(),
+        });
+      }
+      persistedBlobs.set(file, ref.$blob);
+      revived.set(ref.$blob, file);
+      return file;
+    };
+
+    const sessions = (record.sessions || []).map((sess) => ({
+      ...sess,
+      videoFile: revive(sess.videoFile),
+      imuFile: revive(sess.imuFile),
+      imuFiles: (sess.imuFiles || []).map(revive).filter(Boolean),
+      imus: (sess.imus || []).map((imu) => ({ ...imu, file: revive(imu?.file) })),
+    }));
+
+    const { revision: _revision, ...rest } = record;
+    return { ...rest, sessions };
+  }
+
+  function reviveSubjects(records) {
+    const out = [];
+    for (const r of records || []) {
+      try {
+        out.push(normalizeSubject(r));
+      } catch (e) {
+        console.warn(`[SessionStore] skipping stored subject ${r?.id}:`, e);
+      }
+    }
+    return out;
+  }
+
+  function reviveFieldDefs(records) {
+    const out = [];
+    for (const r of Array.isArray(records) ? records : []) {
+      try {
+        const def = schema.normalizeFieldDef(r);
+        if (!out.some((d) => d.key === def.key)) out.push(def);
+      } catch (e) {
+        console.warn("[SessionStore] skipping stored field definition:", e);
+      }
+    }
+    return out;
+  }
+
+  async function loadPersistedState() {
+    const db = await openDb();
+    if (!db) return { projects: [], subjects: [], meta: {} };
+
+    try {
+      const tx = db.transaction([STORE_PROJECTS, STORE_BLOBS, STORE_META, STORE_SUBJECTS], "readonly");
+      const [records, blobs, metaKeys, metaValues, subjectRecords] = await Promise.all([
+        reqToPromise(tx.objectStore(STORE_PROJECTS).getAll()),
+        reqToPromise(tx.objectStore(STORE_BLOBS).getAll()),
+        reqToPromise(tx.objectStore(STORE_META).getAllKeys()),
+        reqToPromise(tx.objectStore(STORE_META).getAll()),
+        reqToPromise(tx.objectStore(STORE_SUBJECTS).getAll()),
+      ]);
+
+      const blobMap = new Map((blobs || []).map((b) => [b.key, b]));
+      const meta = {};
+      (metaKeys || []).forEach((k, i) => (meta[k] = metaValues[i]));
+
+      // Records go through the schema migrations; unreadable ones are skipped
+      // (and left untouched in the database).
+      const projects = [];
+      for (const r of records || []) {
+        knownRevisions.set(String(r?.id), Number(r?.revision) || 0);
+        try {
+          projects.push(normalizeProject(reviveProject(r, blobMap)));
+        } catch (e) {
+          console.warn(`[SessionStore] skipping stored project ${r?.id}:`, e);
+        }
+      }
+
+      return { projects, subjects: reviveSubjects(subjectRecords), meta };
+    } catch (e) {
+      console.warn("[SessionStore] loading persisted projects failed:", e);
+      return { projects: [], subjects: [], meta: {} };
+    }
+  }
+
+  function markProjectDirty(id) {
+    if (id == null) return;
+    mutationCount++;
+    removedProjectIds.delete(String(id));
+    dirtyProjectIds.add(String(id));
+    schedulePersist();
+  }
+
+  function markProjectRemoved(id) {
+    if (id == null) return;
+    mutationCount++;
+    dirtyProjectIds.delete(String(id));
+    removedProjectIds.add(String(id));
+    schedulePersist();
+  }
+
+  function markMetaDirty() {
+    metaDirty = true;
+    schedulePersist();
+  }
+
+  function markSubjectsDirty() {
+    mutationCount++;
+    subjectsDirty = true;
+    schedulePersist();
+  }
+
+  // Field definitions are written with the rest of the meta record.
+  function markFieldDefsDirty() {
+    mutationCount++;
+    fieldDefsDirty = true;
+    markMetaDirty();
+  }
+
+  function schedulePersist() {
+    if (!hasIndexedDb()) return;
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      flushPersistence();
+    }, PERSIST_DEBOUNCE_MS);
+  }
+
+  async function deleteProjectRecord(db, id) {
+    const key = parseId(id) ?? id;
+    knownRevisions.delete(String(id));
+    const tx = db.transaction([STORE_PROJECTS, STORE_BLOBS], "readwrite");
+    tx.objectStore(STORE_PROJECTS).delete(key);
+    const blobStore = tx.objectStore(STORE_BLOBS);
+    const blobKeys = await reqToPromise(blobStore.index("projectId").getAllKeys(key));
+    (blobKeys || []).forEach((k) => blobStore.delete(k));
+    await txDone(tx);
+  }
+
+  // Returns { revision } on success, or { conflict } / { clash } without
+  // writing when the stored record is not the one this tab last saw:
+  // - conflict: another tab saved a newer revision of this project
+  // - clash:    another tab created a different project with the same id
+  async function writeProjectRecord(db, project) {
+    const id = String(project.id);
+    const { record, blobs } = serializeProject(project);
+    const keep = new Set(blobs.map((b) => b.key));
+
+    const tx = db.transaction([STORE_PROJECTS, STORE_BLOBS], "readwrite");
+    const projectStore = tx.objectStore(STORE_PROJECTS);
+    const blobStore = tx.objectStore(STORE_BLOBS);
+
+    const stored = await reqToPromise(projectStore.get(project.id));
+    const base = knownRevisions.get(id);
+    const storedRevision = stored ? Number(stored.revision) || 0 : null;
+
+    if (stored && base === undefined) {
+      await txDone(tx);
+      return { clash: true };
+    }
+    if (stored && storedRevision > base) {
+      await txDone(tx);
+      return { conflict: true };
+    }
+
+    record.revision = Math.max(storedRevision ?? 0, base ?? 0) + 1;
+    projectStore.put(record);
+
+    for (const b of blobs) {
+      if (persistedBlobs.get(b.file) === b.key) continue;
+      blobStore.put({
+        key: b.key,
+        projectId: b.projectId,
+        file: b.file,
+        name: b.file.name || "",
+        type: b.file.type || "",
+        size: b.file.size || 0,
+      });
+    }
+
+    // Drop blobs that no longer belong to this project (removed sessions/IMUs)
+    const existing = await reqToPromise(blobStore.index("projectId").getAllKeys(project.id));
+    (existing || []).forEach((k) => {
+      if (!keep.has(k)) blobStore.delete(k);
+    });
+
+    await txDone(tx);
+    blobs.forEach((b) => persistedBlobs.set(b.file, b.key));
+    knownRevisions.set(id, record.revision);
+    return { revision: record.revision };
+  }
+
+  // The roster is small: rewrite it as a whole.
+  async function writeSubjects(db) {
+    const tx = db.transaction(STORE_SUBJECTS, "readwrite");
+    const subjectStore = tx.objectStore(STORE_SUBJECTS);
+    subjectStore.clear();
+    ensureRuntime().subjects.forEach((sub) => subjectStore.put(sub));
+    await txDone(tx);
+  }
+
+  async function writeMeta(db) {
+    const rt = ensureRuntime();
+    const ref = rt.activeSessionRef;
+    const activeRef =
+      ref && rt.projects.some((p) => String(p.id) === String(ref.projectId) && p.persist !== false)
+        ? { projectId: ref.projectId, sessionId: ref.sessionId }
+        : null;
+
+    const tx = db.transaction(STORE_META, "readwrite");
+    const metaStore = tx.objectStore(STORE_META);
+    metaStore.put(rt.nextProjectId, "nextProjectId");
+    metaStore.put(rt.nextSessionId, "nextSessionId");
+    metaStore.put(activeRef, "activeSessionRef");
+    metaStore.put(rt.fieldDefs, "fieldDefs");
+    await txDone(tx);
+  }
+
+  function requestPersistentStorage() {
+    if (persistRequested) return;
+    persistRequested = true;
+    try {
+      navigator.storage?.persist?.().catch(() => {});
+    } catch {}
+  }
+
+  // Writes all pending changes. Safe to call at any time; concurrent calls
+  // are chained so writes never interleave.
+  async function flushPersistence() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+
+    if (persistRunning) {
+      while (persistRunning) await persistRunning;
+      if (!dirtyProjectIds.size && !removedProjectIds.size && !metaDirty && !subjectsDirty) return;
+    }
+
+    persistRunning = (async () => {
+      const db = await openDb();
+      if (!db) return;
+
+      // Don't write before the initial load finished, or we'd clobber ids.
+      if (dbLoadPromise) await dbLoadPromise;
+
+      const rt = ensureRuntime();
+      const dirty = [...dirtyProjectIds];
+      const removed = [...removedProjectIds];
+      const writeMetaNow = metaDirty || dirty.length || removed.length;
+      const writeSubjectsNow = subjectsDirty;
+      const wroteFieldDefs = fieldDefsDirty;
+      dirtyProjectIds.clear();
+      removedProjectIds.clear();
+      metaDirty = false;
+      subjectsDirty = false;
+      fieldDefsDirty = false;
+
+      let wrote = false;
+      storageError = null;
+
+      const changed = [];
+      const deleted = [];
+      const conflicts = [];
+      const clashes = [];
+
+      try {
+        for (const id of removed) {
+          await deleteProjectRecord(db, id);
+          deleted.push(id);
+        }
+
+        for (const id of dirty) {
+          const project = rt.projects.find((p) => String(p?.id) === id);
+          if (!project || project.persist === false) {
+            await deleteProjectRecord(db, id);
+            deleted.push(id);
+            continue;
+          }
+
+          const result = await writeProjectRecord(db, project);
+          if (result.conflict) conflicts.push(id);
+          else if (result.clash) clashes.push(id);
+          else {
+            changed.push({ id, revision: result.revision });
+            wrote = true;
+          }
+        }
+
+        if (writeSubjectsNow) await writeSubjects(db);
+        if (writeMetaNow) await writeMeta(db);
+      } catch (e) {
+        storageError = e?.name === "QuotaExceededError" ? "Storage quota exceeded" : String(e?.message || e);
+        console.warn("[SessionStore] persisting failed:", e);
+      }
+
+      if (wrote) requestPersistentStorage();
+
+      if (changed.length || deleted.length || writeSubjectsNow || wroteFieldDefs) {
+        window.MoveSyncTabSync?.post?.("store:changed", {
+          changed,
+          removed: deleted,
+          subjects: !!writeSubjectsNow,
+          fieldDefs: !!wroteFieldDefs,
+          nextProjectId: rt.nextProjectId,
+          nextSessionId: rt.nextSessionId,
+        });
+      }
+
+      for (const id of clashes) await rekeyClashingProject(db, id);
+      if (conflicts.length) await adoptStoredProjects(db, conflicts, { conflict: true });
+
+      const estimate = await getStorageEstimate();
+      document.dispatchEvent(new CustomEvent("movesync:storage-changed", { detail: { ...estimate, at: Date.now() } }));
+    })();
+
+    try {
+      await persistRunning;
+    } finally {
+      persistRunning = null;
+    }
+  }
+
+  async function getStorageEstimate() {
+    const out = {
+      supported: hasIndexedDb(),
+      usage: null,
+      quota: null,
+      persisted: null,
+      error: storageError,
+    };
+
+    try {
+      const est = await navigator.storage?.estimate?.();
+      if (est) {
+        out.usage = Number.isFinite(est.usage) ? est.usage : null;
+        out.quota = Number.isFinite(est.quota) ? est.quota : null;
+      }
+      const persisted = await navigator.storage?.persisted?.();
+      if (typeof persisted === "boolean") out.persisted = persisted;
+    } catch {}
+
+    return out;
+  }
+
+  function setProjectPersistence(id, enabled) {
+    const rt = ensureRuntime();
+    const project = rt.projects.find((p) => String(p?.id) === String(id));
+    if (!project) return Promise.resolve(null);
+
+    project.persist = !!enabled;
+    markProjectDirty(project.id);
+    markMetaDirty();
+    emitProjectsChanged();
+
+    return flushPersistence().then(() => project);
+  }
+
+  // ============================================================
+  // Cross-tab sync (window.MoveSyncTabSync)
+  // After a flush, the writing tab posts "store:changed" with the ids and
+  // revisions it wrote; other tabs re-read those records from IndexedDB.
+  // - Unchanged locally: the stored version is adopted silently.
+  // - Edited locally too: the first write wins. This tab adopts it and
+  //   records a destructive history entry, so "Undo" restores (and then
+  //   saves) its own version.
+  // - Same id, different project: the local project gets a fresh id.
+  // Memory-only projects are never shared. The subject roster is re-read
+  // as a whole (last write wins).
+  // ============================================================
+  let remoteQueue = Promise.resolve();
+
+  async function loadProjectRecords(db, ids) {
+    const tx = db.transaction([STORE_PROJECTS, STORE_BLOBS], "readonly");
+    const projectStore = tx.objectStore(STORE_PROJECTS);
+    const blobIndex = tx.objectStore(STORE_BLOBS).index("projectId");
+
+    const out = [];
+    for (const id of ids) {
+      const key = parseId(id) ?? id;
+      const [record, blobs] = await Promise.all([
+        reqToPromise(projectStore.get(key)),
+        reqToPromise(blobIndex.getAll(key)),
+      ]);
+      if (record) out.push({ record, blobMap: new Map((blobs || []).map((b) => [b.key, b])) });
+    }
+
+    await txDone(tx);
+    return out;
+  }
+
+  function refreshActivePointers(rt) {
+    rt.sessions = flattenSessions(rt.projects);
+    if (rt.activeSessionRef) {
+      rt.activeSession = findSession(rt.activeSessionRef.projectId, rt.activeSessionRef.sessionId);
+      if (!rt.activeSession) rt.activeSessionRef = null;
+    }
+  }
+
+  async function adoptStoredProjects(db, ids, { conflict = false } = {}) {
+    let loaded;
+    try {
+      loaded = await loadProjectRecords(db, ids);
+    } catch (e) {
+      console.warn("[SessionStore] reading projects from another tab failed:", e);
+      return;
+    }
+
+    for (const { record, blobMap } of loaded) {
+      let project;
+      try {
+        project = normalizeProject(reviveProject(record, blobMap));
+      } catch (e) {
+        console.warn(`[SessionStore] skipping project ${record?.id} from another tab:`, e);
+        continue;
+      }
+
+      const id = String(project.id);
+      const rt = ensureRuntime();
+      const before = conflict ? captureSnapshot() : null;
+
+      attachProjectToSessions(project);
+      const idx = rt.projects.findIndex((p) => String(p?.id) === id);
+      if (idx === -1) rt.projects.unshift(project);
+      else rt.projects[idx] = project;
+
+      knownRevisions.set(id, Number(record.revision) || 0);
+      dirtyProjectIds.delete(id);
+      refreshActivePointers(rt);
+
+      if (conflict) {
+        const after = captureSnapshot();
+        window.MoveSyncHistory?.push?.({
+          label: `"${project.name || "Untitled project"}" was changed in another tab`,
+          destructive: true,
+          undo: () => restoreSnapshot(before),
+          redo: () => restoreSnapshot(after),
+        });
+      }
+    }
+
+    emitProjectsChanged();
+    emitSessionsChanged(ensureRuntime());
+  }
+
+  // Another tab created a different project under the same id first.
+  // Move ours to an id that's free in both the database and the runtime.
+  async function rekeyClashingProject(db, id) {
+    const rt = ensureRuntime();
+    const project = rt.projects.find((p) => String(p?.id) === String(id));
+    if (!project) return;
+
+    let storedKeys = [];
+    try {
+      const tx = db.transaction(STORE_PROJECTS, "readonly");
+      storedKeys = (await reqToPromise(tx.objectStore(STORE_PROJECTS).getAllKeys())) || [];
+    } catch {}
+
+    const maxId = [...storedKeys, ...rt.projects.map((p) => p?.id)].reduce((m, k) => Math.max(m, parseId(k) || 0), 0);
+    const newId = Math.max(rt.nextProjectId || 1, maxId + 1);
+    rt.nextProjectId = newId + 1;
+
+    project.id = newId;
+    attachProjectToSessions(project);
+    (project.sessions || []).forEach((s) => (s.projectId = newId));
+
+    if (rt.activeSessionRef && String(rt.activeSessionRef.projectId) === String(id)) {
+      rt.activeSessionRef = { ...rt.activeSessionRef, projectId: newId };
+    }
+    if (String(rt.activeProjectId) === String(id)) rt.activeProjectId = newId;
+
+    dirtyProjectIds.delete(String(id));
+    markProjectDirty(newId);
+    markMetaDirty();
+
+    // Show the other tab's project under the id it claimed.
+    await adoptStoredProjects(db, [id]);
+  }
+
+  async function applyRemoteChange(payload) {
+    const db = await openDb();
+    if (!db) return;
+    if (dbLoadPromise) await dbLoadPromise;
+    while (persistRunning) await persistRunning;
+
+    const rt = ensureRuntime();
+    if (Number.isFinite(payload?.nextProjectId)) rt.nextProjectId = Math.max(rt.nextProjectId || 1, payload.nextProjectId);
+    if (Number.isFinite(payload?.nextSessionId)) rt.nextSessionId = Math.max(rt.nextSessionId || 1, payload.nextSessionId);
+
+    // Roster: last write wins (unsaved local roster edits are kept and
+    // overwrite on our next flush).
+    if (payload?.subjects && !subjectsDirty) {
+      try {
+        const tx = db.transaction(STORE_SUBJECTS, "readonly");
+        rt.subjects = reviveSubjects(await reqToPromise(tx.objectStore(STORE_SUBJECTS).getAll()));
+        emitSubjectsChanged();
+      } catch (e) {
+        console.warn("[SessionStore] reading subjects from another tab failed:", e);
+      }
+    }
+
+    if (payload?.fieldDefs && !fieldDefsDirty) {
+      try {
+        const tx = db.transaction(STORE_META, "readonly");
+        rt.fieldDefs = reviveFieldDefs(await reqToPromise(tx.objectStore(STORE_META).get("fieldDefs")));
+        emitFieldsChanged();
+      } catch (e) {
+        console.warn("[SessionStore] reading field definitions from another tab failed:", e);
+      }
+    }
+
+    // Deleted elsewhere: drop it unless we have unsaved edits (those win
+    // and will re-create the record on the next flush).
+    let removedAny = false;
+    for (const rawId of payload?.removed || []) {
+      const id = String(rawId);
+      knownRevisions.delete(id);
+      const local = rt.projects.find((p) => String(p?.id) === id);
+      if (!local || local.persist === false || dirtyProjectIds.has(id)) continue;
+
+      rt.projects = rt.projects.filter((p) => p !== local);
+      if (String(rt.activeSessionRef?.projectId) === id) {
+        rt.activeSessionRef = null;
+        rt.activeSession = null;
+        rt.activeProjectId = null;
+      }
+      removedAny = true;
+    }
+    if (removedAny) {
+      refreshActivePointers(rt);
+      emitProjectsChanged();
+      emitSessionsChanged(rt);
+    }
+
+    const plain = [];
+    const conflicts = [];
+    for (const { id: rawId, revision } of payload?.changed || []) {
+      const id = String(rawId);
+      if ((knownRevisions.get(id) ?? -1) >= revision) continue;
+
+      const local = rt.projects.find((p) => String(p?.id) === id);
+      if (local && !knownRevisions.has(id)) await rekeyClashingProject(db, id);
+      else if (local && dirtyProjectIds.has(id)) conflicts.push(id);
+      else plain.push(id);
+    }
+
+    if (plain.length) await adoptStoredProjects(db, plain);
+    if (conflicts.length) await adoptStoredProjects(db, conflicts, { conflict: true });
+  }
+
+  window.MoveSyncTabSync?.on?.("store:changed", (payload) => {
+    remoteQueue = remoteQueue.then(() => applyRemoteChange(payload)).catch((e) => {
+      console.warn("[SessionStore] applying changes from another tab failed:", e);
+    });
+  });
+
+  // Timestamps are edited in place (usually on the active session); mirror them.
+  document.addEventListener("movesync:session-timestamps-changed", (e) => {
+    const rt = ensureRuntime();
+    const pid = e?.detail?.projectId ?? rt.activeSession?.projectId ?? rt.activeSessionRef?.projectId ?? null;
+    markProjectDirty(pid);
+  });
+
+  // Best effort: push pending writes before the tab goes away.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushPersistence();
+  });
+  window.addEventListener("pagehide", () => flushPersistence());
+
+  // ============================================================
+  // Undo / redo (snapshot commands on window.MoveSyncHistory)
+  // Project/session metadata is copied; File objects are shared.
+  // ============================================================
+  let historyDepth = 0;
+
+  function cloneForHistory(v) {
+    if (Array.isArray(v)) return v.map(cloneForHistory);
+    if (!v || typeof v !== "object" || isBlob(v)) return v;
+
+    const proto = Object.getPrototypeOf(v);
+    if (proto !== Object.prototype && proto !== null) return v;
+
+    const out = {};
+    for (const [k, val] of Object.entries(v)) out[k] = cloneForHistory(val);
+    return out;
+  }
+
+  function captureSnapshot() {
+    const rt = ensureRuntime();
+    return {
+      projects: cloneForHistory(rt.projects),
+      subjects: cloneForHistory(rt.subjects),
+      fieldDefs: cloneForHistory(rt.fieldDefs),
+      activeProjectId: rt.activeProjectId ?? null,
+      activeSessionRef: rt.activeSessionRef ? { ...rt.activeSessionRef } : null,
+    };
+  }
+
+  function restoreSnapshot(snapshot) {
+    const rt = ensureRuntime();
+    const previousIds = rt.projects.map((p) => p?.id);
+
+    rt.projects = cloneForHistory(snapshot.projects || []);
+    rt.projects.forEach(attachProjectToSessions);
+    rt.sessions = flattenSessions(rt.projects);
+
+    rt.activeProjectId = snapshot.activeProjectId ?? null;
+    rt.activeSessionRef = snapshot.activeSessionRef ? { ...snapshot.activeSessionRef } : null;
+    rt.activeSession = rt.activeSessionRef
+      ? findSession(rt.activeSessionRef.projectId, rt.activeSessionRef.sessionId)
+      : null;
+    if (!rt.activeSession) rt.activeSessionRef = null;
+
+    previousIds.forEach(markProjectRemoved);
+    rt.projects.forEach((p) => markProjectDirty(p.id));
+    markMetaDirty();
+
+    if (snapshot.subjects) {
+      rt.subjects = cloneForHistory(snapshot.subjects);
+      markSubjectsDirty();
+      emitSubjectsChanged();
+    }
+
+    if (snapshot.fieldDefs) {
+      rt.fieldDefs = cloneForHistory(snapshot.fieldDefs);
+      markFieldDefsDirty();
+      emitFieldsChanged();
+    }
+
+    emitProjectsChanged();
+    emitSessionsChanged(rt);
+  }
+
+  // Runs a synchronous store mutation and records one history entry for it.
+  // Nested calls (batch, duplicate -> add) collapse into the outermost entry.
+  function recordHistory(label, mutate, { destructive = false, awaitResult = false } = {}) {
+    const history = window.MoveSyncHistory;
+    if (!history || historyDepth > 0 || history.isApplying?.()) return mutate();
+
+    const before = captureSnapshot();
+    const countBefore = mutationCount;
+
+    const finish = () => {
+      historyDepth--;
+      if (mutationCount === countBefore) return;
+
+      const after = captureSnapshot();
+      history.push({
+        label,
+        destructive,
+        undo: () => restoreSnapshot(before),
+        redo: () => restoreSnapshot(after),
+      });
+    };
+
+    historyDepth++;
+    let result;
+    try {
+      result = mutate();
+    } catch (e) {
+      finish();
+      throw e;
+    }
+
+    // Async batches (awaiting store calls) are recorded once they settle.
+    if (awaitResult && result && typeof result.then === "function") {
+      return Promise.resolve(result).finally(finish);
+    }
+
+    finish();
+    return result;
+  }
+
+  // Wraps a public mutator; describe(...args) -> { label, destructive }
+  function recorded(fn, describe) {
+    return (...args) => {
+      const { label, destructive } = describe(...args) || {};
+      return recordHistory(label || "Edit", () => fn(...args), { destructive });
+    };
+  }
+
+  // Group several store calls into one undo step (e.g. "Clear all").
+  function batch(label, fn, opts) {
+    return recordHistory(label, fn, { ...opts, awaitResult: true });
+  }
+
+  function projectName(id) {
+    const p = ensureRuntime().projects.find((x) => String(x?.id) === String(id));
+    return p?.name || "Untitled project";
+  }
+
+  function sessionName(projectId, sessionId) {
+    const s = findSession(projectId, sessionId);
+    return s?.name || "Untitled session";
+  }
+
   function getProjects() {
     return ensureRuntime().projects;
   }
 
   function setProjects(projects) {
     const rt = ensureRuntime();
+    const previousIds = rt.projects.map((p) => p?.id);
     rt.projects = Array.isArray(projects) ? projects.map(normalizeProject) : [];
 
     // assign ids where missing
@@ -140,6 +994,10 @@
       rt.activeSession = null;
     }
 
+    previousIds.forEach(markProjectRemoved);
+    rt.projects.forEach((p) => markProjectDirty(p.id));
+    markMetaDirty();
+
     emitProjectsChanged();
     emitSessionsChanged(rt);
   }
@@ -160,6 +1018,7 @@
     normalized.sessions.forEach((s) => {
       if (!parseId(s.id)) s.id = nextSessId++;
       normalizeSession(s);
+      s.fields = coerceFields(s.fields);
     });
 
     // Ensure sessions can always be queried by project.
@@ -171,6 +1030,12 @@
 
     rt.sessions = flattenSessions(rt.projects);
 
+    const maxSid = rt.sessions.reduce((m, s) => Math.max(m, parseId(s?.id) || 0), 0);
+    rt.nextSessionId = Math.max(rt.nextSessionId || 1, maxSid + 1);
+
+    markProjectDirty(normalized.id);
+    markMetaDirty();
+
     emitProjectsChanged();
     emitSessionsChanged(rt);
 
@@ -191,6 +1056,8 @@
     }
 
     if (rt.projects.length !== before) {
+      markProjectRemoved(id);
+      markMetaDirty();
       emitProjectsChanged();
       emitSessionsChanged(rt);
     }
@@ -245,6 +1112,7 @@
     rt.activeSessionRef = found ? { projectId, sessionId } : null;
     rt.activeSession = found;
 
+    markMetaDirty();
     emitSessionsChanged(rt);
   }
 
@@ -293,35 +1161,215 @@
     return Promise.resolve();
   }
 
-  function deleteSession(id) {
+  // ============================================================
+  // Session-level CRUD
+  // All mutations keep the project tree, the flat list, the active
+  // session pointer and the IndexedDB mirror in sync.
+  // ============================================================
+  const SESSION_PROTECTED_KEYS = new Set(["id", "projectId", "project"]);
+
+  function findProject(projectId) {
+    const rt = ensureRuntime();
+    return rt.projects.find((p) => String(p?.id) === String(projectId)) || null;
+  }
+
+  // Session ids are allocated from one counter so they stay unique across
+  // projects (older data may still have per-project ids).
+  function allocateSessionId() {
+    const rt = ensureRuntime();
+    const maxSid = flattenSessions(rt.projects).reduce((m, s) => Math.max(m, parseId(s?.id) || 0), 0);
+    rt.nextSessionId = Math.max(rt.nextSessionId || 1, maxSid + 1);
+    return rt.nextSessionId++;
+  }
+
+  function bindSessionToProject(session, project) {
+    session.projectId = project.id;
+    session.project = { id: project.id, name: project.name };
+    normalizeSession(session);
+  }
+
+  function touchProject(project, now) {
+    project.updatedAt = now || new Date().toISOString();
+    markProjectDirty(project.id);
+  }
+
+  function commitSessionChange(rt) {
+    rt.sessions = flattenSessions(rt.projects);
+    markMetaDirty();
+    emitProjectsChanged();
+    emitSessionsChanged(rt);
+  }
+
+  function addSession(projectId, session, { index } = {}) {
+    const rt = ensureRuntime();
+    const project = findProject(projectId);
+    if (!project) return Promise.reject(new Error(`Project ${projectId} not found`));
+
+    const now = new Date().toISOString();
+    const sess = session && typeof session === "object" ? session : {};
+    project.sessions = Array.isArray(project.sessions) ? project.sessions : [];
+
+    const clash = project.sessions.some((x) => String(x?.id) === String(sess.id));
+    if (!parseId(sess.id) || clash) sess.id = allocateSessionId();
+
+    sess.name = String(sess.name || `Session ${sess.id}`);
+    sess.createdAt = sess.createdAt || now;
+    sess.updatedAt = now;
+    sess.fields = coerceFields(sess.fields);
+    bindSessionToProject(sess, project);
+
+    const at = Number.isInteger(index) ? Math.max(0, Math.min(index, project.sessions.length)) : project.sessions.length;
+    project.sessions.splice(at, 0, sess);
+
+    touchProject(project, now);
+    commitSessionChange(rt);
+
+    return Promise.resolve(sess);
+  }
+
+  function updateSession(projectId, sessionId, patch) {
     const rt = ensureRuntime();
+    const project = findProject(projectId);
+    const sess = project?.sessions?.find((x) => String(x?.id) === String(sessionId)) || null;
+    if (!sess) return Promise.reject(new Error(`Session ${sessionId} not found in project ${projectId}`));
+
+    const now = new Date().toISOString();
+    Object.entries(patch || {}).forEach(([k, v]) => {
+      if (!SESSION_PROTECTED_KEYS.has(k)) sess[k] = v;
+    });
+    if (patch && "fields" in patch) sess.fields = coerceFields(patch.fields);
+    sess.updatedAt = now;
+    normalizeSession(sess);
+
+    touchProject(project, now);
+    commitSessionChange(rt);
+
+    return Promise.resolve(sess);
+  }
+
+  // Results computed from a session's files (the IMU timing report,
+  // imus[index].timing, and the provenance of the latest processing,
+  // imus[index].processing). They can always be recomputed, so saving them is
+  // not an edit: no undo entry, no updatedAt and no change events (a view
+  // re-rendering for them would recompute and save again).
+  function saveImuAnalysis(projectId, sessionId, index, patch) {
+    const project = findProject(projectId);
+    const sess = project?.sessions?.find((x) => String(x?.id) === String(sessionId)) || null;
+    const imu = Array.isArray(sess?.imus) ? sess.imus[index] : null;
+    if (!imu || typeof imu !== "object") {
+      return Promise.reject(new Error(`IMU ${index} not found in session ${sessionId}`));
+    }
+
+    Object.assign(imu, patch);
+    normalizeSession(sess);
+    markProjectDirty(project.id);
+
+    return Promise.resolve(imu);
+  }
+
+  function moveSession(projectId, sessionId, toProjectId) {
+    const rt = ensureRuntime();
+    const from = findProject(projectId);
+    const to = findProject(toProjectId);
+    if (!from || !to) return Promise.reject(new Error("Source or target project not found"));
+
+    const idx = (from.sessions || []).findIndex((x) => String(x?.id) === String(sessionId));
+    if (idx === -1) return Promise.reject(new Error(`Session ${sessionId} not found in project ${projectId}`));
+    if (from === to) return Promise.resolve(from.sessions[idx]);
+
+    const now = new Date().toISOString();
+    const [sess] = from.sessions.splice(idx, 1);
+    const wasActive =
+      rt.activeSession === sess ||
+      (String(rt.activeSessionRef?.projectId) === String(projectId) &&
+        String(rt.activeSessionRef?.sessionId) === String(sessionId));
+
+    to.sessions = Array.isArray(to.sessions) ? to.sessions : [];
+    if (to.sessions.some((x) => String(x?.id) === String(sess.id))) sess.id = allocateSessionId();
+
+    sess.updatedAt = now;
+    bindSessionToProject(sess, to);
+    to.sessions.push(sess);
+
+    if (wasActive) {
+      rt.activeProjectId = to.id;
+      rt.activeSessionRef = { projectId: to.id, sessionId: sess.id };
+      rt.activeSession = sess;
+    }
+
+    touchProject(from, now);
+    touchProject(to, now);
+    commitSessionChange(rt);
+
+    return Promise.resolve(sess);
+  }
+
+  // Files are immutable and shared; everything else is copied so edits on
+  // the duplicate (timestamps, IMU labels) never leak into the original.
+  function duplicateSession(projectId, sessionId, { toProjectId } = {}) {
+    const project = findProject(projectId);
+    const source = project?.sessions?.find((x) => String(x?.id) === String(sessionId)) || null;
+    if (!source) return Promise.reject(new Error(`Session ${sessionId} not found in project ${projectId}`));
+
+    const { id: _id, project: _project, projectId: _pid, ...rest } = source;
+    const copy = {
+      ...rest,
+      name: `${source.name || "Untitled session"} (copy)`,
+      createdAt: new Date().toISOString(),
+      imus: (source.imus || []).map((imu) => ({ ...imu })),
+      imuFiles: (source.imuFiles || []).slice(),
+      timestamps: (source.timestamps || []).map((ts) => ({ ...ts })),
+      tags: (source.tags || []).slice(),
+      fields: { ...(source.fields || {}) },
+    };
+
+    const targetId = toProjectId ?? projectId;
+    const index =
+      String(targetId) === String(projectId) ? project.sessions.indexOf(source) + 1 : undefined;
+
+    return addSession(targetId, copy, { index });
+  }
+
+  // deleteSession(projectId, sessionId) — project-scoped.
+  // deleteSession(sessionId) — legacy form, removes the id from every project.
+  function deleteSession(projectId, sessionId) {
+    const rt = ensureRuntime();
+    const legacy = sessionId === undefined;
+    const sid = String(legacy ? projectId : sessionId);
     let changed = false;
 
     if (rt.projects.length) {
       rt.projects.forEach((p) => {
+        if (!legacy && String(p?.id) !== String(projectId)) return;
         const before = (p.sessions || []).length;
-        p.sessions = (p.sessions || []).filter((s) => String(s?.id) !== String(id));
-        if (p.sessions.length !== before) changed = true;
+        p.sessions = (p.sessions || []).filter((s) => String(s?.id) !== sid);
+        if (p.sessions.length !== before) {
+          changed = true;
+          touchProject(p);
+        }
       });
 
       rt.sessions = flattenSessions(rt.projects);
 
-      if (rt.activeSession && String(rt.activeSession.id) === String(id)) {
-        rt.activeSession = rt.sessions[rt.sessions.length - 1] || null;
+      const active = rt.activeSession;
+      const activeGone = active && !rt.sessions.includes(active);
+      if (activeGone) {
+        rt.activeSession = null;
         rt.activeSessionRef = null;
       }
     } else {
       const before = rt.sessions.length;
-      rt.sessions = rt.sessions.filter((s) => String(s?.id) !== String(id));
+      rt.sessions = rt.sessions.filter((s) => String(s?.id) !== sid);
       changed = rt.sessions.length !== before;
 
-      if (rt.activeSession && String(rt.activeSession.id) === String(id)) {
+      if (rt.activeSession && String(rt.activeSession.id) === sid) {
         rt.activeSession = rt.sessions[rt.sessions.length - 1] || null;
         rt.activeSessionRef = null;
       }
     }
 
     if (changed) {
+      markMetaDirty();
       emitProjectsChanged();
       emitSessionsChanged(rt);
     }
@@ -329,10 +1377,282 @@
     return Promise.resolve();
   }
 
+  // ============================================================
+  // Subjects (athlete roster)
+  // Stored next to projects; sessions point at one via session.subjectId.
+  // Body data (mass, leg length) feeds mass- and length-scaled metrics.
+  // ============================================================
+
+  // Segment length / body height (Winter, Biomechanics and Motor Control
+  // of Human Movement). Used when a segment wasn't measured.
+  const SEGMENT_HEIGHT_RATIOS = {
+    legLength: 0.53,
+    thigh: 0.245,
+    shank: 0.246,
+    foot: 0.152,
+    upperArm: 0.186,
+    forearm: 0.146,
+    trunk: 0.288,
+  };
+
+  function getSubjects() {
+    return ensureRuntime().subjects;
+  }
+
+  function getSubject(id) {
+    if (id == null || id === "") return null;
+    return ensureRuntime().subjects.find((s) => String(s?.id) === String(id)) || null;
+  }
+
+  function subjectName(id) {
+    return getSubject(id)?.name || "Unnamed subject";
+  }
+
+  // Insert or replace by id; returns the stored subject.
+  function saveSubject(subject) {
+    const rt = ensureRuntime();
+    const now = new Date().toISOString();
+    const next = normalizeSubject({ ...(subject || {}), updatedAt: now });
+
+    const idx = rt.subjects.findIndex((s) => String(s?.id) === String(next.id));
+    if (idx === -1) rt.subjects.push(next);
+    else rt.subjects[idx] = { ...next, createdAt: rt.subjects[idx].createdAt || next.createdAt };
+
+    markSubjectsDirty();
+    emitSubjectsChanged();
+    return Promise.resolve(idx === -1 ? next : rt.subjects[idx]);
+  }
+
+  // Sessions that referenced the subject are unlinked (not deleted).
+  function deleteSubject(id) {
+    const rt = ensureRuntime();
+    const before = rt.subjects.length;
+    rt.subjects = rt.subjects.filter((s) => String(s?.id) !== String(id));
+    if (rt.subjects.length === before) return Promise.resolve();
+
+    let unlinked = false;
+    rt.projects.forEach((p) => {
+      let touched = false;
+      (p.sessions || []).forEach((sess) => {
+        if (sess?.subjectId != null && String(sess.subjectId) === String(id)) {
+          sess.subjectId = null;
+          touched = true;
+        }
+      });
+      if (touched) {
+        touchProject(p);
+        unlinked = true;
+      }
+    });
+
+    markSubjectsDirty();
+    emitSubjectsChanged();
+    if (unlinked) commitSessionChange(rt);
+
+    return Promise.resolve();
+  }
+
+  function getSubjectForSession(session) {
+    return getSubject(session?.subjectId);
+  }
+
+  // Body parameters in SI units for processing. Missing segment lengths are
+  // estimated from height; their names are listed in `estimated`.
+  function getSubjectBody(subjectOrId) {
+    const subject = typeof subjectOrId === "object" ? subjectOrId : getSubject(subjectOrId);
+    if (!subject) return null;
+
+    const heightM = Number.isFinite(subject.heightCm) ? subject.heightCm / 100 : null;
+    const segmentsM = {};
+    const estimated = [];
+
+    Object.entries(SEGMENT_HEIGHT_RATIOS).forEach(([key, ratio]) => {
+      const cm = subject.segmentsCm?.[key];
+      if (Number.isFinite(cm)) {
+        segmentsM[key] = cm / 100;
+      } else if (heightM) {
+        segmentsM[key] = heightM * ratio;
+        estimated.push(key);
+      } else {
+        segmentsM[key] = null;
+      }
+    });
+
+    return {
+      subjectId: subject.id,
+      name: subject.name,
+      massKg: Number.isFinite(subject.massKg) ? subject.massKg : null,
+      heightM,
+      dominance: subject.dominance,
+      legLengthM: segmentsM.legLength,
+      segmentsM,
+      estimated,
+    };
+  }
+
+  // ============================================================
+  // Tags, custom fields + queries
+  // Tags are free-form (session.tags). Custom fields are typed
+  // (number | enum | date); their definitions are shared by all
+  // projects and values live in session.fields[key].
+  // ============================================================
+  function getFieldDefs() {
+    return ensureRuntime().fieldDefs;
+  }
+
+  function getFieldDef(key) {
+    return ensureRuntime().fieldDefs.find((d) => d.key === key) || null;
+  }
+
+  function coerceFields(fields) {
+    const out = {};
+    Object.entries(fields && typeof fields === "object" ? fields : {}).forEach(([key, raw]) => {
+      const value = schema.coerceFieldValue(getFieldDef(key), raw);
+      if (value !== null) out[key] = value;
+    });
+    return out;
+  }
+
+  // Insert or replace by key. Values that no longer fit (a number field
+  // turned into an enum, a removed option) are dropped from sessions.
+  function saveFieldDef(def) {
+    const rt = ensureRuntime();
+    const next = schema.normalizeFieldDef(def);
+    if (["tag", "date", "has", "name", "project", "subject", "preset"].includes(next.key)) {
+      return Promise.reject(new schema.SchemaError(`"${next.key}" is a built-in filter; pick another name.`, { code: "invalid-field" }));
+    }
+
+    const idx = rt.fieldDefs.findIndex((d) => d.key === next.key);
+    if (idx === -1) rt.fieldDefs.push(next);
+    else rt.fieldDefs[idx] = next;
+    markFieldDefsDirty();
+
+    if (idx !== -1) {
+      let changed = false;
+      rt.projects.forEach((p) => {
+        let touched = false;
+        (p.sessions || []).forEach((sess) => {
+          if (!(next.key in (sess?.fields || {}))) return;
+          const value = schema.coerceFieldValue(next, sess.fields[next.key]);
+          if (value === sess.fields[next.key]) return;
+          if (value === null) delete sess.fields[next.key];
+          else sess.fields[next.key] = value;
+          touched = true;
+        });
+        if (touched) {
+          touchProject(p);
+          changed = true;
+        }
+      });
+      if (changed) commitSessionChange(rt);
+    }
+
+    emitFieldsChanged();
+    return Promise.resolve(next);
+  }
+
+  // Removes the definition and its values from every session.
+  function deleteFieldDef(key) {
+    const rt = ensureRuntime();
+    const before = rt.fieldDefs.length;
+    rt.fieldDefs = rt.fieldDefs.filter((d) => d.key !== key);
+    if (rt.fieldDefs.length === before) return Promise.resolve();
+    markFieldDefsDirty();
+
+    let changed = false;
+    rt.projects.forEach((p) => {
+      let touched = false;
+      (p.sessions || []).forEach((sess) => {
+        if (sess?.fields && key in sess.fields) {
+          delete sess.fields[key];
+          touched = true;
+        }
+      });
+      if (touched) {
+        touchProject(p);
+        changed = true;
+      }
+    });
+
+    emitFieldsChanged();
+    if (changed) commitSessionChange(rt);
+    return Promise.resolve();
+  }
+
+  function fieldLabel(key) {
+    return getFieldDef(key)?.label || key;
+  }
+
+  // [{ tag, count }] across all projects, most used first.
+  function getAllTags() {
+    const counts = new Map();
+    ensureRuntime().projects.forEach((p) =>
+      (p.sessions || []).forEach((sess) => (sess?.tags || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)))
+    );
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // See app/core/session-query.js for the syntax.
+  function parseQuery(text) {
+    return window.MoveSyncQuery.parse(text, { fieldDefs: getFieldDefs() });
+  }
+
+  function sessionMatches(query, session, project) {
+    const parsed = typeof query === "string" || query == null ? parseQuery(query) : query;
+    return window.MoveSyncQuery.matches(parsed, session, {
+      project: project || findProject(session?.projectId),
+      subject: getSubjectForSession(session),
+    });
+  }
+
+  // Sessions (across projects, in project order) matching a query string
+  // or a parsed query.
+  function querySessions(query) {
+    const parsed = typeof query === "string" || query == null ? parseQuery(query) : query;
+    const out = [];
+    ensureRuntime().projects.forEach((p) =>
+      (p.sessions || []).forEach((sess) => {
+        if (sessionMatches(parsed, sess, p)) out.push(sess);
+      })
+    );
+    return out;
+  }
+
+  // First call loads the persisted projects and merges them into the runtime
+  // (runtime wins on id clashes). Later calls only re-normalize.
   async function hydrateRuntimeFromDb() {
+    if (!dbLoadPromise) {
+      dbLoadPromise = loadPersistedState().then(({ projects, subjects, meta }) => {
+        const rt = ensureRuntime();
+        const known = new Set(rt.projects.map((p) => String(p?.id)));
+        projects.forEach((p) => {
+          if (!known.has(String(p?.id))) rt.projects.push(p);
+        });
+
+        const knownSubjects = new Set(rt.subjects.map((s) => String(s?.id)));
+        subjects.forEach((s) => {
+          if (!knownSubjects.has(String(s?.id))) rt.subjects.push(s);
+        });
+
+        const knownFields = new Set(rt.fieldDefs.map((d) => d?.key));
+        (Array.isArray(meta.fieldDefs) ? meta.fieldDefs : []).forEach((d) => {
+          if (!knownFields.has(d?.key)) rt.fieldDefs.push(d);
+        });
+
+        if (Number.isFinite(meta.nextProjectId)) rt.nextProjectId = Math.max(rt.nextProjectId || 1, meta.nextProjectId);
+        if (Number.isFinite(meta.nextSessionId)) rt.nextSessionId = Math.max(rt.nextSessionId || 1, meta.nextSessionId);
+        if (!rt.activeSessionRef && meta.activeSessionRef) rt.activeSessionRef = meta.activeSessionRef;
+      });
+    }
+    await dbLoadPromise;
+
     const rt = ensureRuntime();
 
     rt.projects = (rt.projects || []).map(normalizeProject);
+    rt.subjects = reviveSubjects(rt.subjects);
+    rt.fieldDefs = reviveFieldDefs(rt.fieldDefs);
 
     // ensure ids are non-zero
     const maxPid = rt.projects.reduce((m, p) => Math.max(m, parseId(p?.id) || 0), 0);
@@ -356,30 +1676,69 @@
 
     emitProjectsChanged();
     emitSessionsChanged(rt);
+    emitSubjectsChanged();
+    emitFieldsChanged();
 
     return rt;
   }
 
-  purgeLegacyIndexedDb();
-
   window.MoveSyncSessionStore = {
     getProjects,
-    setProjects,
-    saveRuntimeProject,
-    deleteProject,
+    setProjects: recorded(setProjects, () => ({ label: "Replace projects", destructive: true })),
+    saveRuntimeProject: recorded(saveRuntimeProject, (p) => ({ label: `Save project "${p?.name || "Untitled project"}"` })),
+    deleteProject: recorded(deleteProject, (id) => ({ label: `Deleted project "${projectName(id)}"`, destructive: true })),
     setActiveSession,
 
     // Project-first helpers
     getSessionsForProject,
 
+    // Session CRUD
+    addSession: recorded(addSession, (_pid, sess) => ({ label: `Add session "${sess?.name || "Untitled session"}"` })),
+    updateSession: recorded(updateSession, (pid, sid) => ({ label: `Edit session "${sessionName(pid, sid)}"` })),
+    moveSession: recorded(moveSession, (pid, sid, to) => ({
+      label: `Move session "${sessionName(pid, sid)}" to "${projectName(to)}"`,
+    })),
+    duplicateSession: recorded(duplicateSession, (pid, sid) => ({ label: `Duplicate session "${sessionName(pid, sid)}"` })),
+    saveImuAnalysis,
+
+    // Subjects (athlete roster)
+    getSubjects,
+    getSubject,
+    saveSubject: recorded(saveSubject, (sub) => ({ label: `Save subject "${sub?.name || "Unnamed subject"}"` })),
+    deleteSubject: recorded(deleteSubject, (id) => ({ label: `Deleted subject "${subjectName(id)}"`, destructive: true })),
+    getSubjectForSession,
+    getSubjectBody,
+
+    // Tags, custom fields + queries
+    getFieldDefs,
+    getFieldDef,
+    saveFieldDef: recorded(saveFieldDef, (def) => ({ label: `Save field "${def?.label || def?.key || "Field"}"` })),
+    deleteFieldDef: recorded(deleteFieldDef, (key) => ({ label: `Deleted field "${fieldLabel(key)}"`, destructive: true })),
+    getAllTags,
+    parseQuery,
+    sessionMatches,
+    querySessions,
+
+    // History
+    batch,
+
     hydrateRuntimeFromDb,
     saveRuntimeSession,
-    deleteSession,
+    deleteSession: recorded(deleteSession, (pid, sid) =>
+      sid === undefined
+        ? { label: "Deleted session", destructive: true }
+        : { label: `Deleted session "${sessionName(pid, sid)}"`, destructive: true }
+    ),
     getSessions,
     setSessions,
     getActiveSession,
     setActiveSessionById,
 
+    // Persistence
+    setProjectPersistence,
+    flushPersistence,
+    getStorageEstimate,
+
     purgeLegacyIndexedDb,
   };
 })();
\ No newline at end of file
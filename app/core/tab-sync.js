@@ -0,0 +1,87 @@
+// app/core/tab-sync.js
+// ------------------------------------------------------------
+// Cross-tab messaging (BroadcastChannel)
+//
+// Every open MoveSync tab joins one channel. Modules post small,
+// typed messages; the data itself stays in IndexedDB / localStorage
+// and receivers re-read it from there.
+//
+// - post(type, payload): send to the other tabs (never to this one)
+// - on(type, handler, { signal }): subscribe, returns an unsubscribe function
+//
+// Message types in use:
+// - "store:changed"   session store flushed project records
+// - "presets:changed" sport presets were saved
+// - "viewer:session" / "viewer:cursor"  live mirror of the Session Viewer
+//
+// Without BroadcastChannel (old browsers) post() is a no-op and each
+// tab works on its own, as before.
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const CHANNEL_NAME = "movesync";
+  const PROTOCOL = 1;
+
+  const tabId = `tab_${Math.random().toString(36).slice(2, 10)}${Date.now().toString(36).slice(-4)}`;
+  const handlers = new Map();
+
+  let channel = null;
+  try {
+    if (typeof BroadcastChannel === "function") channel = new BroadcastChannel(CHANNEL_NAME);
+  } catch (e) {
+    console.warn("[tab-sync] BroadcastChannel unavailable:", e);
+    channel = null;
+  }
+
+  function isSupported() {
+    return !!channel;
+  }
+
+  function post(type, payload) {
+    if (!channel || !type) return false;
+    try {
+      channel.postMessage({ v: PROTOCOL, type, from: tabId, at: Date.now(), payload: payload ?? null });
+      return true;
+    } catch (e) {
+      console.warn(`[tab-sync] post "${type}" failed:`, e);
+      return false;
+    }
+  }
+
+  // Pass { signal } to unsubscribe with the page's AbortController.
+  function on(type, handler, { signal } = {}) {
+    if (!type || typeof handler !== "function" || signal?.aborted) return () => {};
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+
+    const off = () => handlers.get(type)?.delete(handler);
+    signal?.addEventListener?.("abort", off, { once: true });
+    return off;
+  }
+
+  if (channel) {
+    channel.onmessage = (e) => {
+      const msg = e?.data;
+      if (!msg || msg.v !== PROTOCOL || msg.from === tabId) return;
+
+      const set = handlers.get(msg.type);
+      if (!set) return;
+
+      set.forEach((fn) => {
+        try {
+          fn(msg.payload, msg);
+        } catch (err) {
+          console.warn(`[tab-sync] handler for "${msg.type}" failed:`, err);
+        }
+      });
+    };
+  }
+
+  window.MoveSyncTabSync = {
+    tabId,
+    isSupported,
+    post,
+    on,
+  };
+})();
@@ -0,0 +1,308 @@
+// app/features/column-mapper/column-mapper.js
+// ------------------------------------------------------------
+// Column-mapping wizard (MoveSyncApp.columnMapper):
+// - Assigns CSV columns to Time / Accel / Gyro / Mag X-Y-Z
+// - Declares sensor units and the time format (or a fixed sample rate)
+// - Applies a saved device profile, or saves the mapping as one
+//
+// Used by the Upload page (IMU cards) and the Session Viewer IMU panel.
+//
+//   const result = await MoveSyncApp.columnMapper.open({
+//     fileName, table,      // table from MoveSyncImuCsv.parse / readSample
+//     resolved,             // MoveSyncImuMapping.resolve(...) for the file
+//   });
+//   result -> { mapping, profile } | null (cancelled)
+//
+// One native <dialog>; opening it while open takes over (the earlier
+// request resolves null).
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const app = window.MoveSyncApp;
+  if (!app) {
+    console.error("[column-mapper] MoveSyncApp missing.");
+    return;
+  }
+
+  const GROUPS = [
+    { key: "acc", title: "Accelerometer", signals: ["ax", "ay", "az"] },
+    { key: "gyro", title: "Gyroscope", signals: ["gx", "gy", "gz"] },
+    { key: "mag", title: "Magnetometer", signals: ["mx", "my", "mz"] },
+  ];
+
+  const SAMPLE_VALUES = 3;
+
+  let dialog = null;
+  let pending = null; // { resolve, headers, table, fileName }
+
+  function escapeHtml(s) {
+    return String(s ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;");
+  }
+
+  // First few readable values of a column, for the option labels
+  function sampleOf(table, i) {
+    const col = table?.columns?.[i];
+    if (!col) return "";
+    const out = [];
+    for (let r = 0; r < col.length && out.length < SAMPLE_VALUES; r++) {
+      if (Number.isFinite(col[r])) out.push(+col[r].toPrecision(6));
+    }
+    return out.join(", ");
+  }
+
+  function ensureDialog() {
+    if (dialog && document.body.contains(dialog)) return dialog;
+
+    dialog = document.createElement("dialog");
+    dialog.className = "ms-colmap";
+    dialog.setAttribute("aria-labelledby", "msColmapTitle");
+    dialog.innerHTML = `
+      <form method="dialog" class="ms-colmap-form">
+        <header class="ms-colmap-head">
+          <h2 id="msColmapTitle">Map columns</h2>
+          <p class="ms-colmap-file" data-role="file"></p>
+        </header>
+
+        <div class="ms-colmap-body">
+          <section class="ms-colmap-section">
+            <div class="ms-colmap-section-title">Device profile</div>
+            <div class="ms-colmap-row">
+              <select data-role="profile" aria-label="Apply a saved device profile"></select>
+              <button type="button" class="ms-colmap-btn ms-colmap-btn--ghost" data-action="delete-profile" title="Delete the selected profile">
+                <i class="bx bx-trash" aria-hidden="true"></i>
+              </button>
+            </div>
+          </section>
+
+          <section class="ms-colmap-section">
+            <div class="ms-colmap-section-title">Time</div>
+            <label class="ms-colmap-field">
+              <span>Column</span>
+              <select data-signal="time"></select>
+            </label>
+            <label class="ms-colmap-field">
+              <span>Format</span>
+              <select data-role="timeFormat"></select>
+            </label>
+            <label class="ms-colmap-field" data-role="rateField">
+              <span>Sample rate (Hz)</span>
+              <input type="number" min="1" max="10000" step="1" data-role="sampleRate"/>
+            </label>
+          </section>
+
+          ${GROUPS.map(
+            (g) => `
+          <section class="ms-colmap-section">
+            <div class="ms-colmap-section-title">${g.title}</div>
+            ${g.signals
+              .map(
+                (s) => `
+            <label class="ms-colmap-field">
+              <span>${s.slice(1).toUpperCase()}</span>
+              <select data-signal="${s}"></select>
+            </label>`
+              )
+              .join("")}
+            <label class="ms-colmap-field">
+              <span>Units</span>
+              <select data-unit="${g.key}"></select>
+            </label>
+          </section>`
+          ).join("")}
+
+          <section class="ms-colmap-section">
+            <label class="ms-colmap-check">
+              <input type="checkbox" data-role="saveProfile"/>
+              <span>Save as device profile</span>
+            </label>
+            <input type="text" class="ms-colmap-name" data-role="profileName" placeholder="Device name (e.g. Lab A — Xsens DOT)" maxlength="80" disabled/>
+            <p class="ms-colmap-hint">Files with the same headers will use this profile automatically.</p>
+          </section>
+        </div>
+
+        <footer class="ms-colmap-foot">
+          <button type="button" class="ms-colmap-btn ms-colmap-btn--ghost" data-action="auto">Auto-detect</button>
+          <span class="ms-colmap-spacer"></span>
+          <button type="submit" class="ms-colmap-btn ms-colmap-btn--ghost" value="cancel">Cancel</button>
+          <button type="submit" class="ms-colmap-btn ms-colmap-btn--primary" value="apply">Apply</button>
+        </footer>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    dialog.querySelector('[data-role="timeFormat"]').addEventListener("change", syncRateField);
+    dialog.querySelector('[data-signal="time"]').addEventListener("change", syncRateField);
+    dialog.querySelector('[data-role="saveProfile"]').addEventListener("change", (e) => {
+      const name = dialog.querySelector('[data-role="profileName"]');
+      name.disabled = !e.target.checked;
+      if (e.target.checked) name.focus();
+    });
+    dialog.querySelector('[data-role="profile"]').addEventListener("change", (e) => {
+      const profile = window.MoveSyncImuMapping.getProfile(e.target.value);
+      if (profile) fill(profile);
+    });
+    dialog.querySelector('[data-action="delete-profile"]').addEventListener("click", deleteSelectedProfile);
+    dialog.querySelector('[data-action="auto"]').addEventListener("click", () => {
+      if (!pending) return;
+      fill(window.MoveSyncImuMapping.autoMap(pending.headers, { units: pending.table?.dialect?.units }));
+    });
+
+    dialog.addEventListener("close", onClose);
+    return dialog;
+  }
+
+  function renderProfileOptions(selectedId = "") {
+    const sel = dialog.querySelector('[data-role="profile"]');
+    const profiles = window.MoveSyncImuMapping.listProfiles();
+    sel.innerHTML =
+      `<option value="">${profiles.length ? "Apply a saved profile…" : "No saved profiles"}</option>` +
+      profiles.map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join("");
+    sel.value = selectedId;
+    sel.disabled = !profiles.length;
+  }
+
+  function deleteSelectedProfile() {
+    const sel = dialog.querySelector('[data-role="profile"]');
+    const profile = window.MoveSyncImuMapping.getProfile(sel.value);
+    if (!profile) return;
+    if (!confirm(`Delete device profile "${profile.name}"?`)) return;
+    window.MoveSyncImuMapping.deleteProfile(profile.id);
+    renderProfileOptions();
+  }
+
+  function syncRateField() {
+    const fmt = dialog.querySelector('[data-role="timeFormat"]').value;
+    const hasTime = !!dialog.querySelector('[data-signal="time"]').value;
+    dialog.querySelector('[data-role="rateField"]').hidden = hasTime && fmt !== "none";
+  }
+
+  function renderSelects() {
+    const { headers, table } = pending;
+    const M = window.MoveSyncImuMapping;
+    const schema = window.MoveSyncSchema;
+
+    const columnOptions =
+      `<option value="">— none —</option>` +
+      headers
+        .map((h, i) => {
+          const sample = sampleOf(table, i);
+          return `<option value="${escapeHtml(h)}">${escapeHtml(h)}${sample ? ` — ${escapeHtml(sample)}` : ""}</option>`;
+        })
+        .join("");
+
+    dialog.querySelectorAll("[data-signal]").forEach((sel) => (sel.innerHTML = columnOptions));
+
+    dialog.querySelectorAll("[data-unit]").forEach((sel) => {
+      const group = sel.dataset.unit;
+      sel.innerHTML = schema.IMU_UNITS[group]
+        .map((u) => `<option value="${u}">${escapeHtml(M.UNIT_LABELS[u] || u)}</option>`)
+        .join("");
+    });
+
+    dialog.querySelector('[data-role="timeFormat"]').innerHTML = schema.IMU_TIME_FORMATS
+      .map((f) => `<option value="${f}">${escapeHtml(M.TIME_FORMAT_LABELS[f] || f)}</option>`)
+      .join("");
+  }
+
+  function fill(mapping) {
+    const m = window.MoveSyncSchema.normalizeImuMapping(mapping);
+
+    dialog.querySelectorAll("[data-signal]").forEach((sel) => {
+      const h = m.columns[sel.dataset.signal];
+      sel.value = h != null && pending.headers.includes(h) ? h : "";
+    });
+    dialog.querySelectorAll("[data-unit]").forEach((sel) => (sel.value = m.units[sel.dataset.unit]));
+    dialog.querySelector('[data-role="timeFormat"]').value = m.timeFormat;
+    dialog.querySelector('[data-role="sampleRate"]').value = String(m.sampleRate);
+    syncRateField();
+  }
+
+  function readForm() {
+    const columns = {};
+    dialog.querySelectorAll("[data-signal]").forEach((sel) => (columns[sel.dataset.signal] = sel.value || null));
+
+    const units = {};
+    dialog.querySelectorAll("[data-unit]").forEach((sel) => (units[sel.dataset.unit] = sel.value));
+
+    let timeFormat = dialog.querySelector('[data-role="timeFormat"]').value;
+    if (!columns.time) timeFormat = "none";
+
+    return window.MoveSyncSchema.normalizeImuMapping({
+      columns,
+      units,
+      timeFormat,
+      sampleRate: Number(dialog.querySelector('[data-role="sampleRate"]').value),
+    });
+  }
+
+  function onClose() {
+    const job = pending;
+    pending = null;
+    if (!job) return;
+
+    if (dialog.returnValue !== "apply") {
+      job.resolve(null);
+      return;
+    }
+
+    const mapping = readForm();
+    let profile = null;
+
+    if (dialog.querySelector('[data-role="saveProfile"]').checked) {
+      try {
+        profile = window.MoveSyncImuMapping.saveProfile({
+          ...mapping,
+          name: dialog.querySelector('[data-role="profileName"]').value,
+          headers: job.headers,
+        });
+      } catch (err) {
+        console.warn("[column-mapper] could not save device profile:", err);
+        app.toast?.show?.({ message: "Couldn't save the device profile (browser storage unavailable)." });
+      }
+    }
+
+    job.resolve({ mapping, profile });
+  }
+
+  function open({ fileName = "", table = null, resolved = null } = {}) {
+    const dlg = ensureDialog();
+
+    // A newer request takes over the open dialog; the old one gets null
+    if (pending) {
+      pending.resolve(null);
+      pending = null;
+    }
+
+    return new Promise((resolve) => {
+      const headers = Array.isArray(table?.headers) ? table.headers.slice() : [];
+      pending = { resolve, headers, table, fileName };
+
+      const format = table?.dialect ? window.MoveSyncImuCsv?.describe?.(table.dialect) : "";
+      dlg.querySelector('[data-role="file"]').textContent = [fileName, format].filter(Boolean).join(" · ");
+
+      renderSelects();
+      renderProfileOptions(resolved?.source === "profile" ? resolved.profile?.id || "" : "");
+
+      const r = resolved || window.MoveSyncImuMapping.resolve(headers, { units: table?.dialect?.units });
+      fill(r.mapping);
+
+      const save = dlg.querySelector('[data-role="saveProfile"]');
+      const name = dlg.querySelector('[data-role="profileName"]');
+      save.checked = false;
+      name.disabled = true;
+      name.value = r.profile?.name || String(fileName).replace(/\.[^.]+$/, "");
+
+      if (!dlg.open) {
+        dlg.returnValue = "";
+        dlg.showModal();
+      }
+    });
+  }
+
+  app.columnMapper = { open };
+})();
@@ -0,0 +1,82 @@
+// app/features/toast/toast.js
+// ------------------------------------------------------------
+// Toast notifications:
+// - One toast at a time, bottom-center, auto-hides.
+// - Optional action button (e.g. "Undo") that runs a callback.
+//
+// Accessibility:
+// - Container is role="status" + aria-live="polite"
+// ------------------------------------------------------------
+(() => {
+  "use strict";
+
+  const app = window.MoveSyncApp;
+  if (!app) {
+    console.error("[toast] MoveSyncApp missing.");
+    return;
+  }
+
+  const DEFAULT_TIMEOUT_MS = 6000;
+
+  let el = null;
+  let hideTimer = null;
+
+  function ensureEl() {
+    if (el && document.body.contains(el)) return el;
+
+    el = document.createElement("div");
+    el.className = "ms-toast";
+    el.setAttribute("role", "status");
+    el.setAttribute("aria-live", "polite");
+    el.hidden = true;
+    el.innerHTML = `
+      <span class="ms-toast-msg"></span>
+      <button class="ms-toast-action" type="button" hidden></button>
+      <button class="ms-toast-close" type="button" aria-label="Dismiss">
+        <i class="bx bx-x" aria-hidden="true"></i>
+      </button>
+    `;
+
+    el.querySelector(".ms-toast-close").addEventListener("click", hide);
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function hide() {
+    clearTimeout(hideTimer);
+    hideTimer = null;
+    if (!el) return;
+    el.classList.remove("is-visible");
+    el.hidden = true;
+  }
+
+  function show({ message, actionLabel, onAction, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const root = ensureEl();
+    clearTimeout(hideTimer);
+
+    root.querySelector(".ms-toast-msg").textContent = String(message || "");
+
+    // Replace the button so a previous toast's handler can't fire.
+    const oldBtn = root.querySelector(".ms-toast-action");
+    const btn = oldBtn.cloneNode(false);
+    oldBtn.replaceWith(btn);
+
+    if (actionLabel && typeof onAction === "function") {
+      btn.hidden = false;
+      btn.textContent = actionLabel;
+      btn.addEventListener("click", () => {
+        hide();
+        onAction();
+      });
+    } else {
+      btn.hidden = true;
+    }
+
+    root.hidden = false;
+    requestAnimationFrame(() => root.classList.add("is-visible"));
+
+    if (timeoutMs > 0) hideTimer = setTimeout(hide, timeoutMs);
+  }
+
+  app.toast = { show, hide };
+})();
@@ -6,8 +6,6 @@
 (() => {
   const PAGE_NAME = "Compare Sessions";
 
-  const SESSIONS_KEY = "movesync:sessions";
-  const ACTIVE_SESSION_KEY = "movesync:active-session-id";
   const COMPARE_KEY = "movesync:compare";
 
   const $ = (id) => document.getElementById(id);
@@ -16,10 +14,17 @@
     try { return JSON.parse(json); } catch { return fallback; }
   }
 
+  function store() {
+    return window.MoveSyncSessionStore || null;
+  }
+
+  // Sessions are picked across projects; option values are "projectId:sessionId".
+  function sessionKey(s) {
+    return s ? `${s.projectId}:${s.id}` : "";
+  }
+
   function loadSessions() {
-    const raw = localStorage.getItem(SESSIONS_KEY);
-    const sessions = raw ? safeParse(raw, []) : [];
-    return Array.isArray(sessions) ? sessions : [];
+    return (store()?.getProjects?.() || []).flatMap((p) => p.sessions || []);
   }
 
   function formatDate(iso) {
@@ -52,6 +57,8 @@
     return {
       aId: stored.aId || "",
       bId: stored.bId || "",
+      aQuery: stored.aQuery || "",
+      bQuery: stored.bQuery || "",
     };
   }
 
@@ -60,17 +67,35 @@
     localStorage.setItem("movesync:last-activity", new Date().toISOString());
   }
 
-  function renderSelectOptions(selectEl, sessions) {
+  // Lists the sessions matching the side's query; the current pick stays
+  // listed even when the query no longer matches it.
+  function renderSelectOptions(selectEl, filterEl, sessions, selectedId) {
     if (!selectEl) return;
+
+    const parsed = store()?.parseQuery?.(filterEl?.value || "") || { isEmpty: true, errors: [] };
+    const matching = parsed.isEmpty ? sessions : store().querySessions(parsed);
+    const selected = sessionById(sessions, selectedId);
+    const listed = selected && !matching.includes(selected) ? [selected, ...matching] : matching;
+
+    if (filterEl) {
+      filterEl.classList.toggle("is-error", parsed.errors.length > 0);
+      filterEl.title = parsed.errors.join(" ");
+    }
+
+    const countText = parsed.isEmpty ? "" : ` (${matching.length} match)`;
     const opts = [
-      `<option value="" selected>Select a session…</option>`,
-      ...sessions.map((s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name || "Untitled")} · ${escapeHtml(s.id)}</option>`),
+      `<option value="">Select a session…${escapeHtml(countText)}</option>`,
+      ...listed.map((s) => {
+        const key = sessionKey(s);
+        const project = s.project?.name || "Untitled project";
+        return `<option value="${escapeHtml(key)}" ${key === selectedId ? "selected" : ""}>${escapeHtml(s.name || "Untitled")} · ${escapeHtml(project)}</option>`;
+      }),
     ];
     selectEl.innerHTML = opts.join("");
   }
 
   function sessionById(sessions, id) {
-    return sessions.find((s) => s.id === id) || null;
+    return sessions.find((s) => sessionKey(s) === id) || null;
   }
 
   function renderMini(which, session) {
@@ -127,6 +152,19 @@
     return `Δ ${sign}${d}${unit}`;
   }
 
+  // Custom session fields set on either side
+  function fieldCards(a, b) {
+    return (store()?.getFieldDefs?.() || [])
+      .filter((def) => a.fields?.[def.key] != null || b.fields?.[def.key] != null)
+      .map((def) => {
+        const aV = a.fields?.[def.key] ?? null;
+        const bV = b.fields?.[def.key] ?? null;
+        const label = def.unit ? `${def.label} (${def.unit})` : def.label;
+        const sub = def.type === "number" ? diffText(aV, bV, def.unit ? ` ${def.unit}` : "") : "Not a numeric diff";
+        return metricCard(label, aV != null ? String(aV) : "—", bV != null ? String(bV) : "—", sub);
+      });
+  }
+
   function renderComparison(a, b) {
     const grid = $("cmpGrid");
     const hint = $("cmpSummaryHint");
@@ -148,6 +186,7 @@
       metricCard("Tags", String(aS.tagCount), String(bS.tagCount), diffText(aS.tagCount, bS.tagCount)),
       metricCard("Notes length", String(aS.noteLength), String(bS.noteLength), diffText(aS.noteLength, bS.noteLength, " chars")),
       metricCard("Updated", formatDate(a.updatedAt || a.createdAt), formatDate(b.updatedAt || b.createdAt), "Not a numeric diff"),
+      ...fieldCards(a, b),
     ];
 
     grid.innerHTML = cards.join("");
@@ -162,9 +201,10 @@
     setDisabled("cmpOpenB", !bId);
   }
 
-  function openInViewer(sessionId) {
-    if (!sessionId) return;
-    localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
+  function openInViewer(key) {
+    const s = sessionById(loadSessions(), key);
+    if (!s) return;
+    store()?.setActiveSession?.(s.projectId, s.id);
     localStorage.setItem("movesync:last-activity", new Date().toISOString());
     window.MoveSync?.goToPage?.("Session Viewer");
   }
@@ -173,20 +213,18 @@
     const sessions = loadSessions();
     const state = getCompareState();
 
-    const selA = $("cmpSelectA");
-    const selB = $("cmpSelectB");
-
-    renderSelectOptions(selA, sessions);
-    renderSelectOptions(selB, sessions);
-
     // If compare state is empty but there's an active session, prefill A
     if (!state.aId) {
-      const active = localStorage.getItem(ACTIVE_SESSION_KEY);
-      if (active && sessions.some((s) => s.id === active)) state.aId = active;
+      const active = sessionKey(store()?.getActiveSession?.());
+      if (active && sessionById(sessions, active)) state.aId = active;
     }
+    if (!sessionById(sessions, state.aId)) state.aId = "";
+    if (!sessionById(sessions, state.bId)) state.bId = "";
 
-    if (selA) selA.value = state.aId || "";
-    if (selB) selB.value = state.bId || "";
+    if ($("cmpFilterA")) $("cmpFilterA").value = state.aQuery;
+    if ($("cmpFilterB")) $("cmpFilterB").value = state.bQuery;
+    renderSelectOptions($("cmpSelectA"), $("cmpFilterA"), sessions, state.aId);
+    renderSelectOptions($("cmpSelectB"), $("cmpFilterB"), sessions, state.bId);
 
     const a = sessionById(sessions, state.aId);
     const b = sessionById(sessions, state.bId);
@@ -206,7 +244,7 @@
       const aId = selA?.value || "";
       const bId = selB?.value || "";
 
-      ctx.state = { aId, bId };
+      ctx.state = { aId, bId, aQuery: $("cmpFilterA")?.value || "", bQuery: $("cmpFilterB")?.value || "" };
       setCompareState(ctx.state);
 
       const a = sessionById(ctx.sessions, aId);
@@ -217,8 +255,21 @@
       renderComparison(a, b);
     }
 
+    // Store changes (edits here or in another tab) and query edits re-list
+    function relist() {
+      ctx.sessions = loadSessions();
+      renderSelectOptions(selA, $("cmpFilterA"), ctx.sessions, selA?.value || "");
+      renderSelectOptions(selB, $("cmpFilterB"), ctx.sessions, selB?.value || "");
+      refresh();
+    }
+
     selA?.addEventListener("change", refresh, { signal: controller.signal });
     selB?.addEventListener("change", refresh, { signal: controller.signal });
+    $("cmpFilterA")?.addEventListener("input", relist, { signal: controller.signal });
+    $("cmpFilterB")?.addEventListener("input", relist, { signal: controller.signal });
+
+    document.addEventListener("movesync:sessions-changed", relist, { signal: controller.signal });
+    document.addEventListener("movesync:fields-changed", relist, { signal: controller.signal });
 
     $("cmpGoLibrary")?.addEventListener("click", () => {
       window.MoveSync?.goToPage?.("Session Library");
@@ -249,12 +300,20 @@
     _controller: null,
     _ctx: null,
 
-    init() {
+    async init() {
       this._controller?.abort?.();
-      this._controller = new AbortController();
+      const controller = new AbortController();
+      this._controller = controller;
+
+      try {
+        await store()?.hydrateRuntimeFromDb?.();
+      } catch (e) {
+        console.warn("[Compare] hydrate failed:", e);
+      }
+      if (controller.signal.aborted) return;
 
       this._ctx = initPage();
-      wireEvents(this._ctx, this._controller);
+      wireEvents(this._ctx, controller);
     },
 
     destroy() {
@@ -8,6 +8,7 @@
 
   const LAST_VISIT_KEY = "movesync:last-visit";
   const LAST_ACTIVITY_KEY = "movesync:last-activity";
+  const QUERY_KEY = "movesync:dashboard-query";
 
   const $ = (id) => document.getElementById(id);
 
@@ -59,17 +60,20 @@
     return Array.isArray(projects) ? projects : [];
   }
 
-  function collectSessionsAcrossProjects(projects) {
+  // parsed: optional store query; sessions that don't match are left out
+  function collectSessionsAcrossProjects(projects, parsed = null) {
     const rows = [];
 
     for (const p of projects) {
       const sessions = Array.isArray(p?.sessions) ? p.sessions : [];
       for (const sess of sessions) {
+        if (parsed && !store()?.sessionMatches?.(parsed, sess, p)) continue;
         rows.push({
           projectId: p?.id,
           projectName: p?.name || "Untitled project",
           sessionId: sess?.id,
           sessionName: sess?.name || "Untitled session",
+          tags: Array.isArray(sess?.tags) ? sess.tags : [],
           when:
             sess?.updatedAt ||
             sess?.createdAt ||
@@ -96,12 +100,23 @@
     return Math.max(1, Math.round(bytes / 1024));
   }
 
-  function renderRecents(recentRows) {
+  function renderRecents(recentRows, filtered) {
     const root = $("dashRecents");
     if (!root) return;
 
     if (!recentRows.length) {
-      return; // keep empty-state markup in HTML
+      root.innerHTML = `
+        <div class="dash-empty">
+          <div class="dash-emptyIcon" aria-hidden="true"><i class="bx ${filtered ? "bx-filter-alt" : "bx-folder-open"}"></i></div>
+          <div class="dash-emptyText">
+            <div class="dash-emptyTitle">${filtered ? "No matching sessions" : "No sessions yet"}</div>
+            <div class="dash-emptyDesc">${
+              filtered ? "Try another filter, e.g. tag:sprint or date>2026-09-01." : "Upload your first session to populate the dashboard."
+            }</div>
+          </div>
+        </div>
+      `;
+      return;
     }
 
     const top = recentRows.slice(0, 5);
@@ -126,7 +141,7 @@
               <div class="dash-recentTitle">${escapeHtml(title)}</div>
               <div class="dash-recentMeta">${escapeHtml(meta)}</div>
             </div>
-            <div class="dash-pill">session</div>
+            <div class="dash-pill">${escapeHtml(r.tags[0] ? `#${r.tags[0]}` : "session")}</div>
           </div>
         `;
       })
@@ -206,6 +221,19 @@
     );
   }
 
+  // Recent sessions query (same syntax as the Library search)
+  function readQuery() {
+    const input = $("dashQuery");
+    const text = (input?.value || "").trim();
+    const parsed = text ? store()?.parseQuery?.(text) : null;
+
+    if (input) {
+      input.classList.toggle("is-error", !!parsed?.errors.length);
+      input.title = parsed?.errors.join(" ") || "";
+    }
+    return parsed && !parsed.isEmpty ? parsed : null;
+  }
+
   async function initDashboard() {
     await hydrate();
 
@@ -214,10 +242,12 @@
     setText("dashDate", `${formatDate(now)} · ${formatTime(now)}`);
 
     const projects = getProjectsSafe();
-    const recentRows = collectSessionsAcrossProjects(projects);
+    const allRows = collectSessionsAcrossProjects(projects);
+    const parsed = readQuery();
+    const recentRows = parsed ? collectSessionsAcrossProjects(projects, parsed) : allRows;
 
     const projectCount = projects.length;
-    const sessionCount = recentRows.length;
+    const sessionCount = allRows.length;
 
     setText("kpiProjects", String(projectCount));
     setText(
@@ -228,12 +258,16 @@
     setText("kpiSessions", String(sessionCount));
     setText(
       "kpiSessionsMeta",
-      sessionCount ? "Ready to view & compare" : "Upload to get started"
+      parsed
+        ? `${recentRows.length} match the filter`
+        : sessionCount
+          ? "Ready to view & compare"
+          : "Upload to get started"
     );
 
-    renderRecents(recentRows);
+    renderRecents(recentRows, !!parsed);
 
-    const last = computeLastActivity(projects, recentRows);
+    const last = computeLastActivity(projects, allRows);
     if (last) {
       setText("kpiLastActivity", formatDate(last));
       setText("kpiLastActivityMeta", `at ${formatTime(last)}`);
@@ -245,8 +279,20 @@
     // Update last-visit now
     localStorage.setItem(LAST_VISIT_KEY, now.toISOString());
 
-    // Local storage KPI
+    // Local storage KPI (IndexedDB + localStorage when the browser reports it)
     setText("kpiStorage", `${estimateLocalStorageUsageKB()} KB`);
+    renderStorageEstimate();
+  }
+
+  async function renderStorageEstimate() {
+    try {
+      const est = await store()?.getStorageEstimate?.();
+      if (!Number.isFinite(est?.usage)) return;
+      const mb = est.usage / (1024 * 1024);
+      setText("kpiStorage", mb >= 1 ? `${mb.toFixed(1)} MB` : `${Math.max(1, Math.round(est.usage / 1024))} KB`);
+    } catch (e) {
+      console.warn("[Dashboard] storage estimate failed:", e);
+    }
   }
 
   // Register module for your router
@@ -258,15 +304,32 @@
       this._controller?.abort?.();
       this._controller = new AbortController();
 
+      const query = $("dashQuery");
+      if (query) query.value = localStorage.getItem(QUERY_KEY) || "";
+
       initDashboard();
       wireNavButtons(this._controller);
 
+      query?.addEventListener(
+        "input",
+        () => {
+          localStorage.setItem(QUERY_KEY, query.value);
+          initDashboard();
+        },
+        { signal: this._controller.signal }
+      );
+
       // Keep dashboard live if projects change elsewhere
       document.addEventListener(
         "movesync:projects-changed",
         () => initDashboard(),
         { signal: this._controller.signal }
       );
+      document.addEventListener(
+        "movesync:fields-changed",
+        () => initDashboard(),
+        { signal: this._controller.signal }
+      );
     },
 
     destroy() {
@@ -17,10 +17,19 @@
   // ✅ Multi-select state
   const selectedProjectIds = new Set();
 
+  // Expanded session panels survive re-renders (move/duplicate/delete)
+  const expandedProjectIds = new Set();
+
+  // "projectId:sessionId" of the session whose tags/fields are being edited
+  let editingSessionKey = null;
+
   // ===== Export limits =====
   const MAX_VIDEO_BYTES = 30 * 1024 * 1024; // 30 MB
   const MAX_IMU_CSV_BYTES = 5 * 1024 * 1024; // 5 MB per CSV
 
+  // Vendor IMU recordings that aren't text (MoveSyncImuImporters)
+  const BINARY_IMU_RE = /\.(cwa|zip)$/i;
+
   function store() {
     return window.MoveSyncSessionStore || null;
   }
@@ -48,6 +57,64 @@
       .replaceAll("'", "&#039;");
   }
 
+  function fmtBytes(n) {
+    if (!Number.isFinite(n)) return "—";
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  // ================================
+  // Storage quota (device persistence)
+  // ================================
+  function renderStorage(est) {
+    const wrap = $("libStorage");
+    const text = $("libStorageText");
+    const fill = $("libStorageFill");
+    if (!wrap || !text || !fill) return;
+
+    if (!est?.supported) {
+      text.textContent = "Storage: not available (memory only)";
+      fill.style.width = "0%";
+      wrap.classList.remove("is-warn");
+      return;
+    }
+
+    const usage = est.usage;
+    const quota = est.quota;
+    const pct = Number.isFinite(usage) && Number.isFinite(quota) && quota > 0 ? (usage / quota) * 100 : 0;
+
+    text.textContent = est.error
+      ? `Storage: ${est.error}`
+      : `Storage: ${fmtBytes(usage)} of ${fmtBytes(quota)}${est.persisted ? " · persistent" : ""}`;
+    fill.style.width = `${Math.min(100, Math.max(0, pct)).toFixed(1)}%`;
+    wrap.classList.toggle("is-warn", !!est.error || pct >= 80);
+  }
+
+  async function refreshStorage() {
+    try {
+      renderStorage(await store()?.getStorageEstimate?.());
+    } catch (e) {
+      console.warn("[Library] storage estimate failed:", e);
+    }
+  }
+
+  async function toggleProjectPersistence(projectId) {
+    const s = store();
+    const project = getProjects().find((p) => String(p.id) === String(projectId));
+    if (!s?.setProjectPersistence || !project) return;
+
+    const next = project.persist === false;
+    if (!next) {
+      const ok = confirm("Stop saving this project on this device? It will be lost when the page is closed.");
+      if (!ok) return;
+    }
+
+    await s.setProjectPersistence(projectId, next);
+    applyFilterSortAndRender();
+  }
+
   function renderCount(n) {
     const el = $("libCount");
     if (el) el.textContent = `${n} project${n === 1 ? "" : "s"}`;
@@ -78,28 +145,43 @@
     return String(v ?? "").toLowerCase();
   }
 
+  // Project-level text only; sessions are matched through the store query.
   function projectToSearchText(p) {
-    const sessions = Array.isArray(p.sessions) ? p.sessions : [];
-    const sessionBits = sessions.flatMap((s) => {
-      const imuNames = (Array.isArray(s.imuFiles) ? s.imuFiles : [])
-        .map((f) => f?.name || "")
-        .filter(Boolean);
-      const v = s.videoFile?.name || "";
-      return [s.name || "", s.notes || "", v, ...imuNames];
-    });
-
     return [
       p.name || "",
       p.notes || "",
       p.id ?? "",
       fmtDate(p.createdAt || ""),
       fmtDate(p.updatedAt || ""),
-      ...sessionBits,
     ]
       .join(" ")
       .toLowerCase();
   }
 
+  // Query -> Map(projectId -> matching sessions | null for "show all").
+  // Free text that matches the project itself keeps all of its sessions.
+  function filterProjects(projects, parsed) {
+    const out = new Map();
+    if (!parsed || parsed.isEmpty) {
+      projects.forEach((p) => out.set(String(p.id), null));
+      return out;
+    }
+
+    const textOnly = parsed.terms.every((t) => t.kind === "text");
+    projects.forEach((p) => {
+      if (textOnly) {
+        const text = projectToSearchText(p);
+        if (parsed.terms.every((t) => text.includes(t.value) !== t.negate)) {
+          out.set(String(p.id), null);
+          return;
+        }
+      }
+      const hits = (p.sessions || []).filter((sess) => store()?.sessionMatches?.(parsed, sess, p));
+      if (hits.length) out.set(String(p.id), hits);
+    });
+    return out;
+  }
+
   function sortProjects(projects) {
     const key = $("libSortSelect")?.value || "date_desc";
     const arr = projects.slice();
@@ -156,7 +238,240 @@
     updateSelectedUi();
   }
 
-  function renderList(projects) {
+  function renderMoveOptions(projects, currentProjectId) {
+    const others = projects.filter((x) => String(x.id) !== String(currentProjectId));
+    if (!others.length) return "";
+
+    return `
+      <select class="lib-mini-select" data-action="move-session" title="Move session to another project">
+        <option value="">Move to…</option>
+        ${others
+          .map((o) => `<option value="${escapeHtml(String(o.id))}">#${escapeHtml(String(o.id))} — ${escapeHtml(o.name || "Untitled project")}</option>`)
+          .join("")}
+      </select>
+    `;
+  }
+
+  // ================================
+  // Subjects (roster)
+  // ================================
+  function getSubjects() {
+    return (store()?.getSubjects?.() || []).slice().sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  function subjectName(id) {
+    return store()?.getSubject?.(id)?.name || "";
+  }
+
+  function projectSubjectNames(project) {
+    const names = (project.sessions || []).map((s) => subjectName(s?.subjectId)).filter(Boolean);
+    return [...new Set(names)];
+  }
+
+  function renderSubjectOptions(subjects, currentId) {
+    if (!subjects.length && currentId == null) return "";
+
+    return `
+      <select class="lib-mini-select" data-action="set-subject" title="Subject (athlete) for this session">
+        <option value="">No subject</option>
+        ${subjects
+          .map((sub) => {
+            const selected = currentId != null && String(sub.id) === String(currentId) ? "selected" : "";
+            return `<option value="${escapeHtml(String(sub.id))}" ${selected}>${escapeHtml(sub.name)}</option>`;
+          })
+          .join("")}
+      </select>
+    `;
+  }
+
+  async function setSessionSubject(projectId, sessionId, subjectId) {
+    const s = store();
+    if (!s?.updateSession) return;
+
+    try {
+      await s.updateSession(projectId, sessionId, { subjectId: subjectId || null });
+    } catch (e) {
+      console.warn("[Library] set subject failed:", e);
+    }
+  }
+
+  // ================================
+  // Tags + custom fields
+  // ================================
+  function getFieldDefs() {
+    return store()?.getFieldDefs?.() || [];
+  }
+
+  function fmtFieldValue(def, value) {
+    if (def.type === "number") return `${value}${def.unit ? ` ${def.unit}` : ""}`;
+    return String(value);
+  }
+
+  function renderMetaChips(s) {
+    const tags = (s.tags || []).map(
+      (t) =>
+        `<button class="lib-chip lib-tag" type="button" data-action="filter-tag" data-tag="${escapeHtml(t)}" title="Filter by tag">#${escapeHtml(t)}</button>`
+    );
+    const fields = getFieldDefs()
+      .filter((def) => s.fields?.[def.key] != null)
+      .map(
+        (def) =>
+          `<span class="lib-chip" title="${escapeHtml(def.key)}">${escapeHtml(def.label)}: ${escapeHtml(fmtFieldValue(def, s.fields[def.key]))}</span>`
+      );
+    return [...tags, ...fields].join("");
+  }
+
+  function renderFieldInput(def, value) {
+    const attrs = `class="lib-edit-input" data-field="${escapeHtml(def.key)}" aria-label="${escapeHtml(def.label)}"`;
+    const v = value == null ? "" : escapeHtml(String(value));
+
+    if (def.type === "enum") {
+      return `
+        <select ${attrs}>
+          <option value="">—</option>
+          ${def.options
+            .map((o) => `<option value="${escapeHtml(o)}" ${o === value ? "selected" : ""}>${escapeHtml(o)}</option>`)
+            .join("")}
+        </select>
+      `;
+    }
+    if (def.type === "date") return `<input ${attrs} type="date" value="${v}" />`;
+    return `<input ${attrs} type="number" step="any" value="${v}" placeholder="${escapeHtml(def.unit || "")}" />`;
+  }
+
+  function renderSessionEditor(s) {
+    const fields = getFieldDefs()
+      .map(
+        (def) => `
+          <label class="lib-edit-field">
+            <span>${escapeHtml(def.label)}${def.unit ? ` (${escapeHtml(def.unit)})` : ""}</span>
+            ${renderFieldInput(def, s.fields?.[def.key])}
+          </label>
+        `
+      )
+      .join("");
+
+    return `
+      <div class="lib-session-edit">
+        <label class="lib-edit-field lib-edit-field--wide">
+          <span>Tags (comma separated)</span>
+          <input class="lib-edit-input" data-meta="tags" type="text" value="${escapeHtml((s.tags || []).join(", "))}"
+            placeholder="sprint, max-velocity" />
+        </label>
+        ${fields}
+        <button class="lib-mini-btn" type="button" data-action="save-meta">
+          <i class="bx bx-check" aria-hidden="true"></i> Save
+        </button>
+        <button class="lib-mini-btn" type="button" data-action="cancel-meta">Cancel</button>
+      </div>
+    `;
+  }
+
+  async function saveSessionMeta(projectId, sessionId, editor) {
+    const s = store();
+    if (!s?.updateSession || !editor) return;
+
+    const tags = window.MoveSyncSchema?.normalizeTags?.(editor.querySelector("[data-meta='tags']")?.value || "") || [];
+    const fields = {};
+    editor.querySelectorAll("[data-field]").forEach((el) => {
+      if (el.value !== "") fields[el.dataset.field] = el.value;
+    });
+
+    editingSessionKey = null;
+    try {
+      await s.updateSession(projectId, sessionId, { tags, fields });
+    } catch (e) {
+      console.warn("[Library] saving tags/fields failed:", e);
+    }
+    applyFilterSortAndRender();
+  }
+
+  function addTagFilter(tag) {
+    const input = $("libSearchInput");
+    if (!input || !tag) return;
+
+    const term = `tag:${tag}`;
+    const words = input.value.trim().split(/\s+/).filter(Boolean);
+    if (!words.includes(term)) input.value = [...words, term].join(" ");
+    applyFilterSortAndRender();
+  }
+
+  function renderFieldDefs() {
+    const list = $("libFieldList");
+    if (!list) return;
+
+    const defs = getFieldDefs();
+    list.innerHTML = defs.length
+      ? defs
+          .map((def) => {
+            const detail =
+              def.type === "enum" ? def.options.join(" / ") || "choice" : def.type === "number" ? def.unit || "number" : "date";
+            return `
+              <div class="lib-field-row" data-key="${escapeHtml(def.key)}">
+                <span class="lib-chip" title="Filter with ${escapeHtml(def.key)}:…">
+                  <b>${escapeHtml(def.label)}</b> · ${escapeHtml(detail)}
+                </span>
+                <button class="lib-mini-btn lib-mini-danger" type="button" data-action="delete-field" title="Delete field">
+                  <i class="bx bx-trash" aria-hidden="true"></i>
+                </button>
+              </div>
+            `;
+          })
+          .join("")
+      : `<div style="opacity:.75; font-size:13px; color:var(--text-color);">No custom fields yet</div>`;
+  }
+
+  function syncFieldFormType() {
+    const type = $("libFieldType")?.value;
+    if ($("libFieldOptions")) $("libFieldOptions").hidden = type !== "enum";
+    if ($("libFieldUnit")) $("libFieldUnit").hidden = type !== "number";
+  }
+
+  // Adding a field with an existing name updates it.
+  async function addFieldDef() {
+    const s = store();
+    const msg = $("libFieldMsg");
+    if (!s?.saveFieldDef) return;
+
+    const label = ($("libFieldLabel")?.value || "").trim();
+    try {
+      await s.saveFieldDef({
+        label,
+        type: $("libFieldType")?.value,
+        options: $("libFieldOptions")?.value || "",
+        unit: ($("libFieldUnit")?.value || "").trim(),
+      });
+      ["libFieldLabel", "libFieldOptions", "libFieldUnit"].forEach((id) => {
+        if ($(id)) $(id).value = "";
+      });
+      if (msg) msg.textContent = "";
+    } catch (e) {
+      if (msg) msg.textContent = window.MoveSyncSchema?.formatError?.(e) || String(e?.message || e);
+    }
+  }
+
+  async function deleteFieldDef(key) {
+    const s = store();
+    if (!s?.deleteFieldDef) return;
+
+    const label = s.getFieldDef?.(key)?.label || key;
+    const ok = confirm(`Delete the field "${label}"? Its values are removed from all sessions.`);
+    if (!ok) return;
+
+    await s.deleteFieldDef(key);
+  }
+
+  function toggleFieldsPanel() {
+    const panel = $("libFieldsPanel");
+    const btn = $("libFieldsBtn");
+    if (!panel) return;
+
+    panel.hidden = !panel.hidden;
+    btn?.setAttribute("aria-expanded", String(!panel.hidden));
+    if (!panel.hidden) $("libFieldLabel")?.focus();
+  }
+
+  function renderList(projects, sessionFilter = new Map()) {
     const list = $("libList");
     const empty = $("libEmpty");
     if (!list || !empty) return;
@@ -172,6 +487,9 @@
     empty.hidden = true;
     renderCount(projects.length);
 
+    const allProjects = getProjects();
+    const subjects = getSubjects();
+
     list.innerHTML = projects
       .map((p) => {
         const pidRaw = p.id;
@@ -179,12 +497,16 @@
         const title = escapeHtml(p.name || "Untitled project");
         const notes = escapeHtml(p.notes || "");
         const created = escapeHtml(fmtDate(p.updatedAt || p.createdAt) || "");
+        const subjectNames = projectSubjectNames(p);
+        const subjectsText = subjectNames.length ? ` · ${escapeHtml(subjectNames.join(", "))}` : "";
 
-        const sessions = Array.isArray(p.sessions) ? p.sessions : [];
+        const allSessions = Array.isArray(p.sessions) ? p.sessions : [];
+        const sessions = sessionFilter.get(String(pidRaw)) || allSessions;
         const sessionCount = sessions.length;
 
         const toggleDisabled = sessionCount ? "" : "disabled";
         const panelId = safeDomId("sessList-", pidRaw);
+        const expanded = sessionCount > 0 && expandedProjectIds.has(String(pidRaw));
 
         const checked = isChecked(pidRaw);
         const isSelectedClass = checked ? "is-selected" : "";
@@ -198,6 +520,7 @@
                 const v = escapeHtml(s.videoFile?.name || "—");
                 const imuCount = Array.isArray(s.imuFiles) ? s.imuFiles.length : 0;
                 const createdSess = escapeHtml(fmtDate(s.createdAt) || "");
+                const editing = editingSessionKey === `${pidRaw}:${s.id}`;
 
                 return `
               <div class="lib-session" data-session-id="${sid}">
@@ -207,6 +530,18 @@
                     <button class="lib-mini-btn" type="button" data-action="view-session">
                       <i class="bx bx-video" aria-hidden="true"></i> View
                     </button>
+                    <button class="lib-mini-btn" type="button" data-action="edit-meta" aria-pressed="${editing}"
+                      title="Edit tags and custom fields">
+                      <i class="bx bx-purchase-tag" aria-hidden="true"></i> Tags
+                    </button>
+                    ${renderSubjectOptions(subjects, s.subjectId)}
+                    ${renderMoveOptions(allProjects, pidRaw)}
+                    <button class="lib-mini-btn" type="button" data-action="duplicate-session" title="Duplicate session">
+                      <i class="bx bx-copy" aria-hidden="true"></i> Duplicate
+                    </button>
+                    <button class="lib-mini-btn lib-mini-danger" type="button" data-action="delete-session" title="Delete session">
+                      <i class="bx bx-trash" aria-hidden="true"></i>
+                    </button>
                   </div>
                 </div>
 
@@ -216,7 +551,9 @@
                   <span class="lib-chip"><i class="bx bx-chip" aria-hidden="true"></i> IMUs: ${escapeHtml(
                     String(imuCount)
                   )}</span>
+                  ${renderMetaChips(s)}
                 </div>
+                ${editing ? renderSessionEditor(s) : ""}
               </div>
             `;
               })
@@ -227,7 +564,17 @@
           ? `<div class="lib-card-notesRight" title="${notes}">${notes}</div>`
           : `<div class="lib-card-notesRight" style="opacity:.55" title="No notes">No notes</div>`;
 
-        const sessBtnLabel = sessionCount ? `Sessions (${sessionCount})` : `Sessions (0)`;
+        const sessBtnLabel =
+          sessionCount === allSessions.length ? `Sessions (${sessionCount})` : `Sessions (${sessionCount}/${allSessions.length})`;
+
+        const persisted = p.persist !== false;
+        const persistBtn = persisted
+          ? `<button class="lib-mini-btn lib-persist is-on" type="button" data-action="toggle-persist" title="Saved on this device. Click to keep in memory only.">
+                <i class="bx bx-hdd" aria-hidden="true"></i> On device
+              </button>`
+          : `<button class="lib-mini-btn lib-persist" type="button" data-action="toggle-persist" title="Memory only (lost on reload). Click to save on this device.">
+                <i class="bx bx-memory-card" aria-hidden="true"></i> Memory only
+              </button>`;
 
         return `
         <article class="lib-card ${isSelectedClass}" data-project-id="${String(pidRaw)}">
@@ -245,7 +592,7 @@
 
             <div class="lib-card-titleWrap">
               <h3 class="lib-card-title">#${pidText} — ${title}</h3>
-              <div class="lib-card-sub">${created}</div>
+              <div class="lib-card-sub">${created}${subjectsText}</div>
             </div>
           </div>
 
@@ -254,10 +601,12 @@
 
             <div class="lib-card-actionsRow">
               <button class="lib-mini-btn" type="button" data-action="toggle-sessions" ${toggleDisabled}
-                aria-expanded="false" aria-controls="${panelId}" title="Show/hide sessions">
+                aria-expanded="${expanded}" aria-controls="${panelId}" title="Show/hide sessions">
                 <i class="bx bx-collection" aria-hidden="true"></i> ${sessBtnLabel}
               </button>
 
+              ${persistBtn}
+
               <button class="lib-mini-btn" type="button" data-action="export-project" title="Export project as JSON (includes files if possible)">
                 <i class="bx bx-export" aria-hidden="true"></i> Export
               </button>
@@ -268,7 +617,7 @@
             </div>
           </div>
 
-          <div class="lib-panel" id="${panelId}" hidden>
+          <div class="lib-panel" id="${panelId}" ${expanded ? "" : "hidden"}>
             <div class="lib-sessions">
               ${sessListHtml}
             </div>
@@ -281,11 +630,42 @@
     updateSelectedUi();
   }
 
+  function renderQueryHint(parsed, sessionFilter) {
+    const el = $("libQueryHint");
+    if (!el) return;
+
+    if (parsed.errors.length) {
+      el.hidden = false;
+      el.classList.add("is-error");
+      el.textContent = parsed.errors.join(" ");
+      return;
+    }
+
+    el.classList.remove("is-error");
+    if (parsed.isEmpty) {
+      el.hidden = true;
+      el.textContent = "";
+      return;
+    }
+
+    const total = getProjects().reduce((n, p) => n + (p.sessions?.length || 0), 0);
+    const shown = getProjects().reduce((n, p) => {
+      if (!sessionFilter.has(String(p.id))) return n;
+      return n + (sessionFilter.get(String(p.id)) || p.sessions || []).length;
+    }, 0);
+    el.hidden = false;
+    el.textContent = `${shown} of ${total} session${total === 1 ? "" : "s"} match.`;
+  }
+
   function applyFilterSortAndRender() {
-    const q = ($("libSearchInput")?.value || "").trim().toLowerCase();
+    const q = ($("libSearchInput")?.value || "").trim();
     const projects = getProjects();
 
-    const filtered = !q ? projects : projects.filter((p) => projectToSearchText(p).includes(q));
+    const parsed = store()?.parseQuery?.(q) || { terms: [], errors: [], isEmpty: true };
+    const sessionFilter = filterProjects(projects, parsed);
+    renderQueryHint(parsed, sessionFilter);
+
+    const filtered = projects.filter((p) => sessionFilter.has(String(p.id)));
     const sorted = sortProjects(filtered);
 
     // If some selected ids no longer exist (deleted), drop them
@@ -294,7 +674,7 @@
       if (!existingIds.has(String(id))) selectedProjectIds.delete(String(id));
     }
 
-    renderList(sorted);
+    renderList(sorted, sessionFilter);
   }
 
   async function deleteProject(projectId) {
@@ -320,9 +700,15 @@
     const ok = confirm("Delete all projects?");
     if (!ok) return;
 
-    for (const p of [...projects]) {
-      await s.deleteProject(p.id);
-    }
+    const deleteAll = async () => {
+      for (const p of [...projects]) {
+        await s.deleteProject(p.id);
+      }
+    };
+
+    // One undo step for the whole clear
+    if (s.batch) await s.batch(`Deleted ${projects.length} project${projects.length === 1 ? "" : "s"}`, deleteAll, { destructive: true });
+    else await deleteAll();
 
     selectedProjectIds.clear();
     updateSelectedUi();
@@ -342,6 +728,50 @@
     panel.hidden = !isHidden;
 
     btn.setAttribute("aria-expanded", String(isHidden));
+
+    const projectId = String(card.dataset.projectId || "");
+    if (isHidden) expandedProjectIds.add(projectId);
+    else expandedProjectIds.delete(projectId);
+  }
+
+  // ================================
+  // Session actions (store CRUD)
+  // ================================
+  async function moveSession(projectId, sessionId, toProjectId) {
+    const s = store();
+    if (!s?.moveSession || !toProjectId) return;
+
+    try {
+      await s.moveSession(projectId, sessionId, toProjectId);
+      expandedProjectIds.add(String(toProjectId));
+    } catch (e) {
+      console.warn("[Library] move session failed:", e);
+      alert("Could not move session.");
+    }
+    applyFilterSortAndRender();
+  }
+
+  async function duplicateSession(projectId, sessionId) {
+    const s = store();
+    if (!s?.duplicateSession) return;
+
+    try {
+      await s.duplicateSession(projectId, sessionId);
+    } catch (e) {
+      console.warn("[Library] duplicate session failed:", e);
+    }
+    applyFilterSortAndRender();
+  }
+
+  async function deleteSession(projectId, sessionId) {
+    const s = store();
+    if (!s?.deleteSession) return;
+
+    const ok = confirm("Delete this session?");
+    if (!ok) return;
+
+    await s.deleteSession(projectId, sessionId);
+    applyFilterSortAndRender();
   }
 
   // ================================
@@ -370,8 +800,11 @@
 
   // ================================
   // ✅ Build export payload (used by single export + zip export)
+  //
+  // attachFile(file, session) -> path | null: lets the ZIP export keep
+  // CSVs too large to embed as separate entries instead of dropping them.
   // ================================
-  async function buildProjectExportPayload(project) {
+  async function buildProjectExportPayload(project, { attachFile = null } = {}) {
     const sessions = Array.isArray(project.sessions) ? project.sessions : [];
 
     const exportedSessions = [];
@@ -403,17 +836,29 @@
         if (!f) continue;
 
         if (f.size > MAX_IMU_CSV_BYTES) {
-          imuOmittedCount++;
+          const path = attachFile?.(f, s) || null;
+          if (!path) imuOmittedCount++;
           imus.push({
             name: f.name,
             type: f.type || "text/csv",
             size: f.size,
             omitted: true,
+            ...(path ? { path } : {}),
           });
           continue;
         }
 
         try {
+          if (BINARY_IMU_RE.test(f.name)) {
+            imus.push({
+              name: f.name,
+              type: f.type || "application/octet-stream",
+              size: f.size,
+              base64: await blobToBase64(f),
+            });
+            continue;
+          }
+
           const text = await f.text();
           imus.push({
             name: f.name,
@@ -437,12 +882,29 @@
         name: s.name,
         notes: s.notes || "",
         createdAt: s.createdAt || "",
+        subjectId: s.subjectId ?? null,
+        tags: (s.tags || []).slice(),
+        fields: { ...(s.fields || {}) },
+        // Processing choices, and what the last results were computed
+        // with (per IMU: pipeline version, settings, filter), so exported
+        // numbers can be reproduced
+        imuProcessing: s.imuProcessing ?? null,
+        imuFusion: s.imuFusion ?? null,
+        provenance: (Array.isArray(s.imus) ? s.imus : []).map((imu) => imu?.processing ?? null),
         assets: { video, imus },
       });
     }
 
+    // Subjects referenced by the sessions travel with the project
+    const subjectIds = new Set(exportedSessions.map((x) => x.subjectId).filter((id) => id != null).map(String));
+    const subjects = getSubjects().filter((sub) => subjectIds.has(String(sub.id)));
+
+    // ...and so do the definitions of the custom fields they use
+    const fieldKeys = new Set(exportedSessions.flatMap((x) => Object.keys(x.fields)));
+    const fieldDefs = getFieldDefs().filter((def) => fieldKeys.has(def.key));
+
     const payload = {
-      format: "movesync-project-export-v2",
+      format: window.MoveSyncSchema?.currentExportFormat?.() || "movesync-project-export-v2",
       limits: { MAX_VIDEO_BYTES, MAX_IMU_CSV_BYTES },
       project: {
         id: project.id,
@@ -452,6 +914,8 @@
         updatedAt: project.updatedAt,
         sessions: exportedSessions,
       },
+      subjects,
+      fieldDefs,
       exportedAt: new Date().toISOString(),
       warnings: {
         videoOmittedCount,
@@ -573,14 +1037,23 @@
 
       // Add each project JSON
       for (const p of selected) {
-        const payload = await buildProjectExportPayload(p);
+        const safeName = sanitizeFilename(p.name || `project-${p.id}`);
+        const filename = `movesync-project-${p.id}__${safeName}.json`;
+
+        // Large IMU CSVs go in as files next to the project JSON
+        const csvFolderName = `movesync-project-${p.id}__${safeName}__imu`;
+        const csvFolder = projectsFolder.folder(csvFolderName);
+        const attachFile = (file, sess) => {
+          const entry = `session-${sess.id}__${sanitizeFilename(file.name || "imu.csv")}`;
+          csvFolder.file(entry, file);
+          return `projects/${csvFolderName}/${entry}`;
+        };
+
+        const payload = await buildProjectExportPayload(p, { attachFile });
 
         totalVideoOmitted += payload.warnings?.videoOmittedCount || 0;
         totalImuOmitted += payload.warnings?.imuOmittedCount || 0;
 
-        const safeName = sanitizeFilename(p.name || `project-${p.id}`);
-        const filename = `movesync-project-${p.id}__${safeName}.json`;
-
         projectsFolder.file(filename, JSON.stringify(payload, null, 2));
       }
 
@@ -593,7 +1066,7 @@
         warnings: {
           totalVideoOmitted,
           totalImuOmitted,
-          note: "Omitted means the file was too large or failed to read and was not embedded in the JSON.",
+          note: "Omitted means the file was too large or failed to read and was not embedded in the JSON. Large IMU CSVs are stored as separate files; their \"path\" is relative to this folder's parent.",
         },
       };
       metaFolder.file("manifest.json", JSON.stringify(manifest, null, 2));
@@ -647,44 +1120,23 @@
 
       const now = new Date().toISOString();
 
-      const isV2 = parsed.format === "movesync-project-export-v2" && parsed.project;
-      const isV1 = parsed.format === "movesync-project-export-v1" && parsed.project;
-      const isDraft = parsed.format === "movesync-project-draft-v1";
-
-      let incoming = null;
-      let restoreFiles = false;
-      let missingFiles = false;
-
-      if (isV2) {
-        incoming = parsed.project;
-        restoreFiles = true;
-      } else if (isV1) {
-        incoming = parsed.project;
-        restoreFiles = false;
-        missingFiles = true;
-      } else if (isDraft) {
-        incoming = {
-          name: parsed.name,
-          notes: parsed.notes,
-          createdAt: parsed.exportedAt || now,
-          updatedAt: parsed.exportedAt || now,
-          sessions: (parsed.sessions || []).map((ss, i) => ({
-            id: ss.id ?? i + 1,
-            name: ss.name || `Session ${i + 1}`,
-            notes: ss.notes || "",
-            createdAt: ss.createdAt || now,
-          })),
-        };
-        restoreFiles = false;
-        missingFiles = true;
-      } else {
+      // Every known format (draft, v1, v2, …) is upgraded to the current
+      // export format and validated by MoveSyncSchema.
+      const schema = window.MoveSyncSchema;
+      let migrated;
+      try {
+        migrated = schema.migrateExport(parsed);
+      } catch (err) {
+        if (err?.code !== "unknown-format") throw err;
+
         const ok = confirm("This file is not a MoveSync export. Try importing anyway?");
         if (!ok) return;
-        incoming = parsed.project || parsed;
-        restoreFiles = false;
-        missingFiles = true;
+        migrated = schema.migrateExport(parsed, { assumeFormat: "movesync-project-export-v1" });
       }
 
+      const incoming = migrated.doc.project;
+      let missingFiles = migrated.fromVersion < 2;
+
       const sessionsIn = Array.isArray(incoming.sessions) ? incoming.sessions : [];
 
       const rebuiltSessions = sessionsIn.map((sess, idx) => {
@@ -693,7 +1145,7 @@
         let imuFiles = [];
         let imus = [];
 
-        if (restoreFiles && sess?.assets) {
+        if (sess?.assets && !sess.assets.missing) {
           const v = sess.assets.video || null;
           if (v?.base64 && v?.name) {
             try {
@@ -709,17 +1161,18 @@
 
           const imuAssets = Array.isArray(sess.assets.imus) ? sess.assets.imus : [];
           for (const ia of imuAssets) {
-            if (ia?.text && ia?.name) {
+            if ((ia?.text || ia?.base64) && ia?.name) {
               try {
-                const blob = new Blob([ia.text], { type: ia.type || "text/csv" });
-                const f = new File([blob], ia.name, { type: ia.type || "text/csv" });
+                const type = ia.type || (ia.base64 ? "application/octet-stream" : "text/csv");
+                const blob = ia.base64 ? base64ToBlob(ia.base64, type) : new Blob([ia.text], { type });
+                const f = new File([blob], ia.name, { type });
                 imuFiles.push(f);
 
                 imus.push({
                   id: `imu_${imus.length + 1}`,
-                  label: ia.name.replace(/\.csv$/i, "") || `IMU ${imus.length + 1}`,
+                  label: ia.name.replace(/\.[^.]+$/, "") || `IMU ${imus.length + 1}`,
                   file: f,
-                  csvText: ia.text,
+                  csvText: ia.text || "",
                   skeletonNode: "",
                 });
               } catch {
@@ -741,6 +1194,11 @@
           name: String(sess?.name || `Session ${sid}`),
           notes: String(sess?.notes || ""),
           createdAt: sess?.createdAt || now,
+          subjectId: sess?.subjectId ?? null,
+          tags: schema.normalizeTags(sess?.tags),
+          fields: sess?.fields && typeof sess.fields === "object" ? sess.fields : {},
+          imuProcessing: schema.normalizeImuProcessing(sess?.imuProcessing),
+          imuFusion: schema.normalizeImuFusion(sess?.imuFusion),
 
           videoFile: videoFile || null,
           imuFiles,
@@ -762,7 +1220,41 @@
         sessions: rebuiltSessions,
       };
 
-      await s.saveRuntimeProject(projectToSave);
+      // Add subjects this device doesn't know yet (existing ones are kept as they are)
+      const newSubjects = (Array.isArray(migrated.doc.subjects) ? migrated.doc.subjects : []).filter(
+        (sub) => sub?.id != null && !s.getSubject?.(sub.id)
+      );
+      const knownIds = new Set([...getSubjects(), ...newSubjects].map((sub) => String(sub.id)));
+      rebuiltSessions.forEach((sess) => {
+        if (sess.subjectId != null && !knownIds.has(String(sess.subjectId))) sess.subjectId = null;
+      });
+
+      // Same for custom fields; values are checked against the local definition
+      const newFieldDefs = [];
+      (Array.isArray(migrated.doc.fieldDefs) ? migrated.doc.fieldDefs : []).forEach((raw) => {
+        try {
+          const def = schema.normalizeFieldDef(raw);
+          if (!s.getFieldDef?.(def.key) && !newFieldDefs.some((d) => d.key === def.key)) newFieldDefs.push(def);
+        } catch {}
+      });
+      const defsByKey = new Map([...getFieldDefs(), ...newFieldDefs].map((def) => [def.key, def]));
+      rebuiltSessions.forEach((sess) => {
+        const fields = {};
+        Object.entries(sess.fields).forEach(([key, raw]) => {
+          const value = schema.coerceFieldValue(defsByKey.get(key), raw);
+          if (value !== null) fields[key] = value;
+        });
+        sess.fields = fields;
+      });
+
+      const save = async () => {
+        for (const sub of newSubjects) await s.saveSubject?.(sub);
+        for (const def of newFieldDefs) await s.saveFieldDef?.(def);
+        await s.saveRuntimeProject(projectToSave);
+      };
+
+      if ((newSubjects.length || newFieldDefs.length) && s.batch) await s.batch(`Import project "${projectToSave.name}"`, save);
+      else await save();
 
       document.dispatchEvent(new CustomEvent("movesync:projects-changed", { detail: { at: Date.now() } }));
       applyFilterSortAndRender();
@@ -772,7 +1264,12 @@
       void missingFiles; // keep variable for potential future UI feedback
     } catch (e) {
       console.warn("[Library] import failed:", e);
-      alert("Import failed: invalid JSON.");
+      const schema = window.MoveSyncSchema;
+      alert(
+        e instanceof SyntaxError || !schema
+          ? "Import failed: invalid JSON."
+          : `Import failed: ${schema.formatError(e)}`
+      );
     }
   }
 
@@ -792,6 +1289,26 @@
     $("libSearchInput")?.addEventListener("input", applyFilterSortAndRender, { signal: controller.signal });
     $("libSortSelect")?.addEventListener("change", applyFilterSortAndRender, { signal: controller.signal });
 
+    // Custom fields panel
+    $("libFieldsBtn")?.addEventListener("click", toggleFieldsPanel, { signal: controller.signal });
+    $("libFieldType")?.addEventListener("change", syncFieldFormType, { signal: controller.signal });
+    $("libFieldForm")?.addEventListener(
+      "submit",
+      (e) => {
+        e.preventDefault();
+        addFieldDef();
+      },
+      { signal: controller.signal }
+    );
+    $("libFieldList")?.addEventListener(
+      "click",
+      (e) => {
+        const key = e.target.closest("[data-action='delete-field']")?.closest(".lib-field-row")?.dataset?.key;
+        if (key) deleteFieldDef(key);
+      },
+      { signal: controller.signal }
+    );
+
     // ✅ Header export -> ZIP
     $("libExportBtn")?.addEventListener("click", exportSelectedProjectsZip, { signal: controller.signal });
 
@@ -832,6 +1349,11 @@
             return;
           }
 
+          if (action === "toggle-persist") {
+            await toggleProjectPersistence(projectId);
+            return;
+          }
+
           if (action === "delete-project") {
             const ok = confirm("Delete this project?");
             if (!ok) return;
@@ -839,9 +1361,32 @@
             return;
           }
 
+          const sessionId = e.target.closest(".lib-session")?.dataset?.sessionId;
+
+          if (action === "filter-tag") {
+            addTagFilter(actionBtn.dataset.tag);
+            return;
+          }
+
+          if (action === "edit-meta") {
+            const key = `${projectId}:${sessionId}`;
+            editingSessionKey = editingSessionKey === key ? null : key;
+            applyFilterSortAndRender();
+            return;
+          }
+
+          if (action === "save-meta") {
+            if (sessionId) await saveSessionMeta(projectId, sessionId, actionBtn.closest(".lib-session-edit"));
+            return;
+          }
+
+          if (action === "cancel-meta") {
+            editingSessionKey = null;
+            applyFilterSortAndRender();
+            return;
+          }
+
           if (action === "view-session") {
-            const sessionEl = e.target.closest(".lib-session");
-            const sessionId = sessionEl?.dataset?.sessionId;
             if (!sessionId) return;
 
             setActiveSession(projectId, sessionId);
@@ -849,9 +1394,25 @@
             return;
           }
 
+          if (action === "duplicate-session") {
+            if (sessionId) await duplicateSession(projectId, sessionId);
+            return;
+          }
+
+          if (action === "delete-session") {
+            if (sessionId) await deleteSession(projectId, sessionId);
+            return;
+          }
+
           return;
         }
 
+        // Move-to select handles itself on "change"
+        if (e.target.closest("select")) return;
+
+        // Typing in the tags/fields editor shouldn't toggle selection
+        if (e.target.closest(".lib-session-edit")) return;
+
         // Checkbox click
         const checkbox = e.target.closest("input[type='checkbox'][data-action='select-project']");
         if (checkbox) {
@@ -870,6 +1431,22 @@
     $("libList")?.addEventListener(
       "change",
       (e) => {
+        const moveSelect = e.target.closest("select[data-action='move-session']");
+        if (moveSelect) {
+          const projectId = moveSelect.closest(".lib-card")?.dataset?.projectId;
+          const sessionId = moveSelect.closest(".lib-session")?.dataset?.sessionId;
+          if (projectId && sessionId && moveSelect.value) moveSession(projectId, sessionId, moveSelect.value);
+          return;
+        }
+
+        const subjectSelect = e.target.closest("select[data-action='set-subject']");
+        if (subjectSelect) {
+          const projectId = subjectSelect.closest(".lib-card")?.dataset?.projectId;
+          const sessionId = subjectSelect.closest(".lib-session")?.dataset?.sessionId;
+          if (projectId && sessionId) setSessionSubject(projectId, sessionId, subjectSelect.value);
+          return;
+        }
+
         const checkbox = e.target.closest("input[type='checkbox'][data-action='select-project']");
         if (!checkbox) return;
 
@@ -884,6 +1461,16 @@
     );
 
     document.addEventListener("movesync:projects-changed", applyFilterSortAndRender, { signal: controller.signal });
+    document.addEventListener("movesync:subjects-changed", applyFilterSortAndRender, { signal: controller.signal });
+    document.addEventListener(
+      "movesync:fields-changed",
+      () => {
+        renderFieldDefs();
+        applyFilterSortAndRender();
+      },
+      { signal: controller.signal }
+    );
+    document.addEventListener("movesync:storage-changed", (e) => renderStorage(e.detail), { signal: controller.signal });
   }
 
   async function init() {
@@ -899,7 +1486,10 @@
     updateSelectedUi();
 
     wireEvents();
+    syncFieldFormType();
+    renderFieldDefs();
     applyFilterSortAndRender();
+    refreshStorage();
   }
 
   function destroy() {
@@ -0,0 +1,423 @@
+// =======================================
+// MoveSync page module: Roster
+// File: app/navigation/roster/roster.js
+//
+// Functionality:
+// - CRUD athletes / subjects (name, sport, side dominance, body mass,
+//   height, segment lengths)
+// - Subjects live in the session store (IndexedDB, synced across tabs);
+//   sessions link to them via session.subjectId
+// - Segment fields show the height-based estimate used when left empty
+// =======================================
+
+(() => {
+  "use strict";
+
+  window.MoveSyncPages = window.MoveSyncPages || {};
+  const PAGE_NAME = "Roster";
+
+  const store = () => window.MoveSyncSessionStore;
+
+  const SEGMENT_LABEL = {
+    legLength: "Leg length",
+    thigh: "Thigh",
+    shank: "Shank",
+    foot: "Foot",
+    upperArm: "Upper arm",
+    forearm: "Forearm",
+    trunk: "Trunk",
+  };
+
+  const DOMINANCE_LABEL = { right: "Right", left: "Left", both: "Both" };
+
+  // Sport presets are a separate library; offer their names as suggestions.
+  const PRESETS_KEY = "movesync-sport-presets-v1";
+
+  // ---------------------------------------
+  // State
+  // ---------------------------------------
+  // draft: editable copy of the selected subject (or a new, unsaved one)
+  let state = {
+    activeId: null,
+    draft: null,
+    dirty: false,
+    search: "",
+  };
+
+  // ---------------------------------------
+  // DOM helpers
+  // ---------------------------------------
+  const $ = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#039;");
+  }
+
+  function setText(id, text) {
+    const el = $(id);
+    if (el) el.textContent = text || "";
+  }
+
+  function setMsg(text) {
+    setText("rsMsg", text);
+    if (text) window.clearTimeout(setMsg.__t);
+    if (text) {
+      setMsg.__t = window.setTimeout(() => setText("rsMsg", ""), 2500);
+    }
+  }
+
+  function setHint(text) {
+    setText("rsHint", text || "");
+  }
+
+  function numberOrNull(v) {
+    if (v === "" || v == null) return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  function fmt(n, digits = 1) {
+    return Number.isFinite(n) ? String(Math.round(n * 10 ** digits) / 10 ** digits) : "";
+  }
+
+  // ---------------------------------------
+  // Data
+  // ---------------------------------------
+  function subjects() {
+    return (store()?.getSubjects?.() || []).slice().sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  function getStored(id) {
+    return store()?.getSubject?.(id) || null;
+  }
+
+  function emptySubject() {
+    return {
+      id: null,
+      name: "New subject",
+      sport: "",
+      dominance: "",
+      massKg: null,
+      heightCm: null,
+      segmentsCm: {},
+      notes: "",
+    };
+  }
+
+  function copyOf(subject) {
+    return { ...subject, segmentsCm: { ...(subject?.segmentsCm || {}) } };
+  }
+
+  function sessionCount(id) {
+    return (store()?.getSessions?.() || []).filter((s) => s?.subjectId != null && String(s.subjectId) === String(id)).length;
+  }
+
+  function presetSportNames() {
+    try {
+      const list = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+      return Array.isArray(list) ? [...new Set(list.map((p) => p?.name).filter(Boolean))] : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function filteredSubjects() {
+    const q = (state.search || "").trim().toLowerCase();
+    const all = subjects();
+    if (!q) return all;
+
+    return all.filter((s) => [s.name, s.sport, s.dominance, s.notes].join(" ").toLowerCase().includes(q));
+  }
+
+  function markDirty(isDirty) {
+    state.dirty = !!isDirty;
+    syncButtons();
+    setHint(state.dirty ? "Unsaved changes." : "");
+  }
+
+  // ---------------------------------------
+  // Render: list
+  // ---------------------------------------
+  function renderList() {
+    const list = $("rsList");
+    const empty = $("rsListEmpty");
+    if (!list || !empty) return;
+
+    const items = filteredSubjects();
+    empty.hidden = items.length > 0;
+
+    list.innerHTML = items
+      .map((s) => {
+        const isActive = String(s.id) === String(state.activeId);
+        const count = sessionCount(s.id);
+
+        return `
+          <div class="sp-item ${isActive ? "is-active" : ""}" role="listitem" data-subject-id="${escapeHtml(s.id)}">
+            <div class="sp-item-title">${escapeHtml(s.name)}</div>
+            <div class="sp-item-meta">
+              ${s.sport ? `<span class="sp-pill">${escapeHtml(s.sport)}</span>` : ""}
+              ${s.massKg ? `<span class="sp-pill">${escapeHtml(fmt(s.massKg))} kg</span>` : ""}
+              ${s.dominance ? `<span class="sp-pill">${escapeHtml(DOMINANCE_LABEL[s.dominance] || s.dominance)}</span>` : ""}
+              <span class="sp-pill">${count} session${count === 1 ? "" : "s"}</span>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+
+    list.querySelectorAll("[data-subject-id]").forEach((el) => {
+      el.addEventListener("click", () => {
+        const id = el.getAttribute("data-subject-id");
+        if (!id || String(id) === String(state.activeId)) return;
+
+        if (state.dirty) {
+          const ok = confirm("You have unsaved changes. Discard and switch subject?");
+          if (!ok) return;
+        }
+
+        select(id);
+      });
+    });
+  }
+
+  // ---------------------------------------
+  // Render: editor
+  // ---------------------------------------
+  function renderSegments() {
+    const wrap = $("rsSegments");
+    const draft = state.draft;
+    if (!wrap || !draft) return;
+
+    const segments = window.MoveSyncSchema?.SUBJECT_SEGMENTS || Object.keys(SEGMENT_LABEL);
+
+    wrap.innerHTML = segments
+      .map((key) => {
+        const v = draft.segmentsCm?.[key];
+        return `
+          <label class="sp-field">
+            <span class="sp-label">${escapeHtml(SEGMENT_LABEL[key] || key)}</span>
+            <input class="sp-input" type="number" min="0" step="0.1" data-segment="${escapeHtml(key)}"
+              value="${Number.isFinite(v) ? escapeHtml(fmt(v)) : ""}" />
+          </label>
+        `;
+      })
+      .join("");
+
+    renderEstimates();
+  }
+
+  // Placeholders show the estimate from height for empty fields.
+  function renderEstimates() {
+    const body = state.draft ? store()?.getSubjectBody?.(state.draft) : null;
+
+    $("rsSegments")?.querySelectorAll("[data-segment]").forEach((input) => {
+      const key = input.getAttribute("data-segment");
+      const m = body?.estimated?.includes(key) ? body.segmentsM?.[key] : null;
+      input.placeholder = Number.isFinite(m) ? `≈ ${fmt(m * 100)}` : "—";
+    });
+  }
+
+  function renderEditor() {
+    const empty = $("rsEditorEmpty");
+    const form = $("rsForm");
+    if (!empty || !form) return;
+
+    const draft = state.draft;
+    if (!draft) {
+      empty.hidden = false;
+      form.hidden = true;
+      return;
+    }
+
+    empty.hidden = true;
+    form.hidden = false;
+
+    $("rsName").value = draft.name || "";
+    $("rsSport").value = draft.sport || "";
+    $("rsDominance").value = draft.dominance || "";
+    $("rsMass").value = Number.isFinite(draft.massKg) ? fmt(draft.massKg) : "";
+    $("rsHeight").value = Number.isFinite(draft.heightCm) ? fmt(draft.heightCm) : "";
+    $("rsNotes").value = draft.notes || "";
+
+    const options = $("rsSportOptions");
+    if (options) options.innerHTML = presetSportNames().map((n) => `<option value="${escapeHtml(n)}"></option>`).join("");
+
+    renderSegments();
+  }
+
+  function renderAll() {
+    renderList();
+    renderEditor();
+    syncButtons();
+  }
+
+  function syncButtons() {
+    const saveBtn = $("rsSaveBtn");
+    const delBtn = $("rsDeleteBtn");
+
+    if (saveBtn) saveBtn.disabled = !state.draft || !state.dirty;
+    if (delBtn) delBtn.disabled = !state.draft;
+  }
+
+  function select(id) {
+    const stored = getStored(id);
+    state.activeId = stored ? stored.id : null;
+    state.draft = stored ? copyOf(stored) : null;
+    markDirty(false);
+    renderAll();
+  }
+
+  // ---------------------------------------
+  // Editor -> draft
+  // ---------------------------------------
+  function patchDraft(patch) {
+    if (!state.draft) return;
+    state.draft = { ...state.draft, ...patch };
+    markDirty(true);
+  }
+
+  function wireEditor(signal) {
+    $("rsName")?.addEventListener("input", (e) => patchDraft({ name: e.target.value.trim() }), { signal });
+    $("rsSport")?.addEventListener("input", (e) => patchDraft({ sport: e.target.value.trim() }), { signal });
+    $("rsDominance")?.addEventListener("change", (e) => patchDraft({ dominance: e.target.value }), { signal });
+    $("rsMass")?.addEventListener("input", (e) => patchDraft({ massKg: numberOrNull(e.target.value) }), { signal });
+    $("rsNotes")?.addEventListener("input", (e) => patchDraft({ notes: e.target.value }), { signal });
+
+    $("rsHeight")?.addEventListener("input", (e) => {
+      patchDraft({ heightCm: numberOrNull(e.target.value) });
+      renderEstimates();
+    }, { signal });
+
+    // Segment inputs (delegation)
+    $("rsSegments")?.addEventListener("input", (e) => {
+      const key = e.target?.getAttribute?.("data-segment");
+      if (!key || !state.draft) return;
+      patchDraft({ segmentsCm: { ...state.draft.segmentsCm, [key]: numberOrNull(e.target.value) } });
+      renderEstimates();
+    }, { signal });
+  }
+
+  // ---------------------------------------
+  // Actions: New, Save, Delete
+  // ---------------------------------------
+  function createNewSubject() {
+    if (state.dirty) {
+      const ok = confirm("You have unsaved changes. Discard and create a new subject?");
+      if (!ok) return;
+    }
+
+    state.activeId = null;
+    state.draft = emptySubject();
+    markDirty(true);
+    renderAll();
+    $("rsName")?.select?.();
+  }
+
+  async function saveActive() {
+    const draft = state.draft;
+    if (!draft) return;
+
+    try {
+      const saved = await store()?.saveSubject?.({ ...draft, name: draft.name || "Unnamed subject" });
+      if (!saved) return;
+      state.activeId = saved.id;
+      state.draft = copyOf(saved);
+      markDirty(false);
+      renderAll();
+      setMsg("Subject saved.");
+    } catch (e) {
+      console.warn("[roster] save failed:", e);
+      setMsg("Saving failed.");
+    }
+  }
+
+  async function deleteActive() {
+    const draft = state.draft;
+    if (!draft) return;
+
+    // Unsaved new subject: just drop the draft
+    if (!getStored(draft.id)) {
+      state.draft = null;
+      state.activeId = null;
+      markDirty(false);
+      renderAll();
+      return;
+    }
+
+    const count = sessionCount(draft.id);
+    const linked = count ? ` ${count} session${count === 1 ? " is" : "s are"} linked and will be unlinked.` : "";
+    if (!confirm(`Delete subject "${draft.name}"?${linked}`)) return;
+
+    await store()?.deleteSubject?.(draft.id);
+    state.draft = null;
+    state.activeId = null;
+    markDirty(false);
+    renderAll();
+    setMsg("Subject deleted.");
+  }
+
+  // Store changed (undo, another tab, another page): refresh the list and
+  // re-read the selected subject unless it has unsaved edits.
+  function onSubjectsChanged() {
+    if (!state.dirty) {
+      const stored = state.activeId != null ? getStored(state.activeId) : null;
+      state.activeId = stored ? stored.id : null;
+      state.draft = stored ? copyOf(stored) : null;
+      renderAll();
+    } else {
+      renderList();
+    }
+  }
+
+  // ---------------------------------------
+  // Wiring
+  // ---------------------------------------
+  let abort = null;
+
+  async function init() {
+    abort?.abort?.();
+    abort = new AbortController();
+    const signal = abort.signal;
+
+    $("rsSearchInput")?.addEventListener("input", (e) => {
+      state.search = e.target.value || "";
+      renderList();
+    }, { signal });
+
+    $("rsNewBtn")?.addEventListener("click", createNewSubject, { signal });
+    $("rsSaveBtn")?.addEventListener("click", saveActive, { signal });
+    $("rsDeleteBtn")?.addEventListener("click", deleteActive, { signal });
+
+    wireEditor(signal);
+
+    document.addEventListener("movesync:subjects-changed", onSubjectsChanged, { signal });
+    document.addEventListener("movesync:sessions-changed", renderList, { signal });
+
+    try {
+      await store()?.hydrateRuntimeFromDb?.();
+    } catch (e) {
+      console.warn("[roster] hydrateRuntimeFromDb failed:", e);
+    }
+    if (signal.aborted) return;
+
+    if (state.activeId == null && !state.draft) state.activeId = subjects()[0]?.id ?? null;
+    select(state.activeId);
+  }
+
+  function destroy() {
+    abort?.abort?.();
+    abort = null;
+
+    // Unsaved edits are dropped with the page
+    state.search = "";
+    state.draft = null;
+    state.dirty = false;
+  }
+
+  window.MoveSyncPages[PAGE_NAME] = { init, destroy };
+})();
@@ -7,46 +7,18 @@
 (() => {
   "use strict";
 
-  // source = dot-path into ProcessedSession for graph signal
-  const GROUPS = [
-    { name: "Acceleration", metrics: [
-      { id: "peak_accel",       label: "Peak acceleration",      unit: "G",    icon: "bx-trending-up",     graphable: true,  source: "derived.accelMagnitude" },
-      { id: "mean_accel",       label: "Mean acceleration",      unit: "G",    icon: "bx-bar-chart-alt-2", graphable: true,  source: "derived.accelMagnitudeSmooth" },
-      { id: "accel_rms",        label: "Acceleration RMS",       unit: "G",    icon: "bx-pulse",           graphable: false, source: null },
-      { id: "peak_jerk",        label: "Peak jerk",              unit: "G/s",  icon: "bx-zap",             graphable: true,  source: "derived.jerk" },
-    ]},
-    { name: "Speed & Distance", metrics: [
-      { id: "peak_speed",       label: "Peak speed",             unit: "m/s",  icon: "bx-wind",         graphable: true,  source: "motion.speed" },
-      { id: "mean_speed",       label: "Mean speed",             unit: "m/s",  icon: "bx-transfer-alt", graphable: false, source: null },
-      { id: "mean_burst_speed", label: "Avg peak speed (per burst)",  unit: "m/s",  icon: "bx-transfer",     graphable: false, source: null },
-      { id: "total_distance",   label: "Total distance",         unit: "m",    icon: "bx-run",          graphable: true,  source: "motion.totalDistance" },
-    ]},
-    { name: "Angular Velocity", metrics: [
-      { id: "peak_gyro",        label: "Peak angular velocity",  unit: "°/s",  icon: "bx-rotate-right",    graphable: true,  source: "derived.gyroMagnitude" },
-      { id: "mean_gyro",        label: "Mean angular velocity",  unit: "°/s",  icon: "bx-rotate-left",     graphable: true,  source: "derived.gyroMagnitudeSmooth" },
-    ]},
-    { name: "Orientation",
-      note: "Orientation of the sensor body (segment angles). Joint angles need a second IMU per joint.",
-      metrics: [
-      { id: "mean_pitch",       label: "Mean pitch",             unit: "°",    icon: "bx-trending-up",     graphable: true,  source: "fusion.euler.pitch" },
-      { id: "mean_roll",        label: "Mean roll",              unit: "°",    icon: "bx-rotate-right",    graphable: true,  source: "fusion.euler.roll" },
-      { id: "pitch_range",      label: "Pitch range",            unit: "°",    icon: "bx-expand",          graphable: false, source: null },
-      { id: "roll_range",       label: "Roll range",             unit: "°",    icon: "bx-expand",          graphable: false, source: null },
-    ]},
-    { name: "Rhythm & Repetitions", metrics: [
-      { id: "cadence",          label: "Cadence",                unit: "spm",  icon: "bx-time-five",       graphable: false, source: null },
-      { id: "rep_count",        label: "Rep count",              unit: "",     icon: "bx-list-ol",         graphable: false, source: null },
-      { id: "mean_rep_time",    label: "Mean rep time",          unit: "s",    icon: "bx-timer",           graphable: false, source: null },
-    ]},
-    { name: "Session", metrics: [
-      { id: "total_duration",   label: "Session duration",       unit: "s",    icon: "bx-time",            graphable: false, source: null },
-      { id: "active_time",      label: "Active time",            unit: "s",    icon: "bx-walk",            graphable: false, source: null },
-      { id: "total_impulse",    label: "Total impulse",          unit: "G·s",  icon: "bx-pulse",           graphable: false, source: null },
-    ]},
-  ];
-
-  const METRIC_MAP = {};
-  for (const g of GROUPS) for (const m of g.metrics) METRIC_MAP[m.id] = m;
+  // Groups, metrics and graph signals come from the metric registry
+  // (MoveSyncMetrics): categories in order, each metric's graph.source a
+  // dot-path into the ProcessedSession. Categories with a table of their
+  // own (per stride / jump / rep) are listed here.
+  const TABLES = {
+    gait:        { attr: "data-ema-gait", html: () => _gaitTableHtml() },
+    jump:        { attr: "data-ema-jump", html: () => _jumpTableHtml() },
+    orientation: { attr: "data-ema-rom",  html: () => _romTableHtml() },
+  };
+
+  const registry = () => window.MoveSyncMetrics;
+  const groupsOf = () => registry()?.groups() || [];
 
   let _mountEl   = null;
   let _session   = null;
@@ -55,7 +27,7 @@
   let _filter    = "key";
   let _search    = "";
   let _charts    = {};
-  let _sigCache  = {};  // source → { data: Float32Array, times: Float32Array }
+  let _sigCache  = {};  // graph source → { data: Float32Array, times: Float32Array }
 
   function esc(s) {
     return String(s ?? "").replaceAll("&","&amp;").replaceAll("<","&lt;")
@@ -82,15 +54,24 @@
 
   function render(session) { setSession(session); }
 
+  // Metrics were registered / replaced (movesync:metrics-changed)
+  function refresh() {
+    if (_processed) _vals = registry()?.computeFormatted(_processed) || {};
+    if (_mountEl) _fullRender();
+  }
+
   function onProcessed(processed) {
     _processed = processed;
     _sigCache  = {};
-    _vals = window.MoveSyncKeyMetricsPanel?.extractMetrics?.(processed) || {};
+    _vals = registry()?.computeFormatted(processed) || {};
     if (!_mountEl) return;
     // Update values in-place — no re-render
     _mountEl.querySelectorAll("[data-ema-val]").forEach(span => {
       span.textContent = _vals[span.getAttribute("data-ema-val")] ?? "—";
     });
+    Object.values(TABLES).forEach(tbl => {
+      _mountEl.querySelectorAll(`[${tbl.attr}]`).forEach(box => { box.innerHTML = tbl.html(); });
+    });
     // Enable graph buttons
     _mountEl.querySelectorAll(".ema-graph-btn[disabled]").forEach(btn => {
       btn.disabled = false; btn.title = "";
@@ -105,7 +86,7 @@
     _destroyAllCharts();
 
     const keySet = new Set(Array.isArray(_session?.keyMetrics) ? _session.keyMetrics : []);
-    const totalN = GROUPS.reduce((n, g) => n + g.metrics.length, 0);
+    const totalN = registry()?.list().length || 0;
     const keyN   = keySet.size;
     const preset = _session?.presetName || null;
     const groups = _filteredGroups(keySet);
@@ -148,11 +129,12 @@
           <div class="ema-groups">
             ${groups.map(g => `
               <section class="ema-group">
-                <div class="ema-group-label">${esc(g.name)}${g.note
+                <div class="ema-group-label">${esc(g.label)}${g.note
                   ? `<span class="ema-group-note">${esc(g.note)}</span>` : ""}</div>
                 <div class="ema-metric-grid">
                   ${g.metrics.map(m => _cardHtml(m, keySet.has(m.id))).join("")}
                 </div>
+                ${TABLES[g.id] ? `<div class="ema-tables" ${TABLES[g.id].attr}>${TABLES[g.id].html()}</div>` : ""}
               </section>`).join("")}
           </div>
         `}
@@ -160,15 +142,16 @@
 
     _wireToolbar(el);
     _wireGraphButtons(el);
+    _wireSeekLinks(el);
   }
 
   function _filteredGroups(keySet) {
     const q = _search.toLowerCase();
-    return GROUPS.map(g => ({
+    return groupsOf().map(g => ({
       ...g,
       metrics: g.metrics.filter(m => {
         if (_filter === "key" && keySet.size > 0 && !keySet.has(m.id)) return false;
-        if (q && !m.label.toLowerCase().includes(q) && !g.name.toLowerCase().includes(q)) return false;
+        if (q && !m.label.toLowerCase().includes(q) && !g.label.toLowerCase().includes(q)) return false;
         return true;
       })
     })).filter(g => g.metrics.length > 0);
@@ -177,31 +160,148 @@
   function _cardHtml(m, isKey) {
     const val     = _vals[m.id] ?? "—";
     const hasData = !!_processed;
+    const needs   = registry()?.describeRequirements(m.id) || "";
     return `
-      <div class="ema-metric-card ${isKey?"is-key":""}" data-ema-card="${m.id}">
+      <div class="ema-metric-card ${isKey?"is-key":""}" data-ema-card="${esc(m.id)}"${needs ? ` title="${esc(needs)}"` : ""}>
         <div class="ema-metric-card-head">
-          <i class="bx ${m.icon}" aria-hidden="true"></i>
-          <span class="ema-metric-label">${m.label}</span>
+          <i class="bx ${esc(m.icon)}" aria-hidden="true"></i>
+          <span class="ema-metric-label">${esc(m.label)}</span>
           ${isKey ? `<span class="ema-key-badge">Key</span>` : ""}
         </div>
         <div class="ema-metric-value-row">
-          <span class="ema-metric-value" data-ema-val="${m.id}">${val}</span>
-          ${m.unit ? `<span class="ema-metric-unit">${m.unit}</span>` : ""}
+          <span class="ema-metric-value" data-ema-val="${esc(m.id)}">${val}</span>
+          ${m.unit ? `<span class="ema-metric-unit">${esc(m.unit)}</span>` : ""}
         </div>
-        ${m.graphable ? `
+        ${m.graph ? `
           <div class="ema-card-actions">
-            <button class="ema-graph-btn" data-graph-id="${m.id}" type="button"
+            <button class="ema-graph-btn" data-graph-id="${esc(m.id)}" type="button"
               ${!hasData ? 'disabled title="Load IMU data first"' : ""}>
               <i class="bx bx-line-chart" aria-hidden="true"></i> Show graph
             </button>
           </div>
-          <div class="ema-graph-area" data-graph-area="${m.id}" hidden>
-            <canvas id="emachart-${m.id}"></canvas>
+          <div class="ema-graph-area" data-graph-area="${esc(m.id)}" hidden>
+            <canvas id="emachart-${esc(m.id)}"></canvas>
           </div>
         ` : ""}
       </div>`;
   }
 
+  // ── Gait tables (processed.gait.session) ─────────────────────
+
+  const GAIT_MAX_ROWS = 500;
+
+  function _gaitTableHtml() {
+    const gait = _processed?.gait?.session;
+    if (!gait) return "";
+    const num = (v, dp) => (v == null || !isFinite(v) ? "—" : Number(v).toFixed(dp));
+    const cols = ["strideTime", "stepTime", "contactTime", "swingTime"];
+    const legRow = (name, leg) => `
+      <tr><th scope="row">${name}</th><td>${leg ? leg.strides : "—"}</td>
+        ${cols.map(k => `<td>${num(leg?.[k], 3)}</td>`).join("")}</tr>`;
+    const rows = gait.strides.slice(0, GAIT_MAX_ROWS);
+
+    return `
+      <table class="ema-table">
+        <thead><tr><th></th><th>Strides</th><th>Stride (s)</th><th>Step (s)</th><th>Contact (s)</th><th>Swing (s)</th></tr></thead>
+        <tbody>
+          ${legRow("Left", gait.left)}
+          ${legRow("Right", gait.right)}
+          <tr class="is-emphasis"><th scope="row">Symmetry (%)</th><td></td>
+            ${cols.map(k => `<td>${num(gait.symmetry[k], 1)}</td>`).join("")}</tr>
+        </tbody>
+      </table>
+      <div class="ema-table-scroll">
+        <table class="ema-table">
+          <thead><tr><th>#</th><th>Leg</th><th>Start (s)</th><th>Stride (s)</th><th>Step (s)</th><th>Contact (s)</th><th>Swing (s)</th><th>Cadence (spm)</th></tr></thead>
+          <tbody>
+            ${rows.map((r, i) => `
+              <tr><td>${i + 1}</td><td>${r.leg === "left" ? "L" : "R"}</td><td>${num(r.start, 2)}</td>
+                <td>${num(r.strideTime, 3)}</td><td>${num(r.stepTime, 3)}</td>
+                <td>${num(r.contactTime, 3)}</td><td>${num(r.swingTime, 3)}</td><td>${num(r.cadence, 0)}</td></tr>`).join("")}
+          </tbody>
+        </table>
+      </div>
+      ${gait.strides.length > rows.length
+        ? `<div class="ema-table-more">First ${rows.length} of ${gait.strides.length} strides</div>` : ""}`;
+  }
+
+  // ── Jump table (processed.jumps) ─────────────────────────────
+
+  function _jumpTableHtml() {
+    const result = _processed?.jumps;
+    if (!result) return "";
+    const num = (v, dp, f = 1) => (v == null || !isFinite(v) ? "—" : (Number(v) * f).toFixed(dp));
+
+    return `
+      <div class="ema-table-scroll">
+        <table class="ema-table">
+          <thead><tr><th>#</th><th>Kind</th><th>Takeoff (s)</th><th>Flight (s)</th><th>Contact (s)</th>
+            <th>Height (cm)</th><th>Impulse (cm)</th><th>RSI</th><th>Power (W/kg)</th></tr></thead>
+          <tbody>
+            ${result.jumps.map((j, i) => `
+              <tr class="${i === result.best ? "is-emphasis" : ""}"><td>${i + 1}</td><td>${j.kind === "rebound" ? "Rebound" : "Standing"}</td>
+                <td>${num(j.takeoff, 2)}</td><td>${num(j.flightTime, 3)}</td><td>${num(j.contactTime, 3)}</td>
+                <td>${num(j.heightFlight, 1, 100)}</td><td>${num(j.heightImpulse, 1, 100)}</td>
+                <td>${num(j.rsi, 2)}</td><td>${num(j.powerPerKg, 1)}</td></tr>`).join("")}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  // ── Range-of-motion tables (processed.rom) ───────────────────
+
+  const ROM_PLANES = { roll: "Roll", pitch: "Pitch", yaw: "Yaw" };
+  const ROM_MAX_REPS = 200;
+
+  function _romTableHtml() {
+    const rom = _processed?.rom;
+    if (!rom) return "";
+    const num = (v, dp) => (v == null || !isFinite(v) ? "—" : Number(v).toFixed(dp));
+    // Angle at an extreme; clicking it moves the IMU cursor and video there
+    const at = (angle, t) => (angle == null || !isFinite(t) ? "—" : `
+      <button class="ema-seek" type="button" data-imu-seek="${t}" title="Go to ${num(t, 2)} s">
+        ${num(angle, 1)}° <span>@ ${num(t, 2)} s</span></button>`);
+    const planes = Object.keys(ROM_PLANES).filter(k => rom.planes[k]);
+    const planeRows = (per, rowHead) => planes.map((k, i) => {
+      const x = per[k];
+      return `
+        <tr class="${k === rom.primary ? "is-emphasis" : ""}">${rowHead(i)}<td class="is-text">${ROM_PLANES[k]}</td>
+          <td>${at(x?.min, x?.tMin)}</td><td>${at(x?.max, x?.tMax)}</td><td>${num(x?.rom, 1)}</td></tr>`;
+    }).join("");
+    const reps = rom.reps.slice(0, ROM_MAX_REPS);
+
+    return `
+      <table class="ema-table">
+        <thead><tr><th>Whole recording</th><th>Min</th><th>Max</th><th>ROM (°)</th></tr></thead>
+        <tbody>${planeRows(rom.planes, () => "")}</tbody>
+      </table>
+      ${reps.length ? `
+        <div class="ema-table-scroll">
+          <table class="ema-table">
+            <thead><tr><th>Rep</th><th class="is-text">Plane</th><th>Min</th><th>Max</th><th>ROM (°)</th></tr></thead>
+            <tbody>
+              ${reps.map((r, n) => planeRows(r.planes, i => i === 0
+                ? `<td rowspan="${planes.length}">${n + 1}<br><span class="ema-table-sub">${num(r.start, 2)}–${num(r.end, 2)} s</span></td>`
+                : "")).join("")}
+            </tbody>
+          </table>
+        </div>` : `<div class="ema-table-more">No reps found in ${ROM_PLANES[rom.primary] ?? rom.primary}</div>`}
+      ${rom.reps.length > reps.length
+        ? `<div class="ema-table-more">First ${reps.length} of ${rom.reps.length} reps</div>` : ""}`;
+  }
+
+  // Delegated on the table boxes, which keep their element across updates
+  function _wireSeekLinks(el) {
+    el.querySelectorAll("[data-ema-rom]").forEach(box => {
+      box.addEventListener("click", ev => {
+        const btn = ev.target.closest("[data-imu-seek]");
+        if (!btn) return;
+        const imuTime = Number(btn.getAttribute("data-imu-seek"));
+        if (isFinite(imuTime)) document.dispatchEvent(new CustomEvent("movesync:imu-seek", { detail: { imuTime } }));
+      });
+    });
+  }
+
   // ── Toolbar wiring ───────────────────────────────────────────
 
   function _wireToolbar(el) {
@@ -227,8 +327,8 @@
   }
 
   function _toggleGraph(id) {
-    const area = _mountEl?.querySelector(`[data-graph-area="${id}"]`);
-    const btn  = _mountEl?.querySelector(`[data-graph-id="${id}"]`);
+    const area = _mountEl?.querySelector(`[data-graph-area="${CSS.escape(id)}"]`);
+    const btn  = _mountEl?.querySelector(`[data-graph-id="${CSS.escape(id)}"]`);
     if (!area || !btn) return;
     const opening = area.hidden;
     area.hidden = !opening;
@@ -245,15 +345,17 @@
 
   // ── Signal downsampling (cached) ─────────────────────────────
 
-  function _getSignal(source) {
+  function _getSignal(graph) {
+    const source = graph?.source;
     if (!_processed || !source) return null;
-    if (_sigCache[source]) return _sigCache[source];
+    const key = graph.abs ? `|${source}|` : source;
+    if (_sigCache[key]) return _sigCache[key];
 
     let raw = getPath(_processed, source);
     if (!raw?.length) return null;
 
-    // Abs jerk for readability
-    if (source === "derived.jerk") raw = Array.from(raw).map(Math.abs);
+    // e.g. abs jerk for readability
+    if (graph.abs) raw = Array.from(raw).map(Math.abs);
 
     const t0   = _processed.t[0];
     const tRaw = _processed.t;
@@ -279,22 +381,22 @@
       times[j] = tRaw[maxIdx] - t0;  // seconds from session start
     }
 
-    _sigCache[source] = { data, times };
-    return _sigCache[source];
+    _sigCache[key] = { data, times };
+    return _sigCache[key];
   }
 
   // ── Chart drawing ─────────────────────────────────────────────
 
   function _drawChart(id) {
     if (typeof Chart === "undefined") return;
-    const m = METRIC_MAP[id];
-    if (!m?.graphable) return;
+    const m = registry()?.get(id);
+    if (!m?.graph) return;
     _destroyChart(id);
 
-    const canvas = _mountEl?.querySelector(`#emachart-${id}`);
+    const canvas = _mountEl?.querySelector(`#${CSS.escape(`emachart-${id}`)}`);
     if (!canvas) return;
 
-    const sig = _getSignal(m.source);
+    const sig = _getSignal(m.graph);
     if (!sig) {
       canvas.parentElement.innerHTML = `<div class="ema-graph-placeholder">No signal data available</div>`;
       return;
@@ -360,5 +462,5 @@
     for (const id in _charts) _destroyChart(id);
   }
 
-  window.MoveSyncExpandedMetricsPanel = { mount, render, setSession, onProcessed };
+  window.MoveSyncExpandedMetricsPanel = { mount, render, setSession, onProcessed, refresh };
 })();
\ No newline at end of file
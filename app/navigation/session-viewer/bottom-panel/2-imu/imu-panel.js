@@ -7,6 +7,39 @@
 // Notes:
 // - Loads plotting deps lazily (imu-filters.js, time-series-chart.js)
 // - Supports multiple IMU CSVs per session via session.imus[]
+// - Streams the CSV (MoveSyncImuCsv) into columnar typed arrays with a
+//   progress bar; the readout cache and charts read those columns
+// - Shows the detected CSV layout (delimiter, decimal, preamble, units)
+// - Maps columns to signals via MoveSyncImuMapping (saved mapping, device
+//   profile or auto-detection); "Map columns" opens the mapping wizard and
+//   saves the result on the session's IMU entry
+// - Vendor exports (Movesense, Xsens, Shimmer, Axivity .cwa, Sensor
+//   Logger) are read by MoveSyncImuImporters into canonical columns with
+//   a fixed mapping; the wizard is off for those
+// - Analyses timestamp quality (MoveSyncImuTiming: gaps, dropped samples,
+//   duplicates, jitter), shades gaps on the charts and stores the report
+//   on the session's IMU entry; "Resample" (linear / spline, saved on the
+//   entry) puts the data on a uniform grid before processing
+// - Multi-IMU sessions: "Align sensors" (MoveSyncImuAlignment, by a shared
+//   event or absolute timestamps) saves per-IMU offset + drift on the
+//   session; charts then run on the common timeline and the pipeline
+//   resamples every IMU onto its grid
+// - Units / axis convention declared on the IMU entry (Upload) win over
+//   the mapping's; the pipeline's warnings about declarations the data
+//   contradicts are listed under the format strip
+// - Sensor calibration strip: gyro bias the pipeline measured at rest, and
+//   the accelerometer calibration saved for the device serial
+//   (MoveSyncImuDeviceCalibration, applied to every session of that
+//   sensor); "Calibrate accelerometer" fits one from a six-position
+//   recording loaded as this IMU
+// - Magnetometer calibration line under the mag chart (ellipsoid fit,
+//   field strength, disturbed share) with a 3D point cloud of raw vs
+//   calibrated samples; disturbed intervals are shaded on every chart
+// - Processing settings of the session (or its sport preset) go to the
+//   pipeline with the readout cache; the provenance of each result
+//   (pipeline version, settings, filter) is stored on the IMU entry
+// - Acc and gyro charts show the chart filter chosen in the Processing
+//   drawer (by default the pipeline's own low-pass, zero-phase)
 // - Emits events:
 //    • movesync:imu-cursor-changed { imuTime }
 //    • movesync:imu-selected { index }
@@ -24,6 +57,7 @@
     const deps = [
       "app/navigation/session-viewer/bottom-panel/2-imu/plots/imu-filters.js",
       "app/navigation/session-viewer/bottom-panel/2-imu/plots/time-series-chart.js",
+      "app/navigation/session-viewer/bottom-panel/2-imu/plots/mag-cloud.js",
     ];
 
     const loadedSet =
@@ -119,6 +153,101 @@
         <button class="viewer-synth-btn" id="viewerImuSynthApply" type="button">Apply</button>
       </div>
 
+      <!-- How the CSV was read (delimiter, decimal, skipped lines) -->
+      <div id="viewerImuFormat" class="viewer-imu-format" hidden>
+        <i class="bx bx-table" aria-hidden="true"></i>
+        <span>Read as: <span id="viewerImuFormatText"></span></span>
+        <span class="viewer-imu-format-sep" aria-hidden="true">·</span>
+        <span>Columns: <span id="viewerImuMappingText"></span></span>
+        <button id="viewerImuMapBtn" class="viewer-imu-map-btn" type="button">
+          <i class="bx bx-slider-alt" aria-hidden="true"></i>
+          Map columns
+        </button>
+      </div>
+
+      <!-- Timestamp quality (gaps, drops, jitter) + resampling before processing -->
+      <div id="viewerImuTiming" class="viewer-imu-format viewer-imu-timing" hidden>
+        <i class="bx bx-time-five" aria-hidden="true"></i>
+        <span>Timing: <span id="viewerImuTimingText"></span></span>
+        <label class="viewer-imu-timing-ctl">
+          Resample
+          <select id="viewerImuResample" class="viewer-imu-timing-input" aria-label="Resample before processing">
+            <option value="none">Off</option>
+            <option value="linear">Linear</option>
+            <option value="spline">Spline</option>
+          </select>
+        </label>
+        <label class="viewer-imu-timing-ctl">
+          at
+          <input id="viewerImuResampleRate" class="viewer-imu-timing-input" type="number" min="1" max="2000" step="1" aria-label="Resample rate (Hz)"/>
+          Hz
+        </label>
+      </div>
+
+      <!-- Multi-IMU sessions: common timeline across the sensors -->
+      <div id="viewerImuAlign" class="viewer-imu-format viewer-imu-align" hidden>
+        <i class="bx bx-git-compare" aria-hidden="true"></i>
+        <span>Alignment: <span id="viewerImuAlignText"></span></span>
+        <label class="viewer-imu-timing-ctl">
+          By
+          <select id="viewerImuAlignMethod" class="viewer-imu-timing-input" aria-label="Alignment method">
+            <option value="events">Shared event</option>
+            <option value="timestamps">Absolute timestamps</option>
+          </select>
+        </label>
+        <button id="viewerImuAlignBtn" class="viewer-imu-map-btn" type="button">
+          <i class="bx bx-transfer-alt" aria-hidden="true"></i>
+          Align sensors
+        </button>
+        <button id="viewerImuAlignReset" class="viewer-imu-map-btn" type="button" hidden>Reset</button>
+      </div>
+
+      <!-- Sensor bias: gyro measured at rest, accelerometer saved per device -->
+      <div id="viewerImuSensorCal" class="viewer-imu-format viewer-imu-sensorcal" hidden>
+        <i class="bx bx-target-lock" aria-hidden="true"></i>
+        <span>Calibration: <span id="viewerImuSensorCalText"></span></span>
+        <label class="viewer-imu-timing-ctl">
+          Serial
+          <input id="viewerImuSerial" class="viewer-imu-timing-input viewer-imu-serial" type="text" spellcheck="false" aria-label="Device serial"/>
+        </label>
+        <button id="viewerImuAccCalBtn" class="viewer-imu-map-btn" type="button">
+          <i class="bx bx-cube" aria-hidden="true"></i>
+          Calibrate accelerometer
+        </button>
+        <button id="viewerImuAccCalForget" class="viewer-imu-map-btn" type="button" hidden>Forget</button>
+      </div>
+
+      <!-- Guided six-position accelerometer calibration -->
+      <div id="viewerImuAccCal" class="viewer-imu-accal" hidden>
+        <div class="viewer-imu-accal-hint">
+          Record the sensor lying still on each of its six faces for at least
+          <span id="viewerImuAccCalSecs">2</span> s, load that recording as this IMU, then save.
+        </div>
+        <ul id="viewerImuAccCalList" class="viewer-imu-accal-list"></ul>
+        <div class="viewer-imu-accal-foot">
+          <span id="viewerImuAccCalResult"></span>
+          <button id="viewerImuAccCalSave" class="viewer-imu-map-btn" type="button" disabled>Save for this sensor</button>
+          <button id="viewerImuAccCalClose" class="viewer-imu-map-btn" type="button">Close</button>
+        </div>
+      </div>
+
+      <!-- Declared units / axes the data contradicts (after processing) -->
+      <div id="viewerImuWarn" class="viewer-synth-banner viewer-imu-warn" role="status" hidden>
+        <i class="bx bx-error" aria-hidden="true"></i>
+        <ul id="viewerImuWarnList"></ul>
+      </div>
+
+      <!-- Streaming CSV read (large files) -->
+      <div id="viewerImuLoading" class="viewer-imu-loading" role="progressbar" aria-label="Reading IMU CSV" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" hidden>
+        <div class="viewer-imu-loading-head">
+          <span>Reading <strong id="viewerImuLoadingName">CSV</strong>…</span>
+          <span class="viewer-imu-loading-pct" id="viewerImuLoadingPct">0%</span>
+        </div>
+        <div class="viewer-imu-loading-track">
+          <div class="viewer-imu-loading-fill" id="viewerImuLoadingFill"></div>
+        </div>
+      </div>
+
       <!-- Plots panel -->
       <div id="viewerImuPlots" class="viewer-imuPlots" role="tabpanel">
         <div id="viewerImuEmpty" class="viewer-empty viewer-empty--light" hidden>
@@ -202,6 +331,26 @@
               <button class="viewer-axisBtn viewer-axisBtn--total is-on" data-chart="mag" data-axis="3" type="button">Total</button>
             </div>
           </div>
+
+          <!-- Hard / soft-iron calibration + disturbance (after processing) -->
+          <div id="viewerMagCal" class="viewer-imu-format viewer-imu-magcal" hidden>
+            <i class="bx bx-magnet" aria-hidden="true"></i>
+            <span>Calibration: <span id="viewerMagCalText"></span></span>
+            <button id="viewerMagCloudBtn" class="viewer-imu-map-btn" type="button" aria-expanded="false">
+              <i class="bx bx-cube-alt" aria-hidden="true"></i>
+              Point cloud
+            </button>
+          </div>
+          <div id="viewerMagCloud" class="viewer-imu-magcloud" hidden>
+            <canvas id="viewerMagCloudCanvas" width="280" height="280" aria-label="Magnetometer samples, raw and calibrated"></canvas>
+            <div class="viewer-imu-magcloud-legend">
+              <span><i class="viewer-imu-magcloud-dot is-raw"></i>Raw</span>
+              <span><i class="viewer-imu-magcloud-dot is-corrected"></i>Calibrated</span>
+              <span><i class="viewer-imu-magcloud-dot is-disturbed"></i>Disturbed</span>
+              <span id="viewerMagCloudStats"></span>
+              <span class="viewer-imu-magcloud-hint">Drag to rotate</span>
+            </div>
+          </div>
         </div>
       </div>
 
@@ -238,11 +387,6 @@
     if (el) el.textContent = text ?? "";
   }
 
-  function safeNum(x, fallback = null) {
-    const v = Number(x);
-    return Number.isFinite(v) ? v : fallback;
-  }
-
   function setHidden(elOrId, hidden) {
     const el = typeof elOrId === "string" ? $(elOrId) : elOrId;
     if (!el) return;
@@ -253,26 +397,61 @@
   const imuMarker = { x: null };
 
   let charts = {};
-  let imuRows = [];
-  let imuHeaders = [];
-  let imuTimeIndex = -1;
 
   let selectedImuIndex = 0;
   let lastSessionForSelector = null;
 
   let imuReadoutCache = null;
 
+  // Last parsed CSV, keyed by its source (File or legacy csvText), so
+  // re-renders and synthetic-rate changes don't re-read the file
+  let lastTable = null; // { source, table }
+
+  // What the panel shows now, for the mapping wizard
+  let current = null; // { source, fileName, table, resolved }
+
+  // Mappings chosen for IMUs that can't be saved on the session (legacy)
+  const mappingOverrides = new Map(); // source -> mapping
+  const resampleOverrides = new Map(); // source -> { method, rate }
+
+  // Timing analysis of the IMU on screen (MoveSyncImuTiming.analyze, own
+  // clock); its gaps are shaded on the charts (chartGaps: chart timeline)
+  let timingReport = null;
+  let chartGaps = null;
+
+  // Magnetically disturbed intervals of the processed IMU on screen (pipeline
+  // t, which the charts share), shaded amber; the point cloud view
+  let chartDisturbances = null;
+  let magCloud = null; // MoveSyncCharts.MagCloud
+  let magCloudOpen = false;
+
+  // Alignments that can't be saved on the session (no project)
+  const alignmentOverrides = new WeakMap(); // session -> imuAlignment | null
+
+  // "Align sensors" run in progress (reads every IMU of the session)
+  let aligning = null; // AbortController
+
+  // Device serials typed for IMUs that can't be saved on the session
+  const serialOverrides = new Map(); // source -> serial
+
+  // Six-position guide open; fit of the processed IMU on screen
+  let accCalOpen = false;
+  let accCalFit = null; // MoveSyncImuDeviceCalibration.sixPosition result
+
+  // Sample rate typed into the "no timestamp" banner, per source
+  let synthRateFor = null; // { source, hz }
+
   window.currentImuIndex = window.currentImuIndex || 0;
 
-  function detectTimeScaleFactor(rows, timeIdx) {
+  function detectTimeScaleFactor(tRaw) {
     const dts = [];
     let prev = null;
     let firstVal = null;
     let lastVal = null;
     let validCount = 0;
 
-    for (let i = 0; i < rows.length; i++) {
-      const v = Number(rows[i]?.[timeIdx]);
+    for (let i = 0; i < tRaw.length; i++) {
+      const v = tRaw[i];
       if (!Number.isFinite(v)) continue;
       if (firstVal === null) firstVal = v;
       lastVal = v;
@@ -295,95 +474,108 @@
     const DT_MAX_S = 2.0;
     const RATE_MIN = 1.0;
     const RATE_MAX = 500.0;
+    const RATE_MAX_COMMON_UNITS = 2000.0;
 
-    for (let exp = 9; exp >= -3; exp--) {
-      const scale = Math.pow(10, -exp);
+    const plausible = (scale, rateMax) => {
       const dtSec = medianDt * scale;
-      if (dtSec < DT_MIN_S || dtSec > DT_MAX_S) continue;
+      if (dtSec < DT_MIN_S || dtSec > DT_MAX_S) return false;
 
       const durSec = rawSpan * scale;
-      if (durSec <= 0) continue;
+      if (durSec <= 0) return false;
 
       const rate = validCount / durSec;
-      if (rate >= RATE_MIN && rate <= RATE_MAX) return scale;
+      return rate >= RATE_MIN && rate <= rateMax;
+    };
+
+    // ns, µs, ms, s first — these may run up to 2 kHz (1 kHz captures)
+    for (const scale of [1e-9, 1e-6, 1e-3, 1]) {
+      if (plausible(scale, RATE_MAX_COMMON_UNITS)) return scale;
+    }
+
+    for (let exp = 9; exp >= -3; exp--) {
+      const scale = Math.pow(10, -exp);
+      if (plausible(scale, RATE_MAX)) return scale;
     }
 
     return 0.01 / medianDt;
   }
 
-  function normalizeTimeColumnInPlace(rows, timeIdx) {
-    if (!Array.isArray(rows) || rows.length === 0) return { t0: null, maxT: 0 };
-    if (timeIdx == null || timeIdx < 0) return { t0: null, maxT: 0 };
+  // Zero-based seconds; returns a new array (the parsed table is cached).
+  // `scale` (seconds per raw unit) skips detection when the unit is declared.
+  // `start` is the first timestamp in seconds (absolute when the column is).
+  function normalizeTimeColumn(tRaw, scale = null) {
+    const n = tRaw?.length || 0;
+    const t = new Float64Array(n).fill(NaN);
 
-    const t0Raw = safeNum(rows[0]?.[timeIdx], null);
-    if (t0Raw == null) return { t0: null, maxT: 0 };
+    let first = 0;
+    while (first < n && !Number.isFinite(tRaw[first])) first++;
+    if (first >= n) return { t, maxT: 0, scale: 1, start: null };
 
-    const scale = detectTimeScaleFactor(rows, timeIdx);
+    const t0Raw = tRaw[first];
+    if (!scale) scale = detectTimeScaleFactor(tRaw);
 
     let maxT = 0;
-    for (const r of rows) {
-      const tRaw = safeNum(r?.[timeIdx], null);
-      if (tRaw == null) continue;
-
-      const tScaled = (tRaw - t0Raw) * scale;
-      r[timeIdx] = String(tScaled);
+    for (let i = first; i < n; i++) {
+      if (!Number.isFinite(tRaw[i])) continue;
+      const tScaled = (tRaw[i] - t0Raw) * scale;
+      t[i] = tScaled;
       if (tScaled > maxT) maxT = tScaled;
     }
 
-    return { t0: 0, maxT, scale };
+    return { t, maxT, scale, start: t0Raw * scale };
   }
 
-  function colIndex(headers, name) {
-    const key = String(name || "").trim().toLowerCase();
-    const lower = (headers || []).map((h) => String(h || "").trim().toLowerCase());
-    const i = lower.indexOf(key);
-    return i >= 0 ? i : -1;
-  }
-
-  function buildImuReadoutCache(headers, rows, timeIdx) {
-    if (!headers?.length || !rows?.length || timeIdx == null || timeIdx < 0) return null;
-
-    const axI = colIndex(headers, "ax"),
-      ayI = colIndex(headers, "ay"),
-      azI = colIndex(headers, "az");
-    const gxI = colIndex(headers, "gx"),
-      gyI = colIndex(headers, "gy"),
-      gzI = colIndex(headers, "gz");
-    const mxI = colIndex(headers, "mx"),
-      myI = colIndex(headers, "my"),
-      mzI = colIndex(headers, "mz");
-
-    const tmp = [];
-    for (const r of rows) {
-      const t = safeNum(r?.[timeIdx], null);
-      if (t == null) continue;
-      tmp.push({ t, r });
+  // Columnar cache: { t, acc:{x,y,z}, gyro:{x,y,z}, mag:{x,y,z} } of
+  // Float64Arrays (NaN = missing). Rows without a time are dropped and
+  // rows are sorted by time when the file isn't already in order.
+  // indices: signal -> column (MoveSyncImuMapping.columnIndices)
+  // scales:  { acc, gyro, mag } factor to m/s² / deg/s / µT, or null
+  function buildImuReadoutCache(columns, indices, t, scales = {}) {
+    if (!columns?.length || !t?.length) return null;
+
+    const n = t.length;
+    let kept = 0;
+    let sorted = true;
+    let prev = -Infinity;
+    for (let i = 0; i < n; i++) {
+      if (!Number.isFinite(t[i])) continue;
+      if (t[i] < prev) sorted = false;
+      prev = t[i];
+      kept++;
+    }
+    if (!kept) return null;
+
+    // Row order to copy: identity when clean, else valid rows sorted by time
+    let order = null;
+    if (!sorted || kept !== n) {
+      order = new Uint32Array(kept);
+      let k = 0;
+      for (let i = 0; i < n; i++) if (Number.isFinite(t[i])) order[k++] = i;
+      if (!sorted) order.sort((a, b) => t[a] - t[b]);
     }
-    tmp.sort((a, b) => a.t - b.t);
-
-    const t = [];
-    const acc = { x: [], y: [], z: [] };
-    const gyro = { x: [], y: [], z: [] };
-    const mag = { x: [], y: [], z: [] };
-
-    for (const o of tmp) {
-      const r = o.r;
-      t.push(o.t);
-
-      acc.x.push(safeNum(r?.[axI], null));
-      acc.y.push(safeNum(r?.[ayI], null));
-      acc.z.push(safeNum(r?.[azI], null));
 
-      gyro.x.push(safeNum(r?.[gxI], null));
-      gyro.y.push(safeNum(r?.[gyI], null));
-      gyro.z.push(safeNum(r?.[gzI], null));
+    const pick = (src, scale = null) => {
+      if (!order && !scale) return src;
+      const out = new Float64Array(kept);
+      for (let k = 0; k < kept; k++) out[k] = src[order ? order[k] : k];
+      if (scale) for (let k = 0; k < kept; k++) out[k] *= scale;
+      return out;
+    };
 
-      mag.x.push(safeNum(r?.[mxI], null));
-      mag.y.push(safeNum(r?.[myI], null));
-      mag.z.push(safeNum(r?.[mzI], null));
-    }
+    let missing = null; // one shared all-NaN array for absent columns
+    const column = (signal, scale) => {
+      const i = indices?.[signal] ?? -1;
+      if (i >= 0 && columns[i]) return pick(columns[i], scale);
+      return (missing ??= new Float64Array(kept).fill(NaN));
+    };
 
-    return { t, acc, gyro, mag };
+    const { acc = null, gyro = null, mag = null } = scales;
+    return {
+      t: pick(t),
+      acc: { x: column("ax", acc), y: column("ay", acc), z: column("az", acc) },
+      gyro: { x: column("gx", gyro), y: column("gy", gyro), z: column("gz", gyro) },
+      mag: { x: column("mx", mag), y: column("my", mag), z: column("mz", mag) },
+    };
   }
 
   function nearestIndex(times, x) {
@@ -406,7 +598,7 @@
   }
 
   function mag3(x, y, z) {
-    if (x == null || y == null || z == null) return null;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null;
     return Math.sqrt(x * x + y * y + z * z);
   }
 
@@ -575,7 +767,7 @@
     const legacyFile = session?.imuFile || null;
     const legacyName = session?.csvName || legacyFile?.name || "IMU.csv";
 
-    return legacyText
+    return legacyText || legacyFile
       ? [{ label: "IMU 1", csvText: legacyText, file: legacyFile, skeletonNode: "", _name: legacyName }]
       : [];
   }
@@ -611,32 +803,78 @@
       .join("");
   }
 
-  function findTimeIndex(headers) {
-    if (!Array.isArray(headers)) return -1;
-    const lower = headers.map((h) => String(h || "").toLowerCase());
-    const candidates = ["time", "t", "timestamp", "timesec", "times", "sec", "seconds"];
-    for (const c of candidates) {
-      const idx = lower.indexOf(c);
-      if (idx >= 0) return idx;
+  // Where an IMU's CSV comes from: the stored File, else legacy inline text
+  function imuSource(imu) {
+    if (typeof Blob !== "undefined" && imu?.file instanceof Blob) return imu.file;
+    return imu?.csvText || null;
+  }
+
+  function showParseProgress(state) {
+    const root = $("viewerImuLoading");
+    if (!root) return;
+
+    if (!state) {
+      root.hidden = true;
+      return;
     }
-    // No time column found — caller must synthesize timestamps.
-    return -1;
+
+    const pct = Math.round((state.progress || 0) * 100);
+    root.hidden = false;
+    root.setAttribute("aria-valuenow", String(pct));
+    setText("viewerImuLoadingName", state.name || "CSV");
+    setText("viewerImuLoadingPct", `${pct}%`);
+    const fill = $("viewerImuLoadingFill");
+    if (fill) fill.style.width = `${pct}%`;
   }
 
-  function parseCsv(text) {
-    const lines = String(text || "")
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter(Boolean);
+  // One parse at a time. Asking for the source that is already being read
+  // joins that read; asking for another one cancels it.
+  let parsing = null; // { source, promise, abort }
+
+  function readTable(source, name) {
+    if (lastTable?.source === source) return Promise.resolve(lastTable.table);
+    if (parsing?.source === source) return parsing.promise;
+
+    parsing?.abort.abort();
+
+    const job = { source, abort: new AbortController(), promise: null };
+    parsing = job;
+    showParseProgress({ name, progress: 0 });
+
+    // Vendor importer when one recognises the file, else the CSV reader
+    const reader = window.MoveSyncImuImporters?.read || window.MoveSyncImuCsv.parse;
 
-    if (!lines.length) return { headers: [], rows: [] };
+    job.promise = reader(source, {
+      signal: job.abort.signal,
+      onProgress: ({ progress }) => {
+        if (parsing === job) showParseProgress({ name, progress });
+      },
+    })
+      .then((table) => {
+        lastTable = { source, table };
+        return table;
+      })
+      .finally(() => {
+        if (parsing !== job) return;
+        parsing = null;
+        showParseProgress(null);
+      });
+
+    return job.promise;
+  }
 
-    const headers = lines[0].split(",").map((h) => h.trim());
-    const rows = lines.slice(1).map((line) => line.split(",").map((x) => x.trim()));
-    return { headers, rows };
+  function cancelParse() {
+    parsing?.abort.abort();
+    parsing = null;
+    showParseProgress(null);
   }
 
-  function createChart(canvasId, series, timeIdx) {
+  // Display filter for the acc / gyro charts (MoveSyncIMUFilters spec)
+  function chartFilter() {
+    return window.MoveSyncViewerProcessingSettings?.getChartFilter?.(imuReadoutCache?.settings ?? null) ?? null;
+  }
+
+  function createChart(canvasId, axes, chartName) {
     const canvas = $(canvasId);
     if (!canvas) return null;
 
@@ -646,19 +884,17 @@
       return null;
     }
 
-    const chartName =
-      canvasId === "viewerChartAcc" ? "acc" :
-      canvasId === "viewerChartGyro" ? "gyro" :
-      canvasId === "viewerChartMag" ? "mag" : "unknown";
-
     return new ChartCtor(canvas, {
-      rows: imuRows,
-      headers: imuHeaders,
-      timeIndex: timeIdx,
-      series,
+      t: imuReadoutCache?.t || null,
+      x: axes?.x || null,
+      y: axes?.y || null,
+      z: axes?.z || null,
+      filter: chartName === "mag" ? null : chartFilter(),
 
       getCursorX: () => imuCursor.x,
       getMarkerX: () => imuMarker.x,
+      getGaps: () => chartGaps,
+      getDisturbances: () => chartDisturbances,
       getAxisEnabled: (axisIdx) => getAxisEnabled(chartName, String(axisIdx)),
       getMinX: () => imuCursor.minX,
       getMaxX: () => imuCursor.maxX,
@@ -668,9 +904,9 @@
   function buildCharts() {
     Object.values(charts || {}).forEach((c) => c?.destroy?.());
     charts = {};
-    charts.acc = createChart("viewerChartAcc", ["ax", "ay", "az"], imuTimeIndex);
-    charts.gyro = createChart("viewerChartGyro", ["gx", "gy", "gz"], imuTimeIndex);
-    charts.mag = createChart("viewerChartMag", ["mx", "my", "mz"], imuTimeIndex);
+    charts.acc = createChart("viewerChartAcc", imuReadoutCache?.acc, "acc");
+    charts.gyro = createChart("viewerChartGyro", imuReadoutCache?.gyro, "gyro");
+    charts.mag = createChart("viewerChartMag", imuReadoutCache?.mag, "mag");
 
     Object.values(charts).forEach((c) => c?.update?.());
     requestAnimationFrame(alignImuCursorSliderToChartArea);
@@ -681,8 +917,658 @@
     setHidden("viewerImuCursor", isEmpty);
   }
 
+  function showCsvFormat(table, resolved) {
+    const root = $("viewerImuFormat");
+    if (!root) return;
+    root.hidden = !table;
+    if (!table) return;
+
+    // Vendor imports have no CSV dialect; they name the format + device
+    setText(
+      "viewerImuFormatText",
+      table.dialect ? window.MoveSyncImuCsv.describe(table.dialect) : window.MoveSyncImuImporters?.describe(table) || "—"
+    );
+    setText("viewerImuMappingText", resolved ? window.MoveSyncImuMapping.describe(resolved) : "—");
+
+    const mapBtn = $("viewerImuMapBtn");
+    if (mapBtn) {
+      mapBtn.disabled = !!table.importer;
+      mapBtn.title = table.importer ? "Columns are set by the vendor importer" : "";
+    }
+  }
+
+  function resampleFor(source, imu) {
+    return window.MoveSyncSchema.normalizeImuResample(resampleOverrides.get(source) || imu?.resample);
+  }
+
+  function showTiming(report, resample = null, synthHz = null) {
+    const root = $("viewerImuTiming");
+    if (!root) return;
+    root.hidden = !report && synthHz == null;
+    if (root.hidden) return;
+
+    setText(
+      "viewerImuTimingText",
+      report ? window.MoveSyncImuTiming.describe(report) : `synthesised at ${synthHz} Hz (uniform)`
+    );
+
+    const method = $("viewerImuResample");
+    const rate = $("viewerImuResampleRate");
+    if (method) {
+      method.value = resample?.method || "none";
+      method.disabled = !report;
+    }
+    if (rate) {
+      rate.value = resample?.rate ?? "";
+      rate.placeholder = report ? String(Math.round(report.nominalRate)) : "";
+      rate.disabled = !report || method?.value === "none";
+    }
+  }
+
+  // The report is stored on the session's IMU entry (imus[i].timing) when
+  // it changed; analysis results are saved without an undo entry
+  function saveTimingReport(session, fileName) {
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+    if (!imu || session.projectId == null || !store?.saveImuAnalysis) return;
+
+    const timing = window.MoveSyncImuTiming?.toStored(timingReport, { file: fileName }) || null;
+    if (JSON.stringify(timing) === JSON.stringify(imu.timing ?? null)) return;
+
+    store.saveImuAnalysis(session.projectId, session.id, selectedImuIndex, { timing }).catch((err) => {
+      console.warn("[IMUPanel] Could not save the timing report:", err);
+    });
+  }
+
+  // Provenance of the latest result (imus[i].processing), saved like the
+  // timing report when anything but the time it ran changed
+  function saveProvenance(session, processed) {
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+    const processing = processed?.provenance;
+    if (!imu || !processing || session.projectId == null || !store?.saveImuAnalysis) return;
+
+    const same = (a, b) => JSON.stringify({ ...a, processedAt: null }) === JSON.stringify({ ...b, processedAt: null });
+    if (imu.processing && same(imu.processing, processing)) return;
+
+    store.saveImuAnalysis(session.projectId, session.id, selectedImuIndex, { processing }).catch((err) => {
+      console.warn("[IMUPanel] Could not save the processing provenance:", err);
+    });
+  }
+
+  // Gait events of the latest result (imus[i].gait), saved like the
+  // timing report; the session's other leg IMUs pair with them
+  function saveGait(session, processed) {
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+    if (!imu || session.projectId == null || !store?.saveImuAnalysis || !window.MoveSyncImuGait) return;
+
+    const g = processed?.gait;
+    const gait = window.MoveSyncImuGait.toStored(g?.events, { leg: g?.leg, timeline: g?.timeline });
+    if (JSON.stringify(gait) === JSON.stringify(imu.gait ?? null)) return;
+
+    store.saveImuAnalysis(session.projectId, session.id, selectedImuIndex, { gait }).catch((err) => {
+      console.warn("[IMUPanel] Could not save the gait events:", err);
+    });
+  }
+
+  // Gait input of the selected IMU: its leg (skeleton node) and the events
+  // the session's other leg IMUs saved. Null when none is on a leg.
+  function gaitInputFor(session, imu) {
+    const G = window.MoveSyncImuGait;
+    if (!G) return null;
+
+    const imus = Array.isArray(session?.imus) ? session.imus : [];
+    const others = imus
+      .map((x, i) => {
+        const leg = G.legOf(x);
+        return i !== selectedImuIndex && leg && x.gait?.leg === leg ? x.gait : null;
+      })
+      .filter(Boolean);
+    const leg = G.legOf(imu);
+    return leg || others.length ? { leg, others } : null;
+  }
+
+  // Saved on the session's IMU entry when there is one (like the mapping)
+  async function saveResample(resample) {
+    const session = lastSessionForSelector;
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+
+    if (imu && session.projectId != null && store?.updateSession) {
+      const imus = session.imus.map((x, i) => (i === selectedImuIndex ? { ...x, resample } : x));
+      try {
+        // The store's change events re-render the viewer
+        await store.updateSession(session.projectId, session.id, { imus });
+        return;
+      } catch (err) {
+        console.warn("[IMUPanel] Could not save the resampling choice:", err);
+      }
+    }
+
+    if (current?.source) resampleOverrides.set(current.source, resample);
+    renderImu(session || {});
+  }
+
+  function onResampleChange() {
+    const method = $("viewerImuResample")?.value || "none";
+    const rate = parseFloat($("viewerImuResampleRate")?.value);
+    saveResample(window.MoveSyncSchema.normalizeImuResample({ method, rate }));
+  }
+
+  // Pipeline warnings for the IMU on screen: units or axes declared on
+  // the IMU entry / mapping that the recorded data contradicts
+  function showProcessingWarnings(warnings) {
+    const root = $("viewerImuWarn");
+    const list = $("viewerImuWarnList");
+    if (!root || !list) return;
+
+    const items = Array.isArray(warnings) ? warnings : [];
+    list.replaceChildren(
+      ...items.map((w) => {
+        const li = document.createElement("li");
+        li.textContent = w.message;
+        return li;
+      })
+    );
+    root.hidden = !items.length;
+  }
+
+  // Saved on the session's IMU entry when there is one, so it persists
+  async function saveMapping(mapping) {
+    const session = lastSessionForSelector;
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+
+    if (imu && session.projectId != null && store?.updateSession) {
+      const imus = session.imus.map((x, i) => (i === selectedImuIndex ? { ...x, mapping } : x));
+      try {
+        // The store's change events re-render the viewer
+        await store.updateSession(session.projectId, session.id, { imus });
+        return;
+      } catch (err) {
+        console.warn("[IMUPanel] Could not save the column mapping:", err);
+      }
+    }
+
+    if (current?.source) mappingOverrides.set(current.source, mapping);
+    renderImu(session || {});
+  }
+
+  async function openMappingWizard() {
+    const mapper = window.MoveSyncApp?.columnMapper;
+    if (!current?.table || current.table.importer || !mapper) return;
+
+    const result = await mapper.open({
+      fileName: current.fileName,
+      table: current.table,
+      resolved: current.resolved,
+    });
+    if (result?.mapping) await saveMapping(result.mapping);
+  }
+
+  function clearImuData(message) {
+    const pre = $("viewerCsvPreview");
+    if (pre) pre.textContent = message;
+    current = null;
+    timingReport = null;
+    chartGaps = null;
+    showCsvFormat(null);
+    showTiming(null);
+    showProcessingWarnings(null);
+    showSensorCalibration(null);
+    showMagCalibration(null);
+
+    imuReadoutCache = null;
+    updateImuReadouts();
+    updateCursorLabel();
+
+    imuCursor.minX = 0;
+    imuCursor.maxX = 0;
+    imuCursor.x = 0;
+
+    syncImuCursorSlider();
+    setImuEmptyState(true);
+    buildCharts();
+  }
+
+  // Importer tables bring their own mapping; CSVs use the one chosen for
+  // this file, else the IMU entry's, else a profile / auto-detection
+  function resolveMapping(table, source, imu) {
+    if (table.mapping) return { mapping: table.mapping, source: "importer", profile: null };
+    return window.MoveSyncImuMapping.resolve(table.headers, {
+      mapping: mappingOverrides.get(source) || imu?.mapping || null,
+      units: table.dialect?.units,
+    });
+  }
+
+  // Rate for synthesised timestamps: the one applied in the banner for this
+  // file, else the mapping's (100 Hz unless a profile / the wizard says otherwise)
+  function synthRate(source, mapping) {
+    const storedHz = synthRateFor?.source === source ? synthRateFor.hz : mapping.sampleRate;
+    return (Number.isFinite(storedHz) && storedHz >= 1) ? storedHz : 100;
+  }
+
+  // ------------------------------------------------------------
+  // Cross-sensor alignment
+  // ------------------------------------------------------------
+  // First timestamps from 2001 on count as absolute (epoch); date / clock
+  // columns always do
+  const EPOCH_MIN_S = 1e9;
+
+  const ALIGN_METHOD_LABELS = { events: "shared event", timestamps: "absolute timestamps" };
+
+  function alignmentOf(session) {
+    if (session && alignmentOverrides.has(session)) return alignmentOverrides.get(session);
+    return session?.imuAlignment || null;
+  }
+
+  // { offset, scale, timeline } mapping this IMU's clock onto the common
+  // timeline, or null when the session isn't aligned (or this IMU wasn't)
+  function alignmentFor(session, index) {
+    const a = alignmentOf(session);
+    const sensor = a?.sensors?.[index];
+    if (!sensor) return null;
+    return {
+      offset: sensor.offset,
+      scale: 1 + (sensor.drift || 0),
+      timeline: { start: a.start, end: a.end, rate: a.rate },
+    };
+  }
+
+  function toTimeline(v, align) {
+    return align ? align.offset + align.scale * v : v;
+  }
+
+  // norm ({ t, maxT }) with t on the common timeline, plus minT
+  function onTimeline(norm, align) {
+    if (!align) return { ...norm, minT: 0 };
+
+    const t = new Float64Array(norm.t.length);
+    let minT = Infinity;
+    let maxT = -Infinity;
+    for (let i = 0; i < t.length; i++) {
+      const v = toTimeline(norm.t[i], align);
+      t[i] = v;
+      if (v < minT) minT = v;
+      if (v > maxT) maxT = v;
+    }
+    return Number.isFinite(minT) ? { ...norm, t, minT, maxT } : { ...norm, t, minT: 0, maxT: 0 };
+  }
+
+  function showAlignment(session) {
+    const root = $("viewerImuAlign");
+    if (!root) return;
+    const imus = getSessionImuList(session);
+    root.hidden = imus.length < 2;
+    if (root.hidden) return;
+
+    const a = alignmentOf(session);
+    const reset = $("viewerImuAlignReset");
+    if (reset) reset.hidden = !a;
+    if (aligning) return; // the run reports its own progress
+
+    if (!a) {
+      setText("viewerImuAlignText", "not aligned (each IMU on its own clock)");
+      return;
+    }
+
+    const method = $("viewerImuAlignMethod");
+    if (method) method.value = a.method;
+
+    const sensor = a.sensors[selectedImuIndex];
+    const parts = [ALIGN_METHOD_LABELS[a.method] || a.method];
+    if (selectedImuIndex === a.reference) {
+      parts.push("reference clock");
+    } else if (sensor) {
+      parts.push(`offset ${sensor.offset >= 0 ? "+" : ""}${sensor.offset.toFixed(3)} s`);
+      if (sensor.drift) parts.push(`drift ${sensor.drift > 0 ? "+" : ""}${(sensor.drift * 1e6).toFixed(0)} ppm`);
+      if (sensor.score != null) parts.push(`match ${sensor.score.toFixed(2)}`);
+    } else {
+      parts.push("this IMU could not be aligned");
+    }
+    parts.push(`common ${a.start.toFixed(2)}–${a.end.toFixed(2)} s at ${Math.round(a.rate)} Hz`);
+
+    const missing = a.sensors.filter((x) => !x).length;
+    if (missing) parts.push(`${missing} IMU${missing === 1 ? "" : "s"} not aligned`);
+    setText("viewerImuAlignText", parts.join(" · "));
+  }
+
+  // What MoveSyncImuAlignment.estimate needs from one IMU: t on its own
+  // clock, the absolute start when the timestamps have one, and x/y/z of
+  // the accelerometer (gyro when there is none). Units don't matter.
+  async function alignmentInput(imu, signal, onProgress) {
+    const source = imuSource(imu);
+    if (!source) return null;
+
+    const reader = window.MoveSyncImuImporters?.read || window.MoveSyncImuCsv.parse;
+    const table = lastTable?.source === source ? lastTable.table : await reader(source, { signal, onProgress });
+
+    const M = window.MoveSyncImuMapping;
+    const { mapping } = resolveMapping(table, source, imu);
+    const indices = M.columnIndices(table.headers, mapping);
+    const axes = (keys) => {
+      const cols = keys.map((k) => (indices[k] >= 0 ? table.columns[indices[k]] : null));
+      return cols.every(Boolean) ? { x: cols[0], y: cols[1], z: cols[2] } : null;
+    };
+    const xyz = axes(["ax", "ay", "az"]) || axes(["gx", "gy", "gz"]);
+    if (!xyz) return null;
+
+    const timeScale = M.timeScale(mapping);
+    const timeIdx = timeScale === 0 ? -1 : indices.time;
+    if (timeIdx === -1) {
+      const hz = synthRate(source, mapping);
+      return { t: Float64Array.from({ length: table.rowCount }, (_, i) => i / hz), absStart: null, signal: xyz };
+    }
+
+    const clock = table.clockColumns?.includes(timeIdx);
+    const norm = normalizeTimeColumn(table.columns[timeIdx], clock ? 1 : timeScale);
+    const absolute = clock || norm.start >= EPOCH_MIN_S;
+    return { t: norm.t, absStart: absolute ? norm.start : null, signal: xyz };
+  }
+
+  async function alignSensors() {
+    const session = lastSessionForSelector;
+    const imus = getSessionImuList(session);
+    if (imus.length < 2 || aligning) return;
+
+    const method = $("viewerImuAlignMethod")?.value === "timestamps" ? "timestamps" : "events";
+    const job = new AbortController();
+    aligning = job;
+    const btn = $("viewerImuAlignBtn");
+    if (btn) btn.disabled = true;
+
+    try {
+      const streams = [];
+      for (let i = 0; i < imus.length; i++) {
+        const status = (p) => setText("viewerImuAlignText", `reading IMU ${i + 1} of ${imus.length}… ${Math.round(p * 100)}%`);
+        status(0);
+        try {
+          streams.push(await alignmentInput(imus[i], job.signal, ({ progress }) => status(progress || 0)));
+        } catch (err) {
+          if (err?.name === "AbortError") return;
+          console.warn(`[IMUPanel] Could not read IMU ${i + 1} for alignment:`, err);
+          streams.push(null);
+        }
+      }
+
+      setText("viewerImuAlignText", "matching…");
+      await new Promise((r) => setTimeout(r, 0)); // let the status paint
+      if (job.signal.aborted || session !== lastSessionForSelector) return;
+
+      const result = window.MoveSyncImuAlignment.estimate(streams, { method, reference: 0 });
+      result.warnings.forEach((w) => console.warn("[IMUPanel] Alignment:", w));
+
+      const round = (v, d) => Number(v.toFixed(d));
+      aligning = null;
+      await saveAlignment(session, {
+        method: result.method,
+        reference: result.reference,
+        rate: round(result.rate, 3),
+        start: round(result.start, 6),
+        end: round(result.end, 6),
+        sensors: result.sensors.map((x) =>
+          x ? { offset: round(x.offset, 6), drift: round(x.drift, 9), score: x.score == null ? null : round(x.score, 3) } : null
+        ),
+        alignedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.warn("[IMUPanel] Alignment failed:", err);
+      setText("viewerImuAlignText", err.message);
+    } finally {
+      if (aligning === job) aligning = null;
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // Saved on the session (undoable) when it has a project; a reset saves null
+  async function saveAlignment(session, alignment) {
+    const store = window.MoveSyncSessionStore;
+    if (session?.projectId != null && store?.updateSession) {
+      try {
+        // The store's change events re-render the viewer
+        await store.updateSession(session.projectId, session.id, { imuAlignment: alignment });
+        return;
+      } catch (err) {
+        console.warn("[IMUPanel] Could not save the alignment:", err);
+      }
+    }
+
+    if (session) alignmentOverrides.set(session, alignment);
+    renderImu(session || {});
+  }
+
+  // ------------------------------------------------------------
+  // Sensor calibration
+  // ------------------------------------------------------------
+  const POSITION_LABELS = { "+x": "+X up", "-x": "−X up", "+y": "+Y up", "-y": "−Y up", "+z": "+Z up", "-z": "−Z up" };
+
+  // Serial the IMU's calibration is stored under: typed in the strip, else
+  // named by the vendor importer
+  function serialFor(source, imu) {
+    return serialOverrides.has(source) ? serialOverrides.get(source) : imu?.device?.serial ?? null;
+  }
+
+  // |B| mean ± SD (µT) over up to ~5000 samples
+  function magnitudeStats(v) {
+    const n = v?.x?.length || 0;
+    const step = Math.max(1, Math.floor(n / 5000));
+    let count = 0, sum = 0, sumSq = 0;
+    for (let i = 0; i < n; i += step) {
+      const m = mag3(v.x[i], v.y[i], v.z[i]);
+      if (!Number.isFinite(m)) continue;
+      count++;
+      sum += m;
+      sumSq += m * m;
+    }
+    if (!count) return null;
+    const mean = sum / count;
+    return { mean, sd: Math.sqrt(Math.max(0, sumSq / count - mean * mean)) };
+  }
+
+  // Magnetometer calibration line + point cloud; processed: pipeline
+  // result for this IMU, or null while it runs
+  function showMagCalibration(processed = null) {
+    const root = $("viewerMagCal");
+    if (!root) return;
+    const m = processed?.magnetometer || null;
+
+    chartDisturbances = m?.intervals?.length ? m.intervals : null;
+    Object.values(charts || {}).forEach((c) => c?.update?.("none"));
+
+    root.hidden = !m;
+    if (!m) {
+      setHidden("viewerMagCloud", true);
+      return;
+    }
+
+    const parts = [
+      m.method === "ellipsoid" ? "ellipsoid fit (hard + soft iron)" : "hard iron only (too little rotation for a soft-iron fit)",
+      `offset ${m.offset.map((v) => v.toFixed(1)).join(" / ")} µT`,
+      `field ${m.fieldStrength.toFixed(1)} µT`,
+    ];
+    if (m.residualPct != null) parts.push(`fit ±${m.residualPct.toFixed(1)}%`);
+    parts.push(
+      m.disturbedSeconds > 0
+        ? `disturbed ${m.disturbedPct.toFixed(1)}% (${m.disturbedSeconds.toFixed(1)} s, fused without the magnetometer)`
+        : "no disturbance"
+    );
+    setText("viewerMagCalText", parts.join(" · "));
+
+    const btn = $("viewerMagCloudBtn");
+    if (btn) btn.setAttribute("aria-expanded", String(magCloudOpen));
+    setHidden("viewerMagCloud", !magCloudOpen);
+    if (!magCloudOpen) return;
+
+    const raw = magnitudeStats(processed.raw.mag);
+    const cal = magnitudeStats(m.corrected);
+    const stat = (x) => (x ? `${x.mean.toFixed(1)} ± ${x.sd.toFixed(1)} µT` : "—");
+    setText("viewerMagCloudStats", `|B| raw ${stat(raw)} · calibrated ${stat(cal)}`);
+
+    const canvas = $("viewerMagCloudCanvas");
+    const Cloud = window.MoveSyncCharts?.MagCloud;
+    if (!canvas || !Cloud) return;
+    if (magCloud?.canvas !== canvas) {
+      magCloud?.destroy();
+      magCloud = new Cloud(canvas);
+    }
+    magCloud.setData({ raw: processed.raw.mag, corrected: m.corrected, disturbed: m.disturbed });
+  }
+
+  // processed: pipeline result for this IMU, or null while it runs
+  function showSensorCalibration(processed = null) {
+    const root = $("viewerImuSensorCal");
+    if (!root) return;
+    root.hidden = !current;
+    if (root.hidden) {
+      setHidden("viewerImuAccCal", true);
+      return;
+    }
+
+    const C = window.MoveSyncImuDeviceCalibration;
+    const serial = serialFor(current.source, current.imu);
+    const saved = serial ? C?.get(serial) : null;
+
+    const parts = [];
+    const gyro = processed?.sensorCalibration?.gyroBias;
+    if (!processed) parts.push("gyro bias pending");
+    else if (gyro) {
+      const v = [gyro.x, gyro.y, gyro.z].map((x) => x.toFixed(2)).join(" / ");
+      parts.push(`gyro bias ${v} deg/s (${gyro.stillSeconds.toFixed(1)} s still)`);
+    } else {
+      parts.push("gyro bias not measured (too little stillness)");
+    }
+    if (!serial) parts.push("accelerometer: enter the device serial to use a saved calibration");
+    else parts.push(`accelerometer ${saved ? C.describe(saved.acc) : "not calibrated"}`);
+    setText("viewerImuSensorCalText", parts.join(" · "));
+
+    const input = $("viewerImuSerial");
+    if (input && document.activeElement !== input) input.value = serial || "";
+    setHidden("viewerImuAccCalForget", !saved);
+
+    showAccCalibrationGuide(processed);
+  }
+
+  // Checklist of the six faces found in the processed recording
+  function showAccCalibrationGuide(processed) {
+    const root = $("viewerImuAccCal");
+    if (!root) return;
+    root.hidden = !accCalOpen;
+    if (root.hidden) return;
+
+    const C = window.MoveSyncImuDeviceCalibration;
+    setText("viewerImuAccCalSecs", String(C.CFG.MIN_POSITION_S));
+
+    accCalFit = null;
+    let message = "";
+    if (!processed) {
+      message = "Waiting for processing…";
+    } else {
+      try {
+        const fit = C.sixPosition({
+          acc: processed.raw.acc,
+          still: processed.motion.stillnessMask,
+          rate: processed.sampleRate,
+        });
+        // raw already carries the saved calibration: fold it in
+        accCalFit = { ...fit, acc: fit.acc && C.compose(processed.sensorCalibration?.acc, fit.acc) };
+        message = accCalFit.acc
+          ? `${C.describe(accCalFit.acc)} · residual ${accCalFit.acc.residual.toFixed(3)} m/s²`
+          : `${fit.missing.length} of 6 faces missing`;
+      } catch (err) {
+        message = err.message;
+      }
+    }
+
+    const list = $("viewerImuAccCalList");
+    if (list) {
+      list.replaceChildren(
+        ...C.POSITIONS.map((p) => {
+          const pos = accCalFit?.positions[p];
+          const li = document.createElement("li");
+          li.classList.toggle("is-found", !!pos?.mean);
+          li.textContent = `${POSITION_LABELS[p]} — ${pos ? `${pos.seconds.toFixed(1)} s` : "not found"}`;
+          return li;
+        })
+      );
+    }
+    setText("viewerImuAccCalResult", message);
+
+    const save = $("viewerImuAccCalSave");
+    if (save) save.disabled = !accCalFit?.acc;
+  }
+
+  function processedForSelected() {
+    const processed = window.currentProcessedSession;
+    return processed && window.currentProcessedImuIndex === selectedImuIndex ? processed : null;
+  }
+
+  // Saved on the session's IMU entry (imus[i].device.serial) when there is
+  // one, so later sessions of the same IMU entry keep it
+  async function saveSerial(serial) {
+    const session = lastSessionForSelector;
+    const store = window.MoveSyncSessionStore;
+    const imu = Array.isArray(session?.imus) ? session.imus[selectedImuIndex] : null;
+    const device = window.MoveSyncSchema.normalizeImuDevice({ ...imu?.device, serial });
+
+    if (imu && session.projectId != null && store?.updateSession) {
+      const imus = session.imus.map((x, i) => (i === selectedImuIndex ? { ...x, device } : x));
+      try {
+        // The store's change events re-render the viewer
+        await store.updateSession(session.projectId, session.id, { imus });
+        return;
+      } catch (err) {
+        console.warn("[IMUPanel] Could not save the device serial:", err);
+      }
+    }
+
+    if (current?.source) serialOverrides.set(current.source, device.serial);
+    renderImu(session || {});
+  }
+
+  // Stored per serial (not on the session); the re-render processes the
+  // IMU again with it
+  function saveAccCalibration() {
+    const serial = current ? serialFor(current.source, current.imu) : null;
+    if (!accCalFit?.acc) return;
+    if (!serial) {
+      setText("viewerImuAccCalResult", "Enter the device serial first; the calibration is saved for that sensor.");
+      return;
+    }
+    try {
+      window.MoveSyncImuDeviceCalibration.save({ serial, acc: accCalFit.acc });
+    } catch (err) {
+      setText("viewerImuAccCalResult", err.message);
+      return;
+    }
+    accCalOpen = false;
+    renderImu(lastSessionForSelector || {});
+  }
+
+  function forgetAccCalibration() {
+    const serial = current ? serialFor(current.source, current.imu) : null;
+    if (!serial || !window.MoveSyncImuDeviceCalibration.remove(serial)) return;
+    renderImu(lastSessionForSelector || {});
+  }
+
+  // Units per sensor: the IMU entry's declaration (Upload) wins over the
+  // column mapping's; vendor importers have converted theirs already
+  function declaredUnits(imu, resolved) {
+    const fromMapping = resolved.mapping.units;
+    if (resolved.source === "importer") return fromMapping;
+    const out = {};
+    ["acc", "gyro", "mag"].forEach((k) => {
+      const own = imu?.units?.[k];
+      out[k] = own && own !== "auto" ? own : fromMapping[k];
+    });
+    return out;
+  }
+
+  let renderSeq = 0;
+
   async function renderImu(session) {
     await window.__imuPanelDepsPromise;
+    const seq = ++renderSeq;
 
     const pre = $("viewerCsvPreview");
     const csvName = $("viewerCsvName");
@@ -696,44 +1582,49 @@
     }
 
     renderImuSelector(session);
+    showAlignment(session);
 
     const imus = getSessionImuList(session);
     const imu = imus[selectedImuIndex] || imus[0] || null;
 
-    const csvText = imu?.csvText || "";
+    const source = imuSource(imu);
     const csvFileName = imu?.file?.name || imu?._name || `IMU_${selectedImuIndex + 1}.csv`;
 
-    if (!csvText) {
+    if (!source) {
+      cancelParse();
       if (csvName) csvName.textContent = "No CSV loaded";
-      if (pre) pre.textContent = "No IMU CSV data in this session.";
-
-      imuRows = [];
-      imuHeaders = [];
-      imuTimeIndex = -1;
-
-      imuReadoutCache = null;
-      updateImuReadouts();
-      updateCursorLabel();
+      clearImuData("No IMU CSV data in this session.");
+      return;
+    }
 
-      imuCursor.minX = 0;
-      imuCursor.maxX = 0;
-      imuCursor.x = 0;
+    if (csvName) csvName.textContent = csvFileName;
 
-      syncImuCursorSlider();
-      setImuEmptyState(true);
-      buildCharts();
+    let table;
+    try {
+      table = await readTable(source, csvFileName);
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      console.error("[IMUPanel] Failed to read IMU CSV:", err);
+      if (seq === renderSeq) clearImuData(`Could not read ${csvFileName}.`);
       return;
     }
 
-    if (csvName) csvName.textContent = csvFileName;
+    // A newer render (other session / IMU) owns the panel now
+    if (seq !== renderSeq) return;
+
+    const { headers, columns, rowCount } = table;
 
-    const { headers, rows } = parseCsv(csvText);
-    imuHeaders = headers;
-    imuRows = rows;
-    imuTimeIndex = findTimeIndex(headers);
+    const M = window.MoveSyncImuMapping;
+    const resolved = resolveMapping(table, source, imu);
+    const { mapping } = resolved;
+    const indices = M.columnIndices(headers, mapping);
+    const timeScale = M.timeScale(mapping);
+    const timeIdx = timeScale === 0 ? -1 : indices.time;
+
+    current = { source, fileName: csvFileName, table, resolved, imu };
 
     // ── Synthetic timestamps ─────────────────────────────────────────────────
-    // When no time column exists we prepend one using a user-supplied (or
+    // When no time column exists we build one using a user-supplied (or
     // previously stored) sample rate.  The banner lets the user correct it
     // without re-uploading the file.
     const synthBanner  = $("viewerImuSynthBanner");
@@ -741,18 +1632,17 @@
     const synthHzEl    = $("viewerImuSynthHz");
     const synthApplyEl = $("viewerImuSynthApply");
 
-    if (imuTimeIndex === -1) {
-      // Resolve rate: prefer value already shown in the input (user may have
-      // typed a custom rate), then fall back to 100 Hz.
-      const storedHz = parseFloat(synthRateEl?.value) || 100;
-      const hz = (Number.isFinite(storedHz) && storedHz >= 1) ? storedHz : 100;
+    let norm;
+    let synthHz = null;
 
-      // Prepend synthetic "t" column
-      imuHeaders = ["t", ...imuHeaders];
-      for (let i = 0; i < imuRows.length; i++) {
-        imuRows[i] = [String(i / hz), ...imuRows[i]];
-      }
-      imuTimeIndex = 0;
+    if (timeIdx === -1) {
+      const hz = synthRate(source, mapping);
+
+      // Already zero-based seconds — no unit detection
+      const t = new Float64Array(rowCount);
+      for (let i = 0; i < rowCount; i++) t[i] = i / hz;
+      norm = { t, maxT: rowCount > 1 ? (rowCount - 1) / hz : 0 };
+      synthHz = hz;
 
       // Show banner
       if (synthBanner)  synthBanner.hidden = false;
@@ -763,47 +1653,99 @@
       if (synthApplyEl && !synthApplyEl.dataset.wired) {
         synthApplyEl.dataset.wired = "1";
         synthApplyEl.addEventListener("click", () => {
-          // Re-render with the new rate — just call renderImu again with the
-          // same session; the rate will be read from the input.
+          // Re-render with the new rate for the file on screen
+          const typed = parseFloat($("viewerImuSynthRate")?.value);
+          if (current?.source && Number.isFinite(typed) && typed >= 1) {
+            synthRateFor = { source: current.source, hz: typed };
+          }
           renderImu(lastSessionForSelector || {});
         });
       }
     } else {
       // Time column present — hide the banner
       if (synthBanner) synthBanner.hidden = true;
+      // Date/clock columns are already seconds; declared units skip detection
+      const clock = table.clockColumns?.includes(timeIdx);
+      norm = normalizeTimeColumn(columns[timeIdx], clock ? 1 : timeScale);
     }
     // ────────────────────────────────────────────────────────────────────────
 
-    const norm = normalizeTimeColumnInPlace(rows, imuTimeIndex);
-
-    imuReadoutCache = buildImuReadoutCache(imuHeaders, imuRows, imuTimeIndex);
+    // Aligned sessions: charts run on the common timeline (the timing
+    // report stays on the IMU's own clock)
+    const align = alignmentFor(session, selectedImuIndex);
+    const ownT = norm.t;
+    norm = onTimeline(norm, align);
+
+    const units = declaredUnits(imu, resolved);
+    const scales = {
+      acc: M.unitScale("acc", units.acc),
+      gyro: M.unitScale("gyro", units.gyro),
+      mag: M.unitScale("mag", units.mag),
+    };
+    imuReadoutCache = buildImuReadoutCache(columns, indices, norm.t, scales);
 
-    // If timestamps were synthesised, record the rate so imu-processing.js
-    // can skip its own detection and use the exact value instead.
     if (imuReadoutCache) {
-      const synthRateEl = $("viewerImuSynthRate");
-      const bannerHidden = $("viewerImuSynthBanner")?.hidden !== false;
-      imuReadoutCache._synthHz = bannerHidden ? null : (parseFloat(synthRateEl?.value) || null);
+      // If timestamps were synthesised, record the rate so imu-processing.js
+      // can skip its own detection and use the exact value instead.
+      imuReadoutCache._synthHz = synthHz;
+
+      // Declared units were converted above (m/s², deg/s, µT); the pipeline
+      // guesses the ones left on "auto" and checks the rest against the data
+      imuReadoutCache.units = {
+        acc: scales.acc ? units.acc : null,
+        gyro: scales.gyro ? units.gyro : null,
+        mag: scales.mag ? units.mag : null,
+      };
+      imuReadoutCache.axes = imu?.axes === "left" ? "left" : "right";
+
+      // Grid the pipeline resamples onto when the session's IMUs are aligned
+      imuReadoutCache.timeline = align ? { ...align.timeline } : null;
+
+      // Accelerometer calibration saved for this sensor (gyro bias is
+      // measured by the pipeline)
+      const serial = serialFor(source, imu);
+      const deviceCal = serial ? window.MoveSyncImuDeviceCalibration?.get(serial) : null;
+      imuReadoutCache.sensorCalibration = deviceCal ? { acc: deviceCal.acc } : null;
+
+      // Orientation filter chosen for the session (Sensor Fusion panel)
+      imuReadoutCache.fusion = window.MoveSyncViewerFusionPanel?.getFilter?.(session) ?? session?.imuFusion ?? null;
+
+      // Processing settings: the session's own, else its sport preset's
+      // (Processing settings drawer)
+      imuReadoutCache.settings = window.MoveSyncViewerProcessingSettings?.getSettings?.(session)
+        ?? (session?.imuProcessing ? { overrides: session.imuProcessing, source: "session", preset: null } : null);
+
+      // Gait: paired with the other leg IMUs' saved events by the pipeline
+      imuReadoutCache.gait = gaitInputFor(session, imu);
     }
 
+    // Timing quality of the recorded timestamps (synthesised ones are
+    // uniform); the chosen resampling is applied by the pipeline
+    timingReport = synthHz == null ? window.MoveSyncImuTiming?.analyze(ownT) || null : null;
+    chartGaps = timingReport?.gaps.map((g) => ({ start: toTimeline(g.start, align), end: toTimeline(g.end, align) })) || null;
+    const resample = resampleFor(source, imu);
+    if (imuReadoutCache) imuReadoutCache.resample = timingReport && resample.method !== "none" ? resample : null;
+    showTiming(timingReport, resample, synthHz);
+    saveTimingReport(session, csvFileName);
+
     // Expose globally so imu-processing.js event handler can read it.
     window.__currentImuReadoutCache = imuReadoutCache;
 
     imuCursor.maxX = norm.maxT;
-    imuCursor.minX = 0;
-    imuCursor.x = 0;
+    imuCursor.minX = norm.minT;
+    imuCursor.x = norm.minT;
 
     updateImuReadouts();
     updateCursorLabel();
     syncImuCursorSlider();
 
-    setImuEmptyState(rows.length === 0 || headers.length === 0);
+    setImuEmptyState(rowCount === 0 || headers.length === 0);
 
-    if (pre) {
-      const head = [headers.join(",")];
-      for (let i = 0; i < Math.min(rows.length, 40); i++) head.push(rows[i].join(","));
-      pre.textContent = head.join("\n");
-    }
+    if (pre) pre.textContent = table.preview.join("\n");
+    showCsvFormat(table, resolved);
+    showProcessingWarnings(null);
+    showSensorCalibration(null);
+    showMagCalibration(null);
 
     buildCharts();
 
@@ -842,6 +1784,70 @@
         renderImu(lastSessionForSelector || {});
       }, { signal: ac.signal });
 
+      document.addEventListener("click", (e) => {
+        if (!e.target?.closest?.("#viewerImuMapBtn")) return;
+        openMappingWizard();
+      }, { signal: ac.signal });
+
+      document.addEventListener("click", (e) => {
+        if (e.target?.closest?.("#viewerImuAlignBtn")) alignSensors();
+        else if (e.target?.closest?.("#viewerImuAlignReset")) saveAlignment(lastSessionForSelector, null);
+      }, { signal: ac.signal });
+      ac.signal.addEventListener("abort", () => aligning?.abort(), { once: true });
+
+      document.addEventListener("change", (e) => {
+        if (!e.target?.closest?.("#viewerImuResample, #viewerImuResampleRate")) return;
+        onResampleChange();
+      }, { signal: ac.signal });
+
+      document.addEventListener("click", (e) => {
+        if (e.target?.closest?.("#viewerImuAccCalBtn")) {
+          accCalOpen = true;
+          showAccCalibrationGuide(processedForSelected());
+        } else if (e.target?.closest?.("#viewerImuAccCalClose")) {
+          accCalOpen = false;
+          setHidden("viewerImuAccCal", true);
+        } else if (e.target?.closest?.("#viewerImuAccCalSave")) {
+          saveAccCalibration();
+        } else if (e.target?.closest?.("#viewerImuAccCalForget")) {
+          forgetAccCalibration();
+        } else if (e.target?.closest?.("#viewerMagCloudBtn")) {
+          magCloudOpen = !magCloudOpen;
+          showMagCalibration(processedForSelected());
+        }
+      }, { signal: ac.signal });
+
+      document.addEventListener("change", (e) => {
+        if (!e.target?.closest?.("#viewerImuSerial") || !current) return;
+        const serial = e.target.value.trim() || null;
+        if (serial !== serialFor(current.source, current.imu)) saveSerial(serial);
+      }, { signal: ac.signal });
+
+      document.addEventListener("movesync:imu-processed", (e) => {
+        if (e.detail?.index !== selectedImuIndex) return;
+        showProcessingWarnings(e.detail.processed?.warnings);
+        showSensorCalibration(e.detail.processed);
+        showMagCalibration(e.detail.processed);
+        saveProvenance(lastSessionForSelector, e.detail.processed);
+        saveGait(lastSessionForSelector, e.detail.processed);
+      }, { signal: ac.signal });
+      // Filter changes that could not be saved on the session
+      document.addEventListener("movesync:imu-fusion-changed", () => {
+        renderImu(lastSessionForSelector || {});
+      }, { signal: ac.signal });
+      // Processing settings saved on a sport preset, or not saved at all
+      document.addEventListener("movesync:imu-processing-changed", () => {
+        renderImu(lastSessionForSelector || {});
+      }, { signal: ac.signal });
+      document.addEventListener("movesync:chart-filter-changed", () => {
+        const filter = chartFilter();
+        [charts.acc, charts.gyro].forEach((c) => c?.setData?.({ filter }));
+      }, { signal: ac.signal });
+      ac.signal.addEventListener("abort", () => {
+        magCloud?.destroy();
+        magCloud = null;
+      }, { once: true });
+
       return {
         getCursorX: () => imuCursor.x,
         getMarkerX: () => imuMarker.x,
@@ -855,7 +1861,7 @@
           }
           const v = Number(x);
           if (!Number.isFinite(v)) return;
-          imuMarker.x = clamp(v, 0, imuCursor.maxX || 0);
+          imuMarker.x = clamp(v, imuCursor.minX || 0, imuCursor.maxX || 0);
           Object.values(charts || {}).forEach((c) => c?.update?.("none"));
         },
 
@@ -1,13 +1,38 @@
 
+// =======================================
+// MoveSync — IMU signal filters
+// File: app/navigation/session-viewer/bottom-panel/2-imu/plots/imu-filters.js
+//
+// - Simple smoothers: moving average, first-order IIR low/high-pass, EWMA
+// - Butterworth designer: any order (1–8) low-pass, high-pass, band-pass
+//   and notch (band-stop), as second-order sections
+// - Zero-phase filtering (forward-backward, "filtfilt"): peaks stay where
+//   they are, so filtered signals still line up with the video
+// - Frequency response of a design (Processing drawer preview)
+//
+// No DOM access: the charts use it on the page, and imu-pipeline.js uses
+// the Butterworth designs for its low-pass steps (also inside
+// imu-worker.js via importScripts()).
+//
+// Public API: self.MoveSyncIMUFilters
+// =======================================
+
 (() => {
   "use strict";
 
+  const MAX_RATE_SAMPLES = 20000;
+
+  // Plain arrays and typed arrays (columnar IMU data) alike
+  function isSeries(data) {
+    return Array.isArray(data) || ArrayBuffer.isView(data);
+  }
+
   // -------------------------------------------------------
   // Moving average (centred, clips at edges)
   // Still available for chart smoothing if needed.
   // -------------------------------------------------------
   function movingAverage(data, windowSize = 5) {
-    if (!Array.isArray(data) || data.length === 0) return [];
+    if (!isSeries(data) || data.length === 0) return [];
 
     const w = Math.max(1, Math.floor(Number(windowSize) || 1));
     const half = Math.floor(w / 2);
@@ -34,7 +59,7 @@
   // alpha = dt / (RC + dt),  RC = 1 / (2π·fc)
   // -------------------------------------------------------
   function lowPass(data, sampleRateHz = 100, cutoffHz = 20) {
-    if (!Array.isArray(data) || data.length === 0) return [];
+    if (!isSeries(data) || data.length === 0) return [];
     const sr = Math.max(1e-6, Number(sampleRateHz) || 100);
     const fc = Math.max(1e-6, Number(cutoffHz) || 20);
 
@@ -63,7 +88,7 @@
   // on individual axes, not for producing linear acceleration.
   // -------------------------------------------------------
   function highPass(data, sampleRateHz = 100, cutoffHz = 0.5) {
-    if (!Array.isArray(data) || data.length === 0) return [];
+    if (!isSeries(data) || data.length === 0) return [];
     const sr = Math.max(1e-6, Number(sampleRateHz) || 100);
     const fc = Math.max(1e-6, Number(cutoffHz) || 0.5);
 
@@ -88,7 +113,7 @@
   // alpha: 0 = very smooth (slow), 1 = no smoothing (raw)
   // -------------------------------------------------------
   function ewma(data, alpha = 0.3) {
-    if (!Array.isArray(data) || data.length === 0) return [];
+    if (!isSeries(data) || data.length === 0) return [];
     const a = Math.min(1, Math.max(0, Number(alpha) || 0.3));
 
     const out = new Array(data.length);
@@ -107,10 +132,12 @@
   // Robust against gaps and outliers.
   // -------------------------------------------------------
   function estimateSampleRateHz(times) {
-    if (!Array.isArray(times) || times.length < 3) return 100;
+    if (!isSeries(times) || times.length < 3) return 100;
 
+    // The first intervals are plenty for a median (long 1 kHz files)
     const diffs = [];
-    for (let i = 1; i < times.length; i++) {
+    const end = Math.min(times.length, MAX_RATE_SAMPLES + 1);
+    for (let i = 1; i < end; i++) {
       const a = Number(times[i - 1]);
       const b = Number(times[i]);
       if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
@@ -136,6 +163,268 @@
     return lowPass(axis, hz, 20);
   }
 
+  // -------------------------------------------------------
+  // Butterworth designs
+  //
+  // Analog prototype -> low/high/band-pass or band-stop -> bilinear
+  // transform with pre-warped edges -> second-order sections
+  // [b0, b1, b2, a0, a1, a2] (a0 = 1). Every section is scaled to unit
+  // gain in the passband on its own, which keeps high orders stable.
+  //
+  // Band-pass and notch orders are per edge (order 2 -> 4 poles).
+  // Applied forward-backward, the attenuation doubles: the cutoff is
+  // then the -6 dB point instead of -3 dB.
+  // -------------------------------------------------------
+  const FILTER_TYPES = ["lowpass", "highpass", "bandpass", "notch"];
+  const MAX_ORDER = 8;
+
+  // Complex numbers as [re, im]
+  const cAdd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+  const cSub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+  const cMul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+  const cScale = (a, k) => [a[0] * k, a[1] * k];
+  function cDiv(a, b) {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+  }
+  function cSqrt(a) {
+    const r = Math.hypot(a[0], a[1]);
+    const im = Math.sqrt(Math.max(0, (r - a[0]) / 2));
+    return [Math.sqrt(Math.max(0, (r + a[0]) / 2)), a[1] < 0 ? -im : im];
+  }
+
+  // Roots -> monic quadratics [1, c1, c2]: conjugate pairs together, real
+  // roots smallest with largest (a band-pass gets 1 - z⁻² sections)
+  function quadratics(roots) {
+    const out = [];
+    const reals = [];
+    roots.forEach(([re, im]) => {
+      if (Math.abs(im) <= 1e-10 * Math.max(1, Math.abs(re))) reals.push(re);
+      else if (im > 0) out.push([1, -2 * re, re * re + im * im]);
+    });
+    reals.sort((a, b) => a - b);
+    while (reals.length > 1) {
+      const lo = reals.shift();
+      const hi = reals.pop();
+      out.push([1, -(lo + hi), lo * hi]);
+    }
+    if (reals.length) out.push([1, -reals[0], 0]);
+    return out;
+  }
+
+  // Complex response of one section at w (rad/sample)
+  function sectionAt(sec, w) {
+    const c1 = Math.cos(w), s1 = -Math.sin(w);
+    const c2 = Math.cos(2 * w), s2 = -Math.sin(2 * w);
+    return cDiv(
+      [sec[0] + sec[1] * c1 + sec[2] * c2, sec[1] * s1 + sec[2] * s2],
+      [sec[3] + sec[4] * c1 + sec[5] * c2, sec[4] * s1 + sec[5] * s2]
+    );
+  }
+
+  // spec: { type, order, cutoff (low/high-pass) | low + high (band-pass,
+  // notch), sampleRate } in Hz
+  // -> sections, or null when the spec is invalid or has nothing to do
+  //    at this rate (e.g. a low-pass at or above Nyquist)
+  function butterworth(spec) {
+    const type = FILTER_TYPES.includes(spec?.type) ? spec.type : null;
+    const fs = Number(spec?.sampleRate);
+    const order = Math.round(Number(spec?.order));
+    if (!type || !(fs > 0) || !(order >= 1)) return null;
+
+    const N = Math.min(MAX_ORDER, order);
+    const nyquist = fs / 2;
+    const inBand = (f) => f > 0 && f < nyquist * 0.999;
+    const band = type === "bandpass" || type === "notch";
+    const low = Number(band ? spec.low : spec.cutoff);
+    const high = Number(spec.high);
+    if (!inBand(low) || (band && !(inBand(high) && high > low))) return null;
+
+    // Pre-warped edges (rad/s): the digital filter hits them exactly
+    const warp = (f) => 2 * fs * Math.tan((Math.PI * f) / fs);
+
+    // Analog prototype poles, unit cutoff, left half-plane
+    const proto = [];
+    for (let k = 0; k < N; k++) {
+      const theta = (Math.PI * (2 * k + N + 1)) / (2 * N);
+      proto.push([Math.cos(theta), Math.sin(theta)]);
+    }
+
+    let poles;
+    let zeros = [];
+    let reference = 0; // rad/sample where the passband gain is 1
+
+    if (type === "lowpass") {
+      poles = proto.map((p) => cScale(p, warp(low)));
+    } else if (type === "highpass") {
+      poles = proto.map((p) => cDiv([warp(low), 0], p));
+      zeros = proto.map(() => [0, 0]);
+      reference = Math.PI;
+    } else {
+      const w1 = warp(low);
+      const w2 = warp(high);
+      const bw = w2 - w1;
+      const w0sq = w1 * w2;
+      // Each prototype pole h splits into h ± √(h² − w0²)
+      const split = (h) => {
+        const r = cSqrt(cSub(cMul(h, h), [w0sq, 0]));
+        return [cAdd(h, r), cSub(h, r)];
+      };
+      if (type === "bandpass") {
+        poles = proto.flatMap((p) => split(cScale(p, bw / 2)));
+        zeros = proto.map(() => [0, 0]);
+        reference = 2 * Math.atan(Math.sqrt(w0sq) / (2 * fs));
+      } else {
+        poles = proto.flatMap((p) => split(cDiv([bw / 2, 0], p)));
+        zeros = proto.flatMap(() => [[0, Math.sqrt(w0sq)], [0, -Math.sqrt(w0sq)]]);
+      }
+    }
+
+    // Bilinear transform; zeros at infinity land on z = -1
+    const fs2 = 2 * fs;
+    const bilinear = (s) => cDiv([fs2 + s[0], s[1]], [fs2 - s[0], -s[1]]);
+    const zPoles = poles.map(bilinear);
+    const zZeros = zeros.map(bilinear);
+    while (zZeros.length < zPoles.length) zZeros.push([-1, 0]);
+
+    const num = quadratics(zZeros);
+    const sos = quadratics(zPoles).map((den, i) => {
+      const sec = [...num[i], ...den];
+      const h = sectionAt(sec, reference);
+      const g = 1 / Math.hypot(h[0], h[1]);
+      return [sec[0] * g, sec[1] * g, sec[2] * g, 1, den[1], den[2]];
+    });
+
+    // Unit gain but possibly inverted at the reference: flip it back
+    const total = sos.reduce((acc, sec) => cMul(acc, sectionAt(sec, reference)), [1, 0]);
+    if (total[0] < 0) for (let k = 0; k < 3; k++) sos[0][k] = -sos[0][k];
+
+    return sos;
+  }
+
+  // -------------------------------------------------------
+  // Filter spec -> { sos, zeroPhase } | null
+  //
+  // spec: { type, order, cutoff, low, high, design }. design "iir1" is the
+  // first-order low/high-pass above as one section, run causally (it lags,
+  // as before); anything else is a zero-phase Butterworth.
+  // -------------------------------------------------------
+  function designFilter(spec, sampleRateHz) {
+    const sr = Number(sampleRateHz);
+    if (!spec || !(sr > 0)) return null;
+
+    if (spec.design === "iir1") {
+      const fc = Number(spec.cutoff);
+      if (!(fc > 0) || (spec.type !== "lowpass" && spec.type !== "highpass")) return null;
+      const RC = 1 / (fc * 2 * Math.PI);
+      const dt = 1 / sr;
+      const sos = spec.type === "lowpass"
+        ? [[dt / (RC + dt), 0, 0, 1, -RC / (RC + dt), 0]]
+        : [[RC / (RC + dt), -RC / (RC + dt), 0, 1, -RC / (RC + dt), 0]];
+      return { sos, zeroPhase: false };
+    }
+
+    const sos = butterworth({ ...spec, sampleRate: sr });
+    return sos ? { sos, zeroPhase: true } : null;
+  }
+
+  // One causal pass over a finite run, in place. Starts from the steady
+  // state for a constant input at the first sample, so there is no
+  // start-up transient.
+  function sosPass(buf, sos) {
+    let level = buf[0];
+    for (const [b0, b1, b2, , a1, a2] of sos) {
+      const gain = (b0 + b1 + b2) / (1 + a1 + a2);
+      let z2 = (b2 - a2 * gain) * level;
+      let z1 = (b1 - a1 * gain) * level + z2;
+      for (let i = 0; i < buf.length; i++) {
+        const x = buf[i];
+        const y = b0 * x + z1;
+        z1 = b1 * x - a1 * y + z2;
+        z2 = b2 * x - a2 * y;
+        buf[i] = y;
+      }
+      level *= gain;
+    }
+  }
+
+  // Calls fn(run: Float64Array) for every stretch of finite samples and
+  // writes its result back; non-finite samples (gaps, missing sensors)
+  // stay NaN instead of spreading through the filter
+  function eachFiniteRun(data, fn) {
+    const values = ArrayBuffer.isView(data) ? data : Float64Array.from(data, Number);
+    const n = values.length;
+    const out = new Float64Array(n).fill(NaN);
+    let i = 0;
+    while (i < n) {
+      while (i < n && !Number.isFinite(values[i])) i++;
+      let j = i;
+      while (j < n && Number.isFinite(values[j])) j++;
+      if (j > i) out.set(fn(new Float64Array(values.subarray(i, j))), i);
+      i = j;
+    }
+    return out;
+  }
+
+  // Causal (one pass, lags like any IIR filter) -> Float64Array
+  function sosfilt(data, sos) {
+    if (!isSeries(data) || data.length === 0) return new Float64Array(0);
+    return eachFiniteRun(data, (run) => {
+      sosPass(run, sos);
+      return run;
+    });
+  }
+
+  // Zero-phase: forward, then backward over the reversed output. Each run
+  // is padded at both ends by odd reflection (2·x₀ − x) so the edges don't
+  // ring. -> Float64Array
+  function filtfilt(data, sos, padlen = 3 * (2 * (sos?.length || 0) + 1)) {
+    if (!isSeries(data) || data.length === 0) return new Float64Array(0);
+    return eachFiniteRun(data, (run) => {
+      const n = run.length;
+      const pad = Math.max(0, Math.min(padlen, n - 1));
+      const buf = new Float64Array(n + 2 * pad);
+      for (let i = 0; i < pad; i++) {
+        buf[i] = 2 * run[0] - run[pad - i];
+        buf[pad + n + i] = 2 * run[n - 1] - run[n - 2 - i];
+      }
+      buf.set(run, pad);
+
+      sosPass(buf, sos);
+      buf.reverse();
+      sosPass(buf, sos);
+      buf.reverse();
+      return buf.subarray(pad, pad + n);
+    });
+  }
+
+  // Gain (linear) of a designFilter() result at each frequency in Hz;
+  // squared for zero-phase filters, which pass the signal twice
+  function frequencyResponse(filter, sampleRateHz, freqs) {
+    const out = new Float64Array(freqs?.length || 0);
+    const sr = Number(sampleRateHz);
+    for (let i = 0; i < out.length; i++) {
+      const w = (2 * Math.PI * freqs[i]) / sr;
+      let g = 1;
+      for (const sec of filter?.sos || []) {
+        const h = sectionAt(sec, w);
+        g *= Math.hypot(h[0], h[1]);
+      }
+      out[i] = filter?.zeroPhase ? g * g : g;
+    }
+    return out;
+  }
+
+  // Filters one column with a spec (see designFilter); times (or a sample
+  // rate in Hz) give the rate. Unfilterable specs return the data as is.
+  function applyFilter(data, times, spec) {
+    if (!isSeries(data) || data.length === 0) return new Float64Array(0);
+    const sr = typeof times === "number" ? times : estimateSampleRateHz(times);
+    const filter = designFilter(spec, sr);
+    if (!filter) return Float64Array.from(data, Number);
+    return filter.zeroPhase ? filtfilt(data, filter.sos) : sosfilt(data, filter.sos);
+  }
+
   // -------------------------------------------------------
   // Vector magnitude over parallel x/y/z arrays
   // -------------------------------------------------------
@@ -175,15 +464,23 @@
   // -------------------------------------------------------
   // Public API
   // -------------------------------------------------------
-  window.MoveSyncIMUFilters = {
+  self.MoveSyncIMUFilters = {
     movingAverage,
     lowPass,
     highPass,
     ewma,
     estimateSampleRateHz,
     filterAccelerationAxis,
+    butterworth,
+    designFilter,
+    sosfilt,
+    filtfilt,
+    frequencyResponse,
+    applyFilter,
     magnitude,
     downsampleXY,
+    FILTER_TYPES,
+    MAX_ORDER,
   };
 
 })();
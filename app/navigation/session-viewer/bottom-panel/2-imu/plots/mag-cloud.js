@@ -0,0 +1,129 @@
+// app/navigation/session-viewer/bottom-panel/2-imu/plots/mag-cloud.js
+// 3D point cloud of magnetometer samples for the IMU panel's calibration view.
+// - Raw samples (grey) and calibrated ones (blue) in the same µT axes: raw
+//   data sits on an offset, stretched ellipsoid, calibrated data on a sphere
+//   of the fitted field strength around the origin
+// - Disturbed samples are drawn in amber
+// - Drag to rotate; plain 2D canvas projection (no WebGL)
+
+(() => {
+  "use strict";
+
+  window.MoveSyncCharts = window.MoveSyncCharts || {};
+
+  // Points per cloud (skip-based, like the time-series charts)
+  const MAX_POINTS = 1500;
+
+  const COLORS = {
+    raw: "rgba(140,140,140,0.55)",
+    corrected: "rgba(60,120,255,0.75)",
+    disturbed: "rgba(245,158,11,0.85)",
+    axes: ["#ff5252", "#00e676", "#40c4ff"],
+  };
+
+  function sample(v, n, disturbed) {
+    const step = Math.max(1, Math.ceil(n / MAX_POINTS));
+    const out = [];
+    for (let i = 0; i < n; i += step) {
+      const x = v.x[i], y = v.y[i], z = v.z[i];
+      if (Number.isFinite(x + y + z)) out.push({ p: [x, y, z], disturbed: !!disturbed?.[i] });
+    }
+    return out;
+  }
+
+  class MagCloud {
+    // canvas: HTMLCanvasElement
+    constructor(canvas) {
+      this.canvas = canvas;
+      this.yaw = 0.6;
+      this.pitch = 0.35;
+      this.data = null;
+
+      this._drag = null;
+      this._ac = new AbortController();
+      const signal = this._ac.signal;
+      canvas.addEventListener("pointerdown", (e) => {
+        this._drag = { x: e.clientX, y: e.clientY };
+        canvas.setPointerCapture?.(e.pointerId);
+      }, { signal });
+      canvas.addEventListener("pointermove", (e) => {
+        if (!this._drag) return;
+        this.yaw += (e.clientX - this._drag.x) * 0.01;
+        this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch + (e.clientY - this._drag.y) * 0.01));
+        this._drag = { x: e.clientX, y: e.clientY };
+        this.draw();
+      }, { signal });
+      const end = () => { this._drag = null; };
+      canvas.addEventListener("pointerup", end, { signal });
+      canvas.addEventListener("pointercancel", end, { signal });
+    }
+
+    // raw / corrected: { x, y, z } columns (µT); disturbed: mask or null
+    setData({ raw, corrected, disturbed = null }) {
+      const n = Math.min(raw?.x?.length || 0, corrected?.x?.length || 0);
+      const rawPts = sample(raw, n, null);
+      const corrPts = sample(corrected, n, disturbed);
+
+      let extent = 0;
+      for (const { p } of [...rawPts, ...corrPts]) extent = Math.max(extent, Math.abs(p[0]), Math.abs(p[1]), Math.abs(p[2]));
+      this.data = { rawPts, corrPts, extent: extent || 1 };
+      this.draw();
+    }
+
+    draw() {
+      const { canvas } = this;
+      const ctx = canvas.getContext("2d");
+      const w = canvas.width;
+      const h = canvas.height;
+      ctx.clearRect(0, 0, w, h);
+      if (!this.data) return;
+
+      const cy = Math.cos(this.yaw), sy = Math.sin(this.yaw);
+      const cp = Math.cos(this.pitch), sp = Math.sin(this.pitch);
+      const scale = (0.42 * Math.min(w, h)) / this.data.extent;
+
+      // Yaw about Z (up), then pitch about the screen's X; Z is drawn up
+      const project = ([x, y, z]) => {
+        const x1 = cy * x - sy * y;
+        const y1 = sy * x + cy * y;
+        const depth = cp * y1 - sp * z;
+        const up = sp * y1 + cp * z;
+        return { x: w / 2 + x1 * scale, y: h / 2 - up * scale, depth };
+      };
+
+      // Axes through the origin
+      const origin = project([0, 0, 0]);
+      COLORS.axes.forEach((color, a) => {
+        const tip = [0, 0, 0];
+        tip[a] = this.data.extent;
+        const p = project(tip);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(origin.x, origin.y);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.font = "bold 10px Poppins, sans-serif";
+        ctx.fillText("XYZ"[a], p.x + 3, p.y - 3);
+      });
+
+      // Far points first
+      const pts = [
+        ...this.data.rawPts.map((d) => ({ ...project(d.p), color: COLORS.raw })),
+        ...this.data.corrPts.map((d) => ({ ...project(d.p), color: d.disturbed ? COLORS.disturbed : COLORS.corrected })),
+      ].sort((a, b) => b.depth - a.depth);
+      for (const p of pts) {
+        ctx.fillStyle = p.color;
+        ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
+      }
+    }
+
+    destroy() {
+      this._ac.abort();
+      this.data = null;
+    }
+  }
+
+  window.MoveSyncCharts.MagCloud = MagCloud;
+})();
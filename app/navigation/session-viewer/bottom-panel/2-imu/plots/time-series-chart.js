@@ -1,58 +1,80 @@
 // app/navigation/session-viewer/imu-panel/plots/time-series-chart.js
 // Chart.js wrapper used by the Session Viewer IMU panel.
-// - Renders 3 axes (X/Y/Z) + magnitude ("Total")
+// - Renders 3 axes (X/Y/Z) + magnitude ("Total") from columnar typed arrays
+// - Downsamples every dataset to MAX_POINTS
 // - Supports axis toggles (persisted by caller)
 // - Draws cursor/marker/T1/T2 vertical lines + in-canvas T1/T2 tags via a lightweight plugin
+// - Shades timestamp gaps ({ start, end } in seconds) behind the data, and
+//   magnetically disturbed intervals (same shape) in amber
+// - Optional display filter: a MoveSyncIMUFilters spec ({ type, order,
+//   cutoff | low/high, design }), zero-phase unless design is "iir1"
 
 (() => {
   "use strict";
 
   window.MoveSyncCharts = window.MoveSyncCharts || {};
 
-  const lower = (s) => String(s ?? "").trim().toLowerCase();
-
-  function findCol(headers, key) {
-    const idx = headers.map(lower).indexOf(lower(key));
-    return idx >= 0 ? idx : -1;
-  }
-
-  function toNum(x) {
-    const v = Number(x);
-    return Number.isFinite(v) ? v : null;
+  // Cap per dataset so Chart.js stays fast on long (1 kHz) recordings
+  const MAX_POINTS = 5000;
+
+  // Skip-based downsample of one axis; missing (NaN) samples are dropped
+  function toPoints(t, values) {
+    const n = Math.min(t?.length || 0, values?.length || 0);
+    const step = Math.max(1, Math.ceil(n / MAX_POINTS));
+    const out = [];
+    for (let i = 0; i < n; i += step) {
+      const v = values[i];
+      if (Number.isFinite(t[i]) && Number.isFinite(v)) out.push({ x: t[i], y: v });
+    }
+    return out;
   }
 
-  function buildSeries(rows, tIdx, xIdx, yIdx, zIdx) {
-    const xs = [];
-    const ys = [];
-    const zs = [];
-    const mags = [];
-
-    for (const r of rows) {
-      const t = toNum(r?.[tIdx]);
-      if (t == null) continue;
+  // t, x, y, z: parallel columns (typed arrays), t sorted ascending
+  function buildSeries(t, x, y, z) {
+    const n = t.length;
+    const mags = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      const a = x[i], b = y[i], c = z[i];
+      mags[i] = Number.isFinite(a) && Number.isFinite(b) && Number.isFinite(c)
+        ? Math.sqrt(a * a + b * b + c * c)
+        : NaN;
+    }
 
-      const x = toNum(r?.[xIdx]);
-      const y = toNum(r?.[yIdx]);
-      const z = toNum(r?.[zIdx]);
+    return { xs: toPoints(t, x), ys: toPoints(t, y), zs: toPoints(t, z), mags: toPoints(t, mags) };
+  }
 
-      if (x != null) xs.push({ x: t, y: x });
-      if (y != null) ys.push({ x: t, y: y });
-      if (z != null) zs.push({ x: t, y: z });
+  function hasValues(arr) {
+    if (!arr?.length) return false;
+    for (let i = 0; i < arr.length; i++) if (Number.isFinite(arr[i])) return true;
+    return false;
+  }
 
-      if (x != null && y != null && z != null) {
-        mags.push({ x: t, y: Math.sqrt(x * x + y * y + z * z) });
-      }
-    }
+  // Shade gaps in the recording and magnetic disturbances (under the
+  // lines; at least 1 px wide)
+  const gapsPlugin = {
+    id: "movesyncGaps",
+    beforeDatasetsDraw(chart, _args, pluginOptions) {
+      const xScale = chart.scales?.x;
+      if (!xScale) return;
 
-    // If time is not strictly increasing, Chart.js lines can look “scribbly”.
-    const byT = (a, b) => a.x - b.x;
-    xs.sort(byT);
-    ys.sort(byT);
-    zs.sort(byT);
-    mags.sort(byT);
+      const { ctx, chartArea } = chart;
+      const shade = (bands, fill) => {
+        if (!bands?.length) return;
+        ctx.fillStyle = fill;
+        for (const g of bands) {
+          const a = Math.max(chartArea.left, xScale.getPixelForValue(g.start));
+          const b = Math.min(chartArea.right, xScale.getPixelForValue(g.end));
+          if (b < chartArea.left || a > chartArea.right) continue;
+          ctx.fillRect(a, chartArea.top, Math.max(1, b - a), chartArea.bottom - chartArea.top);
+        }
+      };
 
-    return { xs, ys, zs, mags };
-  }
+      ctx.save();
+      shade(pluginOptions?.getDisturbances?.(), "rgba(245,158,11,0.16)");
+      shade(pluginOptions?.getGaps?.(), "rgba(230,70,70,0.14)");
+      ctx.restore();
+    },
+  };
 
   // Draw cursor + marker + T1/T2 lines + T1/T2 tags (fast; no dataset rebuild)
   const cursorPlugin = {
@@ -160,8 +182,10 @@
       this._buildOrRebuild();
     }
 
-    setRows(rows) {
-      this.opts.rows = rows;
+    // data: { t, x, y, z } columns
+    setData(data) {
+      Object.assign(this.opts, data);
+      this._noData = false;
       this._buildOrRebuild();
     }
 
@@ -171,7 +195,8 @@
 
     update(mode) {
       if (!this.chart) {
-        this._buildOrRebuild();
+        // Cursor moves call update() constantly; don't rescan an empty sensor
+        if (!this._noData) this._buildOrRebuild();
         return;
       }
 
@@ -200,84 +225,35 @@
     }
 
     _buildOrRebuild() {
-      const { headers, rows, timeIndex, series } = this.opts;
+      const { t, x, y, z, filter } = this.opts;
 
       // If inputs are incomplete, clean up any existing chart.
-      if (!this.canvas || !headers?.length || !rows?.length || timeIndex == null) {
+      if (!this.canvas || !t?.length || !x || !y || !z) {
         this._destroy();
         return;
       }
 
-      const xKey = series?.[0];
-      const yKey = series?.[1];
-      const zKey = series?.[2];
-
-      const xIdx = findCol(headers, xKey);
-      const yIdx = findCol(headers, yKey);
-      const zIdx = findCol(headers, zKey);
-
-      if (xIdx < 0 || yIdx < 0 || zIdx < 0) {
-        console.warn("[TimeSeriesChart] Missing expected columns:", { xKey, yKey, zKey, headers });
+      // Sensor not in this file (all-NaN columns): no chart
+      if (!hasValues(x) && !hasValues(y) && !hasValues(z)) {
+        this._noData = true;
         this._destroy();
         return;
       }
 
-      const { xs, ys, zs, mags } = buildSeries(rows, timeIndex, xIdx, yIdx, zIdx);
-
-      let seriesX = xs;
-      let seriesY = ys;
-      let seriesZ = zs;
-      let seriesMag = mags;
-
-      // Accelerometer-specific smoothing/HP filtering (optional)
-      const isAccel = lower(xKey) === "ax" && lower(yKey) === "ay" && lower(zKey) === "az";
-
-      if (isAccel && window.MoveSyncIMUFilters) {
-        // Build raw arrays from rows
-        const times = [];
-        const ax = [];
-        const ay = [];
-        const az = [];
-
-        for (const r of rows) {
-          const t = toNum(r?.[timeIndex]);
-          if (t == null) continue;
-
-          const x = toNum(r?.[xIdx]);
-          const y = toNum(r?.[yIdx]);
-          const z = toNum(r?.[zIdx]);
-          if (x == null || y == null || z == null) continue;
-
-          times.push(t);
-          ax.push(x);
-          ay.push(y);
-          az.push(z);
-        }
-
-        // Ensure time-ordered
-        const order = times
-          .map((t, i) => ({ t, i }))
-          .sort((a, b) => a.t - b.t)
-          .map((o) => o.i);
-
-        const T = order.map((i) => times[i]);
-        const X = order.map((i) => ax[i]);
-        const Y = order.map((i) => ay[i]);
-        const Z = order.map((i) => az[i]);
+      let seriesX, seriesY, seriesZ, seriesMag;
 
+      // Display filter (optional); the magnitude comes from the filtered
+      // axes, not smoothed again
+      if (filter && window.MoveSyncIMUFilters) {
         const F = window.MoveSyncIMUFilters;
-        const fx = F.filterAccelerationAxis(X, T, true);
-        const fy = F.filterAccelerationAxis(Y, T, true);
-        const fz = F.filterAccelerationAxis(Z, T, true);
-
-        const mag = F.magnitude(fx, fy, fz);
-        const magSmooth = F.ewma(mag, 0.3);
-
-        // Downsample to keep Chart.js fast
-        seriesX = F.downsampleXY(T, fx, 5000);
-        seriesY = F.downsampleXY(T, fy, 5000);
-        seriesZ = F.downsampleXY(T, fz, 5000);
-        seriesMag = F.downsampleXY(T, magSmooth, 5000);
+        const rate = F.estimateSampleRateHz(t);
+        const fx = F.applyFilter(x, rate, filter);
+        const fy = F.applyFilter(y, rate, filter);
+        const fz = F.applyFilter(z, rate, filter);
+
+        ({ xs: seriesX, ys: seriesY, zs: seriesZ, mags: seriesMag } = buildSeries(t, fx, fy, fz));
+      } else {
+        ({ xs: seriesX, ys: seriesY, zs: seriesZ, mags: seriesMag } = buildSeries(t, x, y, z));
       }
 
       // Stable dataset order:
@@ -357,6 +333,10 @@
             },
 
             // Plugin options passed to cursorPlugin
+            movesyncGaps: {
+              getGaps: this.opts.getGaps,
+              getDisturbances: this.opts.getDisturbances,
+            },
             movesyncCursor: {
               getCursorX: this.opts.getCursorX,
               getMarkerX: this.opts.getMarkerX,
@@ -365,7 +345,7 @@
             },
           },
         },
-        plugins: [cursorPlugin],
+        plugins: [gapsPlugin, cursorPlugin],
       });
     }
 
@@ -9,33 +9,40 @@
 // - Derive rotation matrices from quaternions for the 3D canvas
 // - Render the 3D box + axis widget on fusionCanvas3D
 // - Keep the display in sync with the cursor / video playback
+// - Segment calibration for multi-IMU sessions (MoveSyncImuCalibration):
+//   capture an N-pose / T-pose at the cursor, then optional functional
+//   movements (elbow / wrist flexion) for the hinge axes; saved on the
+//   session and applied by the arm angle analysis
+// - Orientation filter per session (pick + tune, saved on the session;
+//   the IMU is processed again with it) and a side-by-side comparison of
+//   two filters on the same data (MoveSyncIMUProcessing.fuse)
 //
-// Everything else (sample-rate detection, unit detection, Madgwick fusion,
-// Euler angles, CSV parsing, time normalisation) is handled by imu-processing.js
-// and is NOT duplicated here.
+// Everything else (sample-rate detection, unit detection, orientation
+// fusion, Euler angles, CSV parsing, time normalisation) is handled by
+// imu-processing.js and is NOT duplicated here.
 // =======================================
 
 (() => {
   "use strict";
 
   // ============================================================
-  // AHRS availability guard
-  // ahrs.min.js is loaded upfront by session-viewer.js DEPS_ALWAYS.
-  // All actual Madgwick fusion is now handled by imu-processing.js.
-  // ensureAhrsLoaded() is kept so any external callers don't break.
+  // Orientation filters availability guard
+  // fusion-filters.js is loaded upfront by session-viewer.js DEPS_ALWAYS.
+  // The session's fusion runs in imu-processing.js; the panel only needs
+  // the filter list (and fuse() for comparisons).
   // ============================================================
-  function ensureAhrsLoaded() {
-    if (typeof window.Madgwick !== "undefined") return Promise.resolve(true);
+  function ensureFiltersLoaded() {
+    if (typeof window.MoveSyncFusionFilters !== "undefined") return Promise.resolve(true);
     return new Promise((resolve, reject) => {
       let attempts = 0;
       const poll = setInterval(() => {
         attempts++;
-        if (typeof window.Madgwick !== "undefined") {
+        if (typeof window.MoveSyncFusionFilters !== "undefined") {
           clearInterval(poll);
           resolve(true);
         } else if (attempts > 30) {
           clearInterval(poll);
-          reject(new Error("[SensorFusion] Madgwick not available. Check ahrs.min.js is loaded."));
+          reject(new Error("[SensorFusion] Orientation filters not available. Check fusion-filters.js is loaded."));
         }
       }, 100);
     });
@@ -55,7 +62,7 @@
   //   - sample-rate detection
   //   - gyro unit detection and conversion
   //   - calibrateAccelerometer (was also incorrect — destroyed gravity reference)
-  //   - createFilter / Madgwick instantiation and update loop
+  //   - createFilter / filter instantiation and update loop
   //   - quaternionToEuler
   //   - CSV parsing / time normalisation
   //   - full process() loop
@@ -118,19 +125,20 @@ function multiplyQuaternions(q1, q2) {
     }
 
     // Build the display-ready orientation array from imu-processing.js output.
-    // This is the only entry point for producing fusionData — no Madgwick is run here.
+    // This is the only entry point for producing fusionData — no filter is run here.
     //
     // processed = window.currentProcessedSession  (set by imu-processing.js)
-    // Returns   = { times, orientations, sampleRate }
+    // Returns   = { times, orientations, sampleRate, timeline }
+    //             (timeline: the aligned IMUs' common timeline, or null)
     buildFromProcessed(processed) {
       if (!processed?.fusion?.valid) return null;
 
       const { quaternions, euler } = processed.fusion;
-      const n = quaternions.length;
+      const n = quaternions.length / 4; // packed [w, x, y, z, w, x, y, z, ...]
       const orientations = new Array(n);
 
       for (let i = 0; i < n; i++) {
-        const quat = quaternions[i]; // [w, x, y, z]
+        const quat = quaternions.subarray(4 * i, 4 * i + 4); // [w, x, y, z]
         orientations[i] = {
           quat,
           // euler arrays from imu-processing are Float32Arrays in radians
@@ -147,6 +155,7 @@ function multiplyQuaternions(q1, q2) {
         times:      Array.from(processed.t),
         orientations,
         sampleRate: processed.sampleRate,
+        timeline:   processed.timeline || null,
       };
     }
   }
@@ -202,6 +211,58 @@ function multiplyQuaternions(q1, q2) {
               </div>
             </div>
           </div>
+
+          <div class="viewer-fusion-card viewer-fusion-filter" id="fusionFilter">
+            <div class="viewer-fusion-label">Orientation filter</div>
+            <div class="viewer-fusion-value" id="fusionFilterText">—</div>
+            <div class="viewer-fusion-calib-row">
+              <select id="fusionFilterSelect" class="viewer-fusion-calib-input" aria-label="Orientation filter"></select>
+              <span class="viewer-fusion-filter-params" id="fusionFilterParams"></span>
+              <button id="fusionFilterApply" class="viewer-fusion-calib-btn" type="button">Use for this session</button>
+              <button id="fusionFilterReset" class="viewer-fusion-calib-btn" type="button" hidden>Default</button>
+            </div>
+            <div class="viewer-fusion-calib-row">
+              <span class="viewer-fusion-filter-caption">Compare with</span>
+              <select id="fusionCompareSelect" class="viewer-fusion-calib-input" aria-label="Filter to compare with"></select>
+              <span class="viewer-fusion-filter-params" id="fusionCompareParams"></span>
+              <select id="fusionCompareAngle" class="viewer-fusion-calib-input" aria-label="Plotted angle">
+                <option value="yaw">Yaw</option>
+                <option value="pitch">Pitch</option>
+                <option value="roll">Roll</option>
+                <option value="difference">Angle between</option>
+              </select>
+              <button id="fusionCompareBtn" class="viewer-fusion-calib-btn" type="button">
+                <i class="bx bx-line-chart" aria-hidden="true"></i>
+                Compare
+              </button>
+              <button id="fusionCompareClose" class="viewer-fusion-calib-btn" type="button" hidden>Close</button>
+            </div>
+            <div class="viewer-fusion-compare-chart" id="fusionCompareChart" hidden>
+              <canvas id="fusionCompareCanvas"></canvas>
+            </div>
+            <div class="viewer-fusion-value" id="fusionCompareText" hidden></div>
+          </div>
+
+          <div class="viewer-fusion-card viewer-fusion-calib" id="fusionCalib" hidden>
+            <div class="viewer-fusion-label">Segment calibration</div>
+            <div class="viewer-fusion-value" id="fusionCalibText">—</div>
+            <div class="viewer-fusion-calib-row">
+              <select id="fusionCalibPose" class="viewer-fusion-calib-input" aria-label="Calibration pose">
+                <option value="n-pose">N-pose (arms by the sides)</option>
+                <option value="t-pose">T-pose (arms out, palms down)</option>
+              </select>
+              <button id="fusionCalibPoseBtn" class="viewer-fusion-calib-btn" type="button">
+                <i class="bx bx-body" aria-hidden="true"></i>
+                Capture pose at cursor
+              </button>
+              <select id="fusionCalibJoint" class="viewer-fusion-calib-input" aria-label="Functional movement">
+                <option value="elbow">Elbow flexion</option>
+                <option value="wrist">Wrist flexion</option>
+              </select>
+              <button id="fusionCalibMoveBtn" class="viewer-fusion-calib-btn" type="button">Mark movement start</button>
+              <button id="fusionCalibReset" class="viewer-fusion-calib-btn" type="button" hidden>Reset</button>
+            </div>
+          </div>
         </div>
       `;
 
@@ -286,14 +347,9 @@ function multiplyQuaternions(q1, q2) {
     
 
     render3D(quaternion) {
-      // ahrs_min.js has a cyclic axis permutation in its integration:
-      //   physical gx → quaternion Z component (q3)
-      //   physical gy → quaternion X component (q1)
-      //   physical gz → quaternion Y component (q2)
-      // To render correctly (physical Z = carousel, X/Y = tilts) we must remap:
-      //   [w, q1, q2, q3]  →  [w, q3, q1, q2]
-      const [qw, q1, q2, q3] = quaternion;
-      const q = [qw, q3, q1, q2];
+      // Sensor -> world (fusion-filters.js), seen from above: world Z (up)
+      // points at the viewer, so a sensor lying flat shows its face
+      const q = quaternion;
 
       const canvas = document.getElementById("fusionCanvas3D");
       if (!canvas) return;
@@ -432,7 +488,7 @@ function multiplyQuaternions(q1, q2) {
     init()         { this.ui.ensureMarkup(this.mountId); }
 
     async ensureReady() {
-      await ensureAhrsLoaded();
+      await ensureFiltersLoaded();
       this.init();
       return true;
     }
@@ -517,6 +573,8 @@ function multiplyQuaternions(q1, q2) {
       await window.FusionManager.ensureReady();
       window.FusionManager.setMountId("viewerFusionPanelMount");
       window.FusionManager.init();
+      showCalibration();
+      showFilter();
 
       let fusionData = cache.get(activeImuIndex) || buildFusionData(activeImuIndex);
       if (!fusionData) return; // imu-processing hasn't fired yet — wait for the event
@@ -528,6 +586,9 @@ function multiplyQuaternions(q1, q2) {
     }
 
     function setSession(session) {
+      if ((session || null) !== currentSession) closeComparison();
+      currentSession = session || null;
+      movement = null;
       cache.clear();
       if (window.imuFusionData && typeof window.imuFusionData === "object") {
         Object.entries(window.imuFusionData).forEach(([k, v]) => {
@@ -535,9 +596,446 @@ function multiplyQuaternions(q1, q2) {
           if (Number.isFinite(i)) cache.set(i, v);
         });
       }
+      showCalibration();
+    }
+
+    // ------------------------------------------------------------
+    // Segment calibration
+    // ------------------------------------------------------------
+    // Sessions without a project keep theirs in memory only
+    const calibrationOverrides = new WeakMap();
+    let currentSession = null;
+    let movement = null; // { joint, start } between the two movement marks
+
+    const POSE_LABELS = { "n-pose": "N-pose", "t-pose": "T-pose" };
+
+    function calibrationOf(session) {
+      if (session && calibrationOverrides.has(session)) return calibrationOverrides.get(session);
+      return session?.imuCalibration || null;
+    }
+
+    function sessionImus(session) {
+      return Array.isArray(session?.imus) ? session.imus : [];
+    }
+
+    function setCalibText(text) {
+      const el = document.getElementById("fusionCalibText");
+      if (el) el.textContent = text;
+    }
+
+    // Fusion results per IMU index (null until that IMU has been processed).
+    // They are kept until an IMU is processed again, so one from before an
+    // alignment change can sit on another timeline than the rest.
+    function fusionByIndex(count) {
+      const data = Array.from({ length: count }, (_, i) => cache.get(i) || window.imuFusionData?.[i] || null);
+      const timelines = new Set(data.filter(Boolean).map((d) => JSON.stringify(d.timeline || null)));
+      if (timelines.size > 1) {
+        throw new Error("The IMUs were processed on different timelines (aligned vs. not aligned). Open each one's tab in the IMU panel so it is reprocessed, then try again.");
+      }
+      return data;
+    }
+
+    function showCalibration() {
+      const root = document.getElementById("fusionCalib");
+      if (!root) return;
+      const imus = sessionImus(currentSession);
+      root.hidden = imus.length < 2;
+      if (root.hidden) return;
+
+      const cal = calibrationOf(currentSession);
+      const reset = document.getElementById("fusionCalibReset");
+      if (reset) reset.hidden = !cal;
+      const moveBtn = document.getElementById("fusionCalibMoveBtn");
+      if (moveBtn) moveBtn.textContent = movement ? "Mark movement end" : "Mark movement start";
+
+      if (movement) {
+        const label = window.MoveSyncImuCalibration?.JOINTS[movement.joint]?.label || movement.joint;
+        setCalibText(`${label} from ${movement.start.toFixed(2)} s — move the cursor to the end of the movement and mark it`);
+        return;
+      }
+      if (!cal) {
+        setCalibText("not calibrated (joint angles are raw sensor rotations) — hold the pose, put the cursor on it and capture");
+        return;
+      }
+
+      const pose = document.getElementById("fusionCalibPose");
+      if (pose) pose.value = cal.pose;
+
+      const done = cal.sensors.filter(Boolean).length;
+      const parts = [`${POSE_LABELS[cal.pose] || cal.pose} at ${(((cal.start ?? 0) + (cal.end ?? 0)) / 2).toFixed(2)} s`];
+      parts.push(`${done} of ${cal.sensors.length} IMUs`);
+      const sensor = cal.sensors[activeImuIndex];
+      if (sensor?.spread != null) parts.push(`this IMU moved ${sensor.spread.toFixed(1)}° in the pose`);
+      cal.joints.forEach((j) => {
+        const label = window.MoveSyncImuCalibration?.JOINTS[j.joint]?.label || j.joint;
+        parts.push(`${label.toLowerCase()} axis (IMU ${j.proximal + 1} → ${j.distal + 1}${j.ratio != null ? `, ${Math.round(j.ratio * 100)}% hinge` : ""})`);
+      });
+      if (done < cal.sensors.length) parts.push("open the other IMUs' tabs in the IMU panel, then capture again to include them");
+      setCalibText(parts.join(" · "));
+    }
+
+    const round = (v, d) => Number(v.toFixed(d));
+
+    // A new pose drops the functional axes: they live in the old segment frames
+    async function capturePose() {
+      const session = currentSession;
+      const imus = sessionImus(session);
+      const C = window.MoveSyncImuCalibration;
+      if (imus.length < 2 || !C) return;
+
+      movement = null;
+      const half = C.CFG.STATIC_WINDOW_S / 2;
+      const start = lastCursorTime - half;
+      const end = lastCursorTime + half;
+      try {
+        const result = C.staticPose(fusionByIndex(imus.length), { start, end });
+        result.warnings.forEach((w) => console.warn("[Fusion] Calibration:", w));
+
+        const pose = document.getElementById("fusionCalibPose")?.value;
+        await saveCalibration(session, {
+          pose: C.POSES.includes(pose) ? pose : "n-pose",
+          start: round(start, 4),
+          end: round(end, 4),
+          sensors: result.sensors.map((x) => (x ? { quat: x.quat.map((v) => round(v, 6)), spread: round(x.spread, 2) } : null)),
+          joints: [],
+          calibratedAt: new Date().toISOString(),
+        });
+      } catch (err) {
+        console.warn("[Fusion] Pose calibration failed:", err);
+        setCalibText(err.message);
+      }
+    }
+
+    // First click marks the start of the movement, the second its end
+    async function markMovement() {
+      const session = currentSession;
+      const imus = sessionImus(session);
+      const C = window.MoveSyncImuCalibration;
+      if (imus.length < 2 || !C) return;
+
+      if (!movement) {
+        const joint = document.getElementById("fusionCalibJoint")?.value;
+        movement = { joint: C.JOINTS[joint] ? joint : "elbow", start: lastCursorTime };
+        showCalibration();
+        return;
+      }
+
+      const { joint, start: t0 } = movement;
+      movement = null;
+      showCalibration();
+      const start = Math.min(t0, lastCursorTime);
+      const end = Math.max(t0, lastCursorTime);
+
+      try {
+        const cal = calibrationOf(session);
+        if (!cal) throw new Error("Capture the pose first.");
+
+        const def = C.JOINTS[joint];
+        const proximal = imus.findIndex((imu) => C.roleOf(imu) === def.proximal);
+        const distal = imus.findIndex((imu) => C.roleOf(imu) === def.distal);
+        if (proximal < 0 || distal < 0) {
+          throw new Error(`${def.label} needs a ${def.proximal} and a ${def.distal} IMU (skeleton node on Upload).`);
+        }
+        if (!cal.sensors[proximal] || !cal.sensors[distal]) {
+          throw new Error(`IMU ${proximal + 1} and IMU ${distal + 1} both need the pose calibration first.`);
+        }
+
+        const data = fusionByIndex(imus.length);
+        if (!data[proximal] || !data[distal]) {
+          throw new Error(`Open IMU ${proximal + 1}'s and IMU ${distal + 1}'s tabs in the IMU panel so they are processed, then mark the movement again.`);
+        }
+
+        const hinge = C.hingeAxis(data[proximal], data[distal], { start, end }, {
+          proximal: cal.sensors[proximal].quat,
+          distal: cal.sensors[distal].quat,
+        });
+
+        await saveCalibration(session, {
+          ...cal,
+          joints: [
+            ...cal.joints.filter((j) => j.joint !== joint),
+            {
+              joint,
+              proximal,
+              distal,
+              start: round(start, 4),
+              end: round(end, 4),
+              axis: hinge.axis.map((v) => round(v, 6)),
+              ratio: round(hinge.ratio, 3),
+            },
+          ],
+          calibratedAt: new Date().toISOString(),
+        });
+      } catch (err) {
+        console.warn("[Fusion] Functional calibration failed:", err);
+        setCalibText(err.message);
+      }
+    }
+
+    // Saved on the session (undoable) when it has a project; a reset saves null
+    async function saveCalibration(session, calibration) {
+      const store = window.MoveSyncSessionStore;
+      if (session?.projectId != null && store?.updateSession) {
+        try {
+          // The store's change events re-render the viewer
+          await store.updateSession(session.projectId, session.id, { imuCalibration: calibration });
+          return;
+        } catch (err) {
+          console.warn("[Fusion] Could not save the calibration:", err);
+        }
+      }
+
+      if (session) calibrationOverrides.set(session, calibration);
+      showCalibration();
+    }
+
+    // ------------------------------------------------------------
+    // Orientation filter + comparison
+    // ------------------------------------------------------------
+    // Sessions without a project keep their choice in memory only
+    const filterOverrides = new WeakMap();
+    // Filter to compare with ({ filter, params }) while the comparison is
+    // open, and its result for the processed IMU
+    let compareChoice = null;
+    let compareResult = null;
+    let compareChart = null;
+
+    function filterOf(session) {
+      if (session && filterOverrides.has(session)) return filterOverrides.get(session);
+      return session?.imuFusion || null;
+    }
+
+    // The active IMU's processing result, or null while it is processing
+    function processedForActive() {
+      const processed = window.currentProcessedSession;
+      return processed && window.currentProcessedImuIndex === activeImuIndex ? processed : null;
+    }
+
+    function setFilterText(id, text) {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.textContent = text || "";
+      el.hidden = !text;
     }
 
-    function setActiveImuIndex(idx) { if (Number.isFinite(idx)) activeImuIndex = idx; }
+    // true when the options were added just now
+    function fillFilterSelect(select) {
+      if (!select || select.options.length) return false;
+      Object.entries(window.MoveSyncFusionFilters?.FILTERS || {}).forEach(([id, def]) => {
+        select.add(new Option(def.label, id));
+      });
+      return true;
+    }
+
+    // Number inputs for choice's parameters
+    function showParams(containerId, choice) {
+      const el = document.getElementById(containerId);
+      const F = window.MoveSyncFusionFilters;
+      if (!el || !F) return;
+      const { filter, params } = F.resolve(choice);
+      el.innerHTML = F.FILTERS[filter].params.map((p) => `
+        <label class="viewer-fusion-filter-param" title="${p.label}">
+          ${p.short}
+          <input type="number" class="viewer-fusion-calib-input" data-param="${p.key}"
+            min="${p.min}" max="${p.max}" step="${p.step}" value="${params[p.key]}" />
+          ${p.unit}
+        </label>
+      `).join("");
+    }
+
+    function readChoice(selectId, paramsId) {
+      const filter = document.getElementById(selectId)?.value;
+      const params = {};
+      document.getElementById(paramsId)?.querySelectorAll("input[data-param]").forEach((input) => {
+        params[input.dataset.param] = Number(input.value);
+      });
+      return window.MoveSyncFusionFilters.resolve({ filter, params });
+    }
+
+    function showFilter() {
+      const F = window.MoveSyncFusionFilters;
+      const select = document.getElementById("fusionFilterSelect");
+      if (!F || !select) return;
+
+      const saved = filterOf(currentSession);
+      const choice = F.resolve(saved);
+      fillFilterSelect(select);
+      select.value = choice.filter;
+      showParams("fusionFilterParams", choice);
+      const reset = document.getElementById("fusionFilterReset");
+      if (reset) reset.hidden = !saved;
+
+      const compareSelect = document.getElementById("fusionCompareSelect");
+      if (fillFilterSelect(compareSelect)) {
+        // Something other than the session's filter to start with
+        compareSelect.value = Object.keys(F.FILTERS).find((id) => id !== choice.filter);
+        showParams("fusionCompareParams", { filter: compareSelect.value });
+      }
+
+      const processed = processedForActive();
+      const ran = processed?.fusion?.valid ? F.describe(processed.fusion) : null;
+      setFilterText("fusionFilterText", ran
+        ? `${ran}${saved ? "" : " — default"}${processed.fusion.hasMag ? "" : " · 6-DOF (no magnetometer)"}`
+        : "—");
+    }
+
+    // Saved on the session (undoable) when it has a project; null = default
+    async function saveFilter(session, fusion) {
+      const store = window.MoveSyncSessionStore;
+      if (session?.projectId != null && store?.updateSession) {
+        try {
+          // The store's change events re-render the viewer, which
+          // processes the IMU again with the new filter
+          await store.updateSession(session.projectId, session.id, { imuFusion: fusion });
+          return;
+        } catch (err) {
+          console.warn("[Fusion] Could not save the orientation filter:", err);
+        }
+      }
+
+      if (session) filterOverrides.set(session, fusion);
+      showFilter();
+      document.dispatchEvent(new CustomEvent("movesync:imu-fusion-changed", { detail: { session, fusion } }));
+    }
+
+    // Rotation between the start and end of every still stretch (≥ 1 s),
+    // per minute of stillness: what the filter drifts while nothing moves
+    function stillDrift(quaternions, still, t) {
+      let angle = 0;
+      let seconds = 0;
+      let start = -1;
+      const n = Math.min(still?.length || 0, t.length);
+      for (let i = 0; i <= n; i++) {
+        if (i < n && still[i]) {
+          if (start < 0) start = i;
+          continue;
+        }
+        if (start >= 0 && t[i - 1] - t[start] >= 1) {
+          angle += angleAt(quaternions, start, quaternions, i - 1);
+          seconds += t[i - 1] - t[start];
+        }
+        start = -1;
+      }
+      return seconds > 0 ? { degPerMin: (60 * angle) / seconds, seconds } : null;
+    }
+
+    // Rotation angle between sample i of a and sample j of b (packed), deg
+    function angleAt(a, i, b, j) {
+      const d = a[4 * i] * b[4 * j] + a[4 * i + 1] * b[4 * j + 1] + a[4 * i + 2] * b[4 * j + 2] + a[4 * i + 3] * b[4 * j + 3];
+      return (2 * Math.acos(Math.min(1, Math.abs(d))) * 180) / Math.PI;
+    }
+
+    function destroyCompareChart() {
+      compareChart?.destroy?.();
+      compareChart = null;
+    }
+
+    function closeComparison() {
+      compareChoice = null;
+      compareResult = null;
+      destroyCompareChart();
+      const chart = document.getElementById("fusionCompareChart");
+      if (chart) chart.hidden = true;
+      const close = document.getElementById("fusionCompareClose");
+      if (close) close.hidden = true;
+      setFilterText("fusionCompareText", "");
+    }
+
+    async function runComparison() {
+      const processed = processedForActive();
+      const api = window.MoveSyncIMUProcessing;
+      if (!processed?.fusion?.valid || !api?.fuse) {
+        setFilterText("fusionCompareText", "Open this IMU in the IMU panel and wait for it to be processed, then compare.");
+        return;
+      }
+
+      compareChoice = readChoice("fusionCompareSelect", "fusionCompareParams");
+      const close = document.getElementById("fusionCompareClose");
+      if (close) close.hidden = false;
+      setFilterText("fusionCompareText", `Running ${window.MoveSyncFusionFilters.describe(compareChoice)}…`);
+
+      // Let the page paint before the UI blocks
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (processed !== processedForActive() || !compareChoice) return;
+      try {
+        compareResult = api.fuse(processed, compareChoice);
+        if (!compareResult) throw new Error("The comparison filter produced no orientation.");
+      } catch (err) {
+        console.warn("[Fusion] Filter comparison failed:", err);
+        compareResult = null;
+        setFilterText("fusionCompareText", err.message);
+        return;
+      }
+      showComparison(processed);
+    }
+
+    function showComparison(processed) {
+      const F = window.MoveSyncFusionFilters;
+      if (!compareResult || !processed) return;
+
+      const a = processed.fusion;
+      const b = compareResult;
+      const t = processed.t;
+      const n = t.length;
+      const angle = document.getElementById("fusionCompareAngle")?.value || "yaw";
+
+      // Skip-based, like the IMU charts
+      const step = Math.max(1, Math.ceil(n / 2000));
+      const series = (fn) => {
+        const out = [];
+        for (let i = 0; i < n; i += step) out.push({ x: t[i], y: fn(i) });
+        return out;
+      };
+      const difference = (i) => angleAt(a.quaternions, i, b.quaternions, i);
+      const datasets = angle === "difference"
+        ? [{ label: "Angle between", data: series(difference), borderColor: "#a855f7" }]
+        : [
+            { label: F.describe(a), data: series((i) => a.euler[angle][i]), borderColor: "#3c78ff" },
+            { label: F.describe(b), data: series((i) => b.euler[angle][i]), borderColor: "#f59e0b", borderDash: [6, 4] },
+          ];
+
+      const wrap = document.getElementById("fusionCompareChart");
+      const canvas = document.getElementById("fusionCompareCanvas");
+      destroyCompareChart();
+      if (wrap && canvas && window.Chart) {
+        wrap.hidden = false;
+        compareChart = new window.Chart(canvas.getContext("2d"), {
+          type: "line",
+          data: {
+            datasets: datasets.map((d) => ({ ...d, borderWidth: 1.5, pointRadius: 0, backgroundColor: "transparent" })),
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: { legend: { display: true, labels: { boxWidth: 12, font: { size: 10 } } } },
+            scales: {
+              x: { type: "linear", title: { display: true, text: "Time (s)" } },
+              y: { title: { display: true, text: "Angle (°)" } },
+            },
+          },
+        });
+      }
+
+      let maxDiff = 0;
+      for (let i = 0; i < n; i++) maxDiff = Math.max(maxDiff, difference(i));
+      const still = processed.motion?.stillnessMask;
+      const driftA = stillDrift(a.quaternions, still, t);
+      const driftB = stillDrift(b.quaternions, still, t);
+      const parts = driftA
+        ? [`Drift over ${driftA.seconds.toFixed(0)} s still: ${F.FILTERS[a.filter].label} ${driftA.degPerMin.toFixed(2)}°/min, ${F.FILTERS[b.filter].label} ${driftB.degPerMin.toFixed(2)}°/min`]
+        : ["No still stretch of 1 s or more to measure drift on"];
+      parts.push(`angle between them: ${difference(n - 1).toFixed(1)}° at the end, ${maxDiff.toFixed(1)}° at most`);
+      setFilterText("fusionCompareText", parts.join(" · "));
+    }
+
+    function setActiveImuIndex(idx) {
+      if (!Number.isFinite(idx)) return;
+      if (idx !== activeImuIndex) closeComparison();
+      activeImuIndex = idx;
+      showCalibration();
+      showFilter();
+    }
     function setCursorTime(t)       { if (Number.isFinite(t))   lastCursorTime  = t;  }
 
     function wire(signal) {
@@ -546,6 +1044,8 @@ function multiplyQuaternions(q1, q2) {
         const idx = Number(e?.detail?.index);
         cache.delete(Number.isFinite(idx) ? idx : activeImuIndex);
         ensureAndRender().catch(() => {});
+        // Same comparison on the new result (e.g. after a filter change)
+        if (compareChoice && idx === activeImuIndex) runComparison();
       }, { signal });
 
       document.addEventListener("movesync:imu-selected", (e) => {
@@ -581,6 +1081,35 @@ function multiplyQuaternions(q1, q2) {
         if (v && Number.isFinite(v.currentTime)) renderAtImuTime(getImuTimeFromVideo(v.currentTime));
       }, { signal });
 
+      document.addEventListener("click", (e) => {
+        const target = e.target;
+        if (target?.closest?.("#fusionCalibPoseBtn")) capturePose();
+        else if (target?.closest?.("#fusionCalibMoveBtn")) markMovement();
+        else if (target?.closest?.("#fusionCalibReset")) {
+          movement = null;
+          saveCalibration(currentSession, null);
+        }
+        else if (target?.closest?.("#fusionFilterApply")) saveFilter(currentSession, readChoice("fusionFilterSelect", "fusionFilterParams"));
+        else if (target?.closest?.("#fusionFilterReset")) saveFilter(currentSession, null);
+        else if (target?.closest?.("#fusionCompareBtn")) runComparison();
+        else if (target?.closest?.("#fusionCompareClose")) closeComparison();
+      }, { signal });
+
+      document.addEventListener("change", (e) => {
+        const target = e.target;
+        if (target?.closest?.("#fusionFilterSelect")) {
+          // The saved parameters when going back to the saved filter
+          const saved = filterOf(currentSession);
+          showParams("fusionFilterParams", saved?.filter === target.value ? saved : { filter: target.value });
+        } else if (target?.closest?.("#fusionCompareSelect")) {
+          showParams("fusionCompareParams", { filter: target.value });
+        } else if (target?.closest?.("#fusionCompareAngle")) {
+          showComparison(processedForActive());
+        }
+      }, { signal });
+
+      signal?.addEventListener("abort", destroyCompareChart, { once: true });
+
       const attachToVideoWhenReady = () => {
         const v = getVideoEl();
         if (!v) return;
@@ -611,7 +1140,18 @@ function multiplyQuaternions(q1, q2) {
       await ensureAndRender();
     }
 
-    return { wire, mount, setSession, setActiveImuIndex, setCursorTime, ensureAndRender };
+    // The active session's segment calibration (arm angle analysis)
+    function getCalibration() {
+      return calibrationOf(currentSession);
+    }
+
+    // A session's orientation filter { filter, params } (IMU panel), or
+    // null for the default
+    function getFilter(session = currentSession) {
+      return filterOf(session);
+    }
+
+    return { wire, mount, setSession, setActiveImuIndex, setCursorTime, ensureAndRender, getCalibration, getFilter };
   })();
 
   window.MoveSyncViewerFusionPanel = FusionPanel;
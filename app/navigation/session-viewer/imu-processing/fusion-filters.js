@@ -0,0 +1,463 @@
+// =======================================
+// MoveSync — Orientation Filters
+// File: app/navigation/session-viewer/imu-processing/fusion-filters.js
+//
+// Responsibilities:
+// - The orientation filters imu-pipeline.js fuses with (Step 3):
+//   Madgwick, Mahony, a complementary filter and an error-state Kalman
+//   filter (ESKF, tracks the remaining gyro bias)
+// - Their tunable parameters (label, unit, range, default) for the
+//   Sensor Fusion panel, and resolving a saved { filter, params } choice
+//
+// Every filter has the same interface:
+//   create(params, { sampleRate, gravity }) -> {
+//     update(gx, gy, gz, ax, ay, az, mx, my, mz),  // rad/s, m/s², any mag unit
+//     getQuaternion(),                              // [w, x, y, z]
+//   }
+// A zero magnetometer (none recorded, or a disturbed field) fuses 6-DOF.
+// Quaternions rotate sensor -> world: world Z is up (the accelerometer
+// reads +1 g on it at rest), X is magnetic north when there is a
+// magnetometer. Every filter starts from the first sample's tilt (and
+// heading) instead of converging from identity.
+//
+// These replace the Madgwick / Mahony of ahrs.min.js, which read the gyro
+// from the wrong update() arguments and don't settle on gravity even with
+// the arguments shifted.
+//
+// No DOM access: loaded on the page and inside imu-worker.js.
+//
+// Public API: self.MoveSyncFusionFilters
+// =======================================
+
+(() => {
+  "use strict";
+
+  const DEG2RAD = Math.PI / 180;
+
+  // ============================================================
+  // Quaternion helpers ([w, x, y, z])
+  // ============================================================
+  function mul(a, b) {
+    return [
+      a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+      a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+      a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+      a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0],
+    ];
+  }
+
+  function normalize(q) {
+    const n = Math.hypot(q[0], q[1], q[2], q[3]);
+    return n > 0 ? [q[0] / n, q[1] / n, q[2] / n, q[3] / n] : [1, 0, 0, 0];
+  }
+
+  // Rotation by a rotation vector (rad): axis · angle
+  function fromRotationVector(vx, vy, vz) {
+    const angle = Math.hypot(vx, vy, vz);
+    if (!(angle > 0)) return [1, 0, 0, 0];
+    const s = Math.sin(angle / 2) / angle;
+    return [Math.cos(angle / 2), vx * s, vy * s, vz * s];
+  }
+
+  // R(q)·v: sensor frame -> world frame
+  function toWorld(q, x, y, z) {
+    const [w, a, b, c] = q;
+    return [
+      (1 - 2 * (b * b + c * c)) * x + 2 * (a * b - w * c) * y + 2 * (a * c + w * b) * z,
+      2 * (a * b + w * c) * x + (1 - 2 * (a * a + c * c)) * y + 2 * (b * c - w * a) * z,
+      2 * (a * c - w * b) * x + 2 * (b * c + w * a) * y + (1 - 2 * (a * a + b * b)) * z,
+    ];
+  }
+
+  // World up in the sensor frame: R(q)ᵀ·[0, 0, 1]
+  function upInSensor(q) {
+    const [w, a, b, c] = q;
+    return [2 * (a * c - w * b), 2 * (b * c + w * a), w * w - a * a - b * b + c * c];
+  }
+
+  function cross(u, v) {
+    return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  }
+
+  function unit(x, y, z) {
+    const n = Math.hypot(x, y, z);
+    return n > 0 ? [x / n, y / n, z / n] : null;
+  }
+
+  // Rotation matrix (rows = world axes in the sensor frame) -> quaternion
+  function fromRows(X, Y, Z) {
+    const m00 = X[0], m01 = X[1], m02 = X[2];
+    const m10 = Y[0], m11 = Y[1], m12 = Y[2];
+    const m20 = Z[0], m21 = Z[1], m22 = Z[2];
+    const tr = m00 + m11 + m22;
+    let q;
+    if (tr > 0) {
+      const s = 2 * Math.sqrt(tr + 1);
+      q = [s / 4, (m21 - m12) / s, (m02 - m20) / s, (m10 - m01) / s];
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+      q = [(m21 - m12) / s, s / 4, (m01 + m10) / s, (m02 + m20) / s];
+    } else if (m11 > m22) {
+      const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+      q = [(m02 - m20) / s, (m01 + m10) / s, s / 4, (m12 + m21) / s];
+    } else {
+      const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+      q = [(m10 - m01) / s, (m02 + m20) / s, (m12 + m21) / s, s / 4];
+    }
+    return normalize(q);
+  }
+
+  // Orientation from one accelerometer (+ magnetometer) sample: Z along
+  // the measured gravity, X towards magnetic north (else the sensor's X
+  // projected onto the horizontal), Y = Z × X
+  function initialQuaternion(ax, ay, az, mx, my, mz) {
+    const Z = unit(ax, ay, az);
+    if (!Z) return [1, 0, 0, 0];
+
+    const horizontal = (v) => {
+      const d = v[0] * Z[0] + v[1] * Z[1] + v[2] * Z[2];
+      return unit(v[0] - d * Z[0], v[1] - d * Z[1], v[2] - d * Z[2]);
+    };
+    const X = horizontal([mx, my, mz]) || horizontal([1, 0, 0]) || horizontal([0, 1, 0]);
+    return fromRows(X, cross(Z, X), Z);
+  }
+
+  function hasVector(x, y, z) {
+    return x * x + y * y + z * z > 0;
+  }
+
+  // Shared start-up: the first update only sets the initial orientation
+  function withInitialState(step) {
+    let q = null;
+    return {
+      update(gx, gy, gz, ax, ay, az, mx, my, mz) {
+        if (!q) {
+          if (hasVector(ax, ay, az)) q = initialQuaternion(ax, ay, az, mx, my, mz);
+          return;
+        }
+        q = step(q, gx, gy, gz, ax, ay, az, mx, my, mz);
+      },
+      getQuaternion() {
+        return q ? [q[0], q[1], q[2], q[3]] : [1, 0, 0, 0];
+      },
+    };
+  }
+
+  // ============================================================
+  // Madgwick (gradient descent, 2010 report)
+  // ============================================================
+  function createMadgwick({ beta }, { sampleRate }) {
+    const dt = 1 / sampleRate;
+
+    return withInitialState((q, gx, gy, gz, ax, ay, az, mx, my, mz) => {
+      const [q0, q1, q2, q3] = q;
+
+      // Rate of change from the gyroscope
+      let d = mul(q, [0, gx, gy, gz]).map((v) => v / 2);
+
+      const a = unit(ax, ay, az);
+      if (a) {
+        // Objective f and its Jacobian J for gravity ...
+        const f = [
+          2 * (q1 * q3 - q0 * q2) - a[0],
+          2 * (q0 * q1 + q2 * q3) - a[1],
+          2 * (0.5 - q1 * q1 - q2 * q2) - a[2],
+        ];
+        const J = [
+          [-2 * q2, 2 * q3, -2 * q0, 2 * q1],
+          [2 * q1, 2 * q0, 2 * q3, 2 * q2],
+          [0, -4 * q1, -4 * q2, 0],
+        ];
+
+        // ... and for the earth field b = [bx, 0, bz] (measured direction
+        // turned into the world frame, so it only corrects heading)
+        const m = unit(mx, my, mz);
+        if (m) {
+          const h = toWorld(q, m[0], m[1], m[2]);
+          const bx = Math.hypot(h[0], h[1]);
+          const bz = h[2];
+          f.push(
+            2 * bx * (0.5 - q2 * q2 - q3 * q3) + 2 * bz * (q1 * q3 - q0 * q2) - m[0],
+            2 * bx * (q1 * q2 - q0 * q3) + 2 * bz * (q0 * q1 + q2 * q3) - m[1],
+            2 * bx * (q0 * q2 + q1 * q3) + 2 * bz * (0.5 - q1 * q1 - q2 * q2) - m[2]
+          );
+          J.push(
+            [-2 * bz * q2, 2 * bz * q3, -4 * bx * q2 - 2 * bz * q0, -4 * bx * q3 + 2 * bz * q1],
+            [-2 * bx * q3 + 2 * bz * q1, 2 * bx * q2 + 2 * bz * q0, 2 * bx * q1 + 2 * bz * q3, -2 * bx * q0 + 2 * bz * q2],
+            [2 * bx * q2, 2 * bx * q3 - 4 * bz * q1, 2 * bx * q0 - 4 * bz * q2, 2 * bx * q1]
+          );
+        }
+
+        // Step along the normalised gradient Jᵀf
+        const s = [0, 0, 0, 0];
+        J.forEach((row, r) => row.forEach((v, k) => { s[k] += v * f[r]; }));
+        const n = Math.hypot(s[0], s[1], s[2], s[3]);
+        if (n > 0) d = d.map((v, k) => v - (beta * s[k]) / n);
+      }
+
+      return normalize([q0 + d[0] * dt, q1 + d[1] * dt, q2 + d[2] * dt, q3 + d[3] * dt]);
+    });
+  }
+
+  // ============================================================
+  // Mahony (nonlinear complementary filter, PI feedback)
+  // ============================================================
+  function createMahony({ kp, ki }, { sampleRate }) {
+    const dt = 1 / sampleRate;
+    const integral = [0, 0, 0];
+
+    return withInitialState((q, gx, gy, gz, ax, ay, az, mx, my, mz) => {
+      const a = unit(ax, ay, az);
+      if (a) {
+        // Error: measured directions crossed with the estimated ones
+        const e = cross(a, upInSensor(q));
+
+        const m = unit(mx, my, mz);
+        if (m) {
+          const h = toWorld(q, m[0], m[1], m[2]);
+          const b = [Math.hypot(h[0], h[1]), 0, h[2]];
+          // Earth field back in the sensor frame: R(q)ᵀ·b
+          const c = [q[0], -q[1], -q[2], -q[3]];
+          const w = toWorld(c, b[0], b[1], b[2]);
+          const em = cross(m, w);
+          e[0] += em[0];
+          e[1] += em[1];
+          e[2] += em[2];
+        }
+
+        if (ki > 0) {
+          integral[0] += ki * e[0] * dt;
+          integral[1] += ki * e[1] * dt;
+          integral[2] += ki * e[2] * dt;
+        }
+        gx += kp * e[0] + integral[0];
+        gy += kp * e[1] + integral[1];
+        gz += kp * e[2] + integral[2];
+      }
+
+      return normalize(mul(q, fromRotationVector(gx * dt, gy * dt, gz * dt)));
+    });
+  }
+
+  // ============================================================
+  // Complementary filter
+  // Gyro integration, pulled towards the accelerometer's tilt with time
+  // constant tau and towards the magnetometer's heading with magTau.
+  // ============================================================
+  function createComplementary({ tau, magTau }, { sampleRate }) {
+    const dt = 1 / sampleRate;
+    const kTilt = dt / (tau + dt);
+    const kHeading = dt / (magTau + dt);
+
+    return withInitialState((q, gx, gy, gz, ax, ay, az, mx, my, mz) => {
+      q = mul(q, fromRotationVector(gx * dt, gy * dt, gz * dt));
+
+      // Tilt: turn the measured gravity (world frame) part way onto up
+      const a = unit(ax, ay, az);
+      if (a) {
+        const g = toWorld(q, a[0], a[1], a[2]);
+        const axis = unit(g[1], -g[0], 0);
+        if (axis) {
+          const angle = kTilt * Math.acos(Math.max(-1, Math.min(1, g[2])));
+          q = mul(fromRotationVector(axis[0] * angle, axis[1] * angle, axis[2] * angle), q);
+        }
+      }
+
+      // Heading: turn the horizontal field part way onto +X
+      if (hasVector(mx, my, mz)) {
+        const h = toWorld(q, mx, my, mz);
+        if (Math.hypot(h[0], h[1]) > 0) q = mul(fromRotationVector(0, 0, -kHeading * Math.atan2(h[1], h[0])), q);
+      }
+
+      return normalize(q);
+    });
+  }
+
+  // ============================================================
+  // Error-state Kalman filter
+  // Nominal state: orientation q and gyro bias b. Error state (6): small
+  // rotation δθ (sensor frame) and bias error δb, covariance P. Gravity
+  // direction (3 rows) and magnetic heading (1 row) are fused as
+  // sequential scalar updates; accelerometer noise grows with how far |a|
+  // is from 1 g, so accelerations don't tilt the estimate.
+  // ============================================================
+  function createEskf({ gyroNoise, biasWalk, accNoise, magNoise }, { sampleRate, gravity }) {
+    const dt = 1 / sampleRate;
+    const qTheta = (gyroNoise * DEG2RAD * dt) ** 2;
+    const qBias = (biasWalk * DEG2RAD) ** 2 * dt;
+    const rHeading = (magNoise * DEG2RAD) ** 2;
+
+    const bias = [0, 0, 0];
+    const P = new Float64Array(36);
+    for (let k = 0; k < 3; k++) {
+      P[7 * k] = (5 * DEG2RAD) ** 2;
+      P[7 * (k + 3)] = (1 * DEG2RAD) ** 2;
+    }
+
+    // P = F P Fᵀ + Q with F = [[I − [ω×]dt, −I dt], [0, I]]
+    function predict(wx, wy, wz) {
+      const F = new Float64Array(36);
+      for (let k = 0; k < 6; k++) F[7 * k] = 1;
+      F[1] = wz * dt;  F[2] = -wy * dt;
+      F[6] = -wz * dt; F[8] = wx * dt;
+      F[12] = wy * dt; F[13] = -wx * dt;
+      for (let k = 0; k < 3; k++) F[6 * k + k + 3] = -dt;
+
+      const FP = new Float64Array(36);
+      for (let r = 0; r < 6; r++) {
+        for (let c = 0; c < 6; c++) {
+          let s = 0;
+          for (let k = 0; k < 6; k++) s += F[6 * r + k] * P[6 * k + c];
+          FP[6 * r + c] = s;
+        }
+      }
+      for (let r = 0; r < 6; r++) {
+        for (let c = 0; c < 6; c++) {
+          let s = 0;
+          for (let k = 0; k < 6; k++) s += FP[6 * r + k] * F[6 * c + k];
+          P[6 * r + c] = s;
+        }
+      }
+      for (let k = 0; k < 3; k++) {
+        P[7 * k] += qTheta;
+        P[7 * (k + 3)] += qBias;
+      }
+    }
+
+    // One scalar measurement: innovation y, row H (6), variance r.
+    // dx accumulates the error-state correction across rows.
+    function correct(dx, H, y, r) {
+      const PH = new Float64Array(6);
+      let S = r;
+      for (let i = 0; i < 6; i++) {
+        let s = 0;
+        for (let k = 0; k < 6; k++) s += P[6 * i + k] * H[k];
+        PH[i] = s;
+        S += H[i] * s;
+      }
+      let innovation = y;
+      for (let k = 0; k < 6; k++) innovation -= H[k] * dx[k];
+      for (let i = 0; i < 6; i++) dx[i] += (PH[i] / S) * innovation;
+      for (let i = 0; i < 6; i++) {
+        for (let j = 0; j < 6; j++) P[6 * i + j] -= (PH[i] * PH[j]) / S;
+      }
+    }
+
+    return withInitialState((q, gx, gy, gz, ax, ay, az, mx, my, mz) => {
+      const wx = gx - bias[0], wy = gy - bias[1], wz = gz - bias[2];
+      q = normalize(mul(q, fromRotationVector(wx * dt, wy * dt, wz * dt)));
+      predict(wx, wy, wz);
+
+      const dx = new Float64Array(6);
+      const a = unit(ax, ay, az);
+      if (a) {
+        // Predicted up h; h(δθ) ≈ h + [h×]δθ
+        const h = upInSensor(q);
+        const dev = Math.abs(Math.hypot(ax, ay, az) / gravity - 1);
+        const r = (accNoise + dev) ** 2;
+        correct(dx, [0, -h[2], h[1], 0, 0, 0], a[0] - h[0], r);
+        correct(dx, [h[2], 0, -h[0], 0, 0, 0], a[1] - h[1], r);
+        correct(dx, [-h[1], h[0], 0, 0, 0, 0], a[2] - h[2], r);
+      }
+
+      if (hasVector(mx, my, mz)) {
+        // Heading of the field in the world frame should be 0; δθ turns
+        // it by (up in sensor frame)·δθ
+        const m = toWorld(q, mx, my, mz);
+        if (Math.hypot(m[0], m[1]) > 0) {
+          const h = upInSensor(q);
+          correct(dx, [h[0], h[1], h[2], 0, 0, 0], -Math.atan2(m[1], m[0]), rHeading);
+        }
+      }
+
+      bias[0] += dx[3];
+      bias[1] += dx[4];
+      bias[2] += dx[5];
+      return normalize(mul(q, fromRotationVector(dx[0], dx[1], dx[2])));
+    });
+  }
+
+  // ============================================================
+  // Registry
+  // params: shown as inputs in the Sensor Fusion panel (short: in
+  // describe()), clamped to [min, max] when a saved choice is resolved
+  // ============================================================
+  const FILTERS = {
+    madgwick: {
+      label: "Madgwick",
+      params: [
+        // Lower = smoother but slower to converge; ~0.1 for fast motion
+        { key: "beta", short: "β", label: "Gain β", unit: "", min: 0, max: 1, step: 0.001, default: 0.033 },
+      ],
+      create: createMadgwick,
+    },
+    mahony: {
+      label: "Mahony",
+      params: [
+        { key: "kp", short: "Kp", label: "Proportional gain Kp", unit: "", min: 0, max: 10, step: 0.05, default: 0.5 },
+        { key: "ki", short: "Ki", label: "Integral gain Ki", unit: "", min: 0, max: 1, step: 0.001, default: 0 },
+      ],
+      create: createMahony,
+    },
+    complementary: {
+      label: "Complementary",
+      params: [
+        { key: "tau", short: "τ tilt", label: "Tilt time constant", unit: "s", min: 0.01, max: 30, step: 0.05, default: 0.5 },
+        { key: "magTau", short: "τ heading", label: "Heading time constant", unit: "s", min: 0.01, max: 60, step: 0.1, default: 2 },
+      ],
+      create: createComplementary,
+    },
+    eskf: {
+      label: "Error-state Kalman",
+      params: [
+        { key: "gyroNoise", short: "σ gyro", label: "Gyro noise", unit: "deg/s", min: 0.001, max: 10, step: 0.01, default: 0.3 },
+        { key: "biasWalk", short: "σ bias", label: "Gyro bias walk", unit: "deg/s/√s", min: 0, max: 1, step: 0.001, default: 0.01 },
+        { key: "accNoise", short: "σ acc", label: "Accelerometer noise", unit: "g", min: 0.001, max: 1, step: 0.005, default: 0.05 },
+        { key: "magNoise", short: "σ heading", label: "Heading noise", unit: "deg", min: 0.1, max: 90, step: 0.5, default: 10 },
+      ],
+      create: createEskf,
+    },
+  };
+
+  const DEFAULT_FILTER = "madgwick";
+
+  function defaults(id) {
+    const def = FILTERS[id] || FILTERS[DEFAULT_FILTER];
+    return Object.fromEntries(def.params.map((p) => [p.key, p.default]));
+  }
+
+  // Saved choice ({ filter, params } | null) -> a complete, in-range one
+  function resolve(choice) {
+    const filter = FILTERS[choice?.filter] ? choice.filter : DEFAULT_FILTER;
+    const params = {};
+    FILTERS[filter].params.forEach((p) => {
+      const v = Number(choice?.filter === filter ? choice.params?.[p.key] : NaN);
+      params[p.key] = Number.isFinite(v) ? Math.max(p.min, Math.min(p.max, v)) : p.default;
+    });
+    return { filter, params };
+  }
+
+  // ctx: { sampleRate (Hz), gravity (m/s²) }
+  function create(choice, ctx) {
+    const { filter, params } = resolve(choice);
+    return FILTERS[filter].create(params, ctx);
+  }
+
+  // "Madgwick (β 0.033)"
+  function describe(choice) {
+    const { filter, params } = resolve(choice);
+    const def = FILTERS[filter];
+    const parts = def.params.map((p) => `${p.short} ${params[p.key]}${p.unit ? ` ${p.unit}` : ""}`);
+    return `${def.label} (${parts.join(", ")})`;
+  }
+
+  self.MoveSyncFusionFilters = {
+    FILTERS,
+    DEFAULT_FILTER,
+
+    defaults,
+    resolve,
+    create,
+    describe,
+  };
+})();
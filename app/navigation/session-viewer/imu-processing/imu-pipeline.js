@@ -0,0 +1,1873 @@
+// =======================================
+// MoveSync — IMU Processing Pipeline (pure computation)
+// File: app/navigation/session-viewer/imu-processing/imu-pipeline.js
+//
+// Responsibilities:
+// - Optionally resample onto a uniform time grid first (MoveSyncImuTiming),
+//   or onto the session's common timeline when its IMUs are aligned
+// - Detect sample rate from time column (median dt method)
+// - Correct sensor bias: the device's saved accelerometer calibration
+//   (six-position), and gyro bias measured over the still periods
+// - Calibrate the magnetometer (ellipsoid fit: hard + soft iron) and flag
+//   magnetically disturbed samples, fused 6-DOF instead of 9-DOF
+// - Run the session's orientation filter (fusion-filters.js: Madgwick,
+//   Mahony, complementary or error-state Kalman) to produce quaternions
+//   per sample
+// - Remove gravity using quaternion rotation to get linear acceleration
+// - Apply a single clean low-pass filter (20 Hz) — no double-smoothing;
+//   zero-phase Butterworth by default (imu-filters.js), so smoothed peaks
+//   keep their timing against the video
+// - Compute jerk (central difference derivative of accel magnitude)
+// - Integrate linear acceleration with ZUPT to produce speed + distance
+// - Compute session-level summary statistics
+// - Accelerometer-only recordings (no finite gyro sample): no fusion,
+//   speed or distance, and a "no-gyro" warning
+// - With a linked subject (roster): power from body mass and stride
+//   length from leg length
+// - On a shank / foot IMU: gait events (initial contact, toe-off), and
+//   stride / step / contact / swing times and left-right symmetry with
+//   the events the session's other leg IMUs saved
+// - Rhythm: cadence and reps from peaks of the accel magnitude
+// - Vertical jumps: countermovement, takeoff, apex and landing, with
+//   height (flight time and impulse), contact time, RSI and power per kg
+// - Range of motion of each Euler angle, whole recording and per rep,
+//   with the time of every min / max
+// - Fast cursor-time lookup for all derived signals
+// - Per-run tuning: the session's (or its sport preset's) processing
+//   settings override CFG for one run, and every result records the
+//   pipeline version and the settings it ran with (provenance)
+//
+// No DOM access: loaded both on the page (main-thread fallback, cursor
+// lookups) and inside imu-worker.js via importScripts().
+//
+// Input and output are typed arrays only, so a ProcessedSession can be
+// posted back from the worker with its buffers transferred.
+//
+// Public API: self.MoveSyncIMUPipeline
+//
+// Dependencies:
+// - self.MoveSyncFusionFilters (fusion-filters.js)
+// - self.MoveSyncIMUFilters (imu-filters.js) for the Butterworth low-pass
+// - self.MoveSyncImuTiming (app/core/imu-timing.js) for resampling
+// - self.MoveSyncImuGait (app/core/imu-gait.js) for gait events
+// - self.MoveSyncImuJump (app/core/imu-jump.js) for jumps
+// - self.MoveSyncImuRom (app/core/imu-rom.js) for range of motion
+// =======================================
+
+(() => {
+  "use strict";
+
+  // Bump whenever a change gives different numbers for the same recording
+  // and settings; results record it (provenance) so reports can say
+  // which pipeline produced them.
+  const PIPELINE_VERSION = "2.1.0";
+
+  // ============================================================
+  // Tunable constants — adjust here for different devices/use cases.
+  // The keys in SETTINGS below can also be set per session or per sport
+  // preset (Processing settings drawer); those apply to one run only.
+  // ============================================================
+  const CFG = {
+    // Low-pass cutoff for smoothed signals (Hz).
+    // 20 Hz keeps all meaningful human motion, removes high-frequency noise.
+    LP_CUTOFF_HZ: 20,
+    LP_INTEGRATION_HZ: 20,
+    // "butterworth": zero-phase (forward-backward) Butterworth of LP_ORDER;
+    // "iir1": the causal first-order filter of pipeline < 2.1 (lags)
+    LP_FILTER: "butterworth",
+    LP_ORDER: 2,
+
+    // ZUPT detection: a sample window is "still" when ALL of these hold
+    // for at least ZUPT_MIN_SAMPLES consecutive samples.
+    ZUPT_GYRO_THRESHOLD_DEGS: 8,     // deg/s — gyro magnitude below this
+    ZUPT_ACCEL_MIN_G: 0.80,           // g — accel magnitude lower bound (near 1g = gravity only)
+    ZUPT_ACCEL_MAX_G: 1.20,           // g — accel magnitude upper bound
+    ZUPT_MIN_SAMPLES: 8,              // consecutive samples required to confirm stillness
+
+    // Gravity constant (m/s²)
+    GRAVITY_MS2: 9.80665,
+
+    // Fallback sample rate if detection fails
+    FALLBACK_SAMPLE_RATE_HZ: 100,
+
+    // Fusion warm-up: the first samples, while the filter settles, are
+    // left out of the orientation ranges in the summary.
+    FUSION_WARMUP_SAMPLES: 50,
+
+    // Step detection for stride length (peaks of smoothed accel magnitude).
+    STEP_PEAK_MIN_G: 1.15,            // g — a foot strike must exceed this
+    STEP_MIN_INTERVAL_S: 0.25,        // s — faster than 240 steps/min is noise
+    STEP_MAX_INTERVAL_S: 1.5,         // s — longer gaps are pauses, not steps
+    STEP_MIN_COUNT: 4,                // fewer steps -> no stride length
+
+    // Rhythm: cadence / reps from peaks of smoothed accel magnitude
+    RHYTHM_PEAK_STD: 0.4,             // peaks above mean + this many std
+    RHYTHM_MIN_INTERVAL_S: 0.2,       // s — peaks are the highest within this
+    RHYTHM_MIN_DURATION_S: 1.5,       // s — shorter recordings have no rhythm
+
+    // Unit / axis checks (gyro rotation vs accelerometer tilt, see Step 2b)
+    UNIT_CHECK_LP_HZ: 2,              // Hz — both signals smoothed alike before comparing
+    UNIT_CHECK_MIN_TILT_DEGS: 5,      // deg/s — gravity direction must turn at least this fast
+    UNIT_CHECK_MIN_SAMPLES: 50,       // turning samples needed before judging units / axes
+    UNIT_CHECK_RATIO_TOLERANCE: 3,    // gyro/tilt ratio within 1/3..3 agrees with the unit
+
+    // Gyro bias (Step 2c): median over the still samples, once there are
+    // at least this many seconds of stillness in the recording
+    GYRO_BIAS_MIN_STILL_S: 2,
+
+    // Magnetometer (Step 2d): ellipsoid fit on up to MAG_FIT_MAX_SAMPLES,
+    // refitted once without samples off the fitted field by more than
+    // MAG_FIT_OUTLIER_PCT. A fit needing one axis stretched more than
+    // MAG_FIT_MAX_AXIS_RATIO× another means too little rotation was
+    // recorded; the hard-iron median is used instead.
+    MAG_FIT_MIN_SAMPLES: 100,
+    MAG_FIT_MAX_SAMPLES: 5000,
+    MAG_FIT_OUTLIER_PCT: 25,
+    MAG_FIT_MAX_AXIS_RATIO: 3,
+
+    // Disturbance: field strength off the calibrated one by more than
+    // this, or (while |a| is within 10% of 1 g) the angle between field and
+    // gravity off its median by more than this. Held for HOLD_S either side.
+    MAG_DISTURBANCE_NORM_PCT: 15,
+    MAG_DISTURBANCE_DIP_DEG: 10,
+    MAG_DISTURBANCE_HOLD_S: 0.25,
+  };
+
+  // ============================================================
+  // Settings a session or sport preset may override (Processing
+  // settings drawer). Values outside min..max are clamped; `below` names
+  // a setting this one must stay under, else both keep their defaults.
+  // Settings with `options` take one of the listed values instead.
+  // ============================================================
+  const LP_FILTERS = [
+    { value: "butterworth", label: "Butterworth, zero-phase" },
+    { value: "iir1", label: "First-order IIR (lags)" },
+  ];
+
+  const SETTINGS = [
+    { key: "LP_CUTOFF_HZ", group: "Filtering", label: "Low-pass cutoff", unit: "Hz", min: 0.5, max: 200, step: 0.5 },
+    { key: "LP_INTEGRATION_HZ", group: "Filtering", label: "Low-pass before integration", unit: "Hz", min: 0.5, max: 200, step: 0.5 },
+    { key: "LP_FILTER", group: "Filtering", label: "Low-pass filter", options: LP_FILTERS },
+    { key: "LP_ORDER", group: "Filtering", label: "Butterworth order", unit: "", min: 1, max: 8, step: 1 },
+
+    { key: "ZUPT_GYRO_THRESHOLD_DEGS", group: "Stillness (ZUPT)", label: "Gyro below", unit: "deg/s", min: 0.5, max: 100, step: 0.5 },
+    { key: "ZUPT_ACCEL_MIN_G", group: "Stillness (ZUPT)", label: "Accel above", unit: "g", min: 0.5, max: 1, step: 0.01, below: "ZUPT_ACCEL_MAX_G" },
+    { key: "ZUPT_ACCEL_MAX_G", group: "Stillness (ZUPT)", label: "Accel below", unit: "g", min: 1, max: 2, step: 0.01 },
+    { key: "ZUPT_MIN_SAMPLES", group: "Stillness (ZUPT)", label: "For at least", unit: "samples", min: 1, max: 1000, step: 1 },
+
+    { key: "FUSION_WARMUP_SAMPLES", group: "Orientation", label: "Warm-up", unit: "samples", min: 0, max: 10000, step: 1 },
+
+    { key: "FALLBACK_SAMPLE_RATE_HZ", group: "Sample rate", label: "Fallback rate", unit: "Hz", min: 1, max: 5000, step: 1 },
+
+    { key: "STEP_PEAK_MIN_G", group: "Steps", label: "Foot strike above", unit: "g", min: 1, max: 5, step: 0.05 },
+    { key: "STEP_MIN_INTERVAL_S", group: "Steps", label: "Step at least", unit: "s", min: 0.05, max: 2, step: 0.05, below: "STEP_MAX_INTERVAL_S" },
+    { key: "STEP_MAX_INTERVAL_S", group: "Steps", label: "Step at most", unit: "s", min: 0.2, max: 5, step: 0.05 },
+    { key: "STEP_MIN_COUNT", group: "Steps", label: "Steps needed", unit: "", min: 2, max: 100, step: 1 },
+  ];
+
+  // overrides: { KEY: number | string } (schema.normalizeImuProcessing)
+  // or null
+  // -> { cfg: CFG with the overrides applied, overrides: the ones that
+  //    apply and differ from CFG }
+  function resolveSettings(overrides) {
+    const cfg = { ...CFG };
+    const applied = {};
+
+    SETTINGS.forEach(({ key, min, max, step, options }) => {
+      if (options) {
+        const choice = overrides?.[key];
+        if (choice === CFG[key] || !options.some((o) => o.value === choice)) return;
+        cfg[key] = choice;
+        applied[key] = choice;
+        return;
+      }
+      const v = Number(overrides?.[key]);
+      if (overrides?.[key] == null || !Number.isFinite(v)) return;
+      let value = Math.min(max, Math.max(min, v));
+      if (step >= 1) value = Math.round(value);
+      if (value === CFG[key]) return;
+      cfg[key] = value;
+      applied[key] = value;
+    });
+
+    SETTINGS.forEach(({ key, below }) => {
+      if (!below || cfg[key] < cfg[below]) return;
+      cfg[key] = CFG[key];
+      cfg[below] = CFG[below];
+      delete applied[key];
+      delete applied[below];
+    });
+
+    return { cfg, overrides: applied };
+  }
+
+  // ============================================================
+  // Utility: binary search for nearest index
+  // ============================================================
+  function nearestIndex(times, x) {
+    const n = times.length;
+    if (!n) return -1;
+    if (x <= times[0]) return 0;
+    if (x >= times[n - 1]) return n - 1;
+
+    let lo = 0, hi = n - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const v = times[mid];
+      if (v === x) return mid;
+      if (v < x) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    const a = hi, b = lo;
+    if (a < 0) return b;
+    if (b >= n) return a;
+    return Math.abs(times[b] - x) < Math.abs(times[a] - x) ? b : a;
+  }
+
+  // ============================================================
+  // Progress reporting
+  //
+  // Each stage owns a share of the bar (fusion dominates). The reporter
+  // turns (stage, fraction-of-stage) into overall 0..1 progress and only
+  // calls onProgress when it moved by at least 1%, so the worker does not
+  // flood the page with messages.
+  // ============================================================
+  const STAGES = [
+    { id: "prepare", weight: 0.05 },
+    { id: "fusion",  weight: 0.55 },
+    { id: "gravity", weight: 0.15 },
+    { id: "filters", weight: 0.10 },
+    { id: "motion",  weight: 0.10 },
+    { id: "summary", weight: 0.05 },
+  ];
+
+  // Samples between progress checks inside the per-sample loops
+  const PROGRESS_CHUNK = 8192;
+
+  function makeProgress(onProgress) {
+    if (typeof onProgress !== "function") return () => {};
+
+    const offsets = {};
+    let acc = 0;
+    for (const s of STAGES) {
+      offsets[s.id] = { start: acc, weight: s.weight };
+      acc += s.weight;
+    }
+
+    let last = -1;
+    return (stage, fraction = 0) => {
+      const o = offsets[stage];
+      if (!o) return;
+      const progress = Math.min(1, o.start + o.weight * Math.max(0, Math.min(1, fraction)));
+      if (progress - last < 0.01 && progress < 1) return;
+      last = progress;
+      onProgress({ stage, progress });
+    };
+  }
+
+  // ============================================================
+  // Step 1: Sample rate detection (median inter-sample interval)
+  // ============================================================
+  function detectSampleRate(tArray) {
+    if (!tArray || tArray.length < 3) return CFG.FALLBACK_SAMPLE_RATE_HZ;
+
+    const diffs = [];
+    for (let i = 1; i < tArray.length; i++) {
+      const dt = tArray[i] - tArray[i - 1];
+      if (dt > 0 && dt < 2.0) diffs.push(dt); // ignore gaps > 2s (recording pauses)
+    }
+
+    if (!diffs.length) return CFG.FALLBACK_SAMPLE_RATE_HZ;
+
+    diffs.sort((a, b) => a - b);
+    const median = diffs[Math.floor(diffs.length / 2)];
+
+    const hz = Math.round(1 / median);
+    // Sanity check: clamp to plausible IMU range
+    return Math.max(10, Math.min(1000, hz));
+  }
+
+  // ============================================================
+  // Step 2: Low-pass filter
+  // Applied once, with correct sample rate and meaningful cutoff.
+  // CFG.LP_FILTER picks the zero-phase Butterworth (imu-filters.js; no
+  // lag, so peaks stay on their video frame) or the first-order IIR.
+  // ============================================================
+  function lowPass(data, sampleRateHz, cutoffHz) {
+    const filters = self.MoveSyncIMUFilters;
+    if (CFG.LP_FILTER === "iir1") return firstOrderLowPass(data, sampleRateHz, cutoffHz);
+    if (!filters) {
+      console.warn("[IMUProcessing] imu-filters.js not loaded — first-order low-pass used.");
+      return firstOrderLowPass(data, sampleRateHz, cutoffHz);
+    }
+
+    const sos = filters.butterworth({ type: "lowpass", order: CFG.LP_ORDER, cutoff: cutoffHz, sampleRate: sampleRateHz });
+    // Cutoff at or above Nyquist: nothing to remove
+    if (!sos) return Float32Array.from(data);
+    return new Float32Array(filters.filtfilt(data, sos));
+  }
+
+  // Causal, lags by about 1 / (2π·fc). Also used where only relative
+  // timing matters (unit check, Step 2b).
+  function firstOrderLowPass(data, sampleRateHz, cutoffHz) {
+    const n = data.length;
+    if (!n) return new Float32Array(0);
+
+    const RC = 1 / (cutoffHz * 2 * Math.PI);
+    const dt = 1 / sampleRateHz;
+    const alpha = dt / (RC + dt);
+
+    const out = new Float32Array(n);
+    out[0] = data[0];
+    for (let i = 1; i < n; i++) {
+      out[i] = alpha * data[i] + (1 - alpha) * out[i - 1];
+    }
+    return out;
+  }
+
+  // ============================================================
+  // Step 2b: Units + axis convention
+  //
+  // Brings raw data to m/s², deg/s and µT on right-handed axes, in place.
+  // Units declared on the IMU entry or in the column mapping were already
+  // converted by the IMU panel (input.units names them); the rest are
+  // guessed here. Declarations are trusted, but checked against the data:
+  // every contradiction becomes a warning on the ProcessedSession.
+  //
+  // The gyro check also works for slow movements: while the sensor turns,
+  // the gravity direction û seen by the accelerometer changes as
+  //   dû/dt = û × ω        (ω in rad/s, right-handed axes)
+  // so |û × ω| ≈ |dû/dt| when the gyro unit is right, and the sign of
+  // dû/dt · (û × ω) tells right- from left-handed axes.
+  // ============================================================
+  const TO_CANONICAL = {
+    acc: { "m/s2": 1, g: 9.80665, mg: 0.00980665 },
+    gyro: { "deg/s": 1, "rad/s": 180 / Math.PI, mdps: 0.001 },
+    mag: { uT: 1, nT: 0.001, gauss: 100, mgauss: 0.1 },
+  };
+
+  const UNIT_LABELS = { "m/s2": "m/s²", mdps: "mdeg/s", uT: "µT" };
+  const unitLabel = (u) => UNIT_LABELS[u] || u;
+
+  // Plausible magnitudes in canonical units: gravity, and Earth's field
+  // (25–65 µT) plus the hard-iron bias some sensors carry (Step 3)
+  const ACC_RANGE = [0.5 * 9.80665, 2 * 9.80665];
+  const MAG_RANGE = [10, 1000];
+
+  function medianOf(values) {
+    if (!values.length) return NaN;
+    const s = values.slice().sort((a, b) => a - b);
+    return s[Math.floor(s.length / 2)];
+  }
+
+  function sampledMagnitudes(v, n, count) {
+    const step = Math.max(1, Math.floor(n / count));
+    const out = [];
+    for (let k = 0; k < n; k += step) {
+      const x = v.x[k], y = v.y[k], z = v.z[k];
+      out.push(Math.sqrt(x * x + y * y + z * z));
+    }
+    return out;
+  }
+
+  // Any finite sample on any axis (accelerometer-only devices import
+  // NaN gyro columns, like an unmapped CSV signal)
+  function hasFiniteSample(v, n) {
+    for (const axis of [v.x, v.y, v.z]) {
+      for (let i = 0; i < n; i++) if (Number.isFinite(axis[i])) return true;
+    }
+    return false;
+  }
+
+  function scaleAxes(v, f) {
+    if (f === 1) return;
+    for (const axis of [v.x, v.y, v.z]) {
+      for (let i = 0; i < axis.length; i++) axis[i] *= f;
+    }
+  }
+
+  // Unit whose conversion puts `value` inside [lo, hi] (first match)
+  function unitInRange(group, value, [lo, hi], except = null) {
+    return Object.keys(TO_CANONICAL[group]).find((u) => {
+      const v = value * TO_CANONICAL[group][u];
+      return u !== except && v >= lo && v <= hi;
+    }) || null;
+  }
+
+  // Unit whose conversion factor is closest to `factor` (within tolerance)
+  function unitNearFactor(group, factor) {
+    let best = null, bestErr = Math.log(CFG.UNIT_CHECK_RATIO_TOLERANCE);
+    for (const [u, f] of Object.entries(TO_CANONICAL[group])) {
+      const err = Math.abs(Math.log(f / factor));
+      if (err < bestErr) { best = u; bestErr = err; }
+    }
+    return best;
+  }
+
+  // Gyro (read as deg/s) against the accelerometer's tilt rate, over the
+  // samples where the sensor turns without much linear acceleration
+  // (magnitude within 20% of gravityRef, the recording's typical one).
+  // ratio ≈ 1 and handedness ≈ +1 for deg/s on right-handed axes.
+  function gyroTiltCheck(raw, n, sampleRateHz, gravityRef) {
+    const lp = (a) => firstOrderLowPass(a, sampleRateHz, CFG.UNIT_CHECK_LP_HZ);
+    const ax = lp(raw.acc.x), ay = lp(raw.acc.y), az = lp(raw.acc.z);
+    const gx = lp(raw.gyro.x), gy = lp(raw.gyro.y), gz = lp(raw.gyro.z);
+
+    const DEG2RAD = Math.PI / 180;
+    const minTilt = CFG.UNIT_CHECK_MIN_TILT_DEGS * DEG2RAD;
+    const half = sampleRateHz / 2;
+    const step = Math.max(1, Math.floor(n / 20000));
+
+    // Unit gravity direction at i, or null during strong linear acceleration
+    const dir = (i) => {
+      const m = Math.sqrt(ax[i] * ax[i] + ay[i] * ay[i] + az[i] * az[i]);
+      return m > 0.8 * gravityRef && m < 1.2 * gravityRef ? [ax[i] / m, ay[i] / m, az[i] / m] : null;
+    };
+
+    let dd = 0, cd = 0, dot = 0, samples = 0;
+    for (let i = 1; i < n - 1; i += step) {
+      const a = dir(i - 1), u = dir(i), b = dir(i + 1);
+      if (!a || !u || !b) continue;
+
+      const dx = (b[0] - a[0]) * half, dy = (b[1] - a[1]) * half, dz = (b[2] - a[2]) * half;
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (d < minTilt) continue;
+
+      const wx = gx[i] * DEG2RAD, wy = gy[i] * DEG2RAD, wz = gz[i] * DEG2RAD;
+      const cx = u[1] * wz - u[2] * wy;
+      const cy = u[2] * wx - u[0] * wz;
+      const cz = u[0] * wy - u[1] * wx;
+      const c = Math.sqrt(cx * cx + cy * cy + cz * cz);
+
+      dd += d * d;
+      cd += c * d;
+      dot += dx * cx + dy * cy + dz * cz;
+      samples++;
+    }
+
+    return {
+      samples,
+      ratio: dd > 0 ? cd / dd : NaN,
+      handedness: cd > 0 ? dot / cd : NaN,
+    };
+  }
+
+  // Gyro guess without turning data: 75th-percentile magnitude.
+  // A single-sample threshold fails when the sensor is nearly still at t=0
+  // (e.g. Movesense at rest sums to ~9.2 deg/s, which falls below a threshold
+  // of 10 and gets misclassified as rad/s, causing catastrophic drift).
+  // deg/s at rest: 1–10; in motion: 50–500+. rad/s at rest: 0.01–0.1.
+  // Any p75 > 0.5 is unambiguously deg/s.
+  function gyroUnitByMagnitude(gyro, n) {
+    const mags = sampledMagnitudes(gyro, n, 500).sort((a, b) => a - b);
+    return mags[Math.floor(mags.length * 0.75)] > 0.5 ? "deg/s" : "rad/s";
+  }
+
+  // @param declared — { acc, gyro, mag } unit the values were converted
+  //                   from, or null (guess)
+  // @param axes     — "right" | "left" (left: Z is reversed on all sensors)
+  // @returns { units: { acc, gyro, mag: { unit, source }, axes }, warnings }
+  function resolveUnits(raw, declared, axes, sampleRateHz) {
+    const n = raw.acc.x.length;
+    const G = CFG.GRAVITY_MS2;
+    const units = { acc: null, gyro: null, mag: null, axes };
+    const warnings = [];
+    const warn = (code, message) => warnings.push({ code, message });
+
+    // Left-handed: reverse Z on every sensor -> right-handed
+    if (axes === "left") {
+      for (const z of [raw.acc.z, raw.gyro.z, raw.mag.z]) {
+        for (let i = 0; i < z.length; i++) z[i] = -z[i];
+      }
+    }
+
+    // --- Accelerometer: typical magnitude should be about 1 g ---
+    const accMedian = medianOf(sampledMagnitudes(raw.acc, n, 1000));
+    if (declared.acc) {
+      units.acc = { unit: declared.acc, source: "declared" };
+      if (!(accMedian >= ACC_RANGE[0] && accMedian <= ACC_RANGE[1])) {
+        const like = unitInRange("acc", accMedian / TO_CANONICAL.acc[declared.acc], ACC_RANGE, declared.acc);
+        warn("acc-unit",
+          `Accelerometer is declared in ${unitLabel(declared.acc)}, but its typical magnitude is ` +
+          `${accMedian.toFixed(2)} m/s² where gravity alone reads ${G.toFixed(2)}` +
+          (like ? ` — looks like ${unitLabel(like)}.` : "."));
+      }
+    } else {
+      const like = unitInRange("acc", accMedian, ACC_RANGE);
+      if (like) scaleAxes(raw.acc, TO_CANONICAL.acc[like]);
+      else warn("acc-unit", `Could not tell the accelerometer unit (typical magnitude ${accMedian.toFixed(2)}) — read as m/s². Declare it on the IMU entry.`);
+      units.acc = { unit: like || "m/s2", source: "guessed" };
+    }
+
+    // --- Gyroscope: rotation rate should match the accelerometer's tilt ---
+    const check = gyroTiltCheck(raw, n, sampleRateHz, medianOf(sampledMagnitudes(raw.acc, n, 1000)));
+    const turning = check.samples >= CFG.UNIT_CHECK_MIN_SAMPLES && check.ratio > 0;
+
+    if (declared.gyro) {
+      units.gyro = { unit: declared.gyro, source: "declared" };
+      if (turning && Math.abs(Math.log(check.ratio)) > Math.log(CFG.UNIT_CHECK_RATIO_TOLERANCE)) {
+        const like = unitNearFactor("gyro", TO_CANONICAL.gyro[declared.gyro] / check.ratio);
+        const off = check.ratio < 1 ? `${(1 / check.ratio).toFixed(0)}× too small` : `${check.ratio.toFixed(0)}× too large`;
+        warn("gyro-unit",
+          `Gyroscope is declared in ${unitLabel(declared.gyro)}, but its rates are ${off} for how fast ` +
+          `the accelerometer tilts` + (like && like !== declared.gyro ? ` — looks like ${unitLabel(like)}.` : "."));
+      }
+    } else {
+      const like = (turning && unitNearFactor("gyro", 1 / check.ratio)) || gyroUnitByMagnitude(raw.gyro, n);
+      scaleAxes(raw.gyro, TO_CANONICAL.gyro[like]);
+      units.gyro = { unit: like, source: "guessed" };
+    }
+
+    if (turning && check.handedness < -0.3) {
+      const other = axes === "left" ? "right" : "left";
+      warn("axes",
+        `Axes are declared ${axes}-handed, but the gyroscope turns opposite to the accelerometer's tilt — ` +
+        `looks like ${other}-handed axes (or one reversed axis).`);
+    }
+
+    // --- Magnetometer: Earth's field plus bias (scale only matters here) ---
+    const hasMag = raw.mag.x.length === n && raw.mag.x.some((v) => v !== 0);
+    if (hasMag) {
+      const magMedian = medianOf(sampledMagnitudes(raw.mag, n, 1000));
+      if (declared.mag) {
+        units.mag = { unit: declared.mag, source: "declared" };
+        if (!(magMedian >= MAG_RANGE[0] && magMedian <= MAG_RANGE[1])) {
+          const like = unitInRange("mag", magMedian / TO_CANONICAL.mag[declared.mag], MAG_RANGE, declared.mag);
+          warn("mag-unit",
+            `Magnetometer is declared in ${unitLabel(declared.mag)}, but its typical magnitude is ` +
+            `${magMedian.toPrecision(3)} µT (Earth's field is 25–65 µT)` + (like ? ` — looks like ${unitLabel(like)}.` : "."));
+        }
+      } else {
+        // Unrecognised scale stays as recorded (fusion normalises it)
+        const like = unitInRange("mag", magMedian, MAG_RANGE);
+        if (like) scaleAxes(raw.mag, TO_CANONICAL.mag[like]);
+        units.mag = { unit: like, source: "guessed" };
+      }
+    }
+
+    return { units, warnings };
+  }
+
+  // ============================================================
+  // Stillness: low gyro rate and accel near 1 g for at least
+  // ZUPT_MIN_SAMPLES consecutive samples -> Uint8Array mask
+  // ============================================================
+  function detectStillness(raw, n) {
+    const G_INV = 1 / CFG.GRAVITY_MS2;
+
+    const still = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      const gx = raw.gyro.x[i], gy = raw.gyro.y[i], gz = raw.gyro.z[i];
+      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
+      const gyroMag = Math.sqrt(gx * gx + gy * gy + gz * gz); // deg/s
+      const accMag = Math.sqrt(ax * ax + ay * ay + az * az) * G_INV; // g
+      still[i] = (
+        gyroMag < CFG.ZUPT_GYRO_THRESHOLD_DEGS &&
+        accMag >= CFG.ZUPT_ACCEL_MIN_G &&
+        accMag <= CFG.ZUPT_ACCEL_MAX_G
+      ) ? 1 : 0;
+    }
+
+    // Confirm stillness: require ZUPT_MIN_SAMPLES consecutive still samples
+    const confirmed = new Uint8Array(n);
+    let run = 0;
+    for (let i = 0; i < n; i++) {
+      if (still[i]) {
+        run++;
+        if (run === CFG.ZUPT_MIN_SAMPLES) confirmed.fill(1, i - run + 1, i + 1);
+        else if (run > CFG.ZUPT_MIN_SAMPLES) confirmed[i] = 1;
+      } else {
+        run = 0;
+      }
+    }
+    return confirmed;
+  }
+
+  // ============================================================
+  // Step 2c: Sensor calibration (raw in m/s², deg/s, corrected in place)
+  //
+  // - Accelerometer: bias + scale saved for this device by the guided
+  //   six-position calibration, per axis a' = (a - bias) / scale
+  // - Gyroscope: a constant bias makes the orientation drift and leaves ZUPT
+  //   residuals. It is the per-axis median over the still samples,
+  //   subtracted from the whole recording; with less than
+  //   GYRO_BIAS_MIN_STILL_S of stillness the gyro stays as recorded.
+  //
+  // Returns { acc, gyroBias, still }: still is detected again on the
+  // corrected data and becomes motion.stillnessMask (ZUPT)
+  // ============================================================
+  function calibrateSensors(raw, n, sampleRateHz, accCal) {
+    let acc = null;
+    if (accCal?.bias?.length === 3 && accCal?.scale?.length === 3 && accCal.scale.every((v) => v > 0)) {
+      ["x", "y", "z"].forEach((k, a) => {
+        const col = raw.acc[k];
+        const b = accCal.bias[a], sc = accCal.scale[a];
+        for (let i = 0; i < col.length; i++) col[i] = (col[i] - b) / sc;
+      });
+      acc = { bias: accCal.bias.slice(), scale: accCal.scale.slice() };
+    }
+
+    let still = detectStillness(raw, n);
+    let count = 0;
+    for (let i = 0; i < n; i++) count += still[i];
+
+    let gyroBias = null;
+    const stillSeconds = count / sampleRateHz;
+    if (stillSeconds >= CFG.GYRO_BIAS_MIN_STILL_S) {
+      // Every still sample up to ~20k (median of a stride sample beyond)
+      const step = Math.max(1, Math.floor(count / 20000));
+      const median = (col) => {
+        const values = [];
+        for (let i = 0, k = 0; i < n; i++) if (still[i] && k++ % step === 0) values.push(col[i]);
+        return medianOf(values);
+      };
+      gyroBias = { x: median(raw.gyro.x), y: median(raw.gyro.y), z: median(raw.gyro.z), stillSeconds };
+      ["x", "y", "z"].forEach((k) => {
+        const col = raw.gyro[k];
+        const b = gyroBias[k];
+        for (let i = 0; i < col.length; i++) col[i] -= b;
+      });
+      still = detectStillness(raw, n);
+    }
+
+    return { acc, gyroBias, still };
+  }
+
+  // ============================================================
+  // Step 2d: Magnetometer calibration (raw.mag in µT, left as recorded)
+  //
+  // Hard iron shifts the field sphere, soft iron (nearby metal) stretches
+  // it into an ellipsoid. A least-squares fit of
+  //   A x² + B y² + C z² + 2D xy + 2E xz + 2F yz + 2G x + 2H y + 2I z = 1
+  // gives the centre (offset) and shape Q; softIron = R · Q^½ maps the
+  // ellipsoid back onto a sphere of radius R (the geometric mean of its
+  // semi-axes, ∛(a·b·c): the sphere of equal volume; = fieldStrength),
+  // so corrected = softIron · (m − offset).
+  //
+  // The fit runs on values centred and scaled to unit RMS (µT² terms
+  // would swamp the normal equations). Without enough rotation in the
+  // recording the fit is ill-posed: method "hard-iron" falls back to the
+  // per-axis median offset with no soft-iron correction.
+  //
+  // Returns { method, offset, softIron (3×3 row-major), fieldStrength,
+  // residualPct, axisRatio, corrected: { x, y, z } } or null (no mag)
+  // ============================================================
+  const IDENTITY3 = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+  // Solve A x = b (A n×n, row-major arrays) by Gaussian elimination
+  function solveLinear(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+      let p = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(m[r][c]) > Math.abs(m[p][c])) p = r;
+      if (!(Math.abs(m[p][c]) > 1e-12)) return null;
+      [m[c], m[p]] = [m[p], m[c]];
+      for (let r = c + 1; r < n; r++) {
+        const f = m[r][c] / m[c][c];
+        for (let k = c; k <= n; k++) m[r][k] -= f * m[c][k];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let v = m[r][n];
+      for (let k = r + 1; k < n; k++) v -= m[r][k] * x[k];
+      x[r] = v / m[r][r];
+    }
+    return x;
+  }
+
+  // Symmetric 3×3 (row-major) -> { values, vectors (columns, row-major) }
+  function eigenSym3(S) {
+    const a = S.slice();
+    const v = IDENTITY3.slice();
+    for (let sweep = 0; sweep < 50; sweep++) {
+      const off = a[1] * a[1] + a[2] * a[2] + a[5] * a[5];
+      if (off < 1e-20) break;
+      for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+        const apq = a[3 * p + q];
+        if (Math.abs(apq) < 1e-30) continue;
+        const theta = (a[3 * q + q] - a[3 * p + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 3; k++) {
+          const akp = a[3 * k + p], akq = a[3 * k + q];
+          a[3 * k + p] = c * akp - s * akq;
+          a[3 * k + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[3 * p + k], aqk = a[3 * q + k];
+          a[3 * p + k] = c * apk - s * aqk;
+          a[3 * q + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[3 * k + p], vkq = v[3 * k + q];
+          v[3 * k + p] = c * vkp - s * vkq;
+          v[3 * k + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+    return { values: [a[0], a[4], a[8]], vectors: v };
+  }
+
+  function mulMat3Vec(M, x, y, z) {
+    return [
+      M[0] * x + M[1] * y + M[2] * z,
+      M[3] * x + M[4] * y + M[5] * z,
+      M[6] * x + M[7] * y + M[8] * z,
+    ];
+  }
+
+  // pts: [[x, y, z], ...] (normalised) -> { centre, T, radius, axisRatio } | null
+  function fitEllipsoid(pts) {
+    const N = new Array(9).fill(0).map(() => new Array(9).fill(0));
+    const rhs = new Array(9).fill(0);
+    for (const [x, y, z] of pts) {
+      const d = [x * x, y * y, z * z, 2 * x * y, 2 * x * z, 2 * y * z, 2 * x, 2 * y, 2 * z];
+      for (let r = 0; r < 9; r++) {
+        rhs[r] += d[r];
+        for (let c = r; c < 9; c++) N[r][c] += d[r] * d[c];
+      }
+    }
+    for (let r = 0; r < 9; r++) for (let c = 0; c < r; c++) N[r][c] = N[c][r];
+
+    const p = solveLinear(N, rhs);
+    if (!p) return null;
+
+    const M = [p[0], p[3], p[4], p[3], p[1], p[5], p[4], p[5], p[2]];
+    const centre = solveLinear([[M[0], M[1], M[2]], [M[3], M[4], M[5]], [M[6], M[7], M[8]]], [-p[6], -p[7], -p[8]]);
+    if (!centre) return null;
+
+    // (u − c)ᵀ (M / k) (u − c) = 1
+    const Mc = mulMat3Vec(M, centre[0], centre[1], centre[2]);
+    const k = 1 + centre[0] * Mc[0] + centre[1] * Mc[1] + centre[2] * Mc[2];
+    const { values, vectors: V } = eigenSym3(M.map((v) => v / k));
+    if (!values.every((l) => l > 0)) return null;
+
+    const semi = values.map((l) => 1 / Math.sqrt(l));
+    const radius = Math.cbrt(semi[0] * semi[1] * semi[2]);
+    const axisRatio = Math.max(...semi) / Math.min(...semi);
+
+    // T = radius · V diag(√λ) Vᵀ
+    const T = new Array(9).fill(0);
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        for (let e = 0; e < 3; e++) sum += V[3 * r + e] * Math.sqrt(values[e]) * V[3 * c + e];
+        T[3 * r + c] = radius * sum;
+      }
+    }
+    return { centre, T, radius, axisRatio };
+  }
+
+  function calibrateMagnetometer(raw, n) {
+    const mag = raw.mag;
+    if (!(mag.x?.length === n) || !mag.x.some((v) => v !== 0)) return null;
+
+    const step = Math.max(1, Math.floor(n / CFG.MAG_FIT_MAX_SAMPLES));
+    const samples = [];
+    for (let i = 0; i < n; i += step) {
+      const x = mag.x[i], y = mag.y[i], z = mag.z[i];
+      if (Number.isFinite(x + y + z)) samples.push([x, y, z]);
+    }
+
+    // Normalise: centred on the mean, unit RMS distance
+    const mean = [0, 1, 2].map((a) => samples.reduce((s, p) => s + p[a], 0) / (samples.length || 1));
+    let rms = 0;
+    for (const p of samples) rms += (p[0] - mean[0]) ** 2 + (p[1] - mean[1]) ** 2 + (p[2] - mean[2]) ** 2;
+    rms = Math.sqrt(rms / (samples.length || 1));
+
+    const toMicroTesla = (fit) => ({
+      offset: fit.centre.map((c, a) => mean[a] + rms * c),
+      softIron: fit.T,
+      fieldStrength: rms * fit.radius,
+      axisRatio: fit.axisRatio,
+    });
+    const deviationPct = (cal, p) => {
+      const [x, y, z] = mulMat3Vec(cal.softIron, p[0] - cal.offset[0], p[1] - cal.offset[1], p[2] - cal.offset[2]);
+      return (100 * (Math.sqrt(x * x + y * y + z * z) - cal.fieldStrength)) / cal.fieldStrength;
+    };
+    const fitOn = (pts) => {
+      if (pts.length < CFG.MAG_FIT_MIN_SAMPLES) return null;
+      const fit = fitEllipsoid(pts.map((p) => [(p[0] - mean[0]) / rms, (p[1] - mean[1]) / rms, (p[2] - mean[2]) / rms]));
+      return fit && fit.axisRatio <= CFG.MAG_FIT_MAX_AXIS_RATIO ? toMicroTesla(fit) : null;
+    };
+
+    let cal = rms > 0 ? fitOn(samples) : null;
+    let used = samples;
+    if (cal) {
+      // Refit once without the disturbed samples
+      const kept = samples.filter((p) => Math.abs(deviationPct(cal, p)) <= CFG.MAG_FIT_OUTLIER_PCT);
+      if (kept.length < samples.length) {
+        const refit = fitOn(kept);
+        if (refit) {
+          cal = refit;
+          used = kept;
+        }
+      }
+      cal.method = "ellipsoid";
+    } else {
+      // Hard iron only: per-axis median (as before the ellipsoid fit)
+      const offset = [0, 1, 2].map((a) => medianOf(samples.map((p) => p[a])));
+      cal = {
+        method: "hard-iron",
+        offset,
+        softIron: IDENTITY3.slice(),
+        fieldStrength: medianOf(samples.map((p) => Math.hypot(p[0] - offset[0], p[1] - offset[1], p[2] - offset[2]))),
+        axisRatio: null,
+      };
+    }
+
+    let sq = 0;
+    for (const p of used) sq += deviationPct(cal, p) ** 2;
+    cal.residualPct = used.length ? Math.sqrt(sq / used.length) : null;
+
+    const corrected = { x: new Float32Array(n), y: new Float32Array(n), z: new Float32Array(n) };
+    const [ox, oy, oz] = cal.offset;
+    for (let i = 0; i < n; i++) {
+      const [x, y, z] = mulMat3Vec(cal.softIron, mag.x[i] - ox, mag.y[i] - oy, mag.z[i] - oz);
+      corrected.x[i] = x;
+      corrected.y[i] = y;
+      corrected.z[i] = z;
+    }
+    return { ...cal, corrected };
+  }
+
+  // ============================================================
+  // Step 2e: Magnetic disturbance (steel frames, weight stacks, phones)
+  //
+  // A sample is disturbed when the calibrated field strength is off by
+  // more than MAG_DISTURBANCE_NORM_PCT, or — while the accelerometer reads
+  // about 1 g, so it shows gravity — the field's angle to gravity (dip) is
+  // off its median by more than MAG_DISTURBANCE_DIP_DEG. Flags are held
+  // MAG_DISTURBANCE_HOLD_S either side so the filter doesn't flicker
+  // between 9-DOF and 6-DOF. Disturbed samples are fused without the
+  // magnetometer (Step 3).
+  //
+  // Returns { mask: Uint8Array, intervals: [{ start, end }], seconds, pct }
+  // ============================================================
+  function detectMagDisturbance(cal, raw, tArray, sampleRateHz) {
+    const n = tArray.length;
+    const { corrected: m, fieldStrength } = cal;
+    const G = CFG.GRAVITY_MS2;
+    const RAD2DEG = 180 / Math.PI;
+
+    const dip = new Float32Array(n).fill(NaN);
+    const dips = [];
+    for (let i = 0; i < n; i++) {
+      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
+      const an = Math.sqrt(ax * ax + ay * ay + az * az);
+      const mn = Math.sqrt(m.x[i] * m.x[i] + m.y[i] * m.y[i] + m.z[i] * m.z[i]);
+      if (Math.abs(an - G) > 0.1 * G || !(mn > 0)) continue;
+      const cos = (ax * m.x[i] + ay * m.y[i] + az * m.z[i]) / (an * mn);
+      dip[i] = Math.acos(Math.max(-1, Math.min(1, cos))) * RAD2DEG;
+      if (i % Math.max(1, Math.floor(n / 5000)) === 0) dips.push(dip[i]);
+    }
+    const refDip = medianOf(dips);
+
+    const flagged = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      const mn = Math.sqrt(m.x[i] * m.x[i] + m.y[i] * m.y[i] + m.z[i] * m.z[i]);
+      const offNorm = Math.abs(mn - fieldStrength) > (CFG.MAG_DISTURBANCE_NORM_PCT / 100) * fieldStrength;
+      const offDip = Number.isFinite(dip[i]) && Number.isFinite(refDip) && Math.abs(dip[i] - refDip) > CFG.MAG_DISTURBANCE_DIP_DEG;
+      flagged[i] = offNorm || offDip ? 1 : 0;
+    }
+
+    // Hold each flag HOLD_S either side
+    const hold = Math.max(0, Math.round(CFG.MAG_DISTURBANCE_HOLD_S * sampleRateHz));
+    const mask = new Uint8Array(n);
+    let last = -Infinity;
+    for (let i = 0; i < n; i++) {
+      if (flagged[i]) last = i;
+      if (i - last <= hold) mask[i] = 1;
+    }
+    let next = Infinity;
+    for (let i = n - 1; i >= 0; i--) {
+      if (flagged[i]) next = i;
+      if (next - i <= hold) mask[i] = 1;
+    }
+
+    const intervals = [];
+    let count = 0;
+    for (let i = 0; i < n; i++) {
+      if (!mask[i]) continue;
+      const start = i;
+      while (i + 1 < n && mask[i + 1]) i++;
+      count += i - start + 1;
+      intervals.push({ start: tArray[start], end: tArray[i] });
+    }
+
+    return { mask, intervals, seconds: count / sampleRateHz, pct: (100 * count) / n };
+  }
+
+  // ============================================================
+  // Step 3: Orientation fusion
+  // Returns quaternions packed as Float32Array(4n): [w,x,y,z, w,x,y,z, ...].
+  // Uses the filter chosen for the session (self.MoveSyncFusionFilters,
+  // Madgwick when none was chosen).
+  // ============================================================
+  // magnetometer: { corrected, disturbed } from Steps 2d / 2e, or null
+  // (6-DOF throughout); fusion: { filter, params } | null
+  function runFusion(raw, sampleRateHz, report, magnetometer = null, fusion = null) {
+    const n = raw.acc.x.length;
+    const hasMag = !!magnetometer;
+    const filters = self.MoveSyncFusionFilters;
+
+    if (!filters) {
+      console.warn("[IMUProcessing] fusion-filters.js not loaded — fusion skipped.");
+      return { quaternions: null, valid: false, hasMag, filter: null, params: null };
+    }
+
+    const { filter: id, params } = filters.resolve(fusion);
+    const filter = filters.create({ filter: id, params }, { sampleRate: sampleRateHz, gravity: CFG.GRAVITY_MS2 });
+
+    // Gyro is deg/s by now (Step 2b); the filters want rad/s
+    const DEG2RAD = Math.PI / 180;
+
+    // Calibrated field (Step 2d). The Movesense mag bias is 85–161 µT vs
+    // Earth's ~50 µT signal — uncorrected, the filter fights a static offset
+    // the entire recording and drifts even when the device is stationary.
+    const mag = magnetometer?.corrected;
+    const disturbed = magnetometer?.disturbed;
+
+    const quaternions = new Float32Array(4 * n);
+
+    for (let i = 0; i < n; i++) {
+      if (i % PROGRESS_CHUNK === 0) report("fusion", i / n);
+
+      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
+
+      const gx = raw.gyro.x[i] * DEG2RAD;
+      const gy = raw.gyro.y[i] * DEG2RAD;
+      const gz = raw.gyro.z[i] * DEG2RAD;
+
+      if (hasMag && !disturbed[i]) {
+        filter.update(gx, gy, gz, ax, ay, az, mag.x[i], mag.y[i], mag.z[i]);
+      } else {
+        // 6-DOF mode (no magnetometer, or a disturbed field): pass zero magnetometer
+        filter.update(gx, gy, gz, ax, ay, az, 0, 0, 0);
+      }
+
+      const q = filter.getQuaternion(); // [w, x, y, z]
+      quaternions[4 * i]     = q[0];
+      quaternions[4 * i + 1] = q[1];
+      quaternions[4 * i + 2] = q[2];
+      quaternions[4 * i + 3] = q[3];
+    }
+
+    return { quaternions, valid: true, hasMag, filter: id, params };
+  }
+
+  // ============================================================
+  // Step 4: Gravity removal + world-frame linear acceleration
+  //
+  // For each sample:
+  //   1. World up is [0, 0, 1]; at rest the accelerometer reads +1 g on it
+  //   2. Rotate it into body frame using conjugate of quaternion
+  //   3. Subtract from raw accelerometer reading → linear accel in body frame
+  //   4. Rotate result back to world frame for integration
+  //
+  // Returns linear accel in m/s² in world frame.
+  // ============================================================
+  function removeGravity(raw, quaternions, n, report) {
+    const G = CFG.GRAVITY_MS2;
+
+    const lx = new Float32Array(n);
+    const ly = new Float32Array(n);
+    const lz = new Float32Array(n);
+
+    for (let i = 0; i < n; i++) {
+      if (i % PROGRESS_CHUNK === 0) report("gravity", i / n);
+
+      const k = 4 * i;
+      const qw = quaternions[k], qx = quaternions[k + 1], qy = quaternions[k + 2], qz = quaternions[k + 3];
+
+      // World up in body frame (rotate [0,0,1] by conjugate quaternion):
+      // what the accelerometer reads at rest, in g
+      const gxB = 2 * (qx * qz - qw * qy);
+      const gyB = 2 * (qw * qx + qy * qz);
+      const gzB = qw * qw - qx * qx - qy * qy + qz * qz;
+
+      // Raw accel in m/s2 -- subtract gravity component (scaled to m/s2)
+      const ax = raw.acc.x[i] - gxB * G;
+      const ay = raw.acc.y[i] - gyB * G;
+      const az = raw.acc.z[i] - gzB * G;
+
+      // Rotate linear accel into world frame
+      // Rotate vector v by quaternion q: v' = q * v * q*
+      const ix = qw * ax + qy * az - qz * ay;
+      const iy = qw * ay + qz * ax - qx * az;
+      const iz = qw * az + qx * ay - qy * ax;
+      const iw = -qx * ax - qy * ay - qz * az;
+
+      lx[i] = (ix * qw + iw * (-qx) + iy * (-qz) - iz * (-qy));
+      ly[i] = (iy * qw + iw * (-qy) + iz * (-qx) - ix * (-qz));
+      lz[i] = (iz * qw + iw * (-qz) + ix * (-qy) - iy * (-qx));
+    }
+
+    return { x: lx, y: ly, z: lz };
+  }
+
+  // ============================================================
+  // Step 5: ZUPT detection + velocity/displacement integration
+  //
+  // Strategy:
+  // - Scan for windows where the sensor is stationary (low gyro + accel ≈ 1g)
+  // - At each ZUPT: reset velocity to zero
+  // - Between ZUPTs: trapezoidal integration of linear acceleration
+  //
+  // still: stillness mask from Step 2c (detectStillness)
+  //
+  // Returns velocity (m/s) and displacement (m) arrays in world frame,
+  // plus scalar speed and total distance.
+  // ============================================================
+  function integrateWithZUPT(linear, still, tArray) {
+    const n = tArray.length;
+
+    // Collect ZUPT events (start index of each confirmed still region)
+    const zuptEvents = [];
+    let inZupt = false;
+    for (let i = 0; i < n; i++) {
+      if (still[i] && !inZupt) {
+        zuptEvents.push({ index: i, t: tArray[i] });
+        inZupt = true;
+      } else if (!still[i]) {
+        inZupt = false;
+      }
+    }
+
+    // --- Integration ---
+    const vx = new Float32Array(n);
+    const vy = new Float32Array(n);
+    const vz = new Float32Array(n);
+    const dx = new Float32Array(n);
+    const dy = new Float32Array(n);
+    const dz = new Float32Array(n);
+
+    // Start with zero velocity
+    vx[0] = 0; vy[0] = 0; vz[0] = 0;
+    dx[0] = 0; dy[0] = 0; dz[0] = 0;
+
+    for (let i = 1; i < n; i++) {
+      const dt = tArray[i] - tArray[i - 1];
+      if (dt <= 0 || dt > 0.5) {
+        // Skip bad intervals (gaps in data)
+        vx[i] = vx[i-1]; vy[i] = vy[i-1]; vz[i] = vz[i-1];
+        dx[i] = dx[i-1]; dy[i] = dy[i-1]; dz[i] = dz[i-1];
+        continue;
+      }
+
+      // ZUPT: reset velocity if confirmed still
+      if (still[i]) {
+        vx[i] = 0; vy[i] = 0; vz[i] = 0;
+      } else {
+        // Trapezoidal integration: v[i] = v[i-1] + 0.5*(a[i-1]+a[i])*dt
+        vx[i] = vx[i-1] + 0.5 * (linear.x[i-1] + linear.x[i]) * dt;
+        vy[i] = vy[i-1] + 0.5 * (linear.y[i-1] + linear.y[i]) * dt;
+        vz[i] = vz[i-1] + 0.5 * (linear.z[i-1] + linear.z[i]) * dt;
+      }
+
+      // Integrate velocity → displacement (trapezoidal)
+      dx[i] = dx[i-1] + 0.5 * (vx[i-1] + vx[i]) * dt;
+      dy[i] = dy[i-1] + 0.5 * (vy[i-1] + vy[i]) * dt;
+      dz[i] = dz[i-1] + 0.5 * (vz[i-1] + vz[i]) * dt;
+    }
+
+    // Scalar speed
+    const speed = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      speed[i] = Math.sqrt(vx[i]*vx[i] + vy[i]*vy[i] + vz[i]*vz[i]);
+    }
+
+    // Cumulative path length (total distance travelled, not displacement)
+    const totalDistance = new Float32Array(n);
+    totalDistance[0] = 0;
+    for (let i = 1; i < n; i++) {
+      const ddx = dx[i] - dx[i-1];
+      const ddy = dy[i] - dy[i-1];
+      const ddz = dz[i] - dz[i-1];
+      totalDistance[i] = totalDistance[i-1] + Math.sqrt(ddx*ddx + ddy*ddy + ddz*ddz);
+    }
+
+    return {
+      velocityX: vx, velocityY: vy, velocityZ: vz,
+      displacementX: dx, displacementY: dy, displacementZ: dz,
+      speed,
+      totalDistance,
+      zuptEvents,
+      stillnessMask: still,
+    };
+  }
+
+  // ============================================================
+  // Step 6: Jerk (central difference derivative of accel magnitude)
+  // ============================================================
+  function computeJerk(accelMag, tArray) {
+    const n = accelMag.length;
+    const jerk = new Float32Array(n);
+
+    for (let i = 1; i < n - 1; i++) {
+      const dt = tArray[i + 1] - tArray[i - 1];
+      if (dt > 0) {
+        jerk[i] = (accelMag[i + 1] - accelMag[i - 1]) / dt;
+      }
+    }
+    // Edges: forward/backward difference
+    if (n > 1) {
+      const dt0 = tArray[1] - tArray[0];
+      jerk[0] = dt0 > 0 ? (accelMag[1] - accelMag[0]) / dt0 : 0;
+      const dtN = tArray[n-1] - tArray[n-2];
+      jerk[n-1] = dtN > 0 ? (accelMag[n-1] - accelMag[n-2]) / dtN : 0;
+    }
+
+    return jerk;
+  }
+
+  // ============================================================
+  // Step 7: Euler angles from quaternions
+  // ============================================================
+  function computeEuler(quaternions) {
+    const n = quaternions.length / 4;
+    const roll  = new Float32Array(n);
+    const pitch = new Float32Array(n);
+    const yaw   = new Float32Array(n);
+    const RAD2DEG = 180 / Math.PI;
+
+    for (let i = 0; i < n; i++) {
+      const k = 4 * i;
+      const qw = quaternions[k], qx = quaternions[k + 1], qy = quaternions[k + 2], qz = quaternions[k + 3];
+
+      const sinr = 2 * (qw * qx + qy * qz);
+      const cosr = 1 - 2 * (qx * qx + qy * qy);
+      roll[i] = Math.atan2(sinr, cosr) * RAD2DEG;
+
+      const sinp = 2 * (qw * qy - qz * qx);
+      pitch[i] = (Math.abs(sinp) >= 1
+        ? Math.sign(sinp) * 90
+        : Math.asin(sinp) * RAD2DEG);
+
+      const siny = 2 * (qw * qz + qx * qy);
+      const cosy = 1 - 2 * (qy * qy + qz * qz);
+      yaw[i] = Math.atan2(siny, cosy) * RAD2DEG;
+    }
+
+    return { roll, pitch, yaw };
+  }
+
+  // ============================================================
+  // Step 8: Session summary statistics
+  // ============================================================
+  function computeSummary(derived, motion, euler) {
+    function maxAbs(arr) {
+      let m = 0;
+      for (let i = 0; i < arr.length; i++) {
+        const v = Math.abs(arr[i]);
+        if (v > m) m = v;
+      }
+      return m;
+    }
+
+    function max(arr) {
+      let m = -Infinity;
+      for (let i = 0; i < arr.length; i++) if (arr[i] > m) m = arr[i];
+      return m;
+    }
+
+    function mean(arr) {
+      let s = 0;
+      for (let i = 0; i < arr.length; i++) s += arr[i];
+      return s / arr.length;
+    }
+
+    // Range of motion: max - min for each euler angle (degrees), after
+    // the fusion warm-up
+    const settled = Math.min(CFG.FUSION_WARMUP_SAMPLES, Math.max(0, (euler?.roll.length || 0) - 1));
+    function range(arr) {
+      let mn = Infinity, mx = -Infinity;
+      for (let i = settled; i < arr.length; i++) {
+        if (arr[i] < mn) mn = arr[i];
+        if (arr[i] > mx) mx = arr[i];
+      }
+      return mx - mn;
+    }
+
+    // Total rotation: integral of gyro magnitude over session
+    // (this is already in derived.gyroMagnitude which is in deg/s)
+    // We sum |gyro| * dt, but we don't have dt here directly —
+    // approximate as gyroMagnitude sum / sampleRate
+    // (caller passes sampleRate separately if needed; skip for summary)
+
+    return {
+      peakAccel:       max(derived.accelMagnitude),           // g
+      peakLinearAccel: max(derived.linearMagnitude),          // m/s²
+      peakGyro:        max(derived.gyroMagnitude),            // deg/s
+      peakJerk:        maxAbs(derived.jerk),                  // g/s
+      peakSpeed:       max(motion.speed),                     // m/s
+      totalDistance:   motion.totalDistance[motion.totalDistance.length - 1] || 0, // m
+      meanAccel:       mean(derived.accelMagnitude),          // g
+      rollRange:       euler ? range(euler.roll)  : null,     // degrees
+      pitchRange:      euler ? range(euler.pitch) : null,
+      yawRange:        euler ? range(euler.yaw)   : null,
+      zuptCount:       motion.zuptEvents.length,
+    };
+  }
+
+  // ============================================================
+  // Step 9: Subject-scaled metrics (needs a roster subject)
+  //
+  // Power: P = m · (a · v) with world-frame linear acceleration and ZUPT
+  // velocity; only positive (propulsive) samples while moving count.
+  //
+  // Stride length: inverted pendulum model (Zijlstra & Hof, 2003) for a
+  // sensor near the pelvis. Per step, the vertical excursion h of the
+  // sensor gives step = 2·√(2·l·h − h²) with l = leg length.
+  // ============================================================
+  function detectSteps(accelMagSmooth, tArray) {
+    const n = tArray.length;
+    const steps = [];
+
+    for (let i = 1; i < n - 1; i++) {
+      const v = accelMagSmooth[i];
+      if (v < CFG.STEP_PEAK_MIN_G || v < accelMagSmooth[i - 1] || v < accelMagSmooth[i + 1]) continue;
+
+      const last = steps[steps.length - 1];
+      if (last !== undefined && tArray[i] - tArray[last] < CFG.STEP_MIN_INTERVAL_S) {
+        // Keep the higher of two peaks that are too close together
+        if (v > accelMagSmooth[last]) steps[steps.length - 1] = i;
+        continue;
+      }
+      steps.push(i);
+    }
+
+    return steps;
+  }
+
+  // Vertical excursion between two foot strikes: integrate linear.z twice,
+  // removing the velocity drift so the step starts and ends at rest (vertically).
+  function stepExcursion(linearZ, tArray, a, b) {
+    let v = 0;
+    const vel = [0];
+    for (let i = a + 1; i <= b; i++) {
+      v += 0.5 * (linearZ[i - 1] + linearZ[i]) * (tArray[i] - tArray[i - 1]);
+      vel.push(v);
+    }
+
+    const T = tArray[b] - tArray[a];
+    if (!(T > 0)) return null;
+    const drift = vel[vel.length - 1] / T;
+
+    let pos = 0, mn = 0, mx = 0;
+    for (let i = a + 1; i <= b; i++) {
+      const k = i - a;
+      const v0 = vel[k - 1] - drift * (tArray[i - 1] - tArray[a]);
+      const v1 = vel[k] - drift * (tArray[i] - tArray[a]);
+      pos += 0.5 * (v0 + v1) * (tArray[i] - tArray[i - 1]);
+      if (pos < mn) mn = pos;
+      if (pos > mx) mx = pos;
+    }
+    return mx - mn;
+  }
+
+  function computeSubjectMetrics({ subject, linear, motion, derived, tArr, fusionValid }) {
+    const out = { peakPower: null, meanPower: null, strideLength: null, stepCount: null };
+    if (!subject || !fusionValid) return out;
+
+    const n = tArr.length;
+
+    // --- Power (W) ---
+    if (Number.isFinite(subject.massKg)) {
+      let peak = 0, sum = 0, count = 0;
+      for (let i = 0; i < n; i++) {
+        if (motion.stillnessMask[i]) continue;
+        const p = subject.massKg * (
+          linear.x[i] * motion.velocityX[i] +
+          linear.y[i] * motion.velocityY[i] +
+          linear.z[i] * motion.velocityZ[i]
+        );
+        if (p <= 0) continue;
+        if (p > peak) peak = p;
+        sum += p;
+        count++;
+      }
+      if (count) {
+        out.peakPower = peak;
+        out.meanPower = sum / count;
+      }
+    }
+
+    // --- Stride length (m) ---
+    const l = subject.legLengthM;
+    if (Number.isFinite(l) && l > 0) {
+      const steps = detectSteps(derived.accelMagnitudeSmooth, tArr);
+      const lengths = [];
+
+      for (let k = 1; k < steps.length; k++) {
+        const a = steps[k - 1], b = steps[k];
+        const dt = tArr[b] - tArr[a];
+        if (dt > CFG.STEP_MAX_INTERVAL_S) continue;
+
+        const h = stepExcursion(linear.z, tArr, a, b);
+        if (!Number.isFinite(h) || h <= 0 || h >= l) continue;
+        lengths.push(2 * Math.sqrt(2 * l * h - h * h));
+      }
+
+      if (lengths.length >= CFG.STEP_MIN_COUNT) {
+        const meanStep = lengths.reduce((acc, x) => acc + x, 0) / lengths.length;
+        out.strideLength = 2 * meanStep; // one stride = two steps
+        out.stepCount = lengths.length;
+      }
+    }
+
+    return out;
+  }
+
+  // ============================================================
+  // Step 9b: Rhythm (cadence / reps, any movement)
+  //
+  // Peaks of the smoothed accel magnitude above mean + RHYTHM_PEAK_STD
+  // std, each the highest within RHYTHM_MIN_INTERVAL_S; the cadence is
+  // from the median interval. Gait events, when there are any, give the
+  // better cadence for walking / running.
+  // ============================================================
+  function detectRhythm(accelMagSmooth, tArray, sampleRate) {
+    const n = accelMagSmooth.length;
+    if (!(sampleRate > 0) || n < sampleRate * CFG.RHYTHM_MIN_DURATION_S) return null;
+
+    let sum = 0, sum2 = 0;
+    for (let i = 0; i < n; i++) { sum += accelMagSmooth[i]; sum2 += accelMagSmooth[i] ** 2; }
+    const mean = sum / n;
+    const std = Math.sqrt(Math.max(0, sum2 / n - mean ** 2));
+    const thr = mean + CFG.RHYTHM_PEAK_STD * std;
+    const minSep = Math.max(1, Math.round(sampleRate * CFG.RHYTHM_MIN_INTERVAL_S));
+
+    const peaks = [];
+    for (let i = minSep; i < n - minSep; i++) {
+      if (accelMagSmooth[i] < thr) continue;
+      let ok = true;
+      for (let j = i - minSep; j <= i + minSep; j++) {
+        if (j !== i && accelMagSmooth[j] >= accelMagSmooth[i]) { ok = false; break; }
+      }
+      if (ok) peaks.push(i);
+    }
+    if (peaks.length < 2) return null;
+
+    const intervals = [];
+    for (let k = 1; k < peaks.length; k++) intervals.push(tArray[peaks[k]] - tArray[peaks[k - 1]]);
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
+    if (!Number.isFinite(median) || median <= 0) return null;
+
+    return { cadence: 60 / median, repCount: peaks.length, meanRepTime: median };
+  }
+
+  // ============================================================
+  // Main entry point: process
+  //
+  // @param input  — typed arrays built by MoveSyncIMUProcessing.toInput()
+  //                 { t:Float64Array, acc/gyro/mag:{x,y,z}:Float32Array,
+  //                   synthHz, units:{acc,gyro,mag}, axes, resample, timeline,
+  //                   sensorCalibration, hasGyro }
+  //                 (mag arrays may be empty; units: the declared unit the
+  //                 values were converted from, null = guess; axes: "right" |
+  //                 "left"; resample: { method: "linear" | "spline", rate }
+  //                 or null; timeline: { start, end, rate } of aligned IMUs,
+  //                 t already on it, or null; sensorCalibration: { acc: {
+  //                 bias: [x, y, z] m/s², scale: [x, y, z] } } saved for the
+  //                 device, or null; fusion: { filter, params } or null;
+  //                 settings: { overrides: { KEY: number }, source:
+  //                 "session" | "preset" | "default", preset: name | null }
+  //                 or null, see SETTINGS)
+  // @param options.subject — body parameters from
+  //                 MoveSyncSessionStore.getSubjectBody() (optional)
+  // @param options.onProgress — ({ stage, progress }) callback, progress 0..1
+  // @returns ProcessedSession object (raw/t are the input arrays, raw
+  //          rescaled in place to m/s², deg/s, µT on right-handed axes)
+  // ============================================================
+  function process(input, options = {}) {
+    // The session's settings apply to this run only
+    const settings = resolveSettings(input.settings?.overrides);
+    const defaults = { ...CFG };
+    Object.assign(CFG, settings.cfg);
+    try {
+      return run(input, options, settings);
+    } finally {
+      Object.assign(CFG, defaults);
+    }
+  }
+
+  function run(input, { subject = null, onProgress = null } = {}, settings) {
+    const report = makeProgress(onProgress);
+    report("prepare", 0);
+
+    // Resampled onto a uniform grid when asked (gaps get interpolated);
+    // aligned IMUs always go onto the common timeline, linear by default
+    const timeline = input.timeline || null;
+    const asked = input.resample?.method;
+    const method = timeline && (!asked || asked === "none") ? "linear" : asked;
+    const grid = method && method !== "none" && self.MoveSyncImuTiming
+      ? self.MoveSyncImuTiming.resample(input, timeline ? { method, ...timeline } : input.resample)
+      : null;
+    const src = grid || input;
+
+    const tArr = src.t;
+    const n = tArr.length;
+
+    if (!n || n < 10) {
+      console.warn("[IMUProcessing] Not enough samples to process.");
+      return null;
+    }
+
+    // If the IMU panel synthesised timestamps it records the exact rate used.
+    // Skip detection in that case — the synthesised rate is already correct
+    // (as is the grid's after resampling).
+    const sampleRate = grid
+      ? grid.rate
+      : (Number.isFinite(input.synthHz) && input.synthHz >= 1)
+        ? input.synthHz
+        : detectSampleRate(tArr);
+
+    const raw = { acc: src.acc, gyro: src.gyro, mag: src.mag };
+
+    // --- Units + axis convention (declared, else guessed; checked) ---
+    const { units, warnings } = resolveUnits(raw, input.units || {}, input.axes === "left" ? "left" : "right", sampleRate);
+
+    // --- Gyroscope present? Without one there is no orientation, so no
+    // gravity removal, speed, distance or range of motion ---
+    const hasGyro = input.hasGyro !== false && hasFiniteSample(raw.gyro, n);
+    if (!hasGyro) {
+      warnings.push({
+        code: "no-gyro",
+        message: "No gyroscope in this recording: orientation, range of motion, speed and distance are not computed.",
+      });
+    }
+
+    // --- Sensor calibration (device accel bias/scale, gyro bias at rest) ---
+    const calibration = calibrateSensors(raw, n, sampleRate, input.sensorCalibration?.acc || null);
+
+    // --- Magnetometer: hard + soft iron, disturbed samples ---
+    const magCal = calibrateMagnetometer(raw, n);
+    const disturbance = magCal ? detectMagDisturbance(magCal, raw, tArr, sampleRate) : null;
+    report("prepare", 1);
+
+    // --- Orientation fusion --- runs exactly once per session load
+    report("fusion", 0);
+    const fusionResult = hasGyro
+      ? runFusion(
+          raw,
+          sampleRate,
+          report,
+          magCal ? { corrected: magCal.corrected, disturbed: disturbance.mask } : null,
+          input.fusion || null
+        )
+      : { quaternions: null, valid: false, hasMag: !!magCal, filter: null, params: null };
+
+    const { quaternions, valid: fusionValid, hasMag } = fusionResult;
+
+    // --- Euler angles ---
+    const euler = fusionValid ? computeEuler(quaternions) : null;
+
+    // --- Raw accel magnitude in g (raw data is m/s², divide by G) ---
+    const accelMagnitude = new Float32Array(n);
+    const _gInv = 1 / CFG.GRAVITY_MS2;
+    for (let i = 0; i < n; i++) {
+      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
+      accelMagnitude[i] = Math.sqrt(ax*ax + ay*ay + az*az) * _gInv;
+    }
+
+    // --- Gyro magnitude (deg/s) ---
+    const gyroMagnitude = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const gx = raw.gyro.x[i], gy = raw.gyro.y[i], gz = raw.gyro.z[i];
+      gyroMagnitude[i] = Math.sqrt(gx*gx + gy*gy + gz*gz);
+    }
+
+    // --- Linear acceleration (gravity removed, world frame, m/s²) ---
+    let linear, linearMagnitude, linearMagnitudeSmooth;
+    if (fusionValid) {
+      report("gravity", 0);
+      linear = removeGravity(raw, quaternions, n, report);
+      report("filters", 0);
+
+      linearMagnitude = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        const lx = linear.x[i], ly = linear.y[i], lz = linear.z[i];
+        linearMagnitude[i] = Math.sqrt(lx*lx + ly*ly + lz*lz);
+      }
+
+      linearMagnitudeSmooth = lowPass(linearMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
+
+      // Filter each axis at a lower cutoff before integration.
+      // Double integration squares any residual noise, so a tighter filter
+      // here dramatically reduces velocity/distance drift during movement.
+      linear = {
+        x: lowPass(linear.x, sampleRate, CFG.LP_INTEGRATION_HZ),
+        y: lowPass(linear.y, sampleRate, CFG.LP_INTEGRATION_HZ),
+        z: lowPass(linear.z, sampleRate, CFG.LP_INTEGRATION_HZ),
+      };
+    } else {
+      report("filters", 0);
+      // Fallback: use raw accel magnitude converted to m/s² as rough approximation
+      // accelMagnitude is now in g, so multiply by G to get m/s²
+      linear = { x: new Float32Array(n), y: new Float32Array(n), z: new Float32Array(n) };
+      linearMagnitude = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        linearMagnitude[i] = accelMagnitude[i] * CFG.GRAVITY_MS2;
+      }
+      linearMagnitudeSmooth = lowPass(linearMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
+    }
+
+    // --- Smoothed signals (single low-pass pass) ---
+    const accelMagnitudeSmooth = lowPass(accelMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
+    const gyroMagnitudeSmooth  = lowPass(gyroMagnitude,  sampleRate, CFG.LP_CUTOFF_HZ);
+
+    // --- Jerk (on smoothed accel magnitude, in g/s) ---
+    const jerk = computeJerk(accelMagnitudeSmooth, tArr);
+
+    // --- ZUPT + integration ---
+    report("motion", 0);
+    const motion = integrateWithZUPT(linear, calibration.still, tArr);
+
+    // --- Derived object ---
+    const derived = {
+      accelMagnitude,
+      accelMagnitudeSmooth,
+      gyroMagnitude,
+      gyroMagnitudeSmooth,
+      linearMagnitude,
+      linearMagnitudeSmooth,
+      jerk,
+    };
+
+    // --- Summary ---
+    report("summary", 0);
+    const summary = computeSummary(derived, motion, euler);
+    summary.sampleRate = sampleRate;
+    summary.duration = tArr[n - 1] - tArr[0];
+    summary.frameCount = n;
+    summary.fusionValid = fusionValid;
+    summary.hasMag = hasMag;
+
+    // Without orientation the integration has no linear acceleration to
+    // work on: no speed or distance rather than zeros
+    if (!fusionValid) {
+      summary.peakSpeed = null;
+      summary.totalDistance = null;
+    }
+    if (!hasGyro) summary.peakGyro = null;
+
+    // --- Subject-scaled metrics (null without a subject) ---
+    Object.assign(summary, computeSubjectMetrics({ subject, linear, motion, derived, tArr, fusionValid }));
+
+    // --- Rhythm (cadence / reps from accel peaks, null without) ---
+    const rhythm = detectRhythm(accelMagnitudeSmooth, tArr, sampleRate);
+
+    // --- Gait (shank / foot IMUs, null otherwise) ---
+    const gait = detectGait(input.gait, tArr, raw.gyro, sampleRate, grid && timeline ? timeline : null);
+
+    // --- Jumps (flights in the smoothed accel magnitude, null without) ---
+    const jumps = self.MoveSyncImuJump?.detect(tArr, accelMagnitudeSmooth, sampleRate, {
+      raw: accelMagnitude,
+      massKg: Number.isFinite(subject?.massKg) ? subject.massKg : null,
+    }) ?? null;
+
+    // --- Range of motion per rep (Euler angles, null without fusion) ---
+    const rom = euler ? analyzeRom(tArr, euler, sampleRate) : null;
+
+    const tuned = Object.keys(settings.overrides).length > 0;
+
+    const processed = {
+      // Meta
+      sampleRate,
+      duration: summary.duration,
+      frameCount: n,
+      t: tArr,
+
+      // Raw typed arrays
+      raw,
+
+      // Sensor fusion; filter / params: the orientation filter it ran with
+      fusion: {
+        quaternions,
+        euler,
+        valid: fusionValid,
+        hasMag,
+        filter: fusionResult.filter,
+        params: fusionResult.params,
+      },
+
+      // Gravity-removed linear acceleration (world frame, m/s²)
+      linear,
+
+      // Derived scalar arrays
+      derived,
+
+      // Velocity, speed, displacement
+      motion,
+
+      // Session-level summary
+      summary,
+
+      // Body parameters used for the subject-scaled metrics (or null)
+      subject,
+
+      // Cadence / reps from accel peaks { cadence (per min), repCount,
+      // meanRepTime (s) }, or null (see detectRhythm)
+      rhythm,
+
+      // Gait events and stride metrics, or null (see detectGait)
+      gait,
+
+      // Vertical jumps: MoveSyncImuJump.detect() { jumps, best, summary },
+      // or null when the sensor never left the ground
+      jumps,
+
+      // Range of motion: MoveSyncImuRom.analyze() over roll / pitch / yaw
+      // { primary, planes, reps }, or null without orientation
+      rom,
+
+      // Uniform grid the data was resampled onto, or null
+      resampled: grid ? { method, rate: grid.rate } : null,
+
+      // Common timeline of the session's aligned IMUs (t is on it), or null
+      timeline: grid && timeline ? { ...timeline } : null,
+
+      // Corrections applied to raw: { acc: { bias, scale } (device
+      // calibration) | null, gyroBias: { x, y, z, stillSeconds } | null }
+      sensorCalibration: { acc: calibration.acc, gyroBias: calibration.gyroBias },
+
+      // Magnetometer calibration + disturbance, or null without a mag:
+      // { method: "ellipsoid" | "hard-iron", offset, softIron, fieldStrength,
+      //   residualPct, axisRatio, corrected: {x,y,z}, disturbed: Uint8Array,
+      //   intervals: [{ start, end }], disturbedSeconds, disturbedPct }
+      magnetometer: magCal
+        ? {
+            ...magCal,
+            disturbed: disturbance.mask,
+            intervals: disturbance.intervals,
+            disturbedSeconds: disturbance.seconds,
+            disturbedPct: disturbance.pct,
+          }
+        : null,
+
+      // Units the raw data was read in, and where the data contradicts
+      // them (or the declared axes): [{ code, message }]
+      units,
+      warnings,
+
+      // What produced these numbers: pipeline version, every CFG value
+      // (overrides: the ones the session or preset changed), filter,
+      // resampling. Saved on the IMU entry and exported with the project.
+      provenance: {
+        pipelineVersion: PIPELINE_VERSION,
+        processedAt: new Date().toISOString(),
+        source: tuned ? input.settings?.source || "session" : "default",
+        preset: tuned ? input.settings?.preset || null : null,
+        settings: settings.cfg,
+        overrides: settings.overrides,
+        fusion: { filter: fusionResult.filter, params: fusionResult.params },
+        resampled: grid ? { method, rate: grid.rate } : null,
+        sampleRate,
+      },
+    };
+
+    report("summary", 1);
+    return processed;
+  }
+
+  // ============================================================
+  // Range of motion (app/core/imu-rom.js)
+  // ============================================================
+  // Roll and yaw wrap at ±180°; pitch stays within ±90°. The fusion
+  // warm-up is left out, as for the summary ranges. Reps are found on
+  // roll or pitch only: yaw drifts with heading without a magnetometer,
+  // and that drift would win as the plane that moves most.
+  function analyzeRom(tArr, euler, sampleRate) {
+    const romLib = self.MoveSyncImuRom;
+    if (!romLib) return null;
+    const from = Math.min(CFG.FUSION_WARMUP_SAMPLES, Math.max(0, tArr.length - 1));
+    return romLib.analyze(
+      tArr.subarray(from),
+      { roll: euler.roll.subarray(from), pitch: euler.pitch.subarray(from), yaw: euler.yaw.subarray(from) },
+      { sampleRate, wrap: ["roll", "yaw"], candidates: ["roll", "pitch"] }
+    );
+  }
+
+  // ============================================================
+  // Gait (app/core/imu-gait.js)
+  //
+  // input.gait: { leg, others } from the IMU panel, or null when no IMU
+  // of the session sits on a shank or foot. leg: this IMU's ("left" |
+  // "right" | null); others: the events the session's other leg IMUs
+  // saved, [{ leg, ic, to, timeline }].
+  //
+  // -> { leg, events: { axis, sign, ic, to } | null (this IMU's),
+  //      timeline, session: MoveSyncImuGait.analyze() of every leg | null }
+  //    or null when neither found a stride
+  // ============================================================
+  function detectGait(gaitInput, tArr, gyro, sampleRate, timeline) {
+    const gaitLib = self.MoveSyncImuGait;
+    if (!gaitLib || !gaitInput) return null;
+
+    const leg = gaitLib.LEGS.includes(gaitInput.leg) ? gaitInput.leg : null;
+    const events = leg ? gaitLib.detectEvents(tArr, gyro, sampleRate) : null;
+
+    // This IMU's events replace whatever its leg saved before
+    const legs = (gaitInput.others || []).filter((o) => o.leg !== leg || !events);
+    if (events) legs.unshift({ leg, ic: events.ic, to: events.to, timeline });
+    const session = gaitLib.analyze(legs);
+
+    if (!events && !session) return null;
+    return { leg, events, timeline, session };
+  }
+
+  // ============================================================
+  // Fast cursor lookup
+  // Returns all metric values at a given IMU time t (seconds).
+  // This is called on every cursor/video frame update — must be fast.
+  // ============================================================
+  function getValuesAtTime(processed, t) {
+    if (!processed) return null;
+
+    const i = nearestIndex(processed.t, t);
+    if (i < 0) return null;
+
+    const d = processed.derived;
+    const m = processed.motion;
+    const e = processed.fusion.euler;
+    const r = processed.raw;
+
+    return {
+      // Time
+      t: processed.t[i],
+      index: i,
+
+      // Raw sensor values
+      accelX: r.acc.x[i], accelY: r.acc.y[i], accelZ: r.acc.z[i],
+      gyroX:  r.gyro.x[i], gyroY: r.gyro.y[i], gyroZ: r.gyro.z[i],
+
+      // Magnitude (g)
+      accelMagnitude:       d.accelMagnitude[i],
+      accelMagnitudeSmooth: d.accelMagnitudeSmooth[i],
+
+      // Angular velocity (deg/s)
+      gyroMagnitude:        d.gyroMagnitude[i],
+      gyroMagnitudeSmooth:  d.gyroMagnitudeSmooth[i],
+
+      // Linear acceleration (m/s², gravity removed)
+      linearAccelX: processed.linear.x[i],
+      linearAccelY: processed.linear.y[i],
+      linearAccelZ: processed.linear.z[i],
+      linearMagnitude:       d.linearMagnitude[i],
+      linearMagnitudeSmooth: d.linearMagnitudeSmooth[i],
+
+      // Jerk (g/s)
+      jerk: d.jerk[i],
+
+      // Orientation (degrees) — null if fusion not valid
+      roll:  e ? e.roll[i]  : null,
+      pitch: e ? e.pitch[i] : null,
+      yaw:   e ? e.yaw[i]   : null,
+
+      // Motion (m/s, m)
+      speed:           m.speed[i],
+      velocityX:       m.velocityX[i],
+      velocityY:       m.velocityY[i],
+      velocityZ:       m.velocityZ[i],
+      displacementX:   m.displacementX[i],
+      displacementY:   m.displacementY[i],
+      displacementZ:   m.displacementZ[i],
+      totalDistance:   m.totalDistance[i],
+
+      // Stillness
+      isStill: processed.motion.stillnessMask[i] === 1,
+    };
+  }
+
+  // ============================================================
+  // Compute metrics over a time window [tStart, tEnd]
+  // Used for timestamp-range metric display in the analysis panel.
+  // ============================================================
+  function getWindowMetrics(processed, tStart, tEnd) {
+    if (!processed) return null;
+
+    const iStart = nearestIndex(processed.t, tStart);
+    const iEnd   = nearestIndex(processed.t, tEnd);
+    if (iStart < 0 || iEnd <= iStart) return null;
+
+    const d = processed.derived;
+    const m = processed.motion;
+    const e = processed.fusion.euler;
+
+    function sliceMax(arr, a, b) {
+      let mx = -Infinity;
+      for (let i = a; i <= b; i++) if (arr[i] > mx) mx = arr[i];
+      return mx;
+    }
+
+    function sliceMin(arr, a, b) {
+      let mn = Infinity;
+      for (let i = a; i <= b; i++) if (arr[i] < mn) mn = arr[i];
+      return mn;
+    }
+
+    function sliceMean(arr, a, b) {
+      let s = 0;
+      for (let i = a; i <= b; i++) s += arr[i];
+      return s / (b - a + 1);
+    }
+
+    function sliceRange(arr, a, b) {
+      return sliceMax(arr, a, b) - sliceMin(arr, a, b);
+    }
+
+    const duration = processed.t[iEnd] - processed.t[iStart];
+
+    return {
+      duration,                          // s
+      peakAccel:       sliceMax(d.accelMagnitude, iStart, iEnd),       // g
+      peakLinearAccel: sliceMax(d.linearMagnitude, iStart, iEnd),      // m/s²
+      peakGyro:        sliceMax(d.gyroMagnitude, iStart, iEnd),        // deg/s
+      peakJerk:        sliceMax(d.jerk.map(Math.abs), iStart, iEnd),   // g/s
+      peakSpeed:       sliceMax(m.speed, iStart, iEnd),                // m/s
+      meanAccel:       sliceMean(d.accelMagnitude, iStart, iEnd),      // g
+      meanSpeed:       sliceMean(m.speed, iStart, iEnd),               // m/s
+      distanceTravelled: m.totalDistance[iEnd] - m.totalDistance[iStart], // m
+      rollRange:   e ? sliceRange(e.roll,  iStart, iEnd) : null,       // degrees
+      pitchRange:  e ? sliceRange(e.pitch, iStart, iEnd) : null,
+      yawRange:    e ? sliceRange(e.yaw,   iStart, iEnd) : null,
+    };
+  }
+
+  // ============================================================
+  // Transfer list: every distinct ArrayBuffer under obj
+  // ============================================================
+  function collectTransferables(obj) {
+    const out = new Set();
+    (function walk(v) {
+      if (!v || typeof v !== "object") return;
+      if (ArrayBuffer.isView(v)) out.add(v.buffer);
+      else for (const child of Object.values(v)) walk(child);
+    })(obj);
+    return [...out];
+  }
+
+  // ============================================================
+  // Public API
+  // ============================================================
+  self.MoveSyncIMUPipeline = {
+    process,
+    resolveSettings,
+    runFusion,
+    computeEuler,
+    getValuesAtTime,
+    getWindowMetrics,
+    detectSampleRate,
+    collectTransferables,
+    STAGES,
+    CFG,
+    SETTINGS,
+    PIPELINE_VERSION,
+  };
+
+})();
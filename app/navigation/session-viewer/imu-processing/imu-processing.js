@@ -1,795 +1,278 @@
 // =======================================
-// MoveSync — IMU Processing Pipeline
-// File: app/navigation/session-viewer/imu-processing.js
+// MoveSync — IMU Processing (job controller)
+// File: app/navigation/session-viewer/imu-processing/imu-processing.js
 //
 // Responsibilities:
-// - Detect sample rate from time column (median dt method)
-// - Run Madgwick sensor fusion to produce quaternions per sample
-// - Remove gravity using quaternion rotation to get linear acceleration
-// - Apply a single clean low-pass filter (20 Hz) — no double-smoothing
-// - Compute jerk (central difference derivative of accel magnitude)
-// - Integrate linear acceleration with ZUPT to produce speed + distance
-// - Compute session-level summary statistics
+// - Turn the IMU panel's readout cache into transferable typed arrays
+// - Run imu-pipeline.js in imu-worker.js (one job at a time) so long
+//   recordings don't freeze the UI
+// - Report progress and cancel a running job when the user switches
+//   to another session or a newer IMU load supersedes it
+// - Fall back to the main thread when workers are unavailable
+//   (e.g. opened from file://) — same result, UI blocks meanwhile
 // - Expose fast cursor-time lookup for all derived signals
+// - Pluggable orientation fusion: the session's filter choice goes into
+//   every job, and fuse() runs another filter over a processed session's
+//   corrected data (Sensor Fusion panel comparison)
+// - Per-session processing settings (overrides of CFG, see
+//   pipeline.SETTINGS) go into every job; results carry their provenance
 //
 // Output: window.currentProcessedSession (ProcessedSession object)
 // Public API: window.MoveSyncIMUProcessing
 //
 // Dependencies:
-// - window.Madgwick (from ahrs_min.js, loaded by sensor-fusion.js)
+// - window.MoveSyncIMUPipeline (imu-pipeline.js, loaded before this file)
+// - window.MoveSyncFusionFilters (fusion-filters.js) for the main-thread
+//   fallback and fuse()
 //
-// Event fired when processing completes:
+// Events fired:
+// - movesync:imu-progress   { index, jobId, stage, progress, state }
+//     state: "running" | "done" | "cancelled" | "failed"
 // - movesync:imu-processed  { index, processed }
 // =======================================
 
 (() => {
   "use strict";
 
-  // ============================================================
-  // Tunable constants — adjust here for different devices/use cases
-  // ============================================================
-  const CFG = {
-    // Madgwick filter gain. Lower = smoother but slower to converge.
-    // 0.033 is good for slow/moderate motion; 0.1 for faster dynamic motion.
-    MADGWICK_BETA: 0.033,
-
-    // Low-pass cutoff for smoothed signals (Hz).
-    // 20 Hz keeps all meaningful human motion, removes high-frequency noise.
-    LP_CUTOFF_HZ: 20,
-    LP_INTEGRATION_HZ: 20,
-
-    // ZUPT detection: a sample window is "still" when ALL of these hold
-    // for at least ZUPT_MIN_SAMPLES consecutive samples.
-    ZUPT_GYRO_THRESHOLD_DEGS: 8,     // deg/s — gyro magnitude below this
-    ZUPT_ACCEL_MIN_G: 0.80,           // g — accel magnitude lower bound (near 1g = gravity only)
-    ZUPT_ACCEL_MAX_G: 1.20,           // g — accel magnitude upper bound
-    ZUPT_MIN_SAMPLES: 8,              // consecutive samples required to confirm stillness
-
-    // Gravity constant (m/s²)
-    GRAVITY_MS2: 9.80665,
-
-    // Fallback sample rate if detection fails
-    FALLBACK_SAMPLE_RATE_HZ: 100,
-
-    // Madgwick warm-up: run this many samples before trusting the quaternion.
-    // Gives the filter time to converge from identity before we use orientation.
-    FUSION_WARMUP_SAMPLES: 50,
-  };
-
-  // ============================================================
-  // Utility: binary search for nearest index
-  // ============================================================
-  function nearestIndex(times, x) {
-    const n = times.length;
-    if (!n) return -1;
-    if (x <= times[0]) return 0;
-    if (x >= times[n - 1]) return n - 1;
-
-    let lo = 0, hi = n - 1;
-    while (lo <= hi) {
-      const mid = (lo + hi) >> 1;
-      const v = times[mid];
-      if (v === x) return mid;
-      if (v < x) lo = mid + 1;
-      else hi = mid - 1;
-    }
-    const a = hi, b = lo;
-    if (a < 0) return b;
-    if (b >= n) return a;
-    return Math.abs(times[b] - x) < Math.abs(times[a] - x) ? b : a;
-  }
+  const pipeline = window.MoveSyncIMUPipeline;
+  const CFG = pipeline.CFG;
 
-  // ============================================================
-  // Step 1: Sample rate detection (median inter-sample interval)
-  // ============================================================
-  function detectSampleRate(tArray) {
-    if (!tArray || tArray.length < 3) return CFG.FALLBACK_SAMPLE_RATE_HZ;
-
-    const diffs = [];
-    for (let i = 1; i < tArray.length; i++) {
-      const dt = tArray[i] - tArray[i - 1];
-      if (dt > 0 && dt < 2.0) diffs.push(dt); // ignore gaps > 2s (recording pauses)
-    }
-
-    if (!diffs.length) return CFG.FALLBACK_SAMPLE_RATE_HZ;
-
-    diffs.sort((a, b) => a - b);
-    const median = diffs[Math.floor(diffs.length / 2)];
-
-    const hz = Math.round(1 / median);
-    // Sanity check: clamp to plausible IMU range
-    return Math.max(10, Math.min(1000, hz));
-  }
-
-  // ============================================================
-  // Step 2: First-order IIR low-pass filter
-  // Applied once, with correct sample rate and meaningful cutoff.
-  // ============================================================
-  function lowPass(data, sampleRateHz, cutoffHz) {
-    const n = data.length;
-    if (!n) return new Float32Array(0);
-
-    const RC = 1 / (cutoffHz * 2 * Math.PI);
-    const dt = 1 / sampleRateHz;
-    const alpha = dt / (RC + dt);
-
-    const out = new Float32Array(n);
-    out[0] = data[0];
-    for (let i = 1; i < n; i++) {
-      out[i] = alpha * data[i] + (1 - alpha) * out[i - 1];
-    }
-    return out;
-  }
+  // Resolved against the page (index.html), like every other app asset
+  const WORKER_URL = "app/navigation/session-viewer/imu-processing/imu-worker.js";
 
   // ============================================================
-  // Step 3: Madgwick fusion
-  // Returns quaternion [w,x,y,z] per sample.
-  // Uses window.Madgwick from ahrs_min.js.
+  // Input: readout cache (columnar, NaN = missing) -> typed arrays
   // ============================================================
-  function runMadgwick(raw, sampleRateHz) {
-    const n = raw.acc.x.length;
-    const hasMag = raw.mag.x && raw.mag.x.length === n &&
-      raw.mag.x.some(v => v !== 0);
-
-    if (typeof window.Madgwick === "undefined") {
-      console.warn("[IMUProcessing] Madgwick not loaded yet — fusion skipped.");
-      return { quaternions: null, valid: false, hasMag };
-    }
-
-    const filter = new window.Madgwick({
-      sampleInterval: 1000 / sampleRateHz,
-      beta: CFG.MADGWICK_BETA,
-    });
-
-    // Detect gyro units using 75th-percentile magnitude across the recording.
-    // A single-sample threshold fails when the sensor is nearly still at t=0
-    // (e.g. Movesense at rest sums to ~9.2 deg/s, which falls below a threshold
-    // of 10 and gets misclassified as rad/s, causing catastrophic drift).
-    // deg/s at rest: 1–10; in motion: 50–500+. rad/s at rest: 0.01–0.1.
-    // Any p75 > 0.5 is unambiguously deg/s.
-    const DEG2RAD = Math.PI / 180;
-    const _gyroN = raw.gyro.x.length;
-    const _gyroStep = Math.max(1, Math.floor(_gyroN / 500));
-    const _gyroMags = [];
-    for (let k = 0; k < _gyroN; k += _gyroStep) {
-      const gx = raw.gyro.x[k], gy = raw.gyro.y[k], gz = raw.gyro.z[k];
-      _gyroMags.push(Math.sqrt(gx*gx + gy*gy + gz*gz));
-    }
-    _gyroMags.sort((a, b) => a - b);
-    const _gyroP75 = _gyroMags[Math.floor(_gyroMags.length * 0.75)];
-    const gyroIsDegrees = _gyroP75 > 0.5;
-
-    // Hard-iron calibration: subtract per-axis median from magnetometer.
-    // The Movesense mag bias is 85–161 µT vs Earth's ~50 µT signal — without
-    // this, Madgwick fights a static offset the entire recording and drifts
-    // continuously even when the device is completely stationary.
-    let magBiasX = 0, magBiasY = 0, magBiasZ = 0;
-    if (hasMag) {
-      const _step = Math.max(1, Math.floor(n / 1000));
-      const _mx = [], _my = [], _mz = [];
-      for (let k = 0; k < n; k += _step) {
-        _mx.push(raw.mag.x[k]);
-        _my.push(raw.mag.y[k]);
-        _mz.push(raw.mag.z[k]);
-      }
-      const _med = (arr) => {
-        const s = arr.slice().sort((a, b) => a - b);
-        return s[Math.floor(s.length / 2)];
-      };
-      magBiasX = _med(_mx);
-      magBiasY = _med(_my);
-      magBiasZ = _med(_mz);
-    }
-
-    const quaternions = new Array(n);
-
-    for (let i = 0; i < n; i++) {
-      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
-
-      let gx = raw.gyro.x[i], gy = raw.gyro.y[i], gz = raw.gyro.z[i];
-      if (gyroIsDegrees) {
-        gx *= DEG2RAD; gy *= DEG2RAD; gz *= DEG2RAD;
-      }
-
-      if (hasMag) {
-        const mx = raw.mag.x[i] - magBiasX;
-        const my = raw.mag.y[i] - magBiasY;
-        const mz = raw.mag.z[i] - magBiasZ;
-        filter.update(gx, gy, gz, ax, ay, az, mx, my, mz);
-      } else {
-        // 6-DOF mode: pass zero magnetometer
-        filter.update(gx, gy, gz, ax, ay, az, 0, 0, 0);
-      }
-
-      quaternions[i] = filter.getQuaternion(); // [w, x, y, z]
-    }
-
-    return { quaternions, valid: true, hasMag };
+  function toInput(cache) {
+    const f32 = (arr) => Float32Array.from(arr || [], (v) => (Number.isFinite(v) ? v : 0));
+    const recorded = (v) => [v?.x, v?.y, v?.z].some((arr) => arr && Array.prototype.some.call(arr, Number.isFinite));
+    return {
+      t: Float64Array.from(cache.t),
+      acc:  { x: f32(cache.acc.x),  y: f32(cache.acc.y),  z: f32(cache.acc.z) },
+      gyro: { x: f32(cache.gyro.x), y: f32(cache.gyro.y), z: f32(cache.gyro.z) },
+      mag:  { x: f32(cache.mag?.x), y: f32(cache.mag?.y), z: f32(cache.mag?.z) },
+      // All-NaN gyro columns (accelerometer-only device) turn into zeros
+      // above; the pipeline must not fuse those
+      hasGyro: recorded(cache.gyro),
+      // If the IMU panel synthesised timestamps it records the exact rate used
+      synthHz: cache._synthHz ?? null,
+      // Declared unit per sensor (values already converted), else null
+      units: { ...(cache.units || {}) },
+      // Axis convention declared on the IMU entry
+      axes: cache.axes === "left" ? "left" : "right",
+      // Uniform-grid resampling chosen in the IMU panel, or null
+      resample: cache.resample ? { ...cache.resample } : null,
+      // Common timeline of the session's aligned IMUs (t is on it), or null
+      timeline: cache.timeline ? { ...cache.timeline } : null,
+      // Accelerometer calibration saved for this IMU's device, or null
+      sensorCalibration: cache.sensorCalibration?.acc
+        ? { acc: { bias: [...cache.sensorCalibration.acc.bias], scale: [...cache.sensorCalibration.acc.scale] } }
+        : null,
+      // Orientation filter chosen for the session ({ filter, params }), or
+      // null for the default
+      fusion: cache.fusion ? { filter: cache.fusion.filter, params: { ...cache.fusion.params } } : null,
+      // Processing settings of the session or its sport preset
+      // ({ overrides, source, preset }), or null for CFG as is
+      settings: cache.settings
+        ? { overrides: { ...cache.settings.overrides }, source: cache.settings.source, preset: cache.settings.preset ?? null }
+        : null,
+      // Gait: this IMU's leg and the events the session's other leg IMUs
+      // saved ({ leg, others }), or null when none is on a leg
+      gait: cache.gait
+        ? {
+            leg: cache.gait.leg ?? null,
+            others: (cache.gait.others || []).map((o) => ({
+              leg: o.leg,
+              ic: [...o.ic],
+              to: [...o.to],
+              timeline: o.timeline ? { ...o.timeline } : null,
+            })),
+          }
+        : null,
+    };
   }
 
   // ============================================================
-  // Step 4: Gravity removal + world-frame linear acceleration
-  //
-  // For each sample:
-  //   1. The gravity vector in world frame is [0, 0, 1] (in g units)
-  //   2. Rotate it into body frame using conjugate of quaternion
-  //   3. Subtract from raw accelerometer reading → linear accel in body frame
-  //   4. Rotate result back to world frame for integration
+  // Main-thread processing (synchronous)
   //
-  // Returns linear accel in m/s² in world frame.
+  // @param cache  — imuReadoutCache from imu-panel.js
+  //                 { t, acc:{x,y,z}, gyro:{x,y,z}, mag:{x,y,z} } columns
+  // @param options.subject — body parameters from
+  //                 MoveSyncSessionStore.getSubjectBody() (optional)
+  // @param options.onProgress — ({ stage, progress }) callback (optional)
+  // @returns ProcessedSession object
   // ============================================================
-  function removeGravity(raw, quaternions, n) {
-    const G = CFG.GRAVITY_MS2;
-
-    const lx = new Float32Array(n);
-    const ly = new Float32Array(n);
-    const lz = new Float32Array(n);
-
-    for (let i = 0; i < n; i++) {
-      const q = quaternions[i];
-      const qw = q[0], qx = q[1], qy = q[2], qz = q[3];
-
-      // Gravity vector in body frame (rotate world [0,0,-1] by conjugate quaternion)
-      // Movesense outputs az ~ -9.8 at rest, so gravity is [0,0,-1] in world frame.
-      const gxB = 2 * (qw * qy - qx * qz);
-      const gyB = -2 * (qw * qx + qy * qz);
-      const gzB = -(qw * qw - qx * qx - qy * qy + qz * qz);
-
-      // Raw accel in m/s2 -- subtract gravity component (scaled to m/s2)
-      const ax = raw.acc.x[i] - gxB * G;
-      const ay = raw.acc.y[i] - gyB * G;
-      const az = raw.acc.z[i] - gzB * G;
-
-      // Rotate linear accel into world frame
-      // Rotate vector v by quaternion q: v' = q * v * q*
-      const ix = qw * ax + qy * az - qz * ay;
-      const iy = qw * ay + qz * ax - qx * az;
-      const iz = qw * az + qx * ay - qy * ax;
-      const iw = -qx * ax - qy * ay - qz * az;
-
-      lx[i] = (ix * qw + iw * (-qx) + iy * (-qz) - iz * (-qy));
-      ly[i] = (iy * qw + iw * (-qy) + iz * (-qx) - ix * (-qz));
-      lz[i] = (iz * qw + iw * (-qz) + ix * (-qy) - iy * (-qx));
-    }
-
-    return { x: lx, y: ly, z: lz };
+  function processSession(cache, { subject = null, onProgress = null } = {}) {
+    return pipeline.process(toInput(cache), { subject, onProgress });
   }
 
   // ============================================================
-  // Step 5: ZUPT detection + velocity/displacement integration
-  //
-  // Strategy:
-  // - Scan for windows where the sensor is stationary (low gyro + accel ≈ 1g)
-  // - At each ZUPT: reset velocity to zero
-  // - Between ZUPTs: trapezoidal integration of linear acceleration
+  // fuse: orientation of an already processed session with another
+  // filter (main thread). Runs on processed.raw, which is corrected by
+  // then (units, sensor calibration), with the same calibrated field and
+  // disturbed samples as the session's own fusion.
   //
-  // Returns velocity (m/s) and displacement (m) arrays in world frame,
-  // plus scalar speed and total distance.
+  // @param processed — ProcessedSession
+  // @param choice    — { filter, params } (see fusion-filters.js)
+  // @returns { quaternions, euler, filter, params } or null (also when
+  //          the session has no orientation, e.g. no gyroscope)
   // ============================================================
-  function integrateWithZUPT(linear, raw, tArray, sampleRateHz) {
-    const n = tArray.length;
-    const DEG2RAD = Math.PI / 180;
-
-    // --- Stillness detection ---
-    // Gyro magnitude in deg/s (keep in degrees for threshold comparison)
-    const gyroMag = new Float32Array(n);
-    for (let i = 0; i < n; i++) {
-      const gx = raw.gyro.x[i], gy = raw.gyro.y[i], gz = raw.gyro.z[i];
-      gyroMag[i] = Math.sqrt(gx * gx + gy * gy + gz * gz);
-    }
-
-    // Accel magnitude in g (raw data is in m/s², divide by G to normalise)
-    const accMag = new Float32Array(n);
-    const G_INV = 1 / CFG.GRAVITY_MS2;
-    for (let i = 0; i < n; i++) {
-      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
-      accMag[i] = Math.sqrt(ax * ax + ay * ay + az * az) * G_INV;
-    }
-
-    // Build stillness boolean array
-    const still = new Uint8Array(n);
-    for (let i = 0; i < n; i++) {
-      still[i] = (
-        gyroMag[i] < CFG.ZUPT_GYRO_THRESHOLD_DEGS &&
-        accMag[i] >= CFG.ZUPT_ACCEL_MIN_G &&
-        accMag[i] <= CFG.ZUPT_ACCEL_MAX_G
-      ) ? 1 : 0;
-    }
-
-    // Confirm stillness: require ZUPT_MIN_SAMPLES consecutive still samples
-    const confirmed = new Uint8Array(n);
-    let run = 0;
-    for (let i = 0; i < n; i++) {
-      if (still[i]) {
-        run++;
-        if (run >= CFG.ZUPT_MIN_SAMPLES) {
-          // Mark the whole run
-          for (let j = i - run + 1; j <= i; j++) confirmed[j] = 1;
-        }
-      } else {
-        run = 0;
-      }
-    }
-
-    // Collect ZUPT events (start index of each confirmed still region)
-    const zuptEvents = [];
-    let inZupt = false;
-    for (let i = 0; i < n; i++) {
-      if (confirmed[i] && !inZupt) {
-        zuptEvents.push({ index: i, t: tArray[i] });
-        inZupt = true;
-      } else if (!confirmed[i]) {
-        inZupt = false;
-      }
-    }
-
-    // --- Integration ---
-    const vx = new Float32Array(n);
-    const vy = new Float32Array(n);
-    const vz = new Float32Array(n);
-    const dx = new Float32Array(n);
-    const dy = new Float32Array(n);
-    const dz = new Float32Array(n);
-
-    // Start with zero velocity
-    vx[0] = 0; vy[0] = 0; vz[0] = 0;
-    dx[0] = 0; dy[0] = 0; dz[0] = 0;
-
-    for (let i = 1; i < n; i++) {
-      const dt = tArray[i] - tArray[i - 1];
-      if (dt <= 0 || dt > 0.5) {
-        // Skip bad intervals (gaps in data)
-        vx[i] = vx[i-1]; vy[i] = vy[i-1]; vz[i] = vz[i-1];
-        dx[i] = dx[i-1]; dy[i] = dy[i-1]; dz[i] = dz[i-1];
-        continue;
-      }
-
-      // ZUPT: reset velocity if confirmed still
-      if (confirmed[i]) {
-        vx[i] = 0; vy[i] = 0; vz[i] = 0;
-      } else {
-        // Trapezoidal integration: v[i] = v[i-1] + 0.5*(a[i-1]+a[i])*dt
-        vx[i] = vx[i-1] + 0.5 * (linear.x[i-1] + linear.x[i]) * dt;
-        vy[i] = vy[i-1] + 0.5 * (linear.y[i-1] + linear.y[i]) * dt;
-        vz[i] = vz[i-1] + 0.5 * (linear.z[i-1] + linear.z[i]) * dt;
-      }
-
-      // Integrate velocity → displacement (trapezoidal)
-      dx[i] = dx[i-1] + 0.5 * (vx[i-1] + vx[i]) * dt;
-      dy[i] = dy[i-1] + 0.5 * (vy[i-1] + vy[i]) * dt;
-      dz[i] = dz[i-1] + 0.5 * (vz[i-1] + vz[i]) * dt;
-    }
-
-    // Scalar speed
-    const speed = new Float32Array(n);
-    for (let i = 0; i < n; i++) {
-      speed[i] = Math.sqrt(vx[i]*vx[i] + vy[i]*vy[i] + vz[i]*vz[i]);
-    }
-
-    // Cumulative path length (total distance travelled, not displacement)
-    const totalDistance = new Float32Array(n);
-    totalDistance[0] = 0;
-    for (let i = 1; i < n; i++) {
-      const ddx = dx[i] - dx[i-1];
-      const ddy = dy[i] - dy[i-1];
-      const ddz = dz[i] - dz[i-1];
-      totalDistance[i] = totalDistance[i-1] + Math.sqrt(ddx*ddx + ddy*ddy + ddz*ddz);
-    }
+  function fuse(processed, choice) {
+    if (!processed?.raw || !processed.fusion?.valid) return null;
+
+    const mag = processed.magnetometer;
+    const result = pipeline.runFusion(
+      processed.raw,
+      processed.sampleRate,
+      () => {},
+      mag ? { corrected: mag.corrected, disturbed: mag.disturbed } : null,
+      choice
+    );
+    if (!result.valid) return null;
 
     return {
-      velocityX: vx, velocityY: vy, velocityZ: vz,
-      displacementX: dx, displacementY: dy, displacementZ: dz,
-      speed,
-      totalDistance,
-      zuptEvents,
-      stillnessMask: confirmed,
+      quaternions: result.quaternions,
+      euler: pipeline.computeEuler(result.quaternions),
+      filter: result.filter,
+      params: result.params,
     };
   }
 
   // ============================================================
-  // Step 6: Jerk (central difference derivative of accel magnitude)
+  // Worker
   // ============================================================
-  function computeJerk(accelMag, tArray) {
-    const n = accelMag.length;
-    const jerk = new Float32Array(n);
-
-    for (let i = 1; i < n - 1; i++) {
-      const dt = tArray[i + 1] - tArray[i - 1];
-      if (dt > 0) {
-        jerk[i] = (accelMag[i + 1] - accelMag[i - 1]) / dt;
-      }
-    }
-    // Edges: forward/backward difference
-    if (n > 1) {
-      const dt0 = tArray[1] - tArray[0];
-      jerk[0] = dt0 > 0 ? (accelMag[1] - accelMag[0]) / dt0 : 0;
-      const dtN = tArray[n-1] - tArray[n-2];
-      jerk[n-1] = dtN > 0 ? (accelMag[n-1] - accelMag[n-2]) / dtN : 0;
-    }
+  let worker = null;
+  let workerUnavailable = false;
+  let jobSeq = 0;
+  let pending = null; // { jobId, resolve, reject, onProgress }
 
-    return jerk;
+  function abortError() {
+    return new DOMException("IMU processing cancelled.", "AbortError");
   }
 
-  // ============================================================
-  // Step 7: Euler angles from quaternions
-  // ============================================================
-  function computeEuler(quaternions) {
-    const n = quaternions.length;
-    const roll  = new Float32Array(n);
-    const pitch = new Float32Array(n);
-    const yaw   = new Float32Array(n);
-    const RAD2DEG = 180 / Math.PI;
-
-    for (let i = 0; i < n; i++) {
-      const [qw, qx, qy, qz] = quaternions[i];
-
-      const sinr = 2 * (qw * qx + qy * qz);
-      const cosr = 1 - 2 * (qx * qx + qy * qy);
-      roll[i] = Math.atan2(sinr, cosr) * RAD2DEG;
-
-      const sinp = 2 * (qw * qy - qz * qx);
-      pitch[i] = (Math.abs(sinp) >= 1
-        ? Math.sign(sinp) * 90
-        : Math.asin(sinp) * RAD2DEG);
-
-      const siny = 2 * (qw * qz + qx * qy);
-      const cosy = 1 - 2 * (qy * qy + qz * qz);
-      yaw[i] = Math.atan2(siny, cosy) * RAD2DEG;
-    }
-
-    return { roll, pitch, yaw };
+  function stopWorker() {
+    worker?.terminate();
+    worker = null;
   }
 
-  // ============================================================
-  // Step 8: Session summary statistics
-  // ============================================================
-  function computeSummary(derived, motion, euler) {
-    function maxAbs(arr) {
-      let m = 0;
-      for (let i = 0; i < arr.length; i++) {
-        const v = Math.abs(arr[i]);
-        if (v > m) m = v;
-      }
-      return m;
-    }
+  function getWorker() {
+    if (workerUnavailable || typeof Worker === "undefined") return null;
+    if (worker) return worker;
 
-    function max(arr) {
-      let m = -Infinity;
-      for (let i = 0; i < arr.length; i++) if (arr[i] > m) m = arr[i];
-      return m;
+    try {
+      worker = new Worker(WORKER_URL);
+    } catch (err) {
+      console.warn("[IMUProcessing] Worker unavailable, processing on the main thread:", err);
+      workerUnavailable = true;
+      return null;
     }
 
-    function mean(arr) {
-      let s = 0;
-      for (let i = 0; i < arr.length; i++) s += arr[i];
-      return s / arr.length;
-    }
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (!pending || msg.jobId !== pending.jobId) return;
 
-    // Range of motion: max - min for each euler angle (degrees)
-    function range(arr) {
-      let mn = Infinity, mx = -Infinity;
-      for (let i = 0; i < arr.length; i++) {
-        if (arr[i] < mn) mn = arr[i];
-        if (arr[i] > mx) mx = arr[i];
+      if (msg.type === "progress") {
+        pending.onProgress?.({ stage: msg.stage, progress: msg.progress });
+        return;
       }
-      return mx - mn;
-    }
-
-    // Total rotation: integral of gyro magnitude over session
-    // (this is already in derived.gyroMagnitude which is in deg/s)
-    // We sum |gyro| * dt, but we don't have dt here directly —
-    // approximate as gyroMagnitude sum / sampleRate
-    // (caller passes sampleRate separately if needed; skip for summary)
-
-    return {
-      peakAccel:       max(derived.accelMagnitude),           // g
-      peakLinearAccel: max(derived.linearMagnitude),          // m/s²
-      peakGyro:        max(derived.gyroMagnitude),            // deg/s
-      peakJerk:        maxAbs(derived.jerk),                  // g/s
-      peakSpeed:       max(motion.speed),                     // m/s
-      totalDistance:   motion.totalDistance[motion.totalDistance.length - 1] || 0, // m
-      meanAccel:       mean(derived.accelMagnitude),          // g
-      rollRange:       euler ? range(euler.roll)  : null,     // degrees
-      pitchRange:      euler ? range(euler.pitch) : null,
-      yawRange:        euler ? range(euler.yaw)   : null,
-      zuptCount:       motion.zuptEvents.length,
-    };
-  }
-
-  // ============================================================
-  // Main entry point: processSession
-  //
-  // @param cache  — imuReadoutCache from imu-panel.js
-  //                 { t:[], acc:{x,y,z}, gyro:{x,y,z}, mag:{x,y,z} }
-
-  //                              (avoids running Madgwick twice)
-  // @returns ProcessedSession object
-  // ============================================================
-  function processSession(cache) {
-    const t = cache.t;
-    const n = t.length;
 
-    if (!n || n < 10) {
-      console.warn("[IMUProcessing] Not enough samples to process.");
-      return null;
-    }
-
-    // If the IMU panel synthesised timestamps it records the exact rate used.
-    // Skip detection in that case — the synthesised rate is already correct.
-    const sampleRate = (Number.isFinite(cache._synthHz) && cache._synthHz >= 1)
-      ? cache._synthHz
-      : detectSampleRate(t);
-
-    // --- Build raw typed arrays from cache (which uses plain JS arrays) ---
-    const raw = {
-      acc: {
-        x: Float32Array.from(cache.acc.x.map(v => v ?? 0)),
-        y: Float32Array.from(cache.acc.y.map(v => v ?? 0)),
-        z: Float32Array.from(cache.acc.z.map(v => v ?? 0)),
-      },
-      gyro: {
-        x: Float32Array.from(cache.gyro.x.map(v => v ?? 0)),
-        y: Float32Array.from(cache.gyro.y.map(v => v ?? 0)),
-        z: Float32Array.from(cache.gyro.z.map(v => v ?? 0)),
-      },
-      mag: {
-        x: Float32Array.from((cache.mag?.x || []).map(v => v ?? 0)),
-        y: Float32Array.from((cache.mag?.y || []).map(v => v ?? 0)),
-        z: Float32Array.from((cache.mag?.z || []).map(v => v ?? 0)),
-      },
+      const job = pending;
+      pending = null;
+      if (msg.type === "done") job.resolve(msg.processed);
+      else job.reject(new Error(msg.message || "IMU processing failed."));
     };
 
-    const tArr = Float64Array.from(t);
-
-    // --- Madgwick fusion --- runs exactly once per session load
-    const fusionResult = runMadgwick(raw, sampleRate);
-
-    const { quaternions, valid: fusionValid, hasMag } = fusionResult;
-
-    // --- Euler angles ---
-    const euler = fusionValid ? computeEuler(quaternions) : null;
-
-    // --- Raw accel magnitude in g (raw data is m/s², divide by G) ---
-    const accelMagnitude = new Float32Array(n);
-    const _gInv = 1 / CFG.GRAVITY_MS2;
-    for (let i = 0; i < n; i++) {
-      const ax = raw.acc.x[i], ay = raw.acc.y[i], az = raw.acc.z[i];
-      accelMagnitude[i] = Math.sqrt(ax*ax + ay*ay + az*az) * _gInv;
-    }
-
-    // --- Gyro magnitude (deg/s) ---
-    const gyroMagnitude = new Float32Array(n);
-    for (let i = 0; i < n; i++) {
-      const gx = raw.gyro.x[i], gy = raw.gyro.y[i], gz = raw.gyro.z[i];
-      gyroMagnitude[i] = Math.sqrt(gx*gx + gy*gy + gz*gz);
-    }
+    // Fires when the worker script can't load or throws outside a job
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      console.warn("[IMUProcessing] Worker failed, processing on the main thread:", e.message || e);
+      workerUnavailable = true;
+      stopWorker();
 
-    // --- Linear acceleration (gravity removed, world frame, m/s²) ---
-    let linear, linearMagnitude, linearMagnitudeSmooth;
-    if (fusionValid) {
-      linear = removeGravity(raw, quaternions, n);
-
-      linearMagnitude = new Float32Array(n);
-      for (let i = 0; i < n; i++) {
-        const lx = linear.x[i], ly = linear.y[i], lz = linear.z[i];
-        linearMagnitude[i] = Math.sqrt(lx*lx + ly*ly + lz*lz);
-      }
-
-      linearMagnitudeSmooth = lowPass(linearMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
-
-      // Filter each axis at a lower cutoff before integration.
-      // Double integration squares any residual noise, so a tighter filter
-      // here dramatically reduces velocity/distance drift during movement.
-      linear = {
-        x: lowPass(linear.x, sampleRate, CFG.LP_INTEGRATION_HZ),
-        y: lowPass(linear.y, sampleRate, CFG.LP_INTEGRATION_HZ),
-        z: lowPass(linear.z, sampleRate, CFG.LP_INTEGRATION_HZ),
-      };
-    } else {
-      // Fallback: use raw accel magnitude converted to m/s² as rough approximation
-      // accelMagnitude is now in g, so multiply by G to get m/s²
-      linear = { x: new Float32Array(n), y: new Float32Array(n), z: new Float32Array(n) };
-      linearMagnitude = new Float32Array(n);
-      for (let i = 0; i < n; i++) {
-        linearMagnitude[i] = accelMagnitude[i] * CFG.GRAVITY_MS2;
-      }
-      linearMagnitudeSmooth = lowPass(linearMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
-    }
-
-    // --- Smoothed signals (single low-pass pass) ---
-    const accelMagnitudeSmooth = lowPass(accelMagnitude, sampleRate, CFG.LP_CUTOFF_HZ);
-    const gyroMagnitudeSmooth  = lowPass(gyroMagnitude,  sampleRate, CFG.LP_CUTOFF_HZ);
-
-    // --- Jerk (on smoothed accel magnitude, in g/s) ---
-    const jerk = computeJerk(accelMagnitudeSmooth, tArr);
-
-    // --- ZUPT + integration ---
-    const motion = integrateWithZUPT(linear, raw, tArr, sampleRate);
-
-    // --- Derived object ---
-    const derived = {
-      accelMagnitude,
-      accelMagnitudeSmooth,
-      gyroMagnitude,
-      gyroMagnitudeSmooth,
-      linearMagnitude,
-      linearMagnitudeSmooth,
-      jerk,
+      const job = pending;
+      pending = null;
+      job?.reject(Object.assign(new Error("IMU worker failed."), { code: "worker-failed" }));
     };
 
-    // --- Summary ---
-    const summary = computeSummary(derived, motion, euler);
-    summary.sampleRate = sampleRate;
-    summary.duration = tArr[n - 1] - tArr[0];
-    summary.frameCount = n;
-    summary.fusionValid = fusionValid;
-    summary.hasMag = hasMag;
-
-    const processed = {
-      // Meta
-      sampleRate,
-      duration: summary.duration,
-      frameCount: n,
-      t: tArr,
-
-      // Raw typed arrays
-      raw,
-
-      // Sensor fusion
-      fusion: {
-        quaternions,
-        euler,
-        valid: fusionValid,
-        hasMag,
-      },
-
-      // Gravity-removed linear acceleration (world frame, m/s²)
-      linear,
-
-      // Derived scalar arrays
-      derived,
-
-      // Velocity, speed, displacement
-      motion,
-
-      // Session-level summary
-      summary,
-    };
+    return worker;
+  }
 
-    return processed;
+  function runOnMainThread(cache, { subject, onProgress, signal }) {
+    // Let the page paint the progress bar before the UI blocks
+    return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+      if (signal?.aborted) throw abortError();
+      return processSession(cache, { subject, onProgress });
+    });
   }
 
   // ============================================================
-  // Fast cursor lookup
-  // Returns all metric values at a given IMU time t (seconds).
-  // This is called on every cursor/video frame update — must be fast.
+  // processInWorker: same result as processSession, off the main thread.
+  // Starting a job cancels the previous one. Aborting `signal`
+  // terminates the worker and rejects with an AbortError.
   // ============================================================
-  function getValuesAtTime(processed, t) {
-    if (!processed) return null;
-
-    const i = nearestIndex(processed.t, t);
-    if (i < 0) return null;
-
-    const d = processed.derived;
-    const m = processed.motion;
-    const e = processed.fusion.euler;
-    const r = processed.raw;
+  function processInWorker(cache, { subject = null, onProgress = null, signal = null } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    // One job at a time: a running job is superseded
+    if (pending) {
+      const old = pending;
+      pending = null;
+      stopWorker();
+      old.reject(abortError());
+    }
+
+    const w = getWorker();
+    if (!w) return runOnMainThread(cache, { subject, onProgress, signal });
+
+    const jobId = ++jobSeq;
+    const job = new Promise((resolve, reject) => {
+      pending = { jobId, resolve, reject, onProgress };
+
+      signal?.addEventListener("abort", () => {
+        if (pending?.jobId !== jobId) return;
+        pending = null;
+        stopWorker();
+        reject(abortError());
+      }, { once: true });
+
+      const input = toInput(cache);
+      w.postMessage(
+        { type: "process", jobId, input, options: { subject, cfg: { ...CFG } } },
+        pipeline.collectTransferables(input)
+      );
+    });
 
-    return {
-      // Time
-      t: processed.t[i],
-      index: i,
-
-      // Raw sensor values
-      accelX: r.acc.x[i], accelY: r.acc.y[i], accelZ: r.acc.z[i],
-      gyroX:  r.gyro.x[i], gyroY: r.gyro.y[i], gyroZ: r.gyro.z[i],
-
-      // Magnitude (g)
-      accelMagnitude:       d.accelMagnitude[i],
-      accelMagnitudeSmooth: d.accelMagnitudeSmooth[i],
-
-      // Angular velocity (deg/s)
-      gyroMagnitude:        d.gyroMagnitude[i],
-      gyroMagnitudeSmooth:  d.gyroMagnitudeSmooth[i],
-
-      // Linear acceleration (m/s², gravity removed)
-      linearAccelX: processed.linear.x[i],
-      linearAccelY: processed.linear.y[i],
-      linearAccelZ: processed.linear.z[i],
-      linearMagnitude:       d.linearMagnitude[i],
-      linearMagnitudeSmooth: d.linearMagnitudeSmooth[i],
-
-      // Jerk (g/s)
-      jerk: d.jerk[i],
-
-      // Orientation (degrees) — null if fusion not valid
-      roll:  e ? e.roll[i]  : null,
-      pitch: e ? e.pitch[i] : null,
-      yaw:   e ? e.yaw[i]   : null,
-
-      // Motion (m/s, m)
-      speed:           m.speed[i],
-      velocityX:       m.velocityX[i],
-      velocityY:       m.velocityY[i],
-      velocityZ:       m.velocityZ[i],
-      displacementX:   m.displacementX[i],
-      displacementY:   m.displacementY[i],
-      displacementZ:   m.displacementZ[i],
-      totalDistance:   m.totalDistance[i],
-
-      // Stillness
-      isStill: processed.motion.stillnessMask[i] === 1,
-    };
+    return job.catch((err) => {
+      if (err?.code === "worker-failed") return runOnMainThread(cache, { subject, onProgress, signal });
+      throw err;
+    });
   }
 
   // ============================================================
-  // Compute metrics over a time window [tStart, tEnd]
-  // Used for timestamp-range metric display in the analysis panel.
+  // Trigger processing after imu-data-ready fires.
+  // Hooks into the existing event system — no changes to imu-panel.js needed.
   // ============================================================
-  function getWindowMetrics(processed, tStart, tEnd) {
-    if (!processed) return null;
-
-    const iStart = nearestIndex(processed.t, tStart);
-    const iEnd   = nearestIndex(processed.t, tEnd);
-    if (iStart < 0 || iEnd <= iStart) return null;
-
-    const d = processed.derived;
-    const m = processed.motion;
-    const e = processed.fusion.euler;
+  let active = null; // { controller, jobId, index, sessionKey }
+  let runSeq = 0;
 
-    function sliceMax(arr, a, b) {
-      let mx = -Infinity;
-      for (let i = a; i <= b; i++) if (arr[i] > mx) mx = arr[i];
-      return mx;
-    }
-
-    function sliceMin(arr, a, b) {
-      let mn = Infinity;
-      for (let i = a; i <= b; i++) if (arr[i] < mn) mn = arr[i];
-      return mn;
-    }
-
-    function sliceMean(arr, a, b) {
-      let s = 0;
-      for (let i = a; i <= b; i++) s += arr[i];
-      return s / (b - a + 1);
-    }
-
-    function sliceRange(arr, a, b) {
-      return sliceMax(arr, a, b) - sliceMin(arr, a, b);
-    }
+  function sessionKey(session) {
+    return session ? `${session.projectId}:${session.id}` : null;
+  }
 
-    const duration = processed.t[iEnd] - processed.t[iStart];
+  function emitProgress(detail) {
+    document.dispatchEvent(new CustomEvent("movesync:imu-progress", { detail }));
+  }
 
-    return {
-      duration,                          // s
-      peakAccel:       sliceMax(d.accelMagnitude, iStart, iEnd),       // g
-      peakLinearAccel: sliceMax(d.linearMagnitude, iStart, iEnd),      // m/s²
-      peakGyro:        sliceMax(d.gyroMagnitude, iStart, iEnd),        // deg/s
-      peakJerk:        sliceMax(d.jerk.map(Math.abs), iStart, iEnd),   // g/s
-      peakSpeed:       sliceMax(m.speed, iStart, iEnd),                // m/s
-      meanAccel:       sliceMean(d.accelMagnitude, iStart, iEnd),      // g
-      meanSpeed:       sliceMean(m.speed, iStart, iEnd),               // m/s
-      distanceTravelled: m.totalDistance[iEnd] - m.totalDistance[iStart], // m
-      rollRange:   e ? sliceRange(e.roll,  iStart, iEnd) : null,       // degrees
-      pitchRange:  e ? sliceRange(e.pitch, iStart, iEnd) : null,
-      yawRange:    e ? sliceRange(e.yaw,   iStart, iEnd) : null,
-    };
+  function cancelProcessing() {
+    if (!active) return false;
+    active.controller.abort();
+    return true;
   }
 
-  // ============================================================
-  // Trigger processing after imu-data-ready fires.
-  // Hooks into the existing event system — no changes to imu-panel.js needed.
-  // ============================================================
   document.addEventListener("movesync:imu-data-ready", (e) => {
     const index = e?.detail?.index ?? 0;
 
-    // imuReadoutCache is a module-level var inside imu-panel.js's IIFE.
-    // imu-panel.js exposes it via the global it sets on window after processing.
-    // We need to read it from the global the panel sets.
-    // imu-panel.js doesn't currently expose imuReadoutCache directly —
-    // we rely on it being set before this event fires (it always is).
-    // Access via the internal global that imu-panel sets:
+    // imu-panel.js publishes its readout cache on this global before firing
     const cache = window.__currentImuReadoutCache;
     if (!cache || !cache.t || !cache.t.length) {
       console.warn("[IMUProcessing] imu-data-ready fired but no cache found.");
@@ -798,31 +281,71 @@
 
     // sensor-fusion.js no longer runs its own Madgwick — it reads from
     // window.currentProcessedSession after this fires. Fusion runs once here.
-    let processed = null;
-    try {
-      processed = processSession(cache);
-    } catch (err) {
-      console.error("[IMUProcessing] processSession failed:", err);
-      return;
-    }
+    // Linked roster subject, if any (mass / leg length for power and stride)
+    const store = window.MoveSyncSessionStore;
+    const session = store?.getActiveSession?.() || null;
+    const subject = store?.getSubjectBody?.(store.getSubjectForSession?.(session)) || null;
 
-    if (!processed) return;
+    cancelProcessing();
 
-    // Store globally for access by metrics panel, HUD, analysis panel
-    window.currentProcessedSession = processed;
-    window.currentProcessedImuIndex = index;
+    // Until the new job lands, nothing may read the previous IMU's results
+    window.currentProcessedSession = null;
 
-    document.dispatchEvent(new CustomEvent("movesync:imu-processed", {
-      detail: { index, processed }
-    }));
+    const controller = new AbortController();
+    const job = { controller, jobId: ++runSeq, index, sessionKey: sessionKey(session) };
+    active = job;
 
-    console.info(
-      `[IMUProcessing] Done. ${processed.frameCount} samples @ ${processed.sampleRate} Hz. ` +
-      `Fusion: ${processed.fusion.valid ? (processed.fusion.hasMag ? "9-DOF" : "6-DOF") : "FAILED"}. ` +
-      `ZUPTs: ${processed.motion.zuptEvents.length}. ` +
-      `Peak speed: ${processed.summary.peakSpeed.toFixed(2)} m/s. ` +
-      `Peak accel: ${processed.summary.peakAccel.toFixed(2)} g.`
-    );
+    const report = (state, stage = null, progress = 0) => {
+      emitProgress({ index, jobId: job.jobId, stage, progress, state });
+    };
+    report("running", "prepare", 0);
+
+    processInWorker(cache, {
+      subject,
+      signal: controller.signal,
+      onProgress: ({ stage, progress }) => report("running", stage, progress),
+    }).then((processed) => {
+      if (active === job) active = null;
+      if (!processed) {
+        report("failed");
+        return;
+      }
+
+      // Store globally for access by metrics panel, HUD, analysis panel
+      window.currentProcessedSession = processed;
+      window.currentProcessedImuIndex = index;
+
+      report("done", "summary", 1);
+      document.dispatchEvent(new CustomEvent("movesync:imu-processed", {
+        detail: { index, processed }
+      }));
+
+      processed.warnings?.forEach((w) => console.warn(`[IMUProcessing] ${w.message}`));
+
+      console.info(
+        `[IMUProcessing] Done. ${processed.frameCount} samples @ ${processed.sampleRate} Hz. ` +
+        `Fusion: ${processed.fusion.valid ? (processed.fusion.hasMag ? "9-DOF" : "6-DOF") : "FAILED"}. ` +
+        `ZUPTs: ${processed.motion.zuptEvents.length}. ` +
+        `Peak speed: ${processed.summary.peakSpeed?.toFixed(2) ?? "—"} m/s. ` +
+        `Peak accel: ${processed.summary.peakAccel.toFixed(2)} g.`
+      );
+    }).catch((err) => {
+      if (active === job) active = null;
+      if (err?.name === "AbortError") {
+        report("cancelled");
+        return;
+      }
+      console.error("[IMUProcessing] processing failed:", err);
+      report("failed");
+    });
+  });
+
+  // active-session-changed also fires for edits to the active session;
+  // only a different session cancels the job.
+  document.addEventListener("movesync:active-session-changed", (e) => {
+    if (!active) return;
+    const next = sessionKey(e?.detail?.session);
+    if (next !== active.sessionKey) cancelProcessing();
   });
 
   // ============================================================
@@ -830,10 +353,19 @@
   // ============================================================
   window.MoveSyncIMUProcessing = {
     processSession,
-    getValuesAtTime,
-    getWindowMetrics,
-    detectSampleRate,
+    processInWorker,
+    cancelProcessing,
+    fuse,
+    getValuesAtTime: pipeline.getValuesAtTime,
+    getWindowMetrics: pipeline.getWindowMetrics,
+    detectSampleRate: pipeline.detectSampleRate,
     CFG, // expose config so other modules can read tuning params
+    // Settings a session / preset may override, and how they resolve
+    SETTINGS: pipeline.SETTINGS,
+    PIPELINE_VERSION: pipeline.PIPELINE_VERSION,
+    resolveSettings: pipeline.resolveSettings,
+    // Orientation filters (fusion-filters.js): { id: { label, params, create } }
+    FILTERS: window.MoveSyncFusionFilters?.FILTERS || {},
   };
 
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,55 @@
+// =======================================
+// MoveSync — IMU Processing Worker
+// File: app/navigation/session-viewer/imu-processing/imu-worker.js
+//
+// Runs imu-pipeline.js off the main thread. Started (and terminated on
+// cancel) by imu-processing.js — one job at a time.
+//
+// Messages in:
+// - { type: "process", jobId, input, options: { subject, cfg } }
+//
+// Messages out:
+// - { type: "progress", jobId, stage, progress }   progress 0..1
+// - { type: "done",     jobId, processed }         buffers transferred
+// - { type: "error",    jobId, message }
+// =======================================
+
+// The app/core modules (imu-timing, -gait, -jump, -rom) register themselves on `window`
+self.window = self;
+
+importScripts(
+  "../../../core/imu-timing.js",
+  "../../../core/imu-gait.js",
+  "../../../core/imu-jump.js",
+  "../../../core/imu-rom.js",
+  "../bottom-panel/2-imu/plots/imu-filters.js",
+  "fusion-filters.js",
+  "imu-pipeline.js"
+);
+
+self.onmessage = (e) => {
+  const { type, jobId, input, options = {} } = e.data || {};
+  if (type !== "process") return;
+
+  const pipeline = self.MoveSyncIMUPipeline;
+
+  // Tuning from the page (MoveSyncIMUProcessing.CFG) wins over the defaults;
+  // the session's own settings (input.settings) apply on top, per job
+  if (options.cfg) Object.assign(pipeline.CFG, options.cfg);
+
+  try {
+    const processed = pipeline.process(input, {
+      subject: options.subject || null,
+      onProgress: ({ stage, progress }) => {
+        self.postMessage({ type: "progress", jobId, stage, progress });
+      },
+    });
+
+    self.postMessage(
+      { type: "done", jobId, processed },
+      processed ? pipeline.collectTransferables(processed) : []
+    );
+  } catch (err) {
+    self.postMessage({ type: "error", jobId, message: String(err?.message || err) });
+  }
+};
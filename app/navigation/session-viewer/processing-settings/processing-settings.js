@@ -0,0 +1,708 @@
+// =======================================
+// MoveSync component: Processing settings drawer (Session Viewer)
+// File: app/navigation/session-viewer/processing-settings/processing-settings.js
+//
+// Edits the pipeline's tunable settings (MoveSyncIMUProcessing.SETTINGS:
+// low-pass filter and cutoffs, ZUPT thresholds, fusion warm-up, fallback
+// sample rate, step detection) for the active session or for its sport
+// preset, and processes the IMU again with them. Layers, last one wins:
+//
+//   CFG (imu-pipeline.js) <- preset.processing <- session.imuProcessing
+//
+// - Session settings are saved with updateSession (undoable); sessions
+//   without a project keep them in memory
+// - Preset settings go into the stored presets (same storage + revision
+//   key as sport-presets.js, so an open Sport Presets tab merges them)
+// - "Chart filter" picks what the acc / gyro charts show: the pipeline's
+//   low-pass, raw data, or a Butterworth low/high/band-pass or notch
+//   (MoveSyncIMUFilters, zero-phase). Saved per browser, not per session.
+// - The response preview plots the gain of the pipeline low-pass (as
+//   typed in the form) and of the chart filter at the session's rate
+// - "Last run" shows the provenance of the current result (pipeline
+//   version, changed settings, filter) and copies it as JSON
+//
+// Public API: window.MoveSyncViewerProcessingSettings
+//   { wire(signal), getSettings(session), getChartFilter(settings) }
+//
+// Events fired:
+// - movesync:imu-processing-changed { session, scope } when the settings
+//   changed somewhere the store's change events don't cover (preset,
+//   session without a project); imu-panel.js processes again
+// - movesync:chart-filter-changed { filter } when the chart filter
+//   changed; imu-panel.js redraws the acc / gyro charts
+// =======================================
+
+(() => {
+  "use strict";
+
+  const $ = (id) => document.getElementById(id);
+
+  // Owned by sport-presets.js; written here for the preset scope only
+  const PRESETS_KEY = "movesync-sport-presets-v1";
+  const PRESETS_REVISION_KEY = "movesync-sport-presets-rev";
+
+  // Chart filter choice, per browser
+  const CHART_FILTER_KEY = "movesync.viewer.chartFilter";
+  const CHART_FILTERS = [
+    { value: "pipeline", label: "Pipeline low-pass" },
+    { value: "none", label: "None (raw)" },
+    { value: "lowpass", label: "Low-pass" },
+    { value: "highpass", label: "High-pass" },
+    { value: "bandpass", label: "Band-pass" },
+    { value: "notch", label: "Notch (band-stop)" },
+  ];
+  const CHART_FILTER_DEFAULTS = { type: "pipeline", order: 2, cutoff: 10, low: 1, high: 10 };
+
+  // Response preview: frequency axis (log) and gain floor
+  const RESPONSE_POINTS = 160;
+  const RESPONSE_FLOOR_DB = -60;
+
+  // Sessions without a project: settings kept for this page only
+  const overrides = new WeakMap();
+
+  let currentSession = null;
+  let scope = "session"; // "session" | "preset"
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#039;");
+  }
+
+  function specs() {
+    return window.MoveSyncIMUProcessing?.SETTINGS || [];
+  }
+
+  function defaults() {
+    return window.MoveSyncIMUProcessing?.CFG || {};
+  }
+
+  // -------------------------------
+  // Sport presets (localStorage)
+  // -------------------------------
+  function loadPresets() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+      return Array.isArray(parsed) ? parsed.map((p) => window.MoveSyncSchema.migratePreset(p)) : [];
+    } catch (e) {
+      console.warn("[ProcessingSettings] stored presets unreadable:", e);
+      return [];
+    }
+  }
+
+  function presetOf(session) {
+    const id = session?.presetId;
+    if (id == null || id === "") return null;
+    return loadPresets().find((p) => String(p.id) === String(id)) || null;
+  }
+
+  function savePresetSettings(presetId, processing) {
+    const presets = loadPresets();
+    const preset = presets.find((p) => String(p.id) === String(presetId));
+    if (!preset) throw new Error("The session's sport preset no longer exists.");
+
+    preset.processing = processing;
+    preset.updatedAt = new Date().toISOString();
+
+    const revision = (Number(localStorage.getItem(PRESETS_REVISION_KEY)) || 0) + 1;
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    localStorage.setItem(PRESETS_REVISION_KEY, String(revision));
+    window.MoveSyncTabSync?.post?.("presets:changed", { revision });
+  }
+
+  // -------------------------------
+  // Settings per session
+  // -------------------------------
+  function sessionOwn(session) {
+    if (!session) return null;
+    return overrides.has(session) ? overrides.get(session) : session.imuProcessing || null;
+  }
+
+  // -> { overrides, source: "session" | "preset", preset: name | null } for
+  // the pipeline (imu-panel.js puts it on the readout cache), or null
+  function getSettings(session = currentSession) {
+    const preset = presetOf(session);
+    const own = sessionOwn(session);
+    if (!preset?.processing && !own) return null;
+
+    return {
+      overrides: { ...(preset?.processing || {}), ...(own || {}) },
+      source: own ? "session" : "preset",
+      preset: preset?.processing ? preset.name : null,
+    };
+  }
+
+  // -------------------------------
+  // Chart filter
+  // -------------------------------
+  function loadChartFilter() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(CHART_FILTER_KEY) || "null");
+    } catch {
+      stored = null;
+    }
+    const pref = { ...CHART_FILTER_DEFAULTS };
+    if (CHART_FILTERS.some((f) => f.value === stored?.type)) pref.type = stored.type;
+    ["order", "cutoff", "low", "high"].forEach((k) => {
+      const v = Number(stored?.[k]);
+      if (stored?.[k] != null && Number.isFinite(v) && v > 0) pref[k] = v;
+    });
+    pref.order = Math.min(window.MoveSyncIMUFilters?.MAX_ORDER || 8, Math.max(1, Math.round(pref.order)));
+    return pref;
+  }
+
+  // Spec for the pipeline's low-pass at LP_CUTOFF_HZ with these CFG values
+  function pipelineLowPass(cfg) {
+    return { type: "lowpass", design: cfg.LP_FILTER, order: cfg.LP_ORDER, cutoff: cfg.LP_CUTOFF_HZ };
+  }
+
+  // settings: getSettings() result the pipeline ran with (or null)
+  // -> MoveSyncIMUFilters spec for the acc / gyro charts, or null (raw)
+  function getChartFilter(settings = getSettings()) {
+    const pref = loadChartFilter();
+    if (pref.type === "none") return null;
+    if (pref.type === "pipeline") {
+      const resolved = window.MoveSyncIMUProcessing?.resolveSettings?.(settings?.overrides);
+      return pipelineLowPass(resolved?.cfg || defaults());
+    }
+    return { type: pref.type, order: pref.order, cutoff: pref.cutoff, low: pref.low, high: pref.high };
+  }
+
+  // Values the inputs of a scope fall back to when left empty
+  function inheritedFor(session, which) {
+    const base = { ...defaults() };
+    if (which === "session") Object.assign(base, presetOf(session)?.processing || {});
+    return base;
+  }
+
+  function ownFor(session, which) {
+    return (which === "preset" ? presetOf(session)?.processing : sessionOwn(session)) || {};
+  }
+
+  // -------------------------------
+  // Markup
+  // -------------------------------
+  function formatValue(v) {
+    return Number.isFinite(v) ? String(Math.round(v * 1000) / 1000) : "";
+  }
+
+  // Label of a choice setting's value (LP_FILTER: "butterworth" -> ...)
+  function optionLabel(key, value) {
+    const spec = specs().find((s) => s.key === key);
+    return spec?.options?.find((o) => o.value === value)?.label || String(value ?? "");
+  }
+
+  function buildMarkup() {
+    const groups = [];
+    specs().forEach((spec) => {
+      let group = groups.find((g) => g.name === spec.group);
+      if (!group) groups.push((group = { name: spec.group, specs: [] }));
+      group.specs.push(spec);
+    });
+
+    return `
+      <div class="viewer-drawer-head">
+        <div class="viewer-card-title">
+          <i class="bx bx-slider-alt" aria-hidden="true"></i>
+          Processing settings
+        </div>
+        <button class="btn btn-ghost viewer-drawer-close" id="viewerProcessingClose" type="button" aria-label="Close processing settings">
+          <i class="bx bx-x" aria-hidden="true"></i>
+        </button>
+      </div>
+
+      <label class="viewer-processing-scope">
+        <span>Save for</span>
+        <select id="viewerProcessingScope" class="viewer-processing-input" aria-label="Save the settings for">
+          <option value="session">This session</option>
+          <option value="preset">Sport preset</option>
+        </select>
+      </label>
+      <p class="viewer-processing-hint" id="viewerProcessingHint"></p>
+
+      <form id="viewerProcessingForm" class="viewer-processing-form" novalidate>
+        ${groups.map((g) => `
+          <fieldset class="viewer-processing-group">
+            <legend>${escapeHtml(g.name)}</legend>
+            ${g.specs.map((s) => s.options ? `
+              <label class="viewer-processing-row is-choice" title="${escapeHtml(s.key)}">
+                <span class="viewer-processing-label">${escapeHtml(s.label)}</span>
+                <select class="viewer-processing-input" data-setting="${escapeHtml(s.key)}" aria-label="${escapeHtml(`${s.group}: ${s.label}`)}">
+                  <option value="" data-inherited="true"></option>
+                  ${s.options.map((o) => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join("")}
+                </select>
+              </label>` : `
+              <label class="viewer-processing-row" title="${escapeHtml(s.key)}">
+                <span class="viewer-processing-label">${escapeHtml(s.label)}</span>
+                <input class="viewer-processing-input" type="number" data-setting="${escapeHtml(s.key)}"
+                  min="${s.min}" max="${s.max}" step="${s.step}" aria-label="${escapeHtml(`${s.group}: ${s.label}`)}"/>
+                <span class="viewer-processing-unit">${escapeHtml(s.unit)}</span>
+              </label>`).join("")}
+          </fieldset>`).join("")}
+
+        <p class="viewer-processing-status" id="viewerProcessingStatus" role="status"></p>
+
+        <div class="viewer-processing-actions">
+          <button class="btn" id="viewerProcessingApply" type="submit">
+            <i class="bx bx-refresh" aria-hidden="true"></i>
+            Save &amp; re-run
+          </button>
+          <button class="btn btn-ghost" id="viewerProcessingReset" type="button" title="Clear the settings of this scope">
+            Reset
+          </button>
+        </div>
+      </form>
+
+      <section class="viewer-processing-section" aria-label="Chart filter">
+        <div class="viewer-processing-section-head">Chart filter</div>
+        <label class="viewer-processing-row is-choice">
+          <span class="viewer-processing-label">Acc / gyro charts</span>
+          <select id="viewerChartFilterType" class="viewer-processing-input" aria-label="Chart filter">
+            ${CHART_FILTERS.map((f) => `<option value="${f.value}">${escapeHtml(f.label)}</option>`).join("")}
+          </select>
+        </label>
+        <label class="viewer-processing-row" data-chart-filter-field="order">
+          <span class="viewer-processing-label">Order</span>
+          <input id="viewerChartFilterOrder" class="viewer-processing-input" type="number" min="1" max="8" step="1" aria-label="Chart filter order"/>
+          <span class="viewer-processing-unit"></span>
+        </label>
+        <label class="viewer-processing-row" data-chart-filter-field="cutoff">
+          <span class="viewer-processing-label">Cutoff</span>
+          <input id="viewerChartFilterCutoff" class="viewer-processing-input" type="number" min="0.1" step="0.1" aria-label="Chart filter cutoff"/>
+          <span class="viewer-processing-unit">Hz</span>
+        </label>
+        <label class="viewer-processing-row" data-chart-filter-field="band">
+          <span class="viewer-processing-label">From</span>
+          <input id="viewerChartFilterLow" class="viewer-processing-input" type="number" min="0.1" step="0.1" aria-label="Chart filter lower edge"/>
+          <span class="viewer-processing-unit">Hz</span>
+        </label>
+        <label class="viewer-processing-row" data-chart-filter-field="band">
+          <span class="viewer-processing-label">To</span>
+          <input id="viewerChartFilterHigh" class="viewer-processing-input" type="number" min="0.1" step="0.1" aria-label="Chart filter upper edge"/>
+          <span class="viewer-processing-unit">Hz</span>
+        </label>
+
+        <canvas id="viewerFilterResponse" class="viewer-filter-response" width="348" height="140"
+          role="img" aria-label="Frequency response of the pipeline low-pass and the chart filter"></canvas>
+        <p class="viewer-processing-hint" id="viewerFilterResponseLegend"></p>
+      </section>
+
+      <section class="viewer-processing-provenance" aria-label="Last run">
+        <div class="viewer-processing-provenance-head">
+          <span>Last run</span>
+          <button class="btn btn-ghost" id="viewerProcessingCopy" type="button" title="Copy the pipeline version and settings of the current result">
+            <i class="bx bx-copy" aria-hidden="true"></i>
+            Copy as JSON
+          </button>
+        </div>
+        <div class="viewer-processing-provenance-text" id="viewerProcessingProvenance">No result yet.</div>
+      </section>`;
+  }
+
+  // -------------------------------
+  // Render
+  // -------------------------------
+  function setStatus(text, isError = false) {
+    const el = $("viewerProcessingStatus");
+    if (!el) return;
+    el.textContent = text || "";
+    el.classList.toggle("is-error", !!isError);
+  }
+
+  function showScope() {
+    const select = $("viewerProcessingScope");
+    const hint = $("viewerProcessingHint");
+    if (!select) return;
+
+    const preset = presetOf(currentSession);
+    const presetOption = select.querySelector('option[value="preset"]');
+    if (presetOption) {
+      presetOption.disabled = !preset;
+      presetOption.textContent = preset ? `Sport preset "${preset.name}"` : "Sport preset (none assigned)";
+    }
+    if (scope === "preset" && !preset) scope = "session";
+    select.value = scope;
+    select.disabled = !currentSession;
+
+    if (hint) {
+      hint.textContent = !currentSession
+        ? "Select a session to tune its processing."
+        : scope === "preset"
+          ? `Every session using "${preset.name}" gets these, unless it has its own. Empty fields keep the defaults.`
+          : `Only this session. Empty fields keep ${preset?.processing ? `the values of "${preset.name}"` : "the defaults"}.`;
+    }
+  }
+
+  function showFields() {
+    const own = ownFor(currentSession, scope);
+    const inherited = inheritedFor(currentSession, scope);
+
+    document.querySelectorAll("#viewerProcessingForm [data-setting]").forEach((input) => {
+      const key = input.dataset.setting;
+      if (input.tagName === "SELECT") {
+        const keep = input.querySelector("option[data-inherited]");
+        if (keep) keep.textContent = `${optionLabel(key, inherited[key])} (inherited)`;
+        input.value = typeof own[key] === "string" ? own[key] : "";
+      } else {
+        input.value = Number.isFinite(own[key]) ? formatValue(own[key]) : "";
+        input.placeholder = formatValue(inherited[key]);
+      }
+      input.disabled = !currentSession;
+      input.classList.toggle("is-set", input.value !== "");
+    });
+
+    ["viewerProcessingApply", "viewerProcessingReset"].forEach((id) => {
+      const btn = $(id);
+      if (btn) btn.disabled = !currentSession;
+    });
+  }
+
+  function describeProvenance(p) {
+    if (!p) return "No result yet.";
+
+    const spec = new Map(specs().map((s) => [s.key, s]));
+    const changed = Object.entries(p.overrides || {}).map(([k, v]) => {
+      const s = spec.get(k);
+      if (s?.options) return `${s.label} ${optionLabel(k, v)}`;
+      return s ? `${s.label} ${formatValue(v)}${s.unit ? ` ${s.unit}` : ""}` : `${k} ${formatValue(v)}`;
+    });
+    const from = p.source === "preset"
+      ? `preset "${p.preset}"`
+      : p.source === "session"
+        ? p.preset ? `session + preset "${p.preset}"` : "session"
+        : "defaults";
+    const filter = window.MoveSyncFusionFilters?.describe?.(p.fusion) || p.fusion?.filter || "no fusion";
+    const at = p.processedAt ? new Date(p.processedAt).toLocaleString() : "";
+    // Results before pipeline 2.1 have no LP_FILTER: first-order IIR
+    const cfg = p.settings || {};
+    const lowPass = cfg.LP_FILTER === "butterworth" ? `Butterworth order ${cfg.LP_ORDER}, zero-phase` : "first-order IIR";
+
+    return [
+      `Pipeline ${p.pipelineVersion} · ${from}${changed.length ? ` (${changed.join(", ")})` : ""}`,
+      `${filter} · ${formatValue(p.sampleRate)} Hz${p.resampled ? ` (resampled, ${p.resampled.method})` : ""}${at ? ` · ${at}` : ""}`,
+      Number.isFinite(cfg.LP_CUTOFF_HZ) ? `Low-pass ${formatValue(cfg.LP_CUTOFF_HZ)} Hz, ${lowPass}` : "",
+    ].filter(Boolean).join("\n");
+  }
+
+  function showProvenance() {
+    const el = $("viewerProcessingProvenance");
+    const processed = window.currentProcessedSession;
+    if (el) el.textContent = describeProvenance(processed?.provenance);
+    const copy = $("viewerProcessingCopy");
+    if (copy) copy.disabled = !processed?.provenance;
+  }
+
+  // -------------------------------
+  // Chart filter + response preview
+  // -------------------------------
+  function showChartFilter() {
+    const type = $("viewerChartFilterType");
+    if (!type) return;
+
+    const pref = loadChartFilter();
+    type.value = pref.type;
+    [["viewerChartFilterOrder", pref.order], ["viewerChartFilterCutoff", pref.cutoff],
+      ["viewerChartFilterLow", pref.low], ["viewerChartFilterHigh", pref.high]].forEach(([id, v]) => {
+      const input = $(id);
+      if (input) input.value = formatValue(v);
+    });
+
+    const custom = pref.type !== "pipeline" && pref.type !== "none";
+    const band = pref.type === "bandpass" || pref.type === "notch";
+    document.querySelectorAll("#viewerProcessingDrawer [data-chart-filter-field]").forEach((row) => {
+      const field = row.dataset.chartFilterField;
+      row.hidden = !custom || (field === "cutoff" && band) || (field === "band" && !band);
+    });
+  }
+
+  function saveChartFilter() {
+    const num = (id) => Number($(id)?.value);
+    localStorage.setItem(CHART_FILTER_KEY, JSON.stringify({
+      type: $("viewerChartFilterType")?.value,
+      order: num("viewerChartFilterOrder"),
+      cutoff: num("viewerChartFilterCutoff"),
+      low: num("viewerChartFilterLow"),
+      high: num("viewerChartFilterHigh"),
+    }));
+
+    showChartFilter();
+    drawResponse();
+    document.dispatchEvent(new CustomEvent("movesync:chart-filter-changed", { detail: { filter: getChartFilter() } }));
+  }
+
+  // Rate of the current result; the pipeline's fallback before one exists
+  function previewRate() {
+    return window.currentProcessedSession?.sampleRate || defaults().FALLBACK_SAMPLE_RATE_HZ || 100;
+  }
+
+  function describeFilter(spec) {
+    const name = CHART_FILTERS.find((f) => f.value === spec.type)?.label.toLowerCase() || spec.type;
+    const design = spec.design === "iir1" ? "first-order IIR" : `Butterworth order ${spec.order}`;
+    const edges = spec.type === "bandpass" || spec.type === "notch"
+      ? `${formatValue(spec.low)}–${formatValue(spec.high)} Hz`
+      : `${formatValue(spec.cutoff)} Hz`;
+    return `${design} ${name}, ${edges}`;
+  }
+
+  // Gain in dB of the pipeline low-pass (as typed in the form, not yet
+  // saved) and of the chart filter, log frequency up to Nyquist
+  function drawResponse() {
+    const canvas = $("viewerFilterResponse");
+    const legend = $("viewerFilterResponseLegend");
+    const F = window.MoveSyncIMUFilters;
+    if (!canvas || !F) return;
+
+    const rate = previewRate();
+    const nyquist = rate / 2;
+    const fMin = nyquist / 500;
+    const freqs = Float64Array.from({ length: RESPONSE_POINTS }, (_, i) => fMin * Math.pow(nyquist / fMin, i / (RESPONSE_POINTS - 1)));
+
+    const typed = { ...inheritedFor(currentSession, scope), ...(readForm() || {}) };
+    const cfg = window.MoveSyncIMUProcessing?.resolveSettings?.(typed)?.cfg || typed;
+    const pref = loadChartFilter();
+    const curves = [{ spec: pipelineLowPass(cfg), color: "#40c4ff", name: "Blue: pipeline" }];
+    if (pref.type !== "pipeline" && pref.type !== "none") curves.push({ spec: getChartFilter(), color: "#ff9800", name: "Orange: charts" });
+
+    curves.forEach((c) => {
+      c.filter = F.designFilter(c.spec, rate);
+      c.gain = c.filter ? F.frequencyResponse(c.filter, rate, freqs) : new Float64Array(freqs.length).fill(1);
+    });
+
+    if (legend) {
+      const parts = curves.map((c) => `${c.name}, ${describeFilter(c.spec)}${c.filter ? "" : " (no effect at this rate)"}`);
+      if (pref.type === "pipeline") parts.push("the charts use the pipeline low-pass");
+      if (pref.type === "none") parts.push("the charts show raw data");
+      legend.textContent = `At ${formatValue(rate)} Hz. ${parts.join("; ")}.`;
+    }
+
+    const ctx = canvas.getContext?.("2d");
+    if (!ctx) return;
+
+    const { width: w, height: h } = canvas;
+    const pad = { left: 30, right: 6, top: 6, bottom: 16 };
+    const x = (f) => pad.left + (Math.log(f / fMin) / Math.log(nyquist / fMin)) * (w - pad.left - pad.right);
+    const y = (db) => pad.top + (Math.min(0, Math.max(RESPONSE_FLOOR_DB, db)) / RESPONSE_FLOOR_DB) * (h - pad.top - pad.bottom);
+    const ink = getComputedStyle(canvas).color || "#888";
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = "10px sans-serif";
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(128,128,128,0.3)";
+    ctx.fillStyle = ink;
+
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let db = 0; db >= RESPONSE_FLOOR_DB; db -= 20) {
+      ctx.beginPath();
+      ctx.moveTo(pad.left, y(db));
+      ctx.lineTo(w - pad.right, y(db));
+      ctx.stroke();
+      ctx.fillText(`${db}`, pad.left - 4, y(db));
+    }
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let f = Math.pow(10, Math.ceil(Math.log10(fMin))); f <= nyquist; f *= 10) {
+      ctx.beginPath();
+      ctx.moveTo(x(f), pad.top);
+      ctx.lineTo(x(f), h - pad.bottom);
+      ctx.stroke();
+      ctx.fillText(`${formatValue(f)} Hz`, x(f), h - pad.bottom + 3);
+    }
+
+    ctx.lineWidth = 2;
+    curves.forEach((c) => {
+      ctx.strokeStyle = c.color;
+      ctx.beginPath();
+      freqs.forEach((f, i) => {
+        const db = 20 * Math.log10(Math.max(1e-9, c.gain[i]));
+        if (i) ctx.lineTo(x(f), y(db));
+        else ctx.moveTo(x(f), y(db));
+      });
+      ctx.stroke();
+    });
+  }
+
+  function render() {
+    showScope();
+    showFields();
+    showChartFilter();
+    drawResponse();
+    showProvenance();
+  }
+
+  // -------------------------------
+  // Save
+  // -------------------------------
+  // Inputs -> { KEY: number | choice } clamped to the setting's range, or null
+  function readForm() {
+    const out = {};
+    const spec = new Map(specs().map((s) => [s.key, s]));
+    document.querySelectorAll("#viewerProcessingForm [data-setting]").forEach((input) => {
+      const s = spec.get(input.dataset.setting);
+      if (!s || input.value.trim() === "") return;
+      if (s.options) {
+        if (s.options.some((o) => o.value === input.value)) out[s.key] = input.value;
+        return;
+      }
+      const v = Number(input.value);
+      if (!Number.isFinite(v)) return;
+      const clamped = Math.min(s.max, Math.max(s.min, v));
+      out[s.key] = s.step >= 1 ? Math.round(clamped) : clamped;
+    });
+    return window.MoveSyncSchema.normalizeImuProcessing(out);
+  }
+
+  // "ZUPT accel above must stay below accel below" etc., or null
+  function checkPairs(values) {
+    const effective = { ...inheritedFor(currentSession, scope), ...(values || {}) };
+    const spec = new Map(specs().map((s) => [s.key, s]));
+    for (const s of specs()) {
+      if (s.below && !(effective[s.key] < effective[s.below])) {
+        return `${s.group}: "${s.label}" must be less than "${spec.get(s.below)?.label || s.below}".`;
+      }
+    }
+    return null;
+  }
+
+  async function save(values) {
+    const session = currentSession;
+    if (!session) return;
+
+    const problem = checkPairs(values);
+    if (problem) {
+      setStatus(problem, true);
+      return;
+    }
+
+    if (scope === "preset") {
+      const preset = presetOf(session);
+      try {
+        savePresetSettings(preset?.id, values);
+      } catch (err) {
+        setStatus(err.message || String(err), true);
+        return;
+      }
+      setStatus(`Saved on "${preset.name}". Processing again…`);
+      render();
+      document.dispatchEvent(new CustomEvent("movesync:imu-processing-changed", { detail: { session, scope } }));
+      return;
+    }
+
+    const store = window.MoveSyncSessionStore;
+    if (session.projectId != null && store?.updateSession) {
+      try {
+        // The store's change events re-render the viewer, which
+        // processes the IMU again with the new settings
+        await store.updateSession(session.projectId, session.id, { imuProcessing: values });
+        setStatus("Saved on the session. Processing again…");
+        return;
+      } catch (err) {
+        console.warn("[ProcessingSettings] Could not save the settings:", err);
+      }
+    }
+
+    overrides.set(session, values);
+    setStatus("Applied to this session until the page is left. Processing again…");
+    render();
+    document.dispatchEvent(new CustomEvent("movesync:imu-processing-changed", { detail: { session, scope } }));
+  }
+
+  async function copyProvenance() {
+    const provenance = window.currentProcessedSession?.provenance;
+    if (!provenance) return;
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(provenance, null, 2));
+      setStatus("Provenance copied.");
+    } catch (err) {
+      console.warn("[ProcessingSettings] Could not copy:", err);
+      setStatus("Could not copy; the browser blocked the clipboard.", true);
+    }
+  }
+
+  // -------------------------------
+  // Drawer
+  // -------------------------------
+  function setOpen(open) {
+    const drawer = $("viewerProcessingDrawer");
+    const toggle = $("viewerProcessingBtn");
+    if (!drawer) return;
+    drawer.hidden = !open;
+    toggle?.setAttribute("aria-expanded", open ? "true" : "false");
+    if (open) {
+      setStatus("");
+      render();
+    }
+  }
+
+  function isOpen() {
+    return !$("viewerProcessingDrawer")?.hidden;
+  }
+
+  function wire(signal) {
+    const drawer = $("viewerProcessingDrawer");
+    if (!drawer) return;
+
+    drawer.innerHTML = buildMarkup();
+    currentSession = window.MoveSyncSessionStore?.getActiveSession?.() || null;
+    scope = "session";
+    setOpen(false);
+
+    $("viewerProcessingBtn")?.addEventListener("click", () => setOpen(!isOpen()), { signal });
+    $("viewerProcessingClose")?.addEventListener("click", () => setOpen(false), { signal });
+
+    $("viewerProcessingScope")?.addEventListener("change", (e) => {
+      scope = e.target.value === "preset" ? "preset" : "session";
+      setStatus("");
+      render();
+    }, { signal });
+
+    $("viewerProcessingForm")?.addEventListener("input", (e) => {
+      e.target?.classList?.toggle?.("is-set", e.target.value !== "");
+      drawResponse();
+    }, { signal });
+
+    ["viewerChartFilterType", "viewerChartFilterOrder", "viewerChartFilterCutoff", "viewerChartFilterLow", "viewerChartFilterHigh"]
+      .forEach((id) => $(id)?.addEventListener("change", saveChartFilter, { signal }));
+
+    $("viewerProcessingForm")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      save(readForm());
+    }, { signal });
+
+    $("viewerProcessingReset")?.addEventListener("click", () => save(null), { signal });
+    $("viewerProcessingCopy")?.addEventListener("click", copyProvenance, { signal });
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && isOpen()) setOpen(false);
+    }, { signal });
+
+    document.addEventListener("movesync:active-session-changed", (e) => {
+      const next = e?.detail?.session ?? window.MoveSyncSessionStore?.getActiveSession?.() ?? null;
+      if (next !== currentSession) setStatus("");
+      currentSession = next;
+      if (isOpen()) render();
+    }, { signal });
+
+    document.addEventListener("movesync:imu-processed", () => {
+      if (!isOpen()) return;
+      showProvenance();
+      drawResponse();
+    }, { signal });
+
+    // Presets saved in another tab
+    window.MoveSyncTabSync?.on?.("presets:changed", () => {
+      if (isOpen()) render();
+    }, { signal });
+  }
+
+  window.MoveSyncViewerProcessingSettings = {
+    wire,
+    getSettings,
+    getChartFilter,
+  };
+})();
@@ -4,7 +4,8 @@
 //
 // Responsibilities:
 // - Load page-specific dependencies (once + always)
-// - Mount/wire submodules (video, timestamps, IMU, fusion, time-sync, picker)
+// - Mount/wire submodules (video, timestamps, IMU, fusion, time-sync, picker, tab mirror,
+//   processing settings drawer)
 // - Provide a simple controller that renders either the active session or an empty state
 // =======================================
 
@@ -25,10 +26,14 @@
   // Other deps can be re-used, but we allow re-loading on page enter
   // (the loader still de-dupes by DOM tag).
   const DEPS_ALWAYS = [
-    // Load AHRS library first so window.Madgwick is available to both
-    // sensor-fusion.js and imu-processing.js without either having to
-    // lazy-load it themselves.
-    "app/navigation/session-viewer/bottom-panel/3-sensor-fusion/ahrs.min.js",
+    // Orientation filters first so window.MoveSyncFusionFilters is
+    // available to both sensor-fusion.js (filter comparison) and the
+    // pipeline's main-thread fallback without either lazy-loading it.
+    "app/navigation/session-viewer/imu-processing/fusion-filters.js",
+    // Signal filters, for the same reason: the pipeline's Butterworth
+    // low-pass and the Processing drawer's response preview need them
+    // before the IMU panel lazy-loads its plot deps.
+    "app/navigation/session-viewer/bottom-panel/2-imu/plots/imu-filters.js",
 
     // Key metrics panel
     "app/navigation/session-viewer/key-metrics-panel/key-metrics-panel.js",
@@ -37,9 +42,13 @@
 
     "app/navigation/session-viewer/bottom-panel/2-imu/imu-panel.js",
     "app/navigation/session-viewer/bottom-panel/3-sensor-fusion/sensor-fusion.js",
+    // Pure pipeline (shared with imu-worker.js), then the job controller
+    "app/navigation/session-viewer/imu-processing/imu-pipeline.js",
     "app/navigation/session-viewer/imu-processing/imu-processing.js",
 
+    "app/navigation/session-viewer/processing-settings/processing-settings.js",
     "app/navigation/session-viewer/session-picker/session-picker.js",
+    "app/navigation/session-viewer/tab-mirror/tab-mirror.js",
     "app/navigation/session-viewer/time-sync/time-sync.js",
     "app/navigation/session-viewer/timestamps/timestamps.js",
     "app/navigation/session-viewer/video-panel/video-panel.js",
@@ -100,6 +109,43 @@
     return depsPromise;
   }
 
+  // ---------------------------------------------------------------------------
+  // IMU processing progress bar
+  // ---------------------------------------------------------------------------
+  const IMU_STAGE_LABELS = {
+    prepare: "Preparing IMU data…",
+    fusion: "Sensor fusion…",
+    gravity: "Removing gravity…",
+    filters: "Filtering…",
+    motion: "Speed and distance…",
+    summary: "Summarising…",
+  };
+
+  function renderImuProgress(detail) {
+    const root = $("viewerImuProgress");
+    if (!root || !detail) return;
+
+    const label = $("viewerImuProgressLabel");
+    const pctEl = $("viewerImuProgressPct");
+    const fill = $("viewerImuProgressFill");
+
+    if (detail.state === "done" || detail.state === "cancelled") {
+      root.hidden = true;
+      root.classList.remove("is-failed");
+      return;
+    }
+
+    const failed = detail.state === "failed";
+    const pct = failed ? 100 : Math.round((detail.progress || 0) * 100);
+
+    root.hidden = false;
+    root.classList.toggle("is-failed", failed);
+    root.setAttribute("aria-valuenow", String(pct));
+    if (label) label.textContent = failed ? "IMU processing failed" : IMU_STAGE_LABELS[detail.stage] || "Processing IMU…";
+    if (pctEl) pctEl.textContent = failed ? "" : `${pct}%`;
+    if (fill) fill.style.width = `${pct}%`;
+  }
+
   // ---------------------------------------------------------------------------
   // Small helpers (store + escape)
   // ---------------------------------------------------------------------------
@@ -522,6 +568,29 @@
             },
             { signal }
           );
+
+          // Go to a moment panels point at (e.g. a range-of-motion extreme):
+          // IMU cursor, and the video frame once an offset is known
+          document.addEventListener(
+            "movesync:imu-seek",
+            (ev) => {
+              const imuT = Number(ev?.detail?.imuTime);
+              if (!Number.isFinite(imuT)) return;
+              imuPanel?.setCursorX?.(imuT);
+              setVideoFromImuTime(imuT);
+            },
+            { signal }
+          );
+
+          // Metrics registered / replaced while open (plugins): re-list
+          document.addEventListener(
+            "movesync:metrics-changed",
+            () => {
+              keyMetricsPanel?.refresh?.();
+              expandedMetricsPanel?.refresh?.();
+            },
+            { signal }
+          );
         })();
 
         // 7) Project/session picker
@@ -539,6 +608,16 @@
         // 8) Navigation button
         $("viewerGoLibrary")?.addEventListener("click", () => window.MoveSync?.goToPage?.("Library"), { signal });
 
+        // 8b) Mirror another tab (session + cursor over BroadcastChannel)
+        window.MoveSyncViewerTabMirror?.create?.({
+          toggleId: "viewerMirrorBtn",
+          getVideoEl: () => $("viewerVideo"),
+          setImuCursorX: (x) => imuPanel?.setCursorX?.(x),
+        })?.wire?.(signal);
+
+        // 8c) Processing settings drawer (tuning per session / preset)
+        window.MoveSyncViewerProcessingSettings?.wire?.(signal);
+
         // 9) Main tabs
         initGeneralTabs(signal);
 
@@ -573,6 +652,9 @@
           if (liveEl) liveEl.hidden = false;
         }, { signal });
 
+        // IMU processing progress (worker job in imu-processing.js)
+        document.addEventListener("movesync:imu-progress", (ev) => renderImuProgress(ev?.detail), { signal });
+
         // Live speed: update on every cursor movement
         document.addEventListener("movesync:imu-cursor-changed", (ev) => {
           const t = ev?.detail?.imuTime;
@@ -0,0 +1,200 @@
+// =======================================
+// MoveSync component: Tab Mirror (Session Viewer)
+// File: app/navigation/session-viewer/tab-mirror/tab-mirror.js
+//
+// Lets a second window follow another MoveSync tab live:
+// - Every viewer tab posts its active session and cursor (IMU time + video time)
+// - A tab with "Mirror" switched on stops posting and follows those messages
+//
+// Messages (window.MoveSyncTabSync):
+// - viewer:session { projectId, sessionId }
+// - viewer:cursor  { projectId, sessionId, imuTime, videoTime }
+// - viewer:request {}  (a mirror asking the other tabs for their current state)
+//
+// The mirror only follows sessions it knows; projects arrive through the
+// store's own cross-tab sync, so a pending session is retried on projects-changed.
+// =======================================
+
+(() => {
+  "use strict";
+
+  const MIRROR_KEY = "movesync-viewer-mirror";
+
+  function createTabMirror({ toggleId, getVideoEl, setImuCursorX }) {
+    const $ = (id) => document.getElementById(id);
+    const tabSync = window.MoveSyncTabSync;
+    const store = window.MoveSyncSessionStore;
+
+    let mirroring = false;
+    let applying = false;
+    let pendingRef = null;
+    let cursorRaf = null;
+
+    function readPreference() {
+      try {
+        return sessionStorage.getItem(MIRROR_KEY) === "1";
+      } catch {
+        return false;
+      }
+    }
+
+    function writePreference(on) {
+      try {
+        if (on) sessionStorage.setItem(MIRROR_KEY, "1");
+        else sessionStorage.removeItem(MIRROR_KEY);
+      } catch {}
+    }
+
+    function activeRef() {
+      const s = store?.getActiveSession?.();
+      if (!s) return null;
+      const projectId = s.projectId ?? s.project?.id ?? null;
+      return projectId == null || s.id == null ? null : { projectId, sessionId: s.id };
+    }
+
+    function isActive(ref) {
+      const cur = activeRef();
+      return !!cur && !!ref && String(cur.projectId) === String(ref.projectId) && String(cur.sessionId) === String(ref.sessionId);
+    }
+
+    // -------------------------------
+    // Posting (leader side)
+    // -------------------------------
+    function postSession() {
+      if (mirroring || applying) return;
+      const ref = activeRef();
+      if (ref) tabSync?.post?.("viewer:session", ref);
+    }
+
+    function postCursorNow() {
+      cursorRaf = null;
+      if (mirroring || applying) return;
+
+      const ref = activeRef();
+      if (!ref) return;
+
+      const v = getVideoEl?.();
+      const slider = $("viewerImuCursorRange");
+      const imuTime = slider ? Number(slider.value) : NaN;
+      const videoTime = v && Number.isFinite(v.currentTime) ? v.currentTime : NaN;
+
+      tabSync?.post?.("viewer:cursor", {
+        ...ref,
+        imuTime: Number.isFinite(imuTime) ? imuTime : null,
+        videoTime: Number.isFinite(videoTime) ? videoTime : null,
+      });
+    }
+
+    // Coalesce bursts (slider drags, playback) to one message per frame.
+    function scheduleCursorPost() {
+      if (mirroring || applying || cursorRaf) return;
+      cursorRaf = requestAnimationFrame(postCursorNow);
+    }
+
+    // -------------------------------
+    // Following (mirror side)
+    // -------------------------------
+    function followSession(ref) {
+      if (!mirroring || !ref) return;
+      if (isActive(ref)) {
+        pendingRef = null;
+        return;
+      }
+
+      const known = (store?.getSessionsForProject?.(ref.projectId) || []).some((s) => String(s?.id) === String(ref.sessionId));
+      if (!known) {
+        pendingRef = ref; // not synced into this tab yet
+        return;
+      }
+
+      pendingRef = null;
+      applying = true;
+      try {
+        store?.setActiveSession?.(ref.projectId, ref.sessionId);
+      } finally {
+        applying = false;
+      }
+    }
+
+    function followCursor(msg) {
+      if (!mirroring || !msg) return;
+      if (!isActive(msg)) {
+        followSession(msg);
+        return;
+      }
+
+      applying = true;
+      try {
+        if (Number.isFinite(msg.imuTime)) setImuCursorX?.(msg.imuTime);
+
+        const v = getVideoEl?.();
+        if (v && Number.isFinite(msg.videoTime) && Math.abs((v.currentTime || 0) - msg.videoTime) > 0.04) {
+          if (!v.paused) v.pause();
+          v.currentTime = msg.videoTime;
+          v.dispatchEvent(new Event("timeupdate"));
+        }
+      } catch {
+        // ignore
+      } finally {
+        applying = false;
+      }
+    }
+
+    // -------------------------------
+    // Toggle
+    // -------------------------------
+    function syncToggle() {
+      const btn = $(toggleId);
+      if (!btn) return;
+      btn.hidden = !tabSync?.isSupported?.();
+      btn.setAttribute("aria-pressed", mirroring ? "true" : "false");
+      btn.title = mirroring
+        ? "Following another MoveSync tab. Click to stop."
+        : "Follow the session and cursor of another MoveSync tab";
+    }
+
+    function setMirroring(on) {
+      mirroring = !!on && !!tabSync?.isSupported?.();
+      writePreference(mirroring);
+      syncToggle();
+      if (mirroring) tabSync?.post?.("viewer:request", {});
+    }
+
+    function wire(signal) {
+      if (!tabSync) return;
+
+      $(toggleId)?.addEventListener("click", () => setMirroring(!mirroring), { signal });
+
+      // Leader side
+      document.addEventListener("movesync:active-session-changed", postSession, { signal });
+      document.addEventListener("movesync:imu-cursor-changed", scheduleCursorPost, { signal });
+      getVideoEl?.()?.addEventListener("seeked", scheduleCursorPost, { signal });
+      getVideoEl?.()?.addEventListener("timeupdate", scheduleCursorPost, { signal });
+
+      tabSync.on("viewer:request", () => {
+        postSession();
+        postCursorNow();
+      }, { signal });
+
+      // Mirror side
+      tabSync.on("viewer:session", followSession, { signal });
+      tabSync.on("viewer:cursor", followCursor, { signal });
+      document.addEventListener("movesync:projects-changed", () => followSession(pendingRef), { signal });
+
+      signal?.addEventListener?.("abort", () => {
+        if (cursorRaf) cancelAnimationFrame(cursorRaf);
+        cursorRaf = null;
+      }, { once: true });
+
+      setMirroring(readPreference());
+    }
+
+    return {
+      wire,
+      isMirroring: () => mirroring,
+      setMirroring,
+    };
+  }
+
+  window.MoveSyncViewerTabMirror = { create: createTabMirror };
+})();
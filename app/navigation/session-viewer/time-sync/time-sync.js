@@ -348,6 +348,52 @@
       }
     }
 
+    // -----------------------------
+    // Undo / redo for offset edits
+    // Entries only apply to the session they were made on.
+    // -----------------------------
+    function activeSessionKey() {
+      const sess = window.MoveSyncSessionStore?.getActiveSession?.() || null;
+      return sess ? `${sess.projectId ?? ""}:${sess.id ?? ""}` : "";
+    }
+
+    function captureOffsetState() {
+      return {
+        offset: state.offset,
+        videoMarkerT: state.videoMarkerT,
+        imuMarker: typeof getImuMarkerX === "function" ? getImuMarkerX() : null,
+      };
+    }
+
+    function applyOffsetState(snap) {
+      state.offset = snap.offset;
+      state.videoMarkerT = snap.videoMarkerT;
+      if (typeof setImuMarkerX === "function") setImuMarkerX(snap.imuMarker);
+
+      const hasOffset = Number.isFinite(state.offset);
+      setFollowManualEnabled(hasOffset);
+      setFollowVideoMode(hasOffset);
+
+      render();
+      document.dispatchEvent(new CustomEvent("movesync:time-sync-changed", { detail: { ...state } }));
+    }
+
+    function recordOffsetEdit(label, before, { destructive = false } = {}) {
+      const key = activeSessionKey();
+      const after = captureOffsetState();
+      const applyIfSameSession = (snap) => () => {
+        if (activeSessionKey() !== key) return false;
+        applyOffsetState(snap);
+      };
+
+      window.MoveSyncHistory?.push?.({
+        label,
+        destructive,
+        undo: applyIfSameSession(before),
+        redo: applyIfSameSession(after),
+      });
+    }
+
     function computeOffset() {
       const imuMarker = typeof getImuMarkerX === "function" ? getImuMarkerX() : null;
       if (!Number.isFinite(state.videoMarkerT) || !Number.isFinite(imuMarker)) {
@@ -355,6 +401,8 @@
         return;
       }
 
+      const before = captureOffsetState();
+
       // offset definition: videoT = imuT + offset  => offset = videoT - imuT
       state.offset = Number(state.videoMarkerT) - Number(imuMarker);
       render();
@@ -364,10 +412,13 @@
       setFollowVideoMode(true);
 
       document.dispatchEvent(new CustomEvent("movesync:time-sync-changed", { detail: { ...state } }));
+      recordOffsetEdit(`Sync offset ${state.offset.toFixed(3)} s`, before);
       setHint("Offset computed. Cursor is now following the video.");
     }
 
     function resetOffsetGroup() {
+      const before = captureOffsetState();
+
       state.videoMarkerT = null;
       state.offset = null;
 
@@ -379,6 +430,7 @@
 
       render();
       document.dispatchEvent(new CustomEvent("movesync:time-sync-changed", { detail: { ...state } }));
+      if (Number.isFinite(before.offset)) recordOffsetEdit("Reset sync offset", before, { destructive: true });
       setHint("Offset reset.");
     }
 
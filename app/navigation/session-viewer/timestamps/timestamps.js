@@ -46,6 +46,46 @@
     return session.timestamps;
   }
 
+  function cloneTimestamps(list) {
+    return (list || []).map((ts) => ({ ...ts }));
+  }
+
+  function emitTimestampsChanged(session) {
+    document.dispatchEvent(
+      new CustomEvent("movesync:session-timestamps-changed", {
+        detail: { sessionId: session?.id, projectId: session?.projectId ?? null, at: Date.now() },
+      })
+    );
+  }
+
+  // Records one in-place edit of session.timestamps on the undo stack.
+  // `before` is a clone taken before the edit; the edit is already applied.
+  // Undo / redo look the session up again in the store (store undo and
+  // other tabs replace the session objects) and refuse once it is gone or
+  // no longer the active one.
+  function recordTimestampsEdit(session, label, before, { destructive = false } = {}) {
+    const after = cloneTimestamps(getSessionTimestamps(session));
+    const projectId = session?.projectId ?? null;
+    const id = session?.id;
+
+    const restore = (list) => () => {
+      const current = window.MoveSyncSessionStore?.getActiveSession?.() || null;
+      if (!current || String(current.id) !== String(id) || String(current.projectId ?? "") !== String(projectId ?? "")) {
+        return false;
+      }
+      const arr = getSessionTimestamps(current);
+      arr.splice(0, arr.length, ...cloneTimestamps(list));
+      emitTimestampsChanged(current);
+    };
+
+    window.MoveSyncHistory?.push?.({
+      label,
+      destructive,
+      undo: restore(before),
+      redo: restore(after),
+    });
+  }
+
   function buildPanelMarkup() {
     return `
       <div class="viewer-card-title">
@@ -98,6 +138,14 @@
           Select a session to add timestamps.
         </div>
 
+        <div class="viewer-tsAuto" id="viewerTsAuto" hidden>
+          <button class="btn btn-ghost" id="viewerTsPlaceJumps" type="button">
+            <i class="bx bx-up-arrow-circle" aria-hidden="true"></i>
+            Place jump events
+          </button>
+          <span class="viewer-tsAutoInfo" id="viewerTsAutoInfo"></span>
+        </div>
+
         <div class="viewer-tsList" id="viewerTsList"></div>
       </div>
 
@@ -349,6 +397,60 @@
     function onProcessed(processed) {
       _processed = processed || null;
       if (_rangeA !== null && _rangeB !== null) updateRangeMetrics();
+      updateJumpButton();
+    }
+
+    // ── Jump events (processed.jumps) ────────────────────────────
+
+    function updateJumpButton() {
+      const box  = $("viewerTsAuto");
+      const info = $("viewerTsAutoInfo");
+      const count = _processed?.jumps?.jumps?.length || 0;
+      if (box) box.hidden = !count;
+      if (info) info.textContent = count ? `${count} jump${count === 1 ? "" : "s"} detected` : "";
+    }
+
+    // Adds Countermovement / Takeoff / Apex / Landing (the Jump preset's
+    // timestamp types) for every detected jump, replacing the ones placed
+    // before; one undo step
+    function placeJumpEvents() {
+      const session = typeof getActiveSession === "function" ? getActiveSession() : null;
+      const result  = _processed?.jumps;
+      const J       = window.MoveSyncImuJump;
+      if (!session) return setHint("Select a session first.");
+      if (!result?.jumps?.length || !J) return setHint("No jumps detected in this IMU.");
+
+      const off = typeof getTimeSyncOffset === "function" ? getTimeSyncOffset() : null;
+      if (off === null) return setHint("Set time sync offset first.");
+
+      const arr    = getSessionTimestamps(session);
+      const before = cloneTimestamps(arr);
+      const kept   = arr.filter((ts) => ts.auto !== "jump");
+      const now    = new Date().toISOString();
+
+      const placed = [];
+      result.jumps.forEach((jump, k) => {
+        J.phases(jump).forEach(({ label, t }) => {
+          const videoT = t + off;
+          if (videoT < 0) return;
+          placed.push({
+            id: `ts_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            t: videoT, label,
+            notes: `Jump ${k + 1} · ${(jump.heightFlight * 100).toFixed(1)} cm`,
+            auto: "jump",
+            createdAt: now,
+            updatedAt: now,
+          });
+        });
+      });
+
+      arr.splice(0, arr.length, ...kept, ...placed);
+      const replaced = before.length - kept.length;
+      emitTimestampsChanged(session);
+      recordTimestampsEdit(session, "Place jump events", before, { destructive: replaced > 0 });
+      render(session);
+      setHint(`Placed ${placed.length} timestamps for ${result.jumps.length} jump${result.jumps.length === 1 ? "" : "s"}`
+        + (replaced ? ` (replaced ${replaced}).` : "."));
     }
 
     function render(sessionArg) {
@@ -450,10 +552,12 @@
           setEditingMode(false);
           return setHint("That timestamp no longer exists.");
         }
+        const before = cloneTimestamps(arr);
         ts.label     = label;
         ts.notes     = notes;
         ts.updatedAt = new Date().toISOString();
-        document.dispatchEvent(new CustomEvent("movesync:session-timestamps-changed", { detail: { sessionId: session.id, at: Date.now() } }));
+        emitTimestampsChanged(session);
+        recordTimestampsEdit(session, `Edit timestamp "${label || fmtSec(ts.t)}"`, before);
         editingId = null;
         setEditingMode(false);
         clearForm();
@@ -465,6 +569,7 @@
 
       if (!v || !Number.isFinite(v.currentTime)) return setHint("Load a video first.");
       const t = Number(v.currentTime);
+      const before = cloneTimestamps(arr);
 
       arr.push({
         id: `ts_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
@@ -474,7 +579,8 @@
       });
 
       clearForm();
-      document.dispatchEvent(new CustomEvent("movesync:session-timestamps-changed", { detail: { sessionId: session.id, at: Date.now() } }));
+      emitTimestampsChanged(session);
+      recordTimestampsEdit(session, `Add timestamp "${label || fmtSec(t)}"`, before);
       render(session);
       updateNow();
 
@@ -498,8 +604,12 @@
       if (!session) return;
       const arr = getSessionTimestamps(session);
       const idx = arr.findIndex((x) => String(x.id) === String(id));
-      if (idx >= 0) arr.splice(idx, 1);
-      document.dispatchEvent(new CustomEvent("movesync:session-timestamps-changed", { detail: { sessionId: session.id, at: Date.now() } }));
+      if (idx < 0) return;
+
+      const before = cloneTimestamps(arr);
+      const [removed] = arr.splice(idx, 1);
+      emitTimestampsChanged(session);
+      recordTimestampsEdit(session, `Deleted timestamp "${removed.label || fmtSec(removed.t)}"`, before, { destructive: true });
       render(session);
     }
 
@@ -529,9 +639,11 @@
       if (!v || !Number.isFinite(v.currentTime)) return setHint("Load a video first.");
       const ts = getSessionTimestamps(session).find((x) => String(x.id) === String(editingId));
       if (!ts) return;
+      const before = cloneTimestamps(getSessionTimestamps(session));
       ts.t         = Number(v.currentTime);
       ts.updatedAt = new Date().toISOString();
-      document.dispatchEvent(new CustomEvent("movesync:session-timestamps-changed", { detail: { sessionId: session.id, at: Date.now() } }));
+      emitTimestampsChanged(session);
+      recordTimestampsEdit(session, `Move timestamp "${ts.label || fmtSec(ts.t)}"`, before);
       render(session);
       updateNow();
       setHint(`Updated time to ${fmtSec(ts.t)}. Click Save to keep your label/notes changes too.`);
@@ -548,6 +660,7 @@
       $("viewerTsSetA")?.addEventListener("click",      () => setRangePoint("A"), { signal });
       $("viewerTsSetB")?.addEventListener("click",      () => setRangePoint("B"), { signal });
       $("viewerTsRangeClear")?.addEventListener("click",() => clearRange(),      { signal });
+      $("viewerTsPlaceJumps")?.addEventListener("click",() => placeJumpEvents(), { signal });
 
       $("viewerTsInput")?.addEventListener("keydown",  (e) => { if (e.key === "Enter") addFromVideo(); }, { signal });
       $("viewerTsNotes")?.addEventListener("keydown",  (e) => { if ((e.ctrlKey || e.metaKey) && e.key === "Enter") addFromVideo(); }, { signal });
@@ -594,6 +707,8 @@
       document.addEventListener("movesync:active-session-changed", (e) => {
         cancelEdit();
         clearRange();
+        _processed = null;
+        updateJumpButton();
         render(e?.detail?.session || null);
         updateNow();
       }, { signal });
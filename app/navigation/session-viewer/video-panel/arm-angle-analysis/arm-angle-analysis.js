@@ -4,6 +4,12 @@
 // - Safer math + validation
 // - Better separation of concerns
 // - Chart updates are resilient (re-use/destroy)
+// - Samples are paired by time (aligned sessions share one timeline)
+// - Segment calibration (Sensor Fusion panel) turns sensor orientations
+//   into segment orientations first; with a functional hinge axis the
+//   joint angle is signed flexion about it
+// - Range of motion per rep and plane (MoveSyncImuRom); clicking an
+//   angle at its extreme goes to that moment (movesync:imu-seek)
 // =======================================
 
 (function () {
@@ -57,6 +63,16 @@
       const angleRad = 2 * Math.acos(w);
       return rad2deg(angleRad);
     },
+
+    // Same Z-Y-X convention as imu-pipeline.js computeEuler, degrees
+    toEulerDeg([w, x, y, z]) {
+      const sinp = 2 * (w * y - z * x);
+      return {
+        roll: rad2deg(Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y))),
+        pitch: Math.abs(sinp) >= 1 ? Math.sign(sinp) * 90 : rad2deg(Math.asin(sinp)),
+        yaw: rad2deg(Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z))),
+      };
+    },
   };
 
   // -------------------------------
@@ -66,18 +82,26 @@
     #shoulder = null;
     #elbow = null;
     #wrist = null;
+    #calibration = null;
     #angles = null;
+    #sampleRate = null;
+    #rom = null;
 
-    setImuData({ shoulder, elbow, wrist }) {
+    // calibration: { pose, shoulder, elbow, wrist (sensor-to-segment
+    // quats), axes: { elbow, wrist } (hinge axis or null) } | null
+    setImuData({ shoulder, elbow, wrist, calibration = null }) {
       assert(shoulder && elbow && wrist, "All three IMUs (shoulder, elbow, wrist) must be set");
       assert(Array.isArray(shoulder.orientations), "Shoulder data missing orientations[]");
       assert(Array.isArray(elbow.orientations), "Elbow data missing orientations[]");
       assert(Array.isArray(wrist.orientations), "Wrist data missing orientations[]");
       assert(Array.isArray(shoulder.times), "Shoulder data missing times[]");
+      assert(Array.isArray(elbow.times), "Elbow data missing times[]");
+      assert(Array.isArray(wrist.times), "Wrist data missing times[]");
 
       this.#shoulder = shoulder;
       this.#elbow = elbow;
       this.#wrist = wrist;
+      this.#calibration = calibration;
 
       this.#compute();
       return this.#angles;
@@ -87,6 +111,18 @@
       return this.#angles;
     }
 
+    getCalibration() {
+      return this.#calibration;
+    }
+
+    // Range of motion of every joint plane, per rep (computed once per set
+    // of angles); null without angles or MoveSyncImuRom
+    getRangeOfMotion() {
+      if (!this.#angles || !window.MoveSyncImuRom) return null;
+      if (!this.#rom) this.#rom = romOf(this.#angles, this.#sampleRate);
+      return this.#rom;
+    }
+
     getStatistics() {
       if (!this.#angles) return null;
 
@@ -99,43 +135,108 @@
       };
     }
 
+    // Each shoulder sample is paired with the elbow / wrist samples nearest
+    // in time (within half a sample). Aligned IMUs share one grid, so the
+    // pairing is exact; unaligned ones pair on their own clocks.
     #compute() {
       const s = this.#shoulder;
       const e = this.#elbow;
       const w = this.#wrist;
+      const cal = this.#calibration;
+      const C = window.MoveSyncImuCalibration;
 
-      const n = Math.min(s.orientations.length, e.orientations.length, w.orientations.length, s.times.length);
-      assert(n > 0, "No samples available to compute angles.");
+      const rate = Math.min(...[s, e, w].map((d) => (d.sampleRate > 0 ? d.sampleRate : Infinity)));
+      const tolerance = Number.isFinite(rate) ? 0.5 / rate : Infinity;
+      const eAt = nearestIn(e.times, tolerance);
+      const wAt = nearestIn(w.times, tolerance);
 
-      const out = {
-        elbow: new Array(n),
-        wrist: new Array(n),
-        shoulder: new Array(n),
-        times: s.times.slice(0, n),
-      };
+      const out = { elbow: [], wrist: [], shoulder: [], times: [] };
+      const n = Math.min(s.orientations.length, s.times.length);
 
       for (let i = 0; i < n; i++) {
+        const t = s.times[i];
+        const ei = eAt(t);
+        const wi = wAt(t);
+        if (ei < 0 || wi < 0) continue;
+
         const sQuat = s.orientations[i]?.quat;
-        const eQuat = e.orientations[i]?.quat;
-        const wQuat = w.orientations[i]?.quat;
+        const eQuat = e.orientations[ei]?.quat;
+        const wQuat = w.orientations[wi]?.quat;
+
+        assert(sQuat?.length === 4, `Invalid shoulder quat at i=${i}`);
+        assert(eQuat?.length === 4, `Invalid elbow quat at i=${ei}`);
+        assert(wQuat?.length === 4, `Invalid wrist quat at i=${wi}`);
+
+        out.times.push(t);
 
-        assert(Array.isArray(sQuat) && sQuat.length === 4, `Invalid shoulder quat at i=${i}`);
-        assert(Array.isArray(eQuat) && eQuat.length === 4, `Invalid elbow quat at i=${i}`);
-        assert(Array.isArray(wQuat) && wQuat.length === 4, `Invalid wrist quat at i=${i}`);
+        if (cal) {
+          const sSeg = C.toSegment(sQuat, cal.shoulder);
+          const eSeg = C.toSegment(eQuat, cal.elbow);
+          const wSeg = C.toSegment(wQuat, cal.wrist);
+          out.elbow.push(C.jointAngle(sSeg, eSeg, cal.axes.elbow));
+          out.wrist.push(C.jointAngle(eSeg, wSeg, cal.axes.wrist));
+          // Upper arm relative to its orientation in the pose
+          out.shoulder.push(Quat.toEulerDeg(sSeg));
+          continue;
+        }
 
-        out.elbow[i] = Quat.relativeAngleDeg(sQuat, eQuat);
-        out.wrist[i] = Quat.relativeAngleDeg(eQuat, wQuat);
+        out.elbow.push(Quat.relativeAngleDeg(sQuat, eQuat));
+        out.wrist.push(Quat.relativeAngleDeg(eQuat, wQuat));
 
         const euler = s.orientations[i]?.euler ?? null;
-        out.shoulder[i] = euler
+        out.shoulder.push(euler
           ? { pitch: rad2deg(euler.pitch), roll: rad2deg(euler.roll), yaw: rad2deg(euler.yaw) }
-          : null;
+          : null);
       }
 
+      assert(out.times.length > 0, "No samples available to compute angles (the IMUs' recordings don't overlap in time).");
       this.#angles = out;
+      this.#sampleRate = s.sampleRate > 0 ? s.sampleRate : rateOf(out.times);
+      this.#rom = null;
     }
   }
 
+  // Index lookup for increasing query times: nearest sample of `times`
+  // (sorted) within `tolerance` seconds, else -1
+  function nearestIn(times, tolerance) {
+    let j = 0;
+    return (t) => {
+      while (j < times.length - 1 && Math.abs(times[j + 1] - t) <= Math.abs(times[j] - t)) j++;
+      return Math.abs(times[j] - t) <= tolerance ? j : -1;
+    };
+  }
+
+  // Mean sample rate of increasing times, or null
+  function rateOf(times) {
+    const span = times[times.length - 1] - times[0];
+    return times.length > 1 && span > 0 ? (times.length - 1) / span : null;
+  }
+
+  // Joint planes for MoveSyncImuRom: elbow and wrist angles, and the upper
+  // arm's Euler angles when there are any (roll / yaw wrap at ±180°). Reps
+  // follow the elbow: it doesn't drift with heading like the upper arm's yaw.
+  const ROM_PLANES = {
+    elbow: "Elbow",
+    wrist: "Wrist",
+    shoulderPitch: "Shoulder pitch",
+    shoulderRoll: "Shoulder roll",
+    shoulderYaw: "Shoulder yaw",
+  };
+
+  function romOf(angles, sampleRate) {
+    const planes = { elbow: angles.elbow, wrist: angles.wrist };
+    if (angles.shoulder.some(Boolean)) {
+      planes.shoulderPitch = angles.shoulder.map((e) => e?.pitch ?? null);
+      planes.shoulderRoll = angles.shoulder.map((e) => e?.roll ?? null);
+      planes.shoulderYaw = angles.shoulder.map((e) => e?.yaw ?? null);
+    }
+    return window.MoveSyncImuRom.analyze(angles.times, planes, {
+      sampleRate,
+      wrap: ["shoulderRoll", "shoulderYaw"],
+      primary: "elbow",
+    });
+  }
+
   function statsOf(arr) {
     if (!arr.length) return { mean: NaN, min: NaN, max: NaN, range: NaN };
     let sum = 0;
@@ -172,7 +273,9 @@
         wristStats: "armWristStats",
         elbowChart: "armElbowChart",
         wristChart: "armWristChart",
+        calib: "armAngleCalib",
         warn: "armAngleWarning",
+        rom: "armRomTables",
       };
     }
 
@@ -230,7 +333,9 @@
         wristStats: byId(this.ids.wristStats),
         elbowChart: byId(this.ids.elbowChart),
         wristChart: byId(this.ids.wristChart),
+        calib: byId(this.ids.calib),
         warn: byId(this.ids.warn),
+        rom: byId(this.ids.rom),
       };
     }
 
@@ -271,6 +376,8 @@
         </div>
 
         <div id="${this.ids.results}" style="display:none;">
+          <div id="${this.ids.calib}" style="font-size:12px; opacity:0.8; margin-bottom:10px;"></div>
+
           <div class="viewer-fusion-data">
             <div class="viewer-fusion-card">
               <div class="viewer-fusion-label">Elbow Angle</div>
@@ -283,6 +390,12 @@
             </div>
           </div>
 
+          <div style="margin-top:16px;">
+            <div style="font-weight:600; margin-bottom:4px;">Range of Motion</div>
+            <div style="font-size:12px; opacity:0.8; margin-bottom:8px;">Reps follow the elbow angle. Click an angle to go to that moment in the IMU charts and video.</div>
+            <div id="${this.ids.rom}"></div>
+          </div>
+
           <div style="margin-top:16px;">
             ${this.#chartBlock("Elbow Angle Over Time", this.ids.elbowChart)}
             ${this.#chartBlock("Wrist Angle Over Time", this.ids.wristChart)}
@@ -316,9 +429,19 @@
     }
 
     #wire() {
-      const { shoulder, elbow, wrist, btn } = this.#els();
+      const { shoulder, elbow, wrist, btn, rom } = this.#els();
       if (!shoulder || !elbow || !wrist || !btn) return;
 
+      // Angle at an extreme -> IMU cursor + video (session-viewer.js)
+      rom?.addEventListener("click", (ev) => {
+        const link = ev.target.closest("[data-imu-seek]");
+        if (!link) return;
+        const imuTime = Number(link.getAttribute("data-imu-seek"));
+        if (Number.isFinite(imuTime)) {
+          document.dispatchEvent(new CustomEvent("movesync:imu-seek", { detail: { imuTime } }));
+        }
+      });
+
       const onChange = () => this.#validateSelections();
       shoulder.addEventListener("change", onChange);
       elbow.addEventListener("change", onChange);
@@ -392,7 +515,17 @@
         assert(eData, `Elbow IMU (index ${eIdx}) has no fusion data - check its CSV has ax/ay/az, gx/gy/gz and mx/my/mz columns.`);
         assert(wData, `Wrist IMU (index ${wIdx}) has no fusion data - check its CSV has ax/ay/az, gx/gy/gz and mx/my/mz columns.`);
 
-        const angles = this.analyser.setImuData({ shoulder: sData, elbow: eData, wrist: wData });
+        // Fusion results are kept per IMU until it is processed again; one
+        // computed before (or after) the sensors were aligned is on another clock
+        const timeline = (d) => JSON.stringify(d.timeline || null);
+        assert(
+          timeline(sData) === timeline(eData) && timeline(eData) === timeline(wData),
+          "These IMUs were processed on different timelines (aligned vs. not aligned). " +
+          "Open each one's tab in the IMU panel so it is reprocessed, then calculate again."
+        );
+
+        const calibration = this.#calibrationFor(sIdx, eIdx, wIdx);
+        const angles = this.analyser.setImuData({ shoulder: sData, elbow: eData, wrist: wData, calibration });
         this.#displayResults(angles, this.analyser.getStatistics());
       } catch (err) {
         console.error("Arm angle calculation failed:", err);
@@ -400,12 +533,44 @@
       }
     }
 
+    // The session's segment calibration for these three IMUs, or null (raw
+    // sensor rotations) when it doesn't cover all of them
+    #calibrationFor(sIdx, eIdx, wIdx) {
+      const cal = window.MoveSyncViewerFusionPanel?.getCalibration?.();
+      if (!cal || !window.MoveSyncImuCalibration) return null;
+
+      const [shoulder, elbow, wrist] = [sIdx, eIdx, wIdx].map((i) => cal.sensors[i]?.quat ?? null);
+      if (!shoulder || !elbow || !wrist) {
+        console.warn("[ArmAngle] The calibration doesn't cover all three IMUs; using raw sensor rotations.");
+        return null;
+      }
+
+      const axis = (joint, proximal, distal) =>
+        cal.joints.find((j) => j.joint === joint && j.proximal === proximal && j.distal === distal)?.axis ?? null;
+
+      return {
+        pose: cal.pose,
+        shoulder,
+        elbow,
+        wrist,
+        axes: { elbow: axis("elbow", sIdx, eIdx), wrist: axis("wrist", eIdx, wIdx) },
+      };
+    }
+
     #displayResults(angles, stats) {
-      const { results, elbowStats, wristStats } = this.#els();
+      const { results, elbowStats, wristStats, calib } = this.#els();
       if (!angles || !stats) return;
 
       if (results) results.style.display = "block";
 
+      if (calib) {
+        const cal = this.analyser.getCalibration();
+        const how = (axis) => (axis ? "flexion about the functional hinge axis" : "total rotation from the pose");
+        calib.textContent = cal
+          ? `Calibrated to the ${cal.pose === "t-pose" ? "T-pose" : "N-pose"}: elbow ${how(cal.axes.elbow)}, wrist ${how(cal.axes.wrist)}.`
+          : "Not calibrated: raw relative sensor rotations, which depend on how the IMUs were strapped on. Calibrate in the Sensor Fusion panel.";
+      }
+
       if (elbowStats) {
         elbowStats.innerHTML = `
           Mean: ${stats.elbow.mean.toFixed(1)}Â°<br>
@@ -422,9 +587,47 @@
         `;
       }
 
+      this.#displayRom(this.analyser.getRangeOfMotion());
       this.#updateCharts(angles);
     }
 
+    // Whole recording, then each rep: min / max (with when) / ROM per plane
+    #displayRom(rom) {
+      const { rom: box } = this.#els();
+      if (!box) return;
+      if (!rom) {
+        box.textContent = "—";
+        return;
+      }
+
+      const num = (v, dp) => (Number.isFinite(v) ? v.toFixed(dp) : "—");
+      const at = (angle, t) => (Number.isFinite(angle) && Number.isFinite(t)
+        ? `<button type="button" class="viewer-fusion-seek" data-imu-seek="${t}" title="Go to ${num(t, 2)} s">${num(angle, 1)}° <span>@ ${num(t, 2)} s</span></button>`
+        : "—");
+      const planes = Object.keys(ROM_PLANES).filter((k) => rom.planes[k]);
+      const rows = (per, head) => planes.map((k, i) => `
+        <tr>${head(i)}<td class="is-text">${ROM_PLANES[k]}</td>
+          <td>${at(per[k]?.min, per[k]?.tMin)}</td><td>${at(per[k]?.max, per[k]?.tMax)}</td><td>${num(per[k]?.rom, 1)}</td></tr>`).join("");
+
+      box.innerHTML = `
+        <table class="viewer-fusion-table">
+          <thead><tr><th class="is-text">Whole recording</th><th>Min</th><th>Max</th><th>ROM (°)</th></tr></thead>
+          <tbody>${rows(rom.planes, () => "")}</tbody>
+        </table>
+        ${rom.reps.length ? `
+          <div class="viewer-fusion-table-scroll">
+            <table class="viewer-fusion-table">
+              <thead><tr><th class="is-text">Rep</th><th class="is-text">Plane</th><th>Min</th><th>Max</th><th>ROM (°)</th></tr></thead>
+              <tbody>
+                ${rom.reps.map((r, n) => rows(r.planes, (i) => (i === 0
+                  ? `<td class="is-text" rowspan="${planes.length}">${n + 1}<br><span>${num(r.start, 2)}–${num(r.end, 2)} s</span></td>`
+                  : ""))).join("")}
+              </tbody>
+            </table>
+          </div>` : `<div style="font-size:12px; opacity:0.7; margin-top:6px;">No reps found in the elbow angle.</div>`}
+      `;
+    }
+
     #updateCharts(angles) {
       if (!window.Chart) return;
 
@@ -6,8 +6,11 @@
 // - CRUD sport presets (create, edit, duplicate, delete)
 // - Search/filter presets
 // - Persist presets in localStorage (library of configurations)
+// - Keep other open tabs in sync (saves are merged per preset id)
 // - Import/export JSON
 // - Default presets seeded on first load
+// - Metric picker grouped by category from the metric registry
+//   (MoveSyncMetrics), including metrics registered by plugins
 // =======================================
 
 (() => {
@@ -20,30 +23,12 @@
   // Storage
   // ---------------------------------------
   const STORAGE_KEY = "movesync-sport-presets-v1";
+  // Bumped on every save; a different value than the one we loaded means
+  // another tab saved in between.
+  const REVISION_KEY = "movesync-sport-presets-rev";
 
-  // Minimal, practical metric set (extend anytime)
-  const METRICS = [
-    { id: "peak_accel",       label: "Peak acceleration" },
-    { id: "mean_accel",       label: "Mean acceleration" },
-    { id: "accel_rms",        label: "Acceleration RMS" },
-    { id: "peak_jerk",        label: "Peak jerk" },
-    { id: "peak_speed",       label: "Peak speed" },
-    { id: "mean_speed",       label: "Mean speed" },
-    { id: "mean_burst_speed", label: "Avg peak speed (per burst)" },
-    { id: "total_distance",   label: "Total distance" },
-    { id: "peak_gyro",        label: "Peak angular velocity" },
-    { id: "mean_gyro",        label: "Mean angular velocity" },
-    { id: "mean_pitch",       label: "Mean pitch" },
-    { id: "mean_roll",        label: "Mean roll" },
-    { id: "pitch_range",      label: "Pitch range" },
-    { id: "roll_range",       label: "Roll range" },
-    { id: "cadence",          label: "Cadence" },
-    { id: "rep_count",        label: "Rep count" },
-    { id: "mean_rep_time",    label: "Mean rep time" },
-    { id: "total_duration",   label: "Session duration" },
-    { id: "active_time",      label: "Active time" },
-    { id: "total_impulse",    label: "Total impulse" },
-  ];
+  // Metrics come from the metric registry (MoveSyncMetrics), plugins included
+  const registry = () => window.MoveSyncMetrics;
 
   const SENSOR_LABEL = {
     accel: "Accelerometer",
@@ -59,6 +44,10 @@
     activeId: null,
     dirty: false,
     search: "",
+
+    // Cross-tab bookkeeping: stored revision + updatedAt per preset as last read
+    revision: 0,
+    baseUpdatedAt: new Map(),
   };
 
   // ---------------------------------------
@@ -100,27 +89,9 @@
     return `sp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
   }
 
+  // Shape, defaults and version upgrades live in app/core/schema.js
   function normalizePreset(p) {
-    const o = (p && typeof p === "object") ? p : {};
-    const metrics = Array.isArray(o.metrics) ? o.metrics.filter(Boolean) : [];
-    const timestampTypes = Array.isArray(o.timestampTypes) ? o.timestampTypes.filter(Boolean) : [];
-
-    const windowBefore = Number.isFinite(Number(o.windowBefore)) ? Number(o.windowBefore) : 5;
-    const windowAfter = Number.isFinite(Number(o.windowAfter)) ? Number(o.windowAfter) : 3;
-
-    return {
-      id: String(o.id || makeId()),
-      name: String(o.name || "Untitled preset"),
-      defaultSensor: ["accel", "gyro", "mag"].includes(o.defaultSensor) ? o.defaultSensor : "accel",
-      overlayMode: ["minimal", "analysis"].includes(o.overlayMode) ? o.overlayMode : "minimal",
-      notes: String(o.notes || ""),
-      metrics,
-      timestampTypes,
-      windowBefore: Math.max(0, Math.round(windowBefore)),
-      windowAfter: Math.max(0, Math.round(windowAfter)),
-      createdAt: o.createdAt || new Date().toISOString(),
-      updatedAt: o.updatedAt || new Date().toISOString(),
-    };
+    return window.MoveSyncSchema.migratePreset(p, { makeId });
   }
 
   // ---------------------------------------
@@ -173,28 +144,105 @@
       if (!raw) return null;
       const parsed = JSON.parse(raw);
       if (!Array.isArray(parsed)) return null;
-      return parsed.map(normalizePreset);
-    } catch {
+
+      // Per preset, so one unreadable entry doesn't re-seed the defaults
+      return parsed
+        .map((p) => {
+          try {
+            return normalizePreset(p);
+          } catch (e) {
+            console.warn("[sport-presets] skipping stored preset:", e);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (e) {
+      console.warn("[sport-presets] stored presets unreadable:", e);
       return null;
     }
   }
 
-  function saveToStorage() {
+  function readStoredRevision() {
+    try {
+      return Number(localStorage.getItem(REVISION_KEY)) || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  function rememberBase(revision) {
+    state.revision = revision;
+    state.baseUpdatedAt = new Map(state.presets.map((p) => [p.id, p.updatedAt]));
+  }
+
+  // Applies this tab's change ({ upsert: ids, remove: ids }) on top of the
+  // list another tab saved. Presets both tabs edited keep our version and
+  // are returned as conflicts.
+  function mergeIntoStored(stored, { upsert = [], remove = [] }) {
+    const merged = stored.slice();
+    const conflicts = [];
+
+    for (const id of upsert) {
+      const ours = state.presets.find((p) => p.id === id);
+      if (!ours) continue;
+
+      const i = merged.findIndex((p) => p.id === id);
+      if (i === -1) {
+        merged.unshift(ours);
+        continue;
+      }
+      if (state.baseUpdatedAt.has(id) && merged[i].updatedAt !== state.baseUpdatedAt.get(id)) {
+        conflicts.push(ours.name);
+      }
+      merged[i] = ours;
+    }
+
+    const removed = new Set(remove);
+    return { presets: merged.filter((p) => !removed.has(p.id)), conflicts };
+  }
+
+  // change: { upsert, remove } preset ids touched by this save.
+  // Returns the names of presets that were also changed in another tab.
+  function saveToStorage(change = {}) {
+    let conflicts = [];
+
     try {
+      const storedRevision = readStoredRevision();
+      if (storedRevision !== state.revision) {
+        const merged = mergeIntoStored(loadFromStorage() || [], change);
+        state.presets = merged.presets;
+        conflicts = merged.conflicts;
+      }
+
+      const revision = storedRevision + 1;
       localStorage.setItem(STORAGE_KEY, JSON.stringify(state.presets));
+      localStorage.setItem(REVISION_KEY, String(revision));
+      rememberBase(revision);
+
+      window.MoveSyncTabSync?.post?.("presets:changed", { revision });
     } catch {
       // ignore
     }
+
+    return conflicts;
   }
 
   function ensureSeeded() {
     const stored = loadFromStorage();
     if (stored && stored.length) {
       state.presets = stored;
+      rememberBase(readStoredRevision());
       return;
     }
     state.presets = defaultPresets();
-    saveToStorage();
+    state.revision = readStoredRevision();
+    saveToStorage({ upsert: state.presets.map((p) => p.id) });
+  }
+
+  function conflictNote(conflicts) {
+    if (!conflicts.length) return "";
+    const names = conflicts.map((n) => `"${n}"`).join(", ");
+    return ` ${names} had also been changed in another tab; your version was kept.`;
   }
 
   // ---------------------------------------
@@ -238,15 +286,28 @@
     if (!grid) return;
 
     const activeMetrics = new Set(active?.metrics || []);
-    grid.innerHTML = METRICS.map((m) => {
-      const checked = activeMetrics.has(m.id);
-      return `
-        <label class="sp-check">
-          <input type="checkbox" data-metric="${escapeHtml(m.id)}" ${checked ? "checked" : ""} />
-          <span>${escapeHtml(m.label)}</span>
-        </label>
-      `;
-    }).join("");
+    const groups = registry()?.groups() || [];
+
+    // Ids the preset has but nothing registers (a plugin not loaded here)
+    // stay listed so saving does not drop them
+    const unknown = [...activeMetrics].filter((id) => !registry()?.get(id));
+    if (unknown.length) {
+      groups.push({ id: "unregistered", label: "Not available here", metrics: unknown.map((id) => registry()?.meta(id) || { id, label: id }) });
+    }
+
+    grid.innerHTML = groups.map((g) => `
+      <div class="sp-checkgrid-head">${escapeHtml(g.label)}</div>
+      ${g.metrics.map((m) => {
+        const checked = activeMetrics.has(m.id);
+        const needs = registry()?.describeRequirements(m.id) || "";
+        return `
+          <label class="sp-check"${needs ? ` title="${escapeHtml(needs)}"` : ""}>
+            <input type="checkbox" data-metric="${escapeHtml(m.id)}" ${checked ? "checked" : ""} />
+            <span>${escapeHtml(m.label)}${m.unit ? ` <span class="sp-check-unit">${escapeHtml(m.unit)}</span>` : ""}</span>
+          </label>
+        `;
+      }).join("")}
+    `).join("");
   }
 
   // ---------------------------------------
@@ -431,7 +492,8 @@
     // Metrics helpers
     $("spMetricsSelectAll")?.addEventListener("click", (e) => {
       e.preventDefault();
-      patchActive({ metrics: METRICS.map((m) => m.id) });
+      const ids = (registry()?.list() || []).map((m) => m.id);
+      patchActive({ metrics: Array.from(new Set([...(getActive()?.metrics || []), ...ids])) });
       renderEditor();
       renderList();
     }, { signal });
@@ -524,10 +586,10 @@
       patchActive({ name: "Untitled preset" });
     }
 
-    saveToStorage();
+    const conflicts = saveToStorage({ upsert: [active.id] });
     markDirty(false);
     renderList();
-    setMsg("Preset saved.");
+    setMsg(`Preset saved.${conflictNote(conflicts)}`);
   }
 
   function duplicateActive() {
@@ -568,8 +630,9 @@
       state.activeId = state.presets[nextIdx]?.id || state.presets[0].id;
     }
 
-    saveToStorage();
+    saveToStorage({ remove: [active.id] });
     markDirty(false);
+    if (!state.presets.some((p) => p.id === state.activeId)) state.activeId = state.presets[0]?.id || null;
     renderAll();
     setMsg("Preset deleted.");
   }
@@ -600,8 +663,9 @@
       const text = await file.text();
       const parsed = JSON.parse(text);
 
-      if (!Array.isArray(parsed)) {
-        alert("Import failed: expected a JSON array of presets.");
+      const issues = window.MoveSyncSchema.validatePresetList(parsed);
+      if (issues.length) {
+        alert(`Import failed:\n${issues.slice(0, 8).map((x) => `- ${x}`).join("\n")}`);
         return;
       }
 
@@ -616,7 +680,7 @@
       state.presets = Array.from(map.values())
         .sort((a, b) => String(a.name).localeCompare(String(b.name)));
 
-      saveToStorage();
+      const conflicts = saveToStorage({ upsert: incoming.map((p) => p.id) });
       markDirty(false);
 
       // Select first preset after import (or keep if exists)
@@ -625,13 +689,47 @@
       }
 
       renderAll();
-      setMsg("Imported presets.");
+      setMsg(`Imported presets.${conflictNote(conflicts)}`);
     } catch (e) {
       console.warn("[sport-presets] import failed:", e);
       alert("Import failed: invalid JSON.");
     }
   }
 
+  // ---------------------------------------
+  // Other tabs saved presets
+  // ---------------------------------------
+  // Reload their list. Unsaved edits to the active preset stay on top;
+  // saving them later overwrites the other tab's version of that preset.
+  function applyRemoteSave() {
+    const stored = loadFromStorage();
+    if (!stored) return;
+
+    const active = getActive();
+    const keepActive = state.dirty && active;
+    const theirsActive = keepActive ? stored.find((p) => p.id === active.id) : null;
+    const changedThere = !!theirsActive && theirsActive.updatedAt !== state.baseUpdatedAt.get(active.id);
+
+    state.presets = stored;
+    rememberBase(readStoredRevision());
+
+    if (keepActive) {
+      const i = state.presets.findIndex((p) => p.id === active.id);
+      if (i === -1) state.presets.unshift(active);
+      else state.presets[i] = active;
+    }
+
+    if (!state.presets.some((p) => p.id === state.activeId)) state.activeId = state.presets[0]?.id || null;
+
+    if (keepActive) {
+      renderList();
+      if (changedThere) setHint("Unsaved changes. This preset was also changed in another tab; saving keeps your version.");
+    } else {
+      renderAll();
+    }
+    setMsg("Presets updated from another tab.");
+  }
+
   // ---------------------------------------
   // Wiring
   // ---------------------------------------
@@ -672,6 +770,12 @@
     // Editor wiring
     wireEditor(signal);
 
+    // Saves from other tabs
+    window.MoveSyncTabSync?.on?.("presets:changed", applyRemoteSave, { signal });
+
+    // Metrics registered after the page opened (plugins)
+    document.addEventListener("movesync:metrics-changed", () => renderMetricsGrid(getActive()), { signal });
+
     // Initial render
     markDirty(false);
     renderAll();
@@ -9,6 +9,9 @@
   window.MoveSyncPages = window.MoveSyncPages || {};
   const PAGE_NAME = "Upload";
 
+  // Document-level listeners only (page DOM is replaced on navigation)
+  let controller = null;
+
   // -------------------------
   // State
   // -------------------------
@@ -94,10 +97,54 @@
 
   function projectReadyMessage() {
     const n = state.project.sessions.length;
-    if (n <= 0) return "Add at least 1 session to save the project.";
+    const target = getTargetProject();
+    if (n <= 0) return target ? "Add at least 1 session to add it to the project." : "Add at least 1 session to save the project.";
+    if (target) return `Ready to add ${n} session${n === 1 ? "" : "s"} to "${target.name || "Untitled project"}".`;
     return `Ready to save project with ${n} session${n === 1 ? "" : "s"}.`;
   }
 
+  // -------------------------
+  // Target project (new vs existing)
+  // -------------------------
+  function getTargetProject() {
+    const id = qs("projectTargetSelect")?.value || "";
+    if (!id) return null;
+    return (store()?.getProjects?.() || []).find((p) => String(p.id) === String(id)) || null;
+  }
+
+  function populateTargetDropdown() {
+    const sel = qs("projectTargetSelect");
+    if (!sel) return;
+
+    const projects = store()?.getProjects?.() || [];
+    const currentVal = sel.value;
+
+    sel.innerHTML = `<option value="">New project</option>`;
+    for (const p of projects) {
+      const opt = document.createElement("option");
+      opt.value = String(p.id);
+      opt.textContent = `#${p.id} — ${p.name || "Untitled project"}`;
+      sel.appendChild(opt);
+    }
+
+    if (currentVal && projects.some((p) => String(p.id) === currentVal)) sel.value = currentVal;
+    syncTargetUi();
+  }
+
+  function syncTargetUi() {
+    const target = getTargetProject();
+
+    const name = qs("projectName");
+    const notes = qs("projectNotes");
+    if (name) name.disabled = !!target;
+    if (notes) notes.disabled = !!target;
+
+    const saveBtn = qs("saveProjectBtn");
+    if (saveBtn) saveBtn.textContent = target ? "Add to project" : "Save project";
+
+    setText("projectReadyLine", projectReadyMessage());
+  }
+
   // -------------------------
   // Summary sync (right card)
   // -------------------------
@@ -142,6 +189,7 @@
       .map((s) => {
         const v = s.videoFile?.name ? escapeHtml(s.videoFile.name) : "—";
         const imuCount = Array.isArray(s.imuFiles) ? s.imuFiles.length : 0;
+        const subject = store()?.getSubject?.(s.subjectId);
 
         return `
           <div class="uw-proj-session" data-session-id="${escapeHtml(String(s.id))}">
@@ -155,6 +203,7 @@
             <div class="uw-proj-session-meta">
               <span class="uw-proj-pill"><i class="bx bx-video" aria-hidden="true"></i> ${v}</span>
               <span class="uw-proj-pill"><i class="bx bx-chip" aria-hidden="true"></i> IMUs: ${escapeHtml(String(imuCount))}</span>
+              ${subject ? `<span class="uw-proj-pill"><i class="bx bx-user" aria-hidden="true"></i> ${escapeHtml(subject.name)}</span>` : ``}
             </div>
             ${s.notes ? `<div class="uw-proj-session-notes">${escapeHtml(s.notes)}</div>` : ``}
           </div>
@@ -332,7 +381,15 @@
       label: `IMU ${state.imus.length + 1}`,
       file: null,
       csvText: "",
+      preview: "",
+      csvFormat: "",
+      csvSample: null,
+      mapping: null,
+      importer: null,
+      device: null,
       skeletonNode: "",
+      units: { acc: "auto", gyro: "auto", mag: "auto" },
+      axes: "right",
     });
 
     state.activeImuId = id;
@@ -484,22 +541,24 @@
               </optgroup>
             </select>
           </label>
+
+          ${unitFieldsHtml(imu)}
         </div>
       </div>
 
       <div class="uw-sensor-body">
-        <input type="file" accept=".csv,text/csv" hidden data-action="file"/>
+        <input type="file" accept="${escapeHtml(imuAccept())}" hidden data-action="file"/>
 
         <div class="uw-sensor-drop" data-action="drop">
           ${
             hasFile
               ? `<strong>${escapeHtml(imu.file.name)}</strong><span>Click to change</span>`
-              : `<strong>Drop CSV here</strong><span>or click to browse</span>`
+              : `<strong>Drop IMU file here</strong><span>CSV, or a Movesense / Xsens / Shimmer / Axivity / Sensor Logger export</span>`
           }
         </div>
 
         <div class="uw-sensor-file">
-          ${hasFile ? `Selected: ${escapeHtml(imu.file.name)}` : `No CSV selected.`}
+          ${hasFile ? `Selected: ${escapeHtml(imu.file.name)}` : `No file selected.`}
         </div>
 
         ${
@@ -507,7 +566,15 @@
             ? `
           <div class="uw-sensor-preview">
             <div class="uw-sensor-preview-title">Preview (first 6 lines)</div>
-            <pre>${escapeHtml(imu.csvText.split("\n").slice(0, 6).join("\n"))}</pre>
+            <pre>${escapeHtml(imu.preview || "")}</pre>
+            ${imu.csvFormat ? `<div class="uw-sensor-format">Read as: ${escapeHtml(imu.csvFormat)}</div>` : ``}
+          </div>
+
+          <div class="uw-sensor-mapping">
+            <span>Columns: ${escapeHtml(describeMapping(imu))}</span>
+            <button class="uw-mini-btn" type="button" data-action="map" ${imu.csvSample ? "" : "disabled"}>
+              <i class="bx bx-slider-alt" aria-hidden="true"></i> Map columns
+            </button>
           </div>`
             : ``
         }
@@ -517,15 +584,117 @@
     wireImuCard(node, imu.id);
   }
 
+  // Units + axis convention declared for this sensor. "Auto" leaves the
+  // unit to the column mapping, then to the pipeline's guess; vendor
+  // exports are already converted by their importer.
+  const UNIT_FIELDS = [
+    { key: "acc", label: "Accel units" },
+    { key: "gyro", label: "Gyro units" },
+    { key: "mag", label: "Mag units" },
+  ];
+
+  function unitFieldsHtml(imu) {
+    const labels = window.MoveSyncImuMapping?.UNIT_LABELS || {};
+    const allowed = window.MoveSyncSchema?.IMU_UNITS || {};
+    const fixed = !!imu.importer;
+
+    const unitFields = UNIT_FIELDS.map(({ key, label }) => {
+      const value = imu.units?.[key] || "auto";
+      const options = (allowed[key] || ["auto"])
+        .map((u) => {
+          const text = u === "auto" ? "Auto-detect" : labels[u] || u;
+          return `<option value="${escapeHtml(u)}" ${u === value ? "selected" : ""}>${escapeHtml(text)}</option>`;
+        })
+        .join("");
+      return `
+          <label class="uw-field">
+            <span class="uw-label">${label}</span>
+            <select class="uw-input" data-action="unit" data-unit="${key}" ${fixed ? `disabled title="Units are set by the vendor importer"` : ""}>
+              ${options}
+            </select>
+          </label>`;
+    }).join("");
+
+    const axes = imu.axes === "left" ? "left" : "right";
+    return `${unitFields}
+          <label class="uw-field">
+            <span class="uw-label">Axes</span>
+            <select class="uw-input" data-action="axes">
+              <option value="right" ${axes === "right" ? "selected" : ""}>Right-handed</option>
+              <option value="left" ${axes === "left" ? "selected" : ""}>Left-handed (Z reversed)</option>
+            </select>
+          </label>`;
+  }
+
+  function imuAccept() {
+    return (window.MoveSyncImuImporters?.ACCEPT || [".csv"]).join(",");
+  }
+
+  function isImuFile(file) {
+    const importers = window.MoveSyncImuImporters;
+    return importers ? importers.isAccepted(file.name) : file.name.toLowerCase().endsWith(".csv");
+  }
+
+  // The viewer streams the File itself; only the head is read here.
+  // A new file drops the previous file's column mapping. Vendor exports
+  // (MoveSyncImuImporters) come with their own mapping and name the
+  // recording device, which is saved on the IMU entry.
+  async function readImuHead(file) {
+    const importers = window.MoveSyncImuImporters;
+    const info = importers ? await importers.inspect(file) : null;
+    if (info) {
+      return {
+        preview: info.preview,
+        csvSample: null,
+        csvFormat: importers.describe(info),
+        mapping: null,
+        importer: info.importer,
+        device: info.device,
+      };
+    }
+
+    const csv = window.MoveSyncImuCsv;
+    const [preview, csvSample] = await Promise.all([csv.readHead(file, 6), csv.readSample(file)]);
+    return { preview, csvSample, csvFormat: csv.describe(csvSample.dialect), mapping: null, importer: null, device: null };
+  }
+
+  function resolveMapping(imu) {
+    const sample = imu?.csvSample;
+    if (!sample) return null;
+    return window.MoveSyncImuMapping.resolve(sample.headers, { mapping: imu.mapping, units: sample.dialect?.units });
+  }
+
+  function describeMapping(imu) {
+    if (imu?.importer) return "Set by importer";
+    const resolved = resolveMapping(imu);
+    return resolved ? window.MoveSyncImuMapping.describe(resolved) : "—";
+  }
+
+  async function openColumnMapper(imuId) {
+    const imu = state.imus.find((x) => x.id === imuId);
+    const mapper = window.MoveSyncApp?.columnMapper;
+    if (!imu?.csvSample || !mapper) return;
+
+    const result = await mapper.open({
+      fileName: imu.file?.name || "",
+      table: imu.csvSample,
+      resolved: resolveMapping(imu),
+    });
+    if (result?.mapping) updateImu(imuId, { mapping: result.mapping });
+  }
+
   function wireImuCard(node, imuId) {
     const imu = state.imus.find((x) => x.id === imuId);
     if (!imu) return;
 
     const labelInput = node.querySelector('[data-action="label"]');
     const nodeSelect = node.querySelector('[data-action="node"]');
+    const unitSelects = node.querySelectorAll('[data-action="unit"]');
+    const axesSelect = node.querySelector('[data-action="axes"]');
     const removeBtn = node.querySelector('[data-action="remove"]');
     const fileInput = node.querySelector('[data-action="file"]');
     const drop = node.querySelector('[data-action="drop"]');
+    const mapBtn = node.querySelector('[data-action="map"]');
 
     labelInput?.addEventListener("input", (e) => {
       const target = state.imus.find((x) => x.id === imuId);
@@ -545,10 +714,26 @@
       target.skeletonNode = e.target.value;
     });
 
+    unitSelects.forEach((select) => {
+      select.addEventListener("change", (e) => {
+        const target = state.imus.find((x) => x.id === imuId);
+        if (!target) return;
+        target.units = { ...target.units, [select.dataset.unit]: e.target.value };
+      });
+    });
+
+    axesSelect?.addEventListener("change", (e) => {
+      const target = state.imus.find((x) => x.id === imuId);
+      if (!target) return;
+      target.axes = e.target.value;
+    });
+
     removeBtn?.addEventListener("click", () => {
       removeImu(imuId);
     });
 
+    mapBtn?.addEventListener("click", () => openColumnMapper(imuId));
+
     const openPicker = () => fileInput?.click();
     drop?.addEventListener("click", () => openPicker());
 
@@ -556,17 +741,17 @@
       const file = fileInput.files?.[0];
       if (!file) return;
 
-      if (!file.name.toLowerCase().endsWith(".csv")) {
-        setMsg("Please select a CSV file.");
+      if (!isImuFile(file)) {
+        setMsg("Please select an IMU file (CSV, TXT, JSON, CWA or ZIP).");
         fileInput.value = "";
         return;
       }
 
       try {
-        const csvText = await file.text();
-        updateImu(imuId, { file, csvText });
-      } catch {
-        setMsg("Failed to read CSV file.");
+        updateImu(imuId, { file, csvText: "", ...(await readImuHead(file)) });
+      } catch (err) {
+        console.warn("[Upload] could not read IMU file:", err);
+        setMsg(err?.message || "Failed to read IMU file.");
         fileInput.value = "";
       }
     });
@@ -595,16 +780,16 @@
       const file = e.dataTransfer.files?.[0];
       if (!file) return;
 
-      if (!file.name.toLowerCase().endsWith(".csv")) {
-        setMsg("Please drop a CSV file.");
+      if (!isImuFile(file)) {
+        setMsg("Please drop an IMU file (CSV, TXT, JSON, CWA or ZIP).");
         return;
       }
 
       try {
-        const csvText = await file.text();
-        updateImu(imuId, { file, csvText });
-      } catch {
-        setMsg("Failed to read CSV file.");
+        updateImu(imuId, { file, csvText: "", ...(await readImuHead(file)) });
+      } catch (err) {
+        console.warn("[Upload] could not read IMU file:", err);
+        setMsg(err?.message || "Failed to read IMU file.");
       }
     });
   }
@@ -621,7 +806,8 @@
     const snotes = qs("sessionNotes");
     if (snotes) snotes.value = "";
 
-    // reset preset picker
+    // reset preset picker (the subject stays: consecutive sessions are
+    // usually the same athlete)
     const psel = qs("sessionPresetSelect");
     if (psel) psel.value = "";
     updatePresetPreview();
@@ -672,13 +858,17 @@
   const presetId = qs("sessionPresetSelect")?.value || "";
   const preset = getPresetById(presetId);
 
+  const subjectId = qs("sessionSubjectSelect")?.value || null;
+
   return {
     id,
     name,
     notes,
     createdAt: new Date().toISOString(),
     videoFile: state.video || null,
-    imus: state.imus.map((imu) => ({ ...imu })),
+    imus: state.imus.map(({ preview: _preview, csvFormat: _csvFormat, csvSample: _csvSample, importer: _importer, ...imu }) => ({
+      ...imu,
+    })),
     imuFiles,
 
     // Preset / metrics
@@ -686,6 +876,9 @@
     presetName: preset?.name || null,
     keyMetrics: Array.isArray(preset?.metrics) ? preset.metrics.slice() : [],
 
+    // Athlete / subject (roster)
+    subjectId,
+
     // Viewer compatibility (first IMU)
     csvName: state.imus[0]?.file?.name || "",
     csvText: state.imus[0]?.csvText || "",
@@ -720,7 +913,7 @@
   // -------------------------
   async function saveProject() {
     const s = store();
-    if (!s?.saveRuntimeProject) {
+    if (!s?.saveRuntimeProject || !s?.addSession) {
       setMsg("Project store not available.");
       return;
     }
@@ -738,25 +931,40 @@
     state.project.createdAt = state.project.createdAt || now;
     state.project.updatedAt = now;
 
-    // store will assign id
-    const projectToSave = {
-      name: state.project.name,
-      notes: state.project.notes,
-      createdAt: state.project.createdAt,
-      updatedAt: state.project.updatedAt,
-      sessions: state.project.sessions,
-    };
-
     try {
-      const saved = await s.saveRuntimeProject(projectToSave);
+      const target = getTargetProject();
+
+      const save = async () => {
+        // Existing project: append; otherwise create an empty one (store assigns id)
+        const project =
+          target ||
+          (await s.saveRuntimeProject({
+            name: state.project.name,
+            notes: state.project.notes,
+            createdAt: state.project.createdAt,
+            updatedAt: state.project.updatedAt,
+            sessions: [],
+          }));
+
+        // Draft ids are local to this page; the store allocates real ones
+        let last = null;
+        for (const sess of state.project.sessions) {
+          const { id: _draftId, ...rest } = sess;
+          last = await s.addSession(project.id, rest);
+        }
+        return { project, last };
+      };
+
+      // One undo step for the whole save
+      const label = target ? `Add sessions to "${target.name}"` : `Save project "${state.project.name}"`;
+      const { project, last } = s.batch ? await s.batch(label, save) : await save();
 
       // select last added session as active (optional)
-      const last = saved?.sessions?.[saved.sessions.length - 1] || null;
-      if (last) s.setActiveSession?.(saved.id, last.id);
+      if (last) s.setActiveSession?.(project.id, last.id);
 
-      setMsg(`Saved project "${state.project.name}".`);
+      setMsg(target ? `Added sessions to "${project.name}".` : `Saved project "${state.project.name}".`);
       resetProjectDraft();
-      document.dispatchEvent(new CustomEvent("movesync:projects-changed", { detail: { at: Date.now() } }));
+      populateTargetDropdown();
     } catch (e) {
       console.warn("[Upload] save project failed:", e);
       setMsg("Failed to save project.");
@@ -781,6 +989,7 @@
         name: sess.name,
         notes: sess.notes || "",
         createdAt: sess.createdAt,
+        subjectId: sess.subjectId ?? null,
         // only filenames (not binaries)
         videoName: sess.videoFile?.name || "",
         imuNames: (sess.imuFiles || []).map((f) => f?.name || "").filter(Boolean),
@@ -810,13 +1019,19 @@
       const parsed = JSON.parse(text);
 
       if (!parsed || typeof parsed !== "object") throw new Error("Invalid JSON");
-      if (parsed.format !== "movesync-project-draft-v1") {
-        setMsg("Import failed: unsupported file format.");
+
+      // Drafts and full exports are both accepted: the schema upgrades them to
+      // the current export shape. Only the structure is used here.
+      let project;
+      try {
+        project = window.MoveSyncSchema.migrateExport(parsed).doc.project;
+      } catch (err) {
+        setMsg(`Import failed: ${window.MoveSyncSchema.formatError(err)}`);
         return;
       }
 
-      const importedName = String(parsed.name || "Imported project");
-      const importedNotes = String(parsed.notes || "");
+      const importedName = String(project.name || "Imported project");
+      const importedNotes = String(project.notes || "");
 
       // wipe current draft
       state.project = {
@@ -831,7 +1046,7 @@
       qs("projectName").value = importedName;
       qs("projectNotes").value = importedNotes;
 
-      const sessions = Array.isArray(parsed.sessions) ? parsed.sessions : [];
+      const sessions = Array.isArray(project.sessions) ? project.sessions : [];
       sessions.forEach((s) => {
         const id = state.project.nextSessionId++;
         state.project.sessions.push({
@@ -839,6 +1054,7 @@
           name: String(s?.name || `Session ${id}`),
           notes: String(s?.notes || ""),
           createdAt: s?.createdAt || new Date().toISOString(),
+          subjectId: store()?.getSubject?.(s?.subjectId) ? s.subjectId : null,
           videoFile: null,
           imus: [],
           imuFiles: [],
@@ -927,6 +1143,31 @@
     }).join("");
   }
 
+  // -------------------------
+  // Subject helpers (roster lives in the session store)
+  // -------------------------
+  function populateSubjectDropdown() {
+    const sel = qs("sessionSubjectSelect");
+    if (!sel) return;
+
+    const subjects = (store()?.getSubjects?.() || [])
+      .slice()
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    const currentVal = sel.value;
+
+    sel.innerHTML = `<option value="">None</option>`;
+    for (const sub of subjects) {
+      const opt = document.createElement("option");
+      opt.value = sub.id;
+      opt.textContent = sub.name + (sub.sport ? ` (${sub.sport})` : "");
+      sel.appendChild(opt);
+    }
+
+    if (currentVal && subjects.some((sub) => String(sub.id) === currentVal)) {
+      sel.value = currentVal;
+    }
+  }
+
   // -------------------------
   // Init / destroy
   // -------------------------
@@ -941,12 +1182,37 @@
       state.project.notes = (qs("projectNotes")?.value || "").trim();
     });
 
+    controller?.abort?.();
+    controller = new AbortController();
+
+    populateTargetDropdown();
+    qs("projectTargetSelect")?.addEventListener("change", syncTargetUi);
+    document.addEventListener("movesync:projects-changed", populateTargetDropdown, { signal: controller.signal });
+
     // buttons
     qs("resetSessionBtn")?.addEventListener("click", resetSessionDraft);
 
-    // Preset dropdown
+    // Preset dropdown (also refreshed when another tab saves presets)
     populatePresetDropdown();
+    window.MoveSyncTabSync?.on?.(
+      "presets:changed",
+      () => {
+        populatePresetDropdown();
+        updatePresetPreview();
+      },
+      { signal: controller.signal }
+    );
     qs("sessionPresetSelect")?.addEventListener("change", updatePresetPreview);
+
+    populateSubjectDropdown();
+    document.addEventListener(
+      "movesync:subjects-changed",
+      () => {
+        populateSubjectDropdown();
+        renderProjectSessions();
+      },
+      { signal: controller.signal }
+    );
     qs("addSessionBtn")?.addEventListener("click", addSessionToProject);
     qs("resetProjectBtn")?.addEventListener("click", resetProjectDraft);
     qs("saveProjectBtn")?.addEventListener("click", saveProject);
@@ -976,6 +1242,9 @@
   }
 
   function destroy() {
+    controller?.abort?.();
+    controller = null;
+
     if (state.videoObjectUrl) URL.revokeObjectURL(state.videoObjectUrl);
 
     state = {